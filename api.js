@@ -5,6 +5,26 @@
  * @typedef {Object} ImageGenerationModel
  * @property {string} name - Display name of the model
  * @property {string} description - Description of model capabilities
+ * @property {boolean} [supportsAspectRatio] - Accepts image_config.aspect_ratio
+ * @property {boolean} [supportsImageSize] - Accepts image_config.image_size
+ * @property {number|null} [contextLength] - Context window in tokens (from the live catalog)
+ * @property {ModelPricing} [pricing] - Pricing in USD (from the live catalog)
+ * @property {Array<string>} [inputModalities] - Accepted inputs, e.g. ['text', 'image'] (from the live catalog)
+ * @property {boolean} [outputsImages] - Chat model that can answer with images
+ */
+
+/**
+ * @typedef {Object} ModelPricing
+ * @property {number} prompt - Cost per input token
+ * @property {number} completion - Cost per output token
+ * @property {number} image - Cost per input image
+ */
+
+/**
+ * @typedef {Object} ImageSizeOptions
+ * @property {string|null} [aspectRatio] - Aspect ratio preset (e.g. '16:9'), null to keep the model default
+ * @property {string|null} [imageSize] - Target resolution preset ('1K', '2K', '4K'), null for the model default
+ * @property {'crop'|'pad'} [fit='crop'] - How the client fallback reaches the aspect ratio
  */
 
 /**
@@ -23,12 +43,166 @@
  * @property {string} [error.message] - Error message
  */
 
+/**
+ * @typedef {Object} GenerationResult
+ * @property {Array<string>} images - Generated images
+ * @property {RequestUsage|null} usage - Tokens, images and cost of the request
+ * @property {string} model - Model that served the request
+ * @property {boolean} fallback - Whether a fallback model served it instead of the requested one
+ */
+
+/**
+ * @typedef {Object} ImageResult
+ * @property {string} image - Base64 encoded image (data:image/...;base64,...)
+ * @property {string} model - Model that produced the image
+ * @property {boolean} fallback - Whether a fallback model produced it instead of the requested one
+ */
+
+/**
+ * @typedef {Object} ImageProgress
+ * @property {'waiting'|'reasoning'|'writing'|'image'} status - What the model is doing now
+ * @property {string} model - Model serving the request
+ * @property {string} text - Text streamed so far
+ * @property {string} reasoning - Reasoning streamed so far
+ * @property {Array<string>} images - Images received so far
+ * @property {number} [index] - Variation the progress belongs to (generateImageVariations only)
+ */
+
+/**
+ * @typedef {Object} ImageStreamOptions
+ * @property {function(ImageProgress): void} [onProgress] - Streams the request and reports progress
+ * @property {AbortSignal} [signal] - Cancels the request
+ */
+
+/**
+ * @typedef {Object} ImageJob
+ * @property {string} id - Job ID
+ * @property {'generate'|'edit'} type - Operation
+ * @property {'queued'|'running'|'succeeded'|'failed'} status - Current state
+ * @property {string} prompt - Prompt the job runs with
+ * @property {string} label - What the user asked for (shown in the jobs list and gallery)
+ * @property {string} model - Model ID
+ * @property {ImageSizeOptions} sizeOptions - Requested size (applied to the result in the browser if needed)
+ * @property {string|null} error - Error message once failed
+ * @property {string|null} [errorCode] - Error code once failed (see ERROR_CODE_INFO)
+ * @property {boolean} delivered - Whether the result has been handed to the UI
+ * @property {boolean} [expired] - Whether the server no longer has the job
+ * @property {string} [servedModel] - Fallback model that produced the result, if the requested one didn't
+ * @property {number} createdAt - Creation timestamp (ms)
+ */
+
+/**
+ * @typedef {Object} ModelComparisonResult
+ * @property {string} model - Model ID
+ * @property {string|null} image - First generated image, or null on failure
+ * @property {string|null} error - User-friendly error message on failure
+ * @property {number} latencyMs - Request duration in milliseconds
+ * @property {number|null} cost - Request cost in credits (USD), if reported
+ */
+
+/**
+ * @typedef {Object} ChatMessage
+ * @property {'user'|'assistant'} role - Message author
+ * @property {string|Array<Object>} content - Text, or multipart content with image_url parts
+ * @property {Array<string>} [images] - Images returned by an image-output model (display only, not resent)
+ * @property {string} [model] - Model that produced an assistant reply
+ * @property {Array<ChatCitation>} [citations] - Web sources cited by an assistant reply
+ * @property {Array<Array<ChatMessage>|null>} [branches] - Alternative tails starting at this message (null marks the one shown)
+ * @property {number} [branchIndex] - Index of the branch shown
+ */
+
+/**
+ * @typedef {Object} ChatCitation
+ * @property {string} url - Source URL
+ * @property {string} title - Page title (falls back to the host name)
+ */
+
+/**
+ * @typedef {Object} WebSearchOptions
+ * @property {number} maxResults - Number of search results given to the model
+ * @property {string} searchPrompt - Prompt introducing the results ('' for OpenRouter's default, which asks for citations)
+ */
+
+/**
+ * @typedef {Object} ChatPersona
+ * @property {string} name - Display name
+ * @property {string} description - Short description
+ * @property {string|null} systemPrompt - System prompt sent to the model (null for the server default)
+ * @property {boolean} [custom] - True for user-defined personas
+ */
+
+/**
+ * @typedef {Object} ChatContextState
+ * @property {string} summary - Summary of the messages before contextStart ('' if none)
+ * @property {number} contextStart - Index of the first history message still sent in full
+ */
+
+/**
+ * @typedef {Object} ContextUsage
+ * @property {number} usedTokens - Estimated tokens sent with the next request
+ * @property {number} limitTokens - Context window of the model
+ * @property {number} contextStart - Number of earlier messages summarized or dropped
+ */
+
 /**
  * @typedef {Object} RateLimitStatus
  * @property {number} remaining - Number of remaining requests
  * @property {number} waitTime - Wait time in seconds until next request
  */
 
+/**
+ * @typedef {Object} AuthSession
+ * @property {boolean} authEnabled - Whether the server requires sign-in
+ * @property {{id: string, name: string}|null} user - Signed-in user
+ */
+
+/**
+ * @typedef {Object} QuotaStatus
+ * @property {number} used - Requests counted today
+ * @property {number|null} limit - Daily limit (null for unlimited)
+ * @property {number} resetAt - Timestamp (ms) when the quota resets
+ */
+
+/**
+ * @typedef {Object} OpenRouterKeyInfo
+ * @property {string} label - Key label shown in OpenRouter
+ * @property {number} usage - Credits used by the key (USD)
+ * @property {number|null} limit - Credit limit (null for unlimited)
+ * @property {number|null} limitRemaining - Credits left under the limit (null for unlimited)
+ * @property {boolean} isFreeTier - Whether the account has never purchased credits
+ */
+
+/**
+ * @typedef {Object} RequestUsage
+ * @property {string} model - Model that served the request
+ * @property {number} promptTokens - Input tokens
+ * @property {number} completionTokens - Output tokens
+ * @property {number} totalTokens - Input plus output tokens
+ * @property {number} images - Images returned
+ * @property {number|null} cost - Cost in credits (USD), null if not reported
+ */
+
+/**
+ * @typedef {RequestUsage & {mode: string, timestamp: number}} UsageEntry
+ */
+
+/**
+ * @typedef {Object} UsageTotals
+ * @property {number} requests - Number of requests
+ * @property {number} cost - Total reported cost (USD)
+ * @property {number} tokens - Total tokens
+ * @property {number} images - Total images returned
+ * @property {Object.<string, {requests: number, cost: number}>} byMode - Totals by mode ('generate', 'edit', 'chat', ...)
+ * @property {Object.<string, {requests: number, cost: number}>} byModel - Totals by model ID
+ */
+
+/**
+ * @typedef {Object} UsageReport
+ * @property {boolean} authEnabled - Whether the server requires sign-in
+ * @property {{id: string, name: string}|null} user - Signed-in user
+ * @property {Object.<string, QuotaStatus>|null} quotas - Daily quotas by kind ('images', 'chat'), null without sign-in
+ */
+
 /**
  * Available image generation models
  * @type {ModelRegistry}
@@ -44,7 +218,9 @@ const IMAGE_GENERATION_MODELS = {
     },
     'google/gemini-3-pro-image-preview': {
         name: 'Gemini 3 Pro Image',
-        description: 'Google\'s latest multimodal model with advanced image generation capabilities and excellent prompt understanding.'
+        description: 'Google\'s latest multimodal model with advanced image generation capabilities and excellent prompt understanding.',
+        supportsAspectRatio: true,
+        supportsImageSize: true
     },
     'openai/gpt-5-image-mini': {
         name: 'GPT-5 Image Mini',
@@ -56,7 +232,8 @@ const IMAGE_GENERATION_MODELS = {
     },
     'google/gemini-2.5-flash-image': {
         name: 'Gemini 2.5 Flash Image',
-        description: 'Google\'s fast image generation model. Optimized for speed while maintaining good quality.'
+        description: 'Google\'s fast image generation model. Optimized for speed while maintaining good quality.',
+        supportsAspectRatio: true
     }
 };
 
@@ -87,7 +264,13 @@ const CHAT_MODELS = {
     },
     'openai/gpt-5-image-mini': {
         name: 'GPT-5 Image Mini',
-        description: 'OpenAI\'s multimodal model. Can understand and discuss images.'
+        description: 'OpenAI\'s multimodal model. Can understand, discuss, and create images.',
+        outputsImages: true
+    },
+    'google/gemini-2.5-flash-image': {
+        name: 'Gemini 2.5 Flash Image',
+        description: 'Google\'s fast image model. Talk through ideas and get images back inline.',
+        outputsImages: true
     },
     'openai/gpt-4.1': {
         name: 'GPT-4.1',
@@ -116,10 +299,138 @@ const CHAT_MODELS = {
 };
 
 /**
- * Current selected generation model ID
+ * Built-in chat personas
+ * @type {Object.<string, ChatPersona>}
+ */
+const CHAT_PERSONAS = {
+    'assistant': {
+        name: 'Assistant',
+        description: 'General-purpose helpful assistant.',
+        systemPrompt: null
+    },
+    'photo-critic': {
+        name: 'Photo Critic',
+        description: 'Honest, specific feedback on composition, light, color, and technique.',
+        systemPrompt: 'You are an experienced photo critic. When shown or told about a photo, give honest, specific feedback on composition, lighting, color, focus, and storytelling. Point out what works before what does not, and end with two or three concrete suggestions the photographer can act on. Use markdown headings and lists.'
+    },
+    'prompt-engineer': {
+        name: 'Prompt Engineer',
+        description: 'Turns rough ideas into detailed prompts for image generation and editing.',
+        systemPrompt: 'You are a prompt engineer for AI image generation and editing models. Turn the user\'s rough idea into one or more precise prompts covering subject, setting, composition, lighting, lens or medium, style, and mood. Keep each prompt under 100 words, put each in its own code block so it is easy to copy, and briefly explain the choices you made.'
+    },
+    'art-director': {
+        name: 'Art Director',
+        description: 'Creative direction: concepts, mood boards, and visual consistency.',
+        systemPrompt: 'You are an art director. Help the user develop visual concepts: propose directions with a clear mood, color palette, typography and photography style, and explain how they serve the brief and audience. Ask clarifying questions when the brief is vague, and keep a series of images visually consistent.'
+    }
+};
+
+/**
+ * Maximum length of a custom persona's system prompt (matches the server limit)
+ * @type {number}
+ */
+const MAX_SYSTEM_PROMPT_LENGTH = 4000;
+
+/**
+ * Default and maximum number of web search results per request (matches the server limits)
+ * @type {number}
+ */
+const DEFAULT_WEB_SEARCH_RESULTS = 5;
+const MAX_WEB_SEARCH_RESULTS = 10;
+
+/**
+ * Maximum length of a custom web search prompt (matches the server limit)
+ * @type {number}
+ */
+const MAX_SEARCH_PROMPT_LENGTH = 1000;
+
+/**
+ * Maximum number of images attached to one chat message
+ * @type {number}
+ */
+const MAX_CHAT_ATTACHMENTS = 4;
+
+/**
+ * Maximum width/height of a chat attachment (history is resent every turn)
+ * @type {number}
+ */
+const CHAT_ATTACHMENT_MAX_DIMENSION = 1024;
+
+/**
+ * Maximum base64 size of a chat attachment in bytes
+ * @type {number}
+ */
+const CHAT_ATTACHMENT_MAX_BYTES = 512 * 1024;
+
+/**
+ * Long edge an edit upload is shrunk to when the server found it too large
+ * @type {number}
+ */
+const SHRINK_UPLOAD_DIMENSION = 1024;
+
+/**
+ * Whether the live model catalog has been merged into the registries
+ * @type {boolean}
+ */
+let modelCatalogLoaded = false;
+
+/**
+ * Maximum number of variations per generation request
+ * @type {number}
+ */
+const MAX_VARIATIONS = 4;
+
+/**
+ * Aspect ratio presets offered for generation and editing
+ * @type {Array<string>}
+ */
+const ASPECT_RATIOS = ['1:1', '16:9', '9:16', '4:5', '3:2'];
+
+/**
+ * Target resolution presets (long edge in pixels)
+ * @type {Object.<string, number>}
+ */
+const IMAGE_SIZES = {
+    '1K': 1024,
+    '2K': 2048,
+    '4K': 4096
+};
+
+/**
+ * Prompt used to upscale an image through the edit endpoint
+ * @type {string}
+ */
+const UPSCALE_PROMPT = 'Upscale this image to a higher resolution. Increase sharpness and fine detail while keeping the composition, colors, and content exactly the same.';
+
+/**
+ * localStorage keys for persisted preferences
+ * @type {Object.<string, string>}
+ */
+const STORAGE_KEYS = {
+    GENERATION_MODEL: 'aiPhotoEditor.generationModel',
+    MODEL_VOTES: 'aiPhotoEditor.modelVotes',
+    CHAT_PERSONA: 'aiPhotoEditor.chatPersona',
+    CUSTOM_PERSONAS: 'aiPhotoEditor.customPersonas',
+    WEB_SEARCH_OPTIONS: 'aiPhotoEditor.webSearchOptions',
+    OPENROUTER_KEY: 'aiPhotoEditor.openRouterKey',
+    USAGE_LOG: 'aiPhotoEditor.usageLog',
+    IMAGE_JOBS: 'aiPhotoEditor.imageJobs'
+};
+
+/**
+ * Maximum number of models in a comparison
+ * @type {number}
+ */
+const MAX_COMPARE_MODELS = 4;
+
+/**
+ * Current selected generation model ID (restored from the last saved preference)
  * @type {string}
  */
-let currentGenerationModel = 'black-forest-labs/flux.2-pro';
+let currentGenerationModel = (() => {
+    const savedModel = loadStoredJSON(STORAGE_KEYS.GENERATION_MODEL, null);
+    return IMAGE_GENERATION_MODELS[savedModel] ? savedModel : 'black-forest-labs/flux.2-pro';
+})();
 
 /**
  * Current selected edit model ID
@@ -135,7 +446,7 @@ let currentChatModel = 'anthropic/claude-sonnet-4.5';
 
 /**
  * Chat conversation history
- * @type {Array<{role: string, content: string}>}
+ * @type {Array<ChatMessage>}
  */
 let chatHistory = [];
 
@@ -145,6 +456,85 @@ let chatHistory = [];
  */
 let webSearchEnabled = false;
 
+/**
+ * Web search parameters (restored from localStorage)
+ * @type {WebSearchOptions}
+ */
+let webSearchOptions = normalizeWebSearchOptions(loadStoredJSON(STORAGE_KEYS.WEB_SEARCH_OPTIONS, {}));
+
+/**
+ * User-defined chat personas, persisted in localStorage
+ * @type {Object.<string, ChatPersona>}
+ */
+let customPersonas = loadStoredJSON(STORAGE_KEYS.CUSTOM_PERSONAS, {});
+
+/**
+ * Current chat persona ID (restored from localStorage)
+ * @type {string}
+ */
+let currentChatPersona = (() => {
+    const savedPersona = loadStoredJSON(STORAGE_KEYS.CHAT_PERSONA, null);
+    return CHAT_PERSONAS[savedPersona] || customPersonas[savedPersona] ? savedPersona : 'assistant';
+})();
+
+/**
+ * Summary of chat messages that no longer fit in the context window
+ * @type {string}
+ */
+let chatContextSummary = '';
+
+/**
+ * Index of the first chat history message sent in full (earlier ones are summarized)
+ * @type {number}
+ */
+let chatContextStart = 0;
+
+/**
+ * Maximum length of a chat message (matches the server limit)
+ * @type {number}
+ */
+const MAX_CHAT_MESSAGE_LENGTH = 100000;
+
+/**
+ * Context window assumed when the model's limit is unknown
+ * @type {number}
+ */
+const DEFAULT_CONTEXT_LENGTH = 128000;
+
+/**
+ * Tokens reserved for the model's reply (sent as maxTokens)
+ * @type {number}
+ */
+const CHAT_RESPONSE_TOKENS = 4096;
+
+/**
+ * Rough token estimates: ~4 characters per token, a flat cost per image,
+ * and a small allowance for the server's system prompt and message framing
+ * @type {number}
+ */
+const CHARS_PER_TOKEN = 4;
+const IMAGE_TOKEN_ESTIMATE = 1000;
+const SYSTEM_PROMPT_TOKENS = 100;
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+/**
+ * Share of the context budget at which older turns get summarized
+ * @type {number}
+ */
+const CONTEXT_SUMMARY_THRESHOLD = 0.8;
+
+/**
+ * Number of most recent messages always sent in full
+ * @type {number}
+ */
+const KEEP_RECENT_MESSAGES = 6;
+
+/**
+ * Instruction used to summarize older chat turns
+ * @type {string}
+ */
+const CONTEXT_SUMMARY_PROMPT = 'Summarize the conversation so far in a few short paragraphs so it can replace the earlier messages. Keep facts, decisions, names, code identifiers, and open questions. Reply with the summary only.';
+
 /**
  * Rate limiter for API calls (10 requests per minute)
  * @type {RateLimiter}
@@ -159,7 +549,211 @@ const apiRateLimiter = new RateLimiter(10, 60000);
 function checkRateLimit() {
     if (!apiRateLimiter.canMakeRequest()) {
         const waitTime = Math.ceil(apiRateLimiter.getTimeUntilNextRequest() / 1000);
-        throw new Error(`Rate limit exceeded. Please wait ${waitTime} seconds before making another request.`);
+        throw new ApiError('rate_limited', `Rate limit exceeded. Please wait ${waitTime} seconds before making another request.`, {
+            retryable: true,
+            retryAfter: waitTime
+        });
+    }
+}
+
+/**
+ * Wait until the rate limiter allows another request
+ * @param {function(number): void} [onWait=null] - Called with the seconds left while waiting
+ * @returns {Promise<void>}
+ */
+async function waitForRateLimit(onWait = null) {
+    while (apiRateLimiter.getRemainingRequests() === 0) {
+        const waitMs = apiRateLimiter.getTimeUntilNextRequest();
+        if (onWait) {
+            onWait(Math.ceil(waitMs / 1000));
+        }
+        await new Promise(resolve => setTimeout(resolve, Math.min(Math.max(waitMs, 250), 1000)));
+    }
+}
+
+/**
+ * The user's own OpenRouter key (bring-your-own-key mode), stored only in this browser
+ * @type {string|null}
+ */
+let userApiKey = loadStoredJSON(STORAGE_KEYS.OPENROUTER_KEY, null);
+
+/**
+ * Maximum number of requests kept in the usage log (oldest are dropped)
+ * @type {number}
+ */
+const MAX_USAGE_LOG_ENTRIES = 2000;
+
+/**
+ * When this page load started (session usage counts from here)
+ * @type {number}
+ */
+const SESSION_STARTED_AT = Date.now();
+
+/**
+ * Called after each request's usage is recorded (set by the UI to update cost totals)
+ * @type {function(UsageEntry): void|null}
+ */
+let usageRecordedHandler = null;
+
+/**
+ * Called when the server answers 401 (set by the UI to show the sign-in form)
+ * @type {function(): void|null}
+ */
+let authRequiredHandler = null;
+
+/**
+ * Register the callback run when an API call needs the user to sign in
+ * @param {function(): void} handler - Callback
+ */
+function setAuthRequiredHandler(handler) {
+    authRequiredHandler = handler;
+}
+
+/**
+ * Call one of our API routes with the user's own key (if set) and sync the
+ * client rate limiter with the quota the server reports, so the UI warns
+ * before the server starts refusing.
+ * @param {string} url - API route
+ * @param {RequestInit} [options] - fetch options
+ * @returns {Promise<Response>} Response
+ */
+async function apiFetch(url, options = {}) {
+    const headers = userApiKey
+        ? { ...options.headers, 'X-OpenRouter-Key': userApiKey }
+        : options.headers;
+
+    let response;
+    try {
+        response = await fetch(url, { ...options, headers });
+    } catch (error) {
+        if (error.name === 'AbortError') throw error;
+        throw new ApiError('network_error', 'Unable to connect to the server', { retryable: true });
+    }
+
+    if (response.status === 401 && authRequiredHandler) {
+        authRequiredHandler();
+    }
+
+    const remaining = Number.parseInt(response.headers.get('X-RateLimit-Remaining'), 10);
+    const reset = Number.parseInt(response.headers.get('X-RateLimit-Reset'), 10);
+    if (Number.isInteger(remaining) && Number.isInteger(reset)) {
+        apiRateLimiter.syncWithServer(remaining, reset * 1000);
+    } else if (response.status === 429) {
+        const retryAfter = Number.parseInt(response.headers.get('Retry-After'), 10);
+        apiRateLimiter.syncWithServer(0, Date.now() + (Number.isInteger(retryAfter) ? retryAfter : 60) * 1000);
+    }
+
+    return response;
+}
+
+/**
+ * Read the error envelope of a failed response. Responses without one (a
+ * platform error page, or a route that answers with a plain message) get a
+ * code from their status.
+ * @param {Response} response - Failed response
+ * @returns {Promise<ApiError>} Error to throw
+ */
+async function readApiError(response) {
+    const headerRetryAfter = Number.parseInt(response.headers.get('Retry-After'), 10);
+    const retryAfter = Number.isInteger(headerRetryAfter) ? headerRetryAfter : null;
+    const requestId = response.headers.get('X-Request-Id');
+
+    let body = null;
+    try {
+        body = await response.json();
+    } catch (parseError) {
+        console.debug('Error response is not JSON:', parseError);
+    }
+
+    const envelope = body?.error;
+    if (envelope && typeof envelope === 'object' && typeof envelope.code === 'string') {
+        return new ApiError(envelope.code, envelope.message || `API request failed with status ${response.status}`, {
+            retryable: envelope.retryable === true,
+            upstreamStatus: envelope.upstreamStatus ?? null,
+            requestId: envelope.requestId || requestId,
+            retryAfter: envelope.retryAfter ?? retryAfter
+        });
+    }
+
+    return new ApiError(
+        getErrorCodeForStatus(response.status),
+        typeof envelope === 'string' ? envelope : `API request failed with status ${response.status}`,
+        { retryable: response.status === 429 || response.status >= 500, requestId, retryAfter }
+    );
+}
+
+/**
+ * Make sure a failed request surfaces as an ApiError, so the UI can pick a
+ * message and recovery actions from its code
+ * @param {Error} error - Original error
+ * @returns {ApiError} Error to throw
+ */
+function toUserError(error) {
+    if (error instanceof ApiError) {
+        return error;
+    }
+    return new ApiError('internal_error', error?.message || 'Unexpected error', { retryable: true });
+}
+
+/**
+ * Get the size options a model can handle natively
+ * @param {string} modelId - Model ID
+ * @param {ImageSizeOptions} options - Requested size options
+ * @returns {{aspectRatio?: string, imageSize?: string}} Options to send to the API
+ */
+function getNativeSizeOptions(modelId, options = {}) {
+    const modelInfo = IMAGE_GENERATION_MODELS[modelId] || {};
+    const native = {};
+    if (options.aspectRatio && modelInfo.supportsAspectRatio) {
+        native.aspectRatio = options.aspectRatio;
+    }
+    if (options.imageSize && modelInfo.supportsImageSize) {
+        native.imageSize = options.imageSize;
+    }
+    return native;
+}
+
+/**
+ * Work out which model served a request. The server may try fallback models
+ * (OpenRouter's `models` routing), and the response names the one that
+ * answered. OpenRouter sometimes reports a dated variant of the requested
+ * model (e.g. "openai/gpt-5-image-mini-2025-10-01"), which is not a fallback;
+ * any other name, such as "openai/gpt-5-image-mini-pro", is.
+ * @param {string} requestedModel - Model ID sent in the request
+ * @param {string|undefined} respondedModel - Model named in the response
+ * @returns {{model: string, fallback: boolean}} Serving model (the requested ID unless a fallback served it)
+ */
+function getServedModel(requestedModel, respondedModel) {
+    const sameModel = respondedModel === requestedModel
+        || (typeof respondedModel === 'string' && respondedModel.startsWith(`${requestedModel}-`)
+            && /^\d{4}-\d{2}-\d{2}$/.test(respondedModel.slice(requestedModel.length + 1)));
+    const fallback = typeof respondedModel === 'string' && respondedModel !== '' && !sameModel;
+    return { model: fallback ? respondedModel : requestedModel, fallback };
+}
+
+/**
+ * Apply the client-side crop/pad and resize fallback for options the model
+ * doesn't support natively (no-op when the model handled everything)
+ * @param {string} image - Base64 encoded result image
+ * @param {string} modelId - Model ID that produced the image
+ * @param {ImageSizeOptions} options - Requested size options
+ * @returns {Promise<string>} Image matching the requested aspect ratio and resolution
+ */
+async function applySizeFallback(image, modelId, options = {}) {
+    const native = getNativeSizeOptions(modelId, options);
+    const aspectRatio = options.aspectRatio || null;
+    const longEdge = options.imageSize && !native.imageSize ? IMAGE_SIZES[options.imageSize] : null;
+
+    // Native aspect ratio support still gets a crop to correct any small drift
+    if (!aspectRatio && !longEdge) {
+        return image;
+    }
+
+    try {
+        return await fitImageToAspectRatio(image, aspectRatio, longEdge, options.fit || 'crop');
+    } catch (error) {
+        console.warn('Size fallback failed, using the original result:', error);
+        return image;
     }
 }
 
@@ -177,14 +771,14 @@ async function analyzeImage(base64Image, prompt = "Analyze this image and descri
     // Sanitize user prompt
     const sanitizedPrompt = sanitizePrompt(prompt);
     if (!sanitizedPrompt) {
-        throw new Error('Invalid prompt provided');
+        throw new ApiError('invalid_prompt', 'Invalid prompt provided');
     }
 
     try {
         // Compress image if needed to fit within API limits
         const preparedImage = await prepareImageForUpload(base64Image);
         
-        const response = await fetch('/api/analyze', {
+        const response = await apiFetch('/api/analyze', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
@@ -196,17 +790,15 @@ async function analyzeImage(base64Image, prompt = "Analyze this image and descri
         });
 
         if (!response.ok) {
-            const errorData = await response.json();
-            throw new Error(errorData.error || `API request failed with status ${response.status}`);
+            throw await readApiError(response);
         }
 
-        return await response.json();
+        const result = await response.json();
+        recordRequestUsage('analyze', result.requestUsage);
+        return result;
     } catch (error) {
         console.error('Error analyzing image:', error);
-        if (error.message?.toLowerCase().includes('rate limit')) {
-            throw error;
-        }
-        throw new Error(getUserFriendlyError(error));
+        throw toUserError(error);
     }
 }
 
@@ -215,63 +807,52 @@ async function analyzeImage(base64Image, prompt = "Analyze this image and descri
  * @param {string} base64Image - Base64 encoded image (data:image/...;base64,...)
  * @param {string} prompt - Editing instructions for the AI
  * @param {string|null} [model=null] - Optional model ID to use for editing
- * @returns {Promise<string>} Base64 encoded edited image (data:image/...;base64,...)
- * @throws {Error} If editing fails, no image is returned, or rate limit is exceeded
+ * @param {ImageSizeOptions & ImageStreamOptions & {mask?: string|null, uploadDimension?: number}} [options={}] - Additional
+ *        edit options (options.mask is a PNG mask: white = area to edit, black = keep; options.uploadDimension
+ *        downscales the upload to that long edge, e.g. after the server found it too large)
+ * @returns {Promise<ImageResult>} Edited image and the model that produced it
+ * @throws {Error} If editing fails, no image is returned, or rate limit is exceeded (AbortError if cancelled)
  */
-async function editImage(base64Image, prompt, model = null) {
+async function editImage(base64Image, prompt, model = null, options = {}) {
     // Check rate limit
     checkRateLimit();
 
     // Sanitize user prompt
     const sanitizedPrompt = sanitizePrompt(prompt);
     if (!sanitizedPrompt) {
-        throw new Error('Invalid prompt provided');
+        throw new ApiError('invalid_prompt', 'Invalid prompt provided');
     }
 
     const selectedModel = model || currentEditModel;
 
     try {
         // Compress image if needed to fit within API limits
-        const preparedImage = await prepareImageForUpload(base64Image);
+        const preparedImage = await prepareImageForUpload(base64Image, options.uploadDimension);
+        const preparedMask = await prepareMaskForUpload(options.mask, preparedImage);
         
-        const response = await fetch('/api/edit', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                prompt: sanitizedPrompt,
-                image: preparedImage,
-                model: selectedModel
-            })
-        });
-
-        if (!response.ok) {
-            const errorData = await response.json();
-            throw new Error(errorData.error || `API request failed with status ${response.status}`);
-        }
-
-        const result = await response.json();
+        const result = await postImageRequest('/api/edit', {
+            prompt: sanitizedPrompt,
+            image: preparedImage,
+            model: selectedModel,
+            mask: preparedMask || undefined,
+            ...getNativeSizeOptions(selectedModel, options)
+        }, selectedModel, options);
+        recordRequestUsage('edit', result.requestUsage);
 
         // Extract the edited image from the response
-        if (result.choices && result.choices[0]?.message?.images?.length > 0) {
-            return result.choices[0].message.images[0].image_url.url;
-        } else if (result.choices && result.choices[0]?.message?.content) {
-            // If no image is returned, try to extract a base64 image from the text content
-            const content = result.choices[0].message.content;
-            const base64Match = content.match(/data:image\/\w+;base64,[^\s]+/);
-            if (base64Match) {
-                return base64Match[0];
-            }
+        const [editedImage] = extractImagesFromResponse(result);
+        if (editedImage) {
+            const served = getServedModel(selectedModel, result.model);
+            return { ...served, image: await applySizeFallback(editedImage, served.model, options) };
         }
 
-        throw new Error('No edited image found in the API response');
+        throw new ApiError('no_image', 'No edited image found in the API response', { retryable: true });
     } catch (error) {
-        console.error('Error editing image:', error);
-        if (error.message?.toLowerCase().includes('rate limit')) {
-            throw error;
+        if (error.name === 'AbortError') {
+            throw createAbortError();
         }
-        throw new Error(getUserFriendlyError(error));
+        console.error('Error editing image:', error);
+        throw toUserError(error);
     }
 }
 
@@ -289,7 +870,7 @@ async function enhancePromptWithAI(userPrompt, base64Image = null) {
     // Sanitize user prompt
     const sanitizedPrompt = sanitizePrompt(userPrompt);
     if (!sanitizedPrompt) {
-        throw new Error('Invalid prompt provided');
+        throw new ApiError('invalid_prompt', 'Invalid prompt provided');
     }
 
     try {
@@ -302,7 +883,7 @@ async function enhancePromptWithAI(userPrompt, base64Image = null) {
             requestBody.image = await prepareImageForUpload(base64Image);
         }
 
-        const response = await fetch('/api/enhance', {
+        const response = await apiFetch('/api/enhance', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
@@ -311,11 +892,11 @@ async function enhancePromptWithAI(userPrompt, base64Image = null) {
         });
 
         if (!response.ok) {
-            const errorData = await response.json();
-            throw new Error(errorData.error || `API request failed with status ${response.status}`);
+            throw await readApiError(response);
         }
 
         const result = await response.json();
+        recordRequestUsage('enhance', result.requestUsage);
 
         if (result.choices && result.choices[0]?.message?.content) {
             // Remove surrounding quotes if present
@@ -327,98 +908,619 @@ async function enhancePromptWithAI(userPrompt, base64Image = null) {
             return enhancedPrompt;
         }
 
-        throw new Error('No enhanced prompt found in the API response');
+        throw new ApiError('upstream_error', 'No enhanced prompt found in the API response', { retryable: true });
     } catch (error) {
         console.error('Error enhancing prompt with AI:', error);
-        if (error.message?.toLowerCase().includes('rate limit')) {
-            throw error;
-        }
-        throw new Error(getUserFriendlyError(error));
+        throw toUserError(error);
     }
 }
 
 /**
- * Generate an image using AI
- * @param {string} prompt - Text description of the image to generate
- * @param {string|null} [model=null] - Optional model ID to use for generation
- * @returns {Promise<string>} Base64 encoded generated image (data:image/...;base64,...)
+ * Extract all images from a generation or edit API response
+ * @param {ApiResponse} result - API response
+ * @returns {Array<string>} Base64 image data URLs, in response order (anything else is dropped)
+ */
+function extractImagesFromResponse(result) {
+    const message = result.choices?.[0]?.message;
+    if (!message) return [];
+
+    const images = [];
+
+    // Check for images array in message
+    if (Array.isArray(message.images)) {
+        message.images.forEach(imageData => {
+            const url = imageData?.image_url?.url || imageData?.url;
+            if (url) images.push(url);
+        });
+    }
+
+    const content = message.content;
+
+    // Check if content is an array (multimodal response)
+    if (Array.isArray(content)) {
+        content.forEach(part => {
+            if (part.type === 'image_url' && part.image_url?.url) {
+                images.push(part.image_url.url);
+            }
+        });
+    }
+
+    // Check for base64 image in text content
+    if (typeof content === 'string') {
+        const base64Matches = content.match(/data:image\/[^;]+;base64,[^\s"]+/g);
+        if (base64Matches) {
+            images.push(...base64Matches);
+        }
+    }
+
+    return images.filter(url => typeof url === 'string' && url.startsWith('data:image/'));
+}
+
+/**
+ * Send a generation or edit request. With onProgress the route streams
+ * server-sent events, which are reported as they arrive and assembled into
+ * the same response shape as a non-streamed request.
+ * @param {string} url - API route ('/api/generate' or '/api/edit')
+ * @param {Object} body - Request body
+ * @param {string} selectedModel - Model ID sent in the body
+ * @param {ImageStreamOptions} [options={}] - Progress callback and abort signal
+ * @returns {Promise<ApiResponse & {requestUsage: RequestUsage|undefined}>} API response
+ * @throws {Error} If the request fails (AbortError if cancelled)
+ */
+async function postImageRequest(url, body, selectedModel, { onProgress, signal } = {}) {
+    const response = await apiFetch(url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(onProgress ? { ...body, stream: true } : body),
+        signal
+    });
+
+    if (!response.ok) {
+        throw await readApiError(response);
+    }
+
+    if (!onProgress) {
+        return response.json();
+    }
+
+    const progress = { status: 'waiting', model: selectedModel, text: '', reasoning: '', images: [] };
+    let usage = null;
+    onProgress({ ...progress });
+
+    await readEventStream(response, (parsed) => {
+        if (parsed.usage) usage = parsed.usage;
+        if (typeof parsed.model === 'string' && parsed.model) progress.model = parsed.model;
+
+        const delta = parsed.choices?.[0]?.delta;
+        if (!delta) return;
+
+        if (delta.reasoning) {
+            progress.reasoning += delta.reasoning;
+            progress.status = 'reasoning';
+        }
+        if (delta.content) {
+            progress.text += delta.content;
+            progress.status = 'writing';
+        }
+        const newImages = getStreamedImages(delta);
+        if (newImages.length > 0) {
+            progress.images.push(...newImages);
+            progress.status = 'image';
+        }
+        onProgress({ ...progress, images: [...progress.images] });
+    });
+
+    return {
+        model: progress.model,
+        choices: [{
+            message: {
+                content: progress.text,
+                images: progress.images.map(url => ({ image_url: { url } }))
+            }
+        }],
+        requestUsage: usage ? toRequestUsage(usage, progress.model, progress.images.length) : undefined
+    };
+}
+
+/**
+ * Send a single generation request
+ * @param {string} sanitizedPrompt - Sanitized prompt
+ * @param {string} selectedModel - Model ID
+ * @param {ImageSizeOptions & ImageStreamOptions & {fallbackModels?: Array<string>}} [options={}] - Aspect ratio,
+ *        resolution and streaming options, and fallback models to use instead of the server's ([] for none)
+ * @returns {Promise<GenerationResult>} Generated images, usage and serving model
+ * @throws {Error} If the request fails or no image is returned
+ */
+async function requestGeneratedImages(sanitizedPrompt, selectedModel, options = {}) {
+    const result = await postImageRequest('/api/generate', {
+        prompt: sanitizedPrompt,
+        model: selectedModel,
+        fallbackModels: options.fallbackModels,
+        ...getNativeSizeOptions(selectedModel, options)
+    }, selectedModel, options);
+    recordRequestUsage('generate', result.requestUsage);
+    const served = getServedModel(selectedModel, result.model);
+    const images = await Promise.all(
+        extractImagesFromResponse(result).map(image => applySizeFallback(image, served.model, options))
+    );
+
+    if (images.length === 0) {
+        throw new ApiError('no_image', 'No generated image found in the API response', { retryable: true });
+    }
+
+    return { images, usage: result.requestUsage || null, ...served };
+}
+
+/**
+ * Generate an image using AI
+ * @param {string} prompt - Text description of the image to generate
+ * @param {string|null} [model=null] - Optional model ID to use for generation
+ * @param {ImageSizeOptions} [options={}] - Aspect ratio and resolution options
+ * @returns {Promise<ImageResult>} Generated image and the model that produced it
  * @throws {Error} If generation fails, no image is returned, or rate limit is exceeded
  */
-async function generateImage(prompt, model = null) {
+async function generateImage(prompt, model = null, options = {}) {
+    const [result] = await generateImageVariations(prompt, 1, model, options);
+    return result;
+}
+
+/**
+ * Generate several variations of an image in parallel (one request per variation,
+ * since OpenRouter's image models don't reliably honor the `n` parameter)
+ * @param {string} prompt - Text description of the image to generate
+ * @param {number} count - Number of variations to request (1-4)
+ * @param {string|null} [model=null] - Optional model ID to use for generation
+ * @param {ImageSizeOptions & ImageStreamOptions} [options={}] - Aspect ratio, resolution and streaming options
+ *        (each variation's progress is reported with its index)
+ * @returns {Promise<Array<ImageResult>>} Generated images (at least one) and the models that produced them
+ * @throws {Error} If every request fails, or the rate limit can't cover all requests (AbortError if cancelled)
+ */
+async function generateImageVariations(prompt, count, model = null, options = {}) {
+    const variationCount = Math.min(Math.max(Math.floor(count) || 1, 1), MAX_VARIATIONS);
+
+    // Check rate limit for the whole set up front so we don't send a partial batch
+    if (apiRateLimiter.getRemainingRequests() < variationCount) {
+        checkRateLimit();
+        throw new ApiError('rate_limited', `Rate limit exceeded. Only ${apiRateLimiter.getRemainingRequests()} request(s) left this minute.`, {
+            retryable: true
+        });
+    }
+
+    // Sanitize user prompt
+    const sanitizedPrompt = sanitizePrompt(prompt);
+    if (!sanitizedPrompt) {
+        throw new ApiError('invalid_prompt', 'Invalid prompt provided');
+    }
+
+    const selectedModel = model || currentGenerationModel;
+
+    const results = await Promise.allSettled(
+        Array.from({ length: variationCount }, (_, index) => {
+            checkRateLimit();
+            return requestGeneratedImages(sanitizedPrompt, selectedModel, {
+                ...options,
+                onProgress: options.onProgress && (progress => options.onProgress({ ...progress, index }))
+            });
+        })
+    );
+
+    const images = results
+        .filter(result => result.status === 'fulfilled')
+        .flatMap(({ value }) => value.images.map(image => ({ image, model: value.model, fallback: value.fallback })));
+
+    if (images.length === 0) {
+        const error = results[0].reason;
+        if (error.name === 'AbortError') {
+            throw createAbortError();
+        }
+        console.error('Error generating image:', error);
+        throw toUserError(error);
+    }
+
+    results
+        .filter(result => result.status === 'rejected')
+        .forEach(result => console.warn('Variation failed:', result.reason));
+
+    return images;
+}
+
+/**
+ * Send the same prompt to several models concurrently
+ * @param {string} prompt - Text description of the image to generate
+ * @param {Array<string>} modelIds - Model IDs to compare (2-4)
+ * @param {ImageSizeOptions} [options={}] - Aspect ratio and resolution options
+ * @returns {Promise<Array<ModelComparisonResult>>} One result per model, in input order
+ * @throws {Error} If the prompt is invalid or the rate limit can't cover all requests
+ */
+async function compareGenerationModels(prompt, modelIds, options = {}) {
+    const models = modelIds.slice(0, MAX_COMPARE_MODELS);
+
+    if (apiRateLimiter.getRemainingRequests() < models.length) {
+        checkRateLimit();
+        throw new ApiError('rate_limited', `Rate limit exceeded. Only ${apiRateLimiter.getRemainingRequests()} request(s) left this minute.`, {
+            retryable: true
+        });
+    }
+
+    const sanitizedPrompt = sanitizePrompt(prompt);
+    if (!sanitizedPrompt) {
+        throw new ApiError('invalid_prompt', 'Invalid prompt provided');
+    }
+
+    return Promise.all(models.map(async (model) => {
+        const startTime = performance.now();
+        try {
+            checkRateLimit();
+            // No fallbacks: the point is to see what this model produces
+            const { images, usage } = await requestGeneratedImages(sanitizedPrompt, model, { ...options, fallbackModels: [] });
+            return {
+                model,
+                image: images[0],
+                error: null,
+                latencyMs: performance.now() - startTime,
+                cost: typeof usage?.cost === 'number' ? usage.cost : null
+            };
+        } catch (error) {
+            console.error(`Error generating image with ${model}:`, error);
+            return {
+                model,
+                image: null,
+                error: getUserFriendlyError(error),
+                latencyMs: performance.now() - startTime,
+                cost: null
+            };
+        }
+    }));
+}
+
+/**
+ * Record a comparison win for a model and make it the preferred generation model
+ * @param {string} modelId - Winning model ID
+ * @returns {void}
+ */
+function recordModelVote(modelId) {
+    const votes = getModelVotes();
+    votes[modelId] = (votes[modelId] || 0) + 1;
+    saveStoredJSON(STORAGE_KEYS.MODEL_VOTES, votes);
+    setGenerationModel(modelId);
+}
+
+/**
+ * Get comparison win counts per model
+ * @returns {Object.<string, number>} Win count by model ID
+ */
+function getModelVotes() {
+    return loadStoredJSON(STORAGE_KEYS.MODEL_VOTES, {});
+}
+
+/**
+ * Upscale an image using the edit model
+ * @param {string} base64Image - Base64 encoded image
+ * @param {string|null} [model=null] - Optional model ID to use
+ * @returns {Promise<ImageResult>} Upscaled image and the model that produced it
+ * @throws {Error} If upscaling fails or rate limit is exceeded
+ */
+async function upscaleImage(base64Image, model = null) {
+    return editImage(base64Image, UPSCALE_PROMPT, model);
+}
+
+/**
+ * How often pending background jobs are checked
+ * @type {number}
+ */
+const JOB_POLL_INTERVAL_MS = 2000;
+
+/**
+ * Maximum number of background jobs remembered in this browser
+ * @type {number}
+ */
+const MAX_TRACKED_JOBS = 50;
+
+/**
+ * Get the background jobs started from this browser, newest first
+ * @returns {Array<ImageJob>} Jobs
+ */
+function getImageJobs() {
+    const jobs = loadStoredJSON(STORAGE_KEYS.IMAGE_JOBS, []);
+    return Array.isArray(jobs) ? jobs : [];
+}
+
+/**
+ * Update a remembered job
+ * @param {string} id - Job ID
+ * @param {Partial<ImageJob>} fields - Fields to change
+ * @returns {ImageJob|null} Updated job, or null if it is not remembered
+ */
+function updateImageJob(id, fields) {
+    const jobs = getImageJobs();
+    const index = jobs.findIndex(job => job.id === id);
+    if (index === -1) return null;
+
+    jobs[index] = { ...jobs[index], ...fields };
+    saveStoredJSON(STORAGE_KEYS.IMAGE_JOBS, jobs);
+    return jobs[index];
+}
+
+/**
+ * Check whether a job still needs polling: queued, running, or finished
+ * without its result having been collected
+ * @param {ImageJob} job - Remembered job
+ * @returns {boolean} True if the job is pending
+ */
+function isImageJobPending(job) {
+    return job.status === 'queued' || job.status === 'running' || (job.status === 'succeeded' && !job.delivered);
+}
+
+/**
+ * Start a generation or edit as a background job on the server. The job keeps
+ * running if the page is closed; its ID is remembered so the result can be
+ * collected after a reload.
+ * @param {'generate'|'edit'} type - Operation
+ * @param {string} prompt - Prompt (edit instructions for 'edit')
+ * @param {ImageSizeOptions & {model?: string, label?: string, image?: string, mask?: string|null}} [options={}] - Model,
+ *        size options, a label for the jobs list (defaults to the prompt), and for edits the source image and optional mask
+ * @returns {Promise<ImageJob>} Started job
+ * @throws {Error} If the job can't be started or rate limit is exceeded
+ */
+async function submitImageJob(type, prompt, options = {}) {
     // Check rate limit
     checkRateLimit();
 
     // Sanitize user prompt
     const sanitizedPrompt = sanitizePrompt(prompt);
     if (!sanitizedPrompt) {
-        throw new Error('Invalid prompt provided');
+        throw new ApiError('invalid_prompt', 'Invalid prompt provided');
     }
 
-    const selectedModel = model || currentGenerationModel;
+    const model = options.model || (type === 'edit' ? currentEditModel : currentGenerationModel);
+    const sizeOptions = { aspectRatio: options.aspectRatio || null, imageSize: options.imageSize || null, fit: options.fit || 'crop' };
 
     try {
-        const response = await fetch('/api/generate', {
+        const input = { prompt: sanitizedPrompt, model, ...getNativeSizeOptions(model, sizeOptions) };
+        if (type === 'edit') {
+            // Compress image if needed to fit within API limits
+            input.image = await prepareImageForUpload(options.image);
+            input.mask = await prepareMaskForUpload(options.mask, input.image) || undefined;
+        }
+
+        const response = await apiFetch('/api/jobs', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
             },
-            body: JSON.stringify({
-                prompt: sanitizedPrompt,
-                model: selectedModel
-            })
+            body: JSON.stringify({ type, input })
         });
 
         if (!response.ok) {
-            const errorData = await response.json();
-            throw new Error(errorData.error || `API request failed with status ${response.status}`);
+            throw await readApiError(response);
         }
 
-        const result = await response.json();
+        const started = await response.json();
+        const job = {
+            id: started.id,
+            type,
+            status: started.status,
+            prompt: sanitizedPrompt,
+            label: options.label || sanitizedPrompt,
+            model,
+            sizeOptions,
+            error: null,
+            delivered: false,
+            createdAt: started.createdAt
+        };
+        saveStoredJSON(STORAGE_KEYS.IMAGE_JOBS, [job, ...getImageJobs()].slice(0, MAX_TRACKED_JOBS));
+        return job;
+    } catch (error) {
+        console.error('Error starting background job:', error);
+        throw toUserError(error);
+    }
+}
 
-        // Extract the generated image from the response
-        if (result.choices && result.choices[0]?.message?.content) {
-            const content = result.choices[0].message.content;
-            
-            // Check if content is an array (multimodal response)
-            if (Array.isArray(content)) {
-                for (const part of content) {
-                    if (part.type === 'image_url' && part.image_url?.url) {
-                        return part.image_url.url;
-                    }
-                }
-            }
-            
-            // Check for base64 image in text content
-            if (typeof content === 'string') {
-                const base64Match = content.match(/data:image\/[^;]+;base64,[^\s"]+/);
-                if (base64Match) {
-                    return base64Match[0];
-                }
-            }
-        }
+/**
+ * Check a remembered job on the server. The first time a job is seen
+ * finished, its images are returned (size-adjusted) and its usage recorded.
+ * @param {string} id - Job ID
+ * @returns {Promise<{job: ImageJob|null, images: Array<string>|null}>} Updated job, and its images if newly finished
+ * @throws {Error} If the server can't be reached
+ */
+async function checkImageJob(id) {
+    // Plain fetch: polling has its own server rate limit bucket
+    const response = await fetch(`/api/jobs/${encodeURIComponent(id)}`);
+    if (response.status === 401 && authRequiredHandler) {
+        authRequiredHandler();
+    }
 
-        // Check for images array in message
-        if (result.choices && result.choices[0]?.message?.images?.length > 0) {
-            const imageData = result.choices[0].message.images[0];
-            if (imageData.image_url?.url) {
-                return imageData.image_url.url;
-            }
-            if (imageData.url) {
-                return imageData.url;
-            }
-        }
+    if (response.status === 404) {
+        return {
+            job: updateImageJob(id, { status: 'failed', error: 'This job has expired or was removed', errorCode: 'not_found', expired: true }),
+            images: null
+        };
+    }
+    if (!response.ok) {
+        throw await readApiError(response);
+    }
+
+    const data = await response.json();
+    const job = updateImageJob(id, { status: data.status, error: data.error, errorCode: data.errorCode });
+    if (!job || data.status !== 'succeeded' || job.delivered) {
+        return { job, images: null };
+    }
+    if (!data.result) {
+        // The result expired on the server before this browser fetched it
+        return { job: updateImageJob(id, { delivered: true }), images: null };
+    }
+
+    const served = getServedModel(job.model, data.result.requestUsage?.model);
+    const images = await Promise.all(
+        data.result.images.map(image => applySizeFallback(image, served.model, job.sizeOptions))
+    );
+    recordRequestUsage(job.type, data.result.requestUsage);
+    return {
+        job: updateImageJob(id, { delivered: true, servedModel: served.fallback ? served.model : undefined }),
+        images
+    };
+}
+
+/**
+ * Run a failed job again
+ * @param {string} id - Job ID
+ * @returns {Promise<ImageJob|null>} Updated job
+ * @throws {Error} If the retry is refused or rate limit is exceeded
+ */
+async function retryImageJob(id) {
+    checkRateLimit();
+
+    const response = await apiFetch(`/api/jobs/${encodeURIComponent(id)}`, { method: 'POST' });
+    if (response.status === 404) {
+        updateImageJob(id, { error: 'This job has expired or was removed', errorCode: 'not_found', expired: true });
+        throw new ApiError('not_found', 'This job has expired and can no longer be retried');
+    }
+    if (!response.ok) {
+        throw await readApiError(response);
+    }
+
+    const job = await response.json();
+    return updateImageJob(id, { status: job.status, error: null, errorCode: null, delivered: false });
+}
 
-        console.log('API Response:', JSON.stringify(result, null, 2));
-        throw new Error('No generated image found in the API response');
+/**
+ * Forget a job and delete it on the server
+ * @param {string} id - Job ID
+ * @returns {Promise<void>}
+ */
+async function removeImageJob(id) {
+    saveStoredJSON(STORAGE_KEYS.IMAGE_JOBS, getImageJobs().filter(job => job.id !== id));
+
+    try {
+        await fetch(`/api/jobs/${encodeURIComponent(id)}`, { method: 'DELETE' });
     } catch (error) {
-        console.error('Error generating image:', error);
-        if (error.message?.toLowerCase().includes('rate limit')) {
-            throw error;
+        // The server drops old jobs on its own
+        console.warn('Unable to delete job on the server:', error);
+    }
+}
+
+/**
+ * Add jobs the signed-in user started elsewhere (another tab or device)
+ * to the remembered list. Finished ones are not delivered again.
+ * @returns {Promise<void>}
+ */
+async function syncImageJobs() {
+    const response = await fetch('/api/jobs');
+    if (!response.ok) return;
+
+    const { jobs = [] } = await response.json();
+    const known = new Set(getImageJobs().map(job => job.id));
+    const added = jobs
+        .filter(job => !known.has(job.id))
+        .map(job => ({
+            id: job.id,
+            type: job.type,
+            status: job.status,
+            prompt: job.prompt,
+            label: job.prompt,
+            model: job.model,
+            sizeOptions: {},
+            error: job.error,
+            delivered: job.status === 'succeeded',
+            createdAt: job.createdAt
+        }));
+
+    if (added.length > 0) {
+        const merged = [...added, ...getImageJobs()]
+            .sort((a, b) => b.createdAt - a.createdAt)
+            .slice(0, MAX_TRACKED_JOBS);
+        saveStoredJSON(STORAGE_KEYS.IMAGE_JOBS, merged);
+    }
+}
+
+/**
+ * Replace a registry's entries with models from the live catalog.
+ * Hand-written entries keep their position at the top of the list and their
+ * capability flags; models OpenRouter no longer lists are dropped.
+ * @param {ModelRegistry} registry - Registry to update in place
+ * @param {Array<Object>} catalogModels - Normalized models from /api/models
+ * @returns {void}
+ */
+function mergeModelCatalog(registry, catalogModels) {
+    if (!Array.isArray(catalogModels) || catalogModels.length === 0) return;
+
+    const curated = { ...registry };
+    const catalogById = new Map(catalogModels.map(model => [model.id, model]));
+    const orderedIds = [
+        ...Object.keys(curated).filter(id => catalogById.has(id)),
+        ...catalogModels.map(model => model.id).filter(id => !curated[id])
+    ];
+
+    Object.keys(registry).forEach(id => delete registry[id]);
+    orderedIds.forEach(id => {
+        const model = catalogById.get(id);
+        registry[id] = {
+            ...curated[id],
+            name: curated[id]?.name || model.name,
+            description: curated[id]?.description || model.description,
+            contextLength: model.contextLength,
+            pricing: model.pricing,
+            inputModalities: model.inputModalities,
+            outputsImages: model.outputModalities.includes('image')
+        };
+    });
+}
+
+/**
+ * Load the live model catalog and merge it into the model registries.
+ * The hard-coded registries stay in place if the catalog cannot be loaded.
+ * @returns {Promise<boolean>} True if the catalog was loaded
+ */
+async function loadModelCatalog() {
+    try {
+        // Plain fetch: the catalog has its own server rate limit bucket
+        const response = await fetch('/api/models', {
+            headers: userApiKey ? { 'X-OpenRouter-Key': userApiKey } : {}
+        });
+        if (!response.ok) {
+            throw await readApiError(response);
         }
-        throw new Error(getUserFriendlyError(error));
+
+        const { models } = await response.json();
+        // Only image models driven by a text prompt are usable here
+        mergeModelCatalog(IMAGE_GENERATION_MODELS, (models.image || []).filter(model => model.inputModalities.includes('text')));
+        mergeModelCatalog(CHAT_MODELS, models.chat);
+
+        // Fall back to the first available model if a selection was retired
+        const imageModelIds = Object.keys(IMAGE_GENERATION_MODELS);
+        if (!IMAGE_GENERATION_MODELS[currentGenerationModel]) currentGenerationModel = imageModelIds[0];
+        if (!getAvailableEditModels()[currentEditModel]) currentEditModel = Object.keys(getAvailableEditModels())[0] || imageModelIds[0];
+        if (!CHAT_MODELS[currentChatModel]) currentChatModel = Object.keys(CHAT_MODELS)[0];
+
+        modelCatalogLoaded = true;
+        return true;
+    } catch (error) {
+        console.warn('Using built-in model list:', error);
+        return false;
     }
 }
 
+/**
+ * Check whether the live model catalog is in use
+ * @returns {boolean} True if the registries reflect the live catalog
+ */
+function isModelCatalogLoaded() {
+    return modelCatalogLoaded;
+}
+
+/**
+ * Get models that can edit images (accept an image as input)
+ * @returns {ModelRegistry} Edit-capable models; every model when the catalog is not loaded
+ */
+function getAvailableEditModels() {
+    return Object.fromEntries(
+        Object.entries(IMAGE_GENERATION_MODELS)
+            .filter(([, info]) => !info.inputModalities || info.inputModalities.includes('image'))
+    );
+}
+
 /**
  * Set the current generation model
  * @param {string} modelId - Model ID to use for generation
@@ -427,6 +1529,7 @@ async function generateImage(prompt, model = null) {
 function setGenerationModel(modelId) {
     if (IMAGE_GENERATION_MODELS[modelId]) {
         currentGenerationModel = modelId;
+        saveStoredJSON(STORAGE_KEYS.GENERATION_MODEL, modelId);
     }
 }
 
@@ -477,196 +1580,1085 @@ function getRateLimitStatus() {
 }
 
 /**
- * Set the current chat model
- * @param {string} modelId - Model ID to use for chat
- * @returns {void}
+ * Get the current sign-in session
+ * @returns {Promise<AuthSession>} Session
+ * @throws {Error} If the server cannot be reached
  */
-function setChatModel(modelId) {
-    if (CHAT_MODELS[modelId]) {
-        currentChatModel = modelId;
+async function getSession() {
+    const response = await fetch('/api/session');
+    if (!response.ok) {
+        throw await readApiError(response);
     }
+    return response.json();
 }
 
 /**
- * Get the current chat model
- * @returns {string} Current chat model ID
+ * Sign in with an access token (the server sets a session cookie)
+ * @param {string} token - Access token
+ * @returns {Promise<AuthSession>} New session
+ * @throws {Error} If the token is rejected
  */
-function getChatModel() {
-    return currentChatModel;
+async function signIn(token) {
+    const response = await fetch('/api/session', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ token: token.trim() })
+    });
+    if (!response.ok) {
+        throw await readApiError(response);
+    }
+    return response.json();
 }
 
 /**
- * Get available chat models
- * @returns {ModelRegistry} Available chat models with their info
+ * Sign out (the server clears the session cookie)
+ * @returns {Promise<void>}
  */
-function getAvailableChatModels() {
-    return CHAT_MODELS;
+async function signOut() {
+    await fetch('/api/session', { method: 'DELETE' });
 }
 
 /**
- * Clear chat history
- * @returns {void}
+ * Get today's quota usage for the signed-in user
+ * @returns {Promise<UsageReport>} Usage report
+ * @throws {Error} If the request fails
  */
-function clearChatHistory() {
-    chatHistory = [];
+async function getUsageReport() {
+    // Plain fetch: usage has its own server rate limit bucket
+    const response = await fetch('/api/usage');
+    if (response.status === 401 && authRequiredHandler) {
+        authRequiredHandler();
+    }
+    if (!response.ok) {
+        throw await readApiError(response);
+    }
+    return response.json();
 }
 
 /**
- * Get chat history
- * @returns {Array<{role: string, content: string}>} Chat history
+ * Check an OpenRouter key with the server
+ * @param {string} apiKey - OpenRouter API key
+ * @returns {Promise<OpenRouterKeyInfo>} Key details
+ * @throws {Error} If the key is malformed or rejected
  */
-function getChatHistory() {
-    return chatHistory;
+async function checkOpenRouterKey(apiKey) {
+    // Plain fetch: the key check has its own server rate limit bucket
+    const response = await fetch('/api/key', {
+        headers: { 'X-OpenRouter-Key': apiKey }
+    });
+    if (response.status === 401 && authRequiredHandler) {
+        authRequiredHandler();
+    }
+
+    if (!response.ok) {
+        throw await readApiError(response);
+    }
+    return response.json();
 }
 
 /**
- * Toggle web search on/off
- * @returns {boolean} New state
+ * Verify and store the user's own OpenRouter key; later requests are billed to it
+ * @param {string} apiKey - OpenRouter API key
+ * @returns {Promise<OpenRouterKeyInfo>} Key details
+ * @throws {Error} If the key is malformed or rejected (nothing is stored)
  */
-function toggleWebSearch() {
-    webSearchEnabled = !webSearchEnabled;
-    return webSearchEnabled;
+async function setUserApiKey(apiKey) {
+    const trimmedKey = (apiKey || '').trim();
+    if (!/^sk-or-[\w-]{16,200}$/.test(trimmedKey)) {
+        throw new Error('That does not look like an OpenRouter key (it should start with "sk-or-")');
+    }
+
+    const keyInfo = await checkOpenRouterKey(trimmedKey);
+    userApiKey = trimmedKey;
+    saveStoredJSON(STORAGE_KEYS.OPENROUTER_KEY, userApiKey);
+    return keyInfo;
 }
 
 /**
- * Get web search enabled state
- * @returns {boolean} Whether web search is enabled
+ * Forget the user's own key and go back to the shared server key
  */
-function isWebSearchEnabled() {
-    return webSearchEnabled;
+function removeUserApiKey() {
+    userApiKey = null;
+    saveStoredJSON(STORAGE_KEYS.OPENROUTER_KEY, null);
 }
 
 /**
- * Set web search enabled state
- * @param {boolean} enabled - Whether to enable web search
+ * Get details of the stored user key
+ * @returns {Promise<OpenRouterKeyInfo|null>} Key details, or null if no key is stored
+ * @throws {Error} If the key is rejected or the check fails
  */
-function setWebSearchEnabled(enabled) {
-    webSearchEnabled = enabled;
+async function getUserApiKeyInfo() {
+    return userApiKey ? checkOpenRouterKey(userApiKey) : null;
 }
 
 /**
- * Send a chat message and get a streaming response
- * @param {string} message - User message
- * @param {function} onChunk - Callback for each streamed chunk
- * @param {string|null} [model=null] - Optional model ID to use
- * @returns {Promise<string>} Complete assistant response
- * @throws {Error} If chat fails or rate limit is exceeded
+ * Get which key requests are billed to
+ * @returns {'user'|'server'} 'user' for the user's own key, 'server' for the shared key
  */
-async function sendChatMessage(message, onChunk = null, model = null) {
-    // Check rate limit
-    checkRateLimit();
+function getBillingSource() {
+    return userApiKey ? 'user' : 'server';
+}
 
-    // Sanitize user message
-    const sanitizedMessage = sanitizePrompt(message);
-    if (!sanitizedMessage) {
-        throw new Error('Invalid message provided');
-    }
+/**
+ * Get a masked form of the user's key for display
+ * @returns {string} Masked key like "sk-or-v1-…a1b2" ('' if none)
+ */
+function getUserApiKeyHint() {
+    if (!userApiKey) return '';
+    return `${userApiKey.substring(0, 9)}…${userApiKey.slice(-4)}`;
+}
 
-    const selectedModel = model || currentChatModel;
+/**
+ * Register the callback run after each request's usage is recorded
+ * @param {function(UsageEntry): void} handler - Callback
+ */
+function setUsageRecordedHandler(handler) {
+    usageRecordedHandler = handler;
+}
 
-    // Add user message to history
-    chatHistory.push({
-        role: 'user',
-        content: sanitizedMessage
-    });
+/**
+ * Normalize a raw OpenRouter usage block (streamed replies, which the server
+ * passes through untouched)
+ * @param {Object|null} usage - OpenRouter usage block
+ * @param {string} model - Model that served the request
+ * @param {number} images - Images returned
+ * @returns {RequestUsage} Usage summary
+ */
+function toRequestUsage(usage, model, images) {
+    const promptTokens = Number(usage?.prompt_tokens) || 0;
+    const completionTokens = Number(usage?.completion_tokens) || 0;
+    return {
+        model,
+        promptTokens,
+        completionTokens,
+        totalTokens: Number(usage?.total_tokens) || promptTokens + completionTokens,
+        images,
+        cost: typeof usage?.cost === 'number' ? usage.cost : null
+    };
+}
 
-    try {
-        const response = await fetch('/api/chat', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                messages: chatHistory,
-                model: selectedModel,
-                stream: true,
-                webSearch: webSearchEnabled
-            })
-        });
+/**
+ * Add a request to the usage log
+ * @param {string} mode - Feature that made the request ('generate', 'edit', 'chat', 'analyze', 'enhance')
+ * @param {RequestUsage|undefined} requestUsage - Usage returned by the API route
+ * @returns {void}
+ */
+function recordRequestUsage(mode, requestUsage) {
+    if (!requestUsage) return;
 
-        if (!response.ok) {
-            const errorData = await response.json();
-            // Remove the user message from history if request failed
-            chatHistory.pop();
-            throw new Error(errorData.error || `API request failed with status ${response.status}`);
+    const entry = { ...requestUsage, mode, timestamp: Date.now() };
+    const log = getUsageLog();
+    log.push(entry);
+    saveStoredJSON(STORAGE_KEYS.USAGE_LOG, log.slice(-MAX_USAGE_LOG_ENTRIES));
+
+    if (usageRecordedHandler) {
+        usageRecordedHandler(entry);
+    }
+}
+
+/**
+ * Get every recorded request, oldest first
+ * @returns {Array<UsageEntry>} Usage log
+ */
+function getUsageLog() {
+    const log = loadStoredJSON(STORAGE_KEYS.USAGE_LOG, []);
+    return Array.isArray(log) ? log : [];
+}
+
+/**
+ * Add up a set of usage entries
+ * @param {Array<UsageEntry>} entries - Entries to total
+ * @returns {UsageTotals} Totals with breakdowns by mode and model
+ */
+function totalUsage(entries) {
+    const totals = { requests: 0, cost: 0, tokens: 0, images: 0, byMode: {}, byModel: {} };
+
+    for (const entry of entries) {
+        const cost = entry.cost || 0;
+        totals.requests++;
+        totals.cost += cost;
+        totals.tokens += entry.totalTokens || 0;
+        totals.images += entry.images || 0;
+
+        for (const [group, key] of [[totals.byMode, entry.mode], [totals.byModel, entry.model]]) {
+            group[key] = group[key] || { requests: 0, cost: 0 };
+            group[key].requests++;
+            group[key].cost += cost;
+        }
+    }
+
+    return totals;
+}
+
+/**
+ * Get usage totals for this page session and for today (local time)
+ * @returns {{session: UsageTotals, today: UsageTotals}} Totals
+ */
+function getUsageTotals() {
+    const startOfDay = new Date().setHours(0, 0, 0, 0);
+    const log = getUsageLog();
+    // A session that runs past midnight keeps its entries from the day before
+    return {
+        session: totalUsage(log.filter(entry => entry.timestamp >= SESSION_STARTED_AT)),
+        today: totalUsage(log.filter(entry => entry.timestamp >= startOfDay))
+    };
+}
+
+/**
+ * Delete the usage log
+ * @returns {void}
+ */
+function clearUsageLog() {
+    saveStoredJSON(STORAGE_KEYS.USAGE_LOG, []);
+}
+
+/**
+ * Export the usage log as CSV
+ * @returns {string} CSV text with a header row
+ */
+function exportUsageCsv() {
+    const columns = ['timestamp', 'mode', 'model', 'promptTokens', 'completionTokens', 'totalTokens', 'images', 'cost'];
+    const toCell = (value) => {
+        let text = value === null || value === undefined ? '' : String(value);
+        // Spreadsheets run text cells starting with these as formulas; a leading quote keeps them text
+        if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
         }
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = getUsageLog().map(entry => columns.map(column => (
+        toCell(column === 'timestamp' ? new Date(entry.timestamp).toISOString() : entry[column])
+    )).join(','));
+
+    return [columns.join(','), ...rows].join('\n');
+}
+
+/**
+ * Get all chat personas (built-in first, then custom)
+ * @returns {Object.<string, ChatPersona>} Personas by ID
+ */
+function getAvailablePersonas() {
+    return { ...CHAT_PERSONAS, ...customPersonas };
+}
+
+/**
+ * Set the current chat persona
+ * @param {string} personaId - Persona ID
+ * @returns {void}
+ */
+function setChatPersona(personaId) {
+    if (getAvailablePersonas()[personaId]) {
+        currentChatPersona = personaId;
+        saveStoredJSON(STORAGE_KEYS.CHAT_PERSONA, personaId);
+    }
+}
+
+/**
+ * Get the current chat persona ID
+ * @returns {string} Persona ID
+ */
+function getChatPersona() {
+    return currentChatPersona;
+}
+
+/**
+ * Get the system prompt of the current persona
+ * @returns {string|null} System prompt, or null for the server default
+ */
+function getChatSystemPrompt() {
+    return getAvailablePersonas()[currentChatPersona]?.systemPrompt || null;
+}
+
+/**
+ * Create or update a custom persona
+ * @param {Object} persona - Persona fields
+ * @param {string} [persona.id] - ID of the persona to update (omit to create)
+ * @param {string} persona.name - Display name
+ * @param {string} persona.systemPrompt - System prompt
+ * @returns {string} Persona ID
+ * @throws {Error} If the name or system prompt is missing
+ */
+function saveCustomPersona({ id, name, systemPrompt }) {
+    const sanitizedName = sanitizePrompt(name, 60);
+    const sanitizedPrompt = sanitizePrompt(systemPrompt, MAX_SYSTEM_PROMPT_LENGTH);
+    if (!sanitizedName || !sanitizedPrompt) {
+        throw new Error('A persona needs a name and a system prompt');
+    }
+
+    const personaId = id && customPersonas[id] ? id : `custom-${Date.now()}`;
+    customPersonas = {
+        ...customPersonas,
+        [personaId]: {
+            name: sanitizedName,
+            description: sanitizedPrompt.length > 80 ? `${sanitizedPrompt.substring(0, 80)}…` : sanitizedPrompt,
+            systemPrompt: sanitizedPrompt,
+            custom: true
+        }
+    };
+    saveStoredJSON(STORAGE_KEYS.CUSTOM_PERSONAS, customPersonas);
+    return personaId;
+}
+
+/**
+ * Delete a custom persona (falls back to the default persona if it was selected)
+ * @param {string} personaId - Persona ID
+ * @returns {void}
+ */
+function deleteCustomPersona(personaId) {
+    if (!customPersonas[personaId]) return;
+
+    customPersonas = { ...customPersonas };
+    delete customPersonas[personaId];
+    saveStoredJSON(STORAGE_KEYS.CUSTOM_PERSONAS, customPersonas);
+
+    if (currentChatPersona === personaId) {
+        setChatPersona('assistant');
+    }
+}
+
+/**
+ * Set the current chat model
+ * @param {string} modelId - Model ID to use for chat
+ * @returns {void}
+ */
+function setChatModel(modelId) {
+    if (CHAT_MODELS[modelId]) {
+        currentChatModel = modelId;
+    }
+}
+
+/**
+ * Get the current chat model
+ * @returns {string} Current chat model ID
+ */
+function getChatModel() {
+    return currentChatModel;
+}
+
+/**
+ * Get available chat models
+ * @returns {ModelRegistry} Available chat models with their info
+ */
+function getAvailableChatModels() {
+    return CHAT_MODELS;
+}
+
+/**
+ * Check whether a chat model can read images.
+ * Models are assumed to support images until the live catalog says otherwise.
+ * @param {string} [modelId] - Chat model ID (defaults to the current chat model)
+ * @returns {boolean} True if the model accepts image input
+ */
+function chatModelSupportsImages(modelId = currentChatModel) {
+    const inputModalities = CHAT_MODELS[modelId]?.inputModalities;
+    return !inputModalities || inputModalities.includes('image');
+}
+
+/**
+ * Check whether a chat model can answer with images
+ * @param {string} [modelId] - Chat model ID (defaults to the current chat model)
+ * @returns {boolean} True if the model outputs images
+ */
+function chatModelOutputsImages(modelId = currentChatModel) {
+    return Boolean(CHAT_MODELS[modelId]?.outputsImages);
+}
+
+/**
+ * Clear chat history
+ * @returns {void}
+ */
+function clearChatHistory() {
+    chatHistory = [];
+    chatContextSummary = '';
+    chatContextStart = 0;
+}
+
+/**
+ * Get chat history
+ * @returns {Array<ChatMessage>} Chat history
+ */
+function getChatHistory() {
+    return chatHistory;
+}
+
+/**
+ * Replace the chat history (e.g. when switching conversations)
+ * @param {Array<ChatMessage>} messages - Messages to restore
+ * @param {ChatContextState} [contextState] - Saved summary state for these messages
+ * @returns {void}
+ */
+function setChatHistory(messages, contextState = {}) {
+    chatHistory = Array.isArray(messages) ? [...messages] : [];
+    chatContextSummary = contextState.summary || '';
+    chatContextStart = Math.min(contextState.contextStart || 0, chatHistory.length);
+}
+
+/**
+ * Get the summary state of the current chat
+ * @returns {ChatContextState} Summary and index of the first message sent in full
+ */
+function getChatContextState() {
+    return { summary: chatContextSummary, contextStart: chatContextStart };
+}
+
+/**
+ * Estimate the number of tokens in a piece of text
+ * @param {string} text - Text to estimate
+ * @returns {number} Estimated tokens
+ */
+function estimateTokens(text) {
+    return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
 
-        // Handle streaming response
-        const reader = response.body.getReader();
-        const decoder = new TextDecoder();
-        let buffer = '';
-        let fullContent = '';
+/**
+ * Estimate the number of tokens a history message adds to a request
+ * @param {ChatMessage} message - History entry
+ * @returns {number} Estimated tokens
+ */
+function estimateMessageTokens(message) {
+    const { content } = toRequestMessage(message);
+    if (typeof content === 'string') {
+        return estimateTokens(content) + MESSAGE_OVERHEAD_TOKENS;
+    }
+
+    return content.reduce((total, part) => total + (part.type === 'image_url'
+        ? IMAGE_TOKEN_ESTIMATE
+        : estimateTokens(part.text)), MESSAGE_OVERHEAD_TOKENS);
+}
+
+/**
+ * Estimate the tokens of the next chat request
+ * @returns {number} Estimated prompt tokens
+ */
+function estimateChatContextTokens() {
+    return chatHistory.slice(chatContextStart).reduce(
+        (total, message) => total + estimateMessageTokens(message),
+        SYSTEM_PROMPT_TOKENS + estimateTokens(getChatSystemPrompt() || '') + estimateTokens(chatContextSummary)
+    );
+}
 
+/**
+ * Get the context window of a chat model
+ * @param {string} [modelId] - Chat model ID (defaults to the current chat model)
+ * @returns {number} Context window in tokens
+ */
+function getChatContextLimit(modelId = currentChatModel) {
+    return CHAT_MODELS[modelId]?.contextLength || DEFAULT_CONTEXT_LENGTH;
+}
+
+/**
+ * Get the estimated context usage of the current chat
+ * @param {string} [modelId] - Chat model ID (defaults to the current chat model)
+ * @returns {ContextUsage} Estimated usage for the next request
+ */
+function getContextUsage(modelId = currentChatModel) {
+    return {
+        usedTokens: estimateChatContextTokens(),
+        limitTokens: getChatContextLimit(modelId),
+        contextStart: chatContextStart
+    };
+}
+
+/**
+ * Ask the chat model for a summary of older messages
+ * @param {Array<ChatMessage>} messages - Messages to summarize
+ * @param {string} model - Chat model ID
+ * @returns {Promise<string>} Summary text
+ * @throws {Error} If the request fails or returns no text
+ */
+async function summarizeChatMessages(messages, model) {
+    // Images are described by the surrounding text well enough for a summary
+    const textMessages = messages.map(message => ({
+        role: message.role,
+        content: getMessageText(toRequestMessage(message))
+    })).filter(message => message.content);
+
+    const response = await apiFetch('/api/chat', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+            messages: [...textMessages, { role: 'user', content: CONTEXT_SUMMARY_PROMPT }],
+            model,
+            stream: false,
+            maxTokens: 1024,
+            contextSummary: chatContextSummary || undefined
+        })
+    });
+
+    if (!response.ok) {
+        throw await readApiError(response);
+    }
+
+    const result = await response.json();
+    recordRequestUsage('chat', result.requestUsage);
+    const summary = result.choices?.[0]?.message?.content;
+    if (typeof summary !== 'string' || !summary.trim()) {
+        throw new Error('No summary received');
+    }
+    return summary.trim();
+}
+
+/**
+ * Keep the next chat request inside the model's context window. Older turns
+ * are summarized once usage passes the threshold; if that isn't possible or
+ * isn't enough, the oldest turns are dropped from the request (they stay
+ * visible in the conversation).
+ * @param {string} model - Chat model ID
+ * @returns {Promise<void>}
+ * @throws {Error} If the latest message alone does not fit
+ */
+async function fitChatContext(model) {
+    const budget = getChatContextLimit(model) - CHAT_RESPONSE_TOKENS;
+    if (estimateChatContextTokens() <= budget * CONTEXT_SUMMARY_THRESHOLD) return;
+
+    const summarizeUntil = chatHistory.length - KEEP_RECENT_MESSAGES;
+    if (summarizeUntil > chatContextStart && apiRateLimiter.canMakeRequest()) {
         try {
-            while (true) {
-                const { done, value } = await reader.read();
-                if (done) break;
-
-                buffer += decoder.decode(value, { stream: true });
-
-                // Process complete lines from buffer
-                while (true) {
-                    const lineEnd = buffer.indexOf('\n');
-                    if (lineEnd === -1) break;
-
-                    const line = buffer.slice(0, lineEnd).trim();
-                    buffer = buffer.slice(lineEnd + 1);
-
-                    // Skip empty lines and comments (like ": OPENROUTER PROCESSING")
-                    if (!line || line.startsWith(':')) continue;
-
-                    if (line.startsWith('data: ')) {
-                        const data = line.slice(6);
-                        if (data === '[DONE]') continue;
-
-                        try {
-                            const parsed = JSON.parse(data);
-                            
-                            // Check for errors
-                            if (parsed.error) {
-                                throw new Error(parsed.error.message || 'Stream error');
-                            }
-
-                            const content = parsed.choices?.[0]?.delta?.content;
-                            if (content) {
-                                fullContent += content;
-                                if (onChunk) {
-                                    onChunk(content, fullContent);
-                                }
-                            }
-                        } catch (parseError) {
-                            // Ignore JSON parse errors for malformed chunks
-                            if (parseError.message !== 'Stream error') {
-                                console.debug('Parse error (non-fatal):', parseError);
-                            } else {
-                                throw parseError;
-                            }
-                        }
-                    }
+            chatContextSummary = await summarizeChatMessages(chatHistory.slice(chatContextStart, summarizeUntil), model);
+            chatContextStart = summarizeUntil;
+        } catch (error) {
+            console.warn('Could not summarize earlier messages, trimming instead:', error);
+        }
+    }
+
+    while (estimateChatContextTokens() > budget && chatContextStart < chatHistory.length - 1) {
+        chatContextStart++;
+    }
+
+    if (estimateChatContextTokens() > budget) {
+        throw new ApiError('model_unsupported', 'This message is too long for the selected model\'s context window. Shorten it or choose a model with a larger context.');
+    }
+}
+
+/**
+ * Convert a history entry to what /api/chat expects. Images returned by the
+ * model are replaced with a short note so they are not uploaded again.
+ * @param {ChatMessage} message - History entry
+ * @returns {{role: string, content: string|Array<Object>}} Request message
+ */
+function toRequestMessage(message) {
+    const imageCount = message.images?.length || 0;
+    if (imageCount === 0) {
+        return { role: message.role, content: message.content };
+    }
+
+    const imageNote = `[Generated ${imageCount} image${imageCount === 1 ? '' : 's'}]`;
+    return { role: message.role, content: [message.content, imageNote].filter(Boolean).join('\n\n') };
+}
+
+/**
+ * Toggle web search on/off
+ * @returns {boolean} New state
+ */
+function toggleWebSearch() {
+    webSearchEnabled = !webSearchEnabled;
+    return webSearchEnabled;
+}
+
+/**
+ * Get web search enabled state
+ * @returns {boolean} Whether web search is enabled
+ */
+function isWebSearchEnabled() {
+    return webSearchEnabled;
+}
+
+/**
+ * Set web search enabled state
+ * @param {boolean} enabled - Whether to enable web search
+ */
+function setWebSearchEnabled(enabled) {
+    webSearchEnabled = enabled;
+}
+
+/**
+ * Clamp web search options to the values the server accepts
+ * @param {Object} options - Raw options
+ * @param {number} [options.maxResults] - Number of search results
+ * @param {string} [options.searchPrompt] - Custom search prompt
+ * @returns {WebSearchOptions} Normalized options
+ */
+function normalizeWebSearchOptions({ maxResults, searchPrompt } = {}) {
+    const results = Math.round(Number(maxResults));
+    return {
+        maxResults: Number.isFinite(results)
+            ? Math.min(Math.max(results, 1), MAX_WEB_SEARCH_RESULTS)
+            : DEFAULT_WEB_SEARCH_RESULTS,
+        searchPrompt: sanitizePrompt(searchPrompt || '', MAX_SEARCH_PROMPT_LENGTH)
+    };
+}
+
+/**
+ * Get the web search parameters
+ * @returns {WebSearchOptions} Current options
+ */
+function getWebSearchOptions() {
+    return { ...webSearchOptions };
+}
+
+/**
+ * Update and persist the web search parameters
+ * @param {Object} options - Options to change (see WebSearchOptions)
+ * @returns {WebSearchOptions} Normalized options now in use
+ */
+function setWebSearchOptions(options) {
+    webSearchOptions = normalizeWebSearchOptions({ ...webSearchOptions, ...options });
+    saveStoredJSON(STORAGE_KEYS.WEB_SEARCH_OPTIONS, webSearchOptions);
+    return getWebSearchOptions();
+}
+
+/**
+ * Add URL citations from an OpenRouter annotations array, skipping duplicates
+ * @param {Array<ChatCitation>} citations - Citations collected so far (modified in place)
+ * @param {Array<Object>|undefined} annotations - Annotations from a message or stream delta
+ * @returns {boolean} True if any citation was added
+ */
+function collectCitations(citations, annotations) {
+    if (!Array.isArray(annotations)) return false;
+
+    let added = false;
+    for (const annotation of annotations) {
+        if (annotation?.type !== 'url_citation') continue;
+
+        const url = annotation.url_citation?.url;
+        if (typeof url !== 'string' || !/^https?:\/\//i.test(url)) continue;
+        if (citations.some(citation => citation.url === url)) continue;
+
+        const title = typeof annotation.url_citation.title === 'string' ? annotation.url_citation.title.trim() : '';
+        citations.push({
+            url,
+            title: (title || url.replace(/^https?:\/\//i, '').split(/[/?#]/)[0]).substring(0, 200)
+        });
+        added = true;
+    }
+    return added;
+}
+
+/**
+ * @typedef {Object} ChatReply
+ * @property {string} content - Assistant text
+ * @property {Array<string>} images - Images returned by an image-output model
+ * @property {Array<ChatCitation>} citations - Web sources cited in the reply
+ * @property {boolean} stopped - True if the reply was cut short by the caller's AbortSignal
+ */
+
+/**
+ * @typedef {Object} ChatRequestOptions
+ * @property {Array<string>} [attachments] - Base64 images to send with the message
+ * @property {AbortSignal} [signal] - Signal that stops the response (partial text is kept)
+ */
+
+/**
+ * Create the error thrown when the caller stops a response before any output
+ * @returns {Error} Error with name 'AbortError'
+ */
+function createAbortError() {
+    const error = new Error('Response stopped');
+    error.name = 'AbortError';
+    return error;
+}
+
+/**
+ * Read a server-sent event stream from one of our API routes
+ * @param {Response} response - Successful streaming fetch response
+ * @param {function(Object): void} onEvent - Called with each parsed data payload
+ * @returns {Promise<void>} Resolves when the stream ends
+ * @throws {Error} If the stream reports an error or the connection fails (AbortError if cancelled)
+ */
+async function readEventStream(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    try {
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+
+            // Process complete lines from buffer
+            let lineEnd;
+            while ((lineEnd = buffer.indexOf('\n')) !== -1) {
+                const line = buffer.slice(0, lineEnd).trim();
+                buffer = buffer.slice(lineEnd + 1);
+
+                // Skip empty lines and comments (like ": OPENROUTER PROCESSING")
+                if (!line.startsWith('data: ')) continue;
+
+                const data = line.slice(6);
+                if (data === '[DONE]') continue;
+
+                let parsed;
+                try {
+                    parsed = JSON.parse(data);
+                } catch (parseError) {
+                    // Ignore malformed chunks
+                    console.debug('Parse error (non-fatal):', parseError);
+                    continue;
+                }
+
+                if (parsed.error) {
+                    throw new ApiError('upstream_error', parsed.error.message || 'Stream error', {
+                        retryable: true,
+                        upstreamStatus: typeof parsed.error.code === 'number' ? parsed.error.code : null
+                    });
                 }
+                onEvent(parsed);
             }
-        } finally {
-            reader.releaseLock();
         }
+    } finally {
+        reader.releaseLock();
+    }
+}
+
+/**
+ * Get the finished images carried by a streamed delta
+ * @param {Object|undefined} delta - Streamed choice delta
+ * @returns {Array<string>} Base64 image data URLs
+ */
+function getStreamedImages(delta) {
+    return (delta?.images || [])
+        .map(image => image.image_url?.url)
+        .filter(url => typeof url === 'string' && url.startsWith('data:image/'));
+}
+
+/**
+ * Stream a reply to the current chat history
+ * @param {string} selectedModel - Chat model ID
+ * @param {function(string, string, Array<string>, Array<ChatCitation>)|null} onChunk - Callback for each streamed chunk (chunk, full text, images and citations so far)
+ * @param {AbortSignal} [signal] - Signal that stops the response
+ * @returns {Promise<ChatReply>} Streamed reply (possibly partial if stopped)
+ * @throws {Error} If the request fails, or is stopped before any output
+ */
+async function streamChatReply(selectedModel, onChunk, signal) {
+    const response = await apiFetch('/api/chat', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+            messages: chatHistory.slice(chatContextStart).map(toRequestMessage),
+            contextSummary: chatContextSummary || undefined,
+            maxTokens: CHAT_RESPONSE_TOKENS,
+            systemPrompt: getChatSystemPrompt() || undefined,
+            model: selectedModel,
+            stream: true,
+            webSearch: webSearchEnabled,
+            webSearchOptions: webSearchEnabled
+                ? { maxResults: webSearchOptions.maxResults, searchPrompt: webSearchOptions.searchPrompt || undefined }
+                : undefined,
+            imageOutput: chatModelOutputsImages(selectedModel)
+        }),
+        signal
+    });
+
+    if (!response.ok) {
+        throw await readApiError(response);
+    }
+
+    const images = [];
+    const citations = [];
+    let fullContent = '';
+    // OpenRouter sends token counts and cost in the last chunk
+    let usage = null;
+    let servedModel = selectedModel;
+
+    try {
+        await readEventStream(response, (parsed) => {
+            if (parsed.usage) usage = parsed.usage;
+            if (typeof parsed.model === 'string' && parsed.model) servedModel = parsed.model;
+
+            const delta = parsed.choices?.[0]?.delta;
+            const content = delta?.content;
+            if (content) {
+                fullContent += content;
+                if (onChunk) {
+                    onChunk(content, fullContent, images, citations);
+                }
+            }
+
+            // Image-output models stream finished images alongside the text
+            const newImages = getStreamedImages(delta);
+            if (newImages.length > 0) {
+                images.push(...newImages);
+                if (onChunk) {
+                    onChunk('', fullContent, images, citations);
+                }
+            }
+
+            // Web search sources arrive as url_citation annotations
+            const citationsAdded = collectCitations(citations, delta?.annotations);
+            if (citationsAdded && onChunk) {
+                onChunk('', fullContent, images, citations);
+            }
+        });
+    } catch (streamError) {
+        // Stopping keeps whatever arrived so far
+        if (!signal?.aborted) throw streamError;
+    }
+
+    if (usage) {
+        recordRequestUsage('chat', toRequestUsage(usage, servedModel, images.length));
+    }
+
+    const stopped = Boolean(signal?.aborted);
+    if (stopped && !fullContent && images.length === 0) {
+        throw createAbortError();
+    }
+
+    return { content: fullContent, images, citations, stopped };
+}
+
+/**
+ * Build the history entry for an assistant reply
+ * @param {ChatReply} reply - Streamed reply
+ * @param {string} model - Model that produced it
+ * @returns {ChatMessage} Assistant message
+ */
+function createAssistantMessage(reply, model) {
+    return {
+        role: 'assistant',
+        content: reply.content,
+        model,
+        ...(reply.images.length > 0 ? { images: reply.images } : {}),
+        ...(reply.citations.length > 0 ? { citations: reply.citations } : {})
+    };
+}
+
+/**
+ * Convert a failed chat request into the error shown to the user
+ * @param {Error} error - Original error
+ * @param {AbortSignal} [signal] - Signal passed to the request
+ * @returns {Error} Error to throw
+ */
+function toChatError(error, signal) {
+    if (signal?.aborted || error.name === 'AbortError') {
+        return createAbortError();
+    }
+    console.error('Error sending chat message:', error);
+    return toUserError(error);
+}
+
+/**
+ * Send a chat message and get a streaming response
+ * @param {string} message - User message
+ * @param {function(string, string, Array<string>, Array<ChatCitation>)} onChunk - Callback for each streamed chunk (chunk, full text, images and citations so far)
+ * @param {string|null} [model=null] - Optional model ID to use
+ * @param {ChatRequestOptions} [options={}] - Attachments and abort signal
+ * @returns {Promise<string>} Complete (or stopped) assistant response
+ * @throws {Error} If chat fails or rate limit is exceeded; name is 'AbortError' if stopped before any output
+ */
+async function sendChatMessage(message, onChunk = null, model = null, options = {}) {
+    const { attachments = [], signal } = options;
+
+    // Check rate limit
+    checkRateLimit();
+
+    // Sanitize user message (an image on its own is a valid message)
+    const sanitizedMessage = sanitizePrompt(message, MAX_CHAT_MESSAGE_LENGTH);
+    if (!sanitizedMessage && attachments.length === 0) {
+        throw new ApiError('invalid_prompt', 'Invalid message provided');
+    }
+
+    const selectedModel = model || currentChatModel;
+
+    if (attachments.length > 0 && !chatModelSupportsImages(selectedModel)) {
+        throw new ApiError('model_unsupported', 'The selected chat model cannot read images. Please choose a model with vision support.');
+    }
+
+    // Add user message to history (multipart content when images are attached)
+    chatHistory.push({
+        role: 'user',
+        content: attachments.length > 0
+            ? [
+                ...(sanitizedMessage ? [{ type: 'text', text: sanitizedMessage }] : []),
+                ...attachments.slice(0, MAX_CHAT_ATTACHMENTS).map(url => ({ type: 'image_url', image_url: { url } }))
+            ]
+            : sanitizedMessage
+    });
+
+    // Summarize or trim older turns before sending (the message stays out of history if it can't fit)
+    try {
+        await fitChatContext(selectedModel);
+    } catch (error) {
+        chatHistory.pop();
+        throw error;
+    }
+
+    try {
+        const reply = await streamChatReply(selectedModel, onChunk, signal);
 
         // Add complete assistant message to history
-        if (fullContent) {
-            chatHistory.push({
-                role: 'assistant',
-                content: fullContent
-            });
+        if (reply.content || reply.images.length > 0) {
+            chatHistory.push(createAssistantMessage(reply, selectedModel));
         }
 
-        return fullContent || 'No response received';
+        return reply.content || (reply.images.length > 0 ? '' : 'No response received');
     } catch (error) {
-        console.error('Error sending chat message:', error);
         // Remove user message if we failed
         if (chatHistory.length > 0 && chatHistory[chatHistory.length - 1].role === 'user') {
             chatHistory.pop();
         }
-        if (error.message?.toLowerCase().includes('rate limit')) {
-            throw error;
-        }
-        throw new Error(getUserFriendlyError(error));
+        throw toChatError(error, signal);
+    }
+}
+
+/**
+ * Drop the context summary if it covers messages from the given index on
+ * @param {number} index - First history index being replaced
+ * @returns {void}
+ */
+function resetContextFrom(index) {
+    if (index < chatContextStart) {
+        chatContextSummary = '';
+        chatContextStart = 0;
+    }
+}
+
+/**
+ * Copy a message without its branch bookkeeping
+ * @param {ChatMessage} message - History entry
+ * @returns {ChatMessage} Message without branches/branchIndex
+ */
+function withoutBranches(message) {
+    const copy = { ...message };
+    delete copy.branches;
+    delete copy.branchIndex;
+    return copy;
+}
+
+/**
+ * Replace the history from an index with a new branch, keeping the current
+ * tail as an alternative. Alternatives live on the first message of each
+ * branch (`branches`, with `null` marking the active one), so nested
+ * branches further down travel with their tail.
+ * @param {number} index - History index where the branches diverge
+ * @param {Array<ChatMessage>} newTail - Messages of the new branch
+ * @returns {void}
+ */
+function branchChatHistory(index, newTail) {
+    const current = chatHistory[index];
+    const branches = current.branches ? [...current.branches] : [null];
+    const activeIndex = current.branches ? current.branchIndex : 0;
+
+    branches[activeIndex] = [withoutBranches(current), ...chatHistory.slice(index + 1)];
+    branches.push(null);
+
+    chatHistory = [
+        ...chatHistory.slice(0, index),
+        { ...newTail[0], branches, branchIndex: branches.length - 1 },
+        ...newTail.slice(1)
+    ];
+}
+
+/**
+ * Switch to another branch at a history index
+ * @param {number} index - History index with branches
+ * @param {number} branchIndex - Branch to show
+ * @returns {void}
+ */
+function switchChatBranch(index, branchIndex) {
+    const current = chatHistory[index];
+    if (!current?.branches || !current.branches[branchIndex] || branchIndex === current.branchIndex) return;
+
+    const branches = [...current.branches];
+    branches[current.branchIndex] = [withoutBranches(current), ...chatHistory.slice(index + 1)];
+
+    const target = branches[branchIndex];
+    branches[branchIndex] = null;
+
+    resetContextFrom(index);
+    chatHistory = [
+        ...chatHistory.slice(0, index),
+        { ...target[0], branches, branchIndex },
+        ...target.slice(1)
+    ];
+}
+
+/**
+ * Regenerate an assistant reply, keeping the previous reply as a branch
+ * @param {number} index - History index of the assistant message
+ * @param {function(string, string, Array<string>, Array<ChatCitation>)} onChunk - Callback for each streamed chunk
+ * @param {string|null} [model=null] - Optional model ID (defaults to the current chat model)
+ * @param {ChatRequestOptions} [options={}] - Abort signal
+ * @returns {Promise<string>} New assistant response
+ * @throws {Error} If chat fails or rate limit is exceeded; name is 'AbortError' if stopped before any output
+ */
+async function regenerateChatMessage(index, onChunk = null, model = null, options = {}) {
+    const { signal } = options;
+    if (chatHistory[index]?.role !== 'assistant') {
+        throw new Error('Only assistant replies can be regenerated');
+    }
+
+    checkRateLimit();
+
+    const selectedModel = model || currentChatModel;
+    const previousHistory = chatHistory;
+    const previousContext = getChatContextState();
+
+    // Request the reply against the conversation up to (not including) this message
+    chatHistory = chatHistory.slice(0, index);
+    resetContextFrom(index);
+
+    try {
+        await fitChatContext(selectedModel);
+        const reply = await streamChatReply(selectedModel, onChunk, signal);
+        const summaryState = getChatContextState();
+
+        chatHistory = previousHistory;
+        branchChatHistory(index, [createAssistantMessage(reply, selectedModel)]);
+        setChatHistory(chatHistory, summaryState);
+        return reply.content;
+    } catch (error) {
+        setChatHistory(previousHistory, previousContext);
+        throw toChatError(error, signal);
+    }
+}
+
+/**
+ * Edit a user message and re-run the conversation from it, keeping the
+ * original message and everything after it as a branch
+ * @param {number} index - History index of the user message
+ * @param {string} message - New message text (attached images are kept)
+ * @param {function(string, string, Array<string>, Array<ChatCitation>)} onChunk - Callback for each streamed chunk
+ * @param {string|null} [model=null] - Optional model ID (defaults to the current chat model)
+ * @param {ChatRequestOptions} [options={}] - Abort signal
+ * @returns {Promise<string>} New assistant response
+ * @throws {Error} If chat fails or rate limit is exceeded; name is 'AbortError' if stopped before any output
+ */
+async function editChatMessage(index, message, onChunk = null, model = null, options = {}) {
+    const { signal } = options;
+    const original = chatHistory[index];
+    if (original?.role !== 'user') {
+        throw new Error('Only your own messages can be edited');
+    }
+
+    const attachments = Array.isArray(original.content)
+        ? original.content.filter(part => part.type === 'image_url').map(part => part.image_url.url)
+        : [];
+    const previousHistory = chatHistory;
+    const previousContext = getChatContextState();
+
+    chatHistory = chatHistory.slice(0, index);
+    resetContextFrom(index);
+
+    try {
+        const content = await sendChatMessage(message, onChunk, model, { attachments, signal });
+        const newTail = chatHistory.slice(index);
+        const summaryState = getChatContextState();
+
+        chatHistory = previousHistory;
+        branchChatHistory(index, newTail);
+        setChatHistory(chatHistory, summaryState);
+        return content;
+    } catch (error) {
+        setChatHistory(previousHistory, previousContext);
+        throw error;
     }
 }
@@ -0,0 +1,298 @@
+// Authentication for the serverless handlers
+// A provider turns a credential (e.g. an access token) into a user. Browsers
+// exchange the credential for a signed session cookie at /api/session;
+// scripts can send it directly as "Authorization: Bearer <token>".
+// Sessions are checked against the provider on every request, so removing a
+// token ends its sessions. Authentication is off unless a provider is configured.
+
+import { createHash, createHmac, timingSafeEqual } from 'node:crypto';
+import { ApiError } from './errors.js';
+import { checkRateLimit, getRateLimitWait } from './rate-limit.js';
+
+const SESSION_COOKIE = 'aipe_session';
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const MAX_CREDENTIAL_LENGTH = 512;
+
+/**
+ * Failed sign-ins allowed per client before it has to wait; bearer tokens
+ * on any route and the sign-in form count against the same limit
+ * @type {{bucket: string, max: number, windowMs: number}}
+ */
+const FAILED_SIGN_IN_LIMIT = { bucket: 'sign-in-failures', max: 10, windowMs: 15 * 60 * 1000 };
+
+/**
+ * @typedef {Object} AuthUser
+ * @property {string} id - Stable user ID (used for quotas and rate limits)
+ * @property {string} name - Display name
+ */
+
+/**
+ * @typedef {Object} AuthProvider
+ * @property {string} name - Provider name
+ * @property {function(string): Promise<AuthUser|null>} authenticate - Resolve a credential to a user (null if invalid)
+ * @property {function(AuthUser, function(string): boolean): Promise<boolean>} isSignedIn - Check that a session is
+ *           still valid: called with its user and a test for the credential the user signed in with
+ */
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} True if equal
+ */
+function safeEqual(a, b) {
+    // Hashing first makes both buffers the same length
+    const hashA = createHash('sha256').update(a).digest();
+    const hashB = createHash('sha256').update(b).digest();
+    return timingSafeEqual(hashA, hashB);
+}
+
+/**
+ * Static token provider: AUTH_TOKENS holds comma-separated "name:token" pairs
+ * @param {string} config - Value of AUTH_TOKENS
+ * @returns {AuthProvider} Provider
+ */
+function createTokenProvider(config) {
+    const entries = config.split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map(entry => {
+            const separator = entry.indexOf(':');
+            return { name: entry.slice(0, separator).trim(), token: entry.slice(separator + 1).trim() };
+        })
+        .filter(entry => entry.name && entry.token);
+
+    return {
+        name: 'token',
+        async authenticate(credential) {
+            // Check every entry so timing does not reveal which one matched
+            let user = null;
+            for (const entry of entries) {
+                if (safeEqual(entry.token, credential) && !user) {
+                    user = { id: entry.name.toLowerCase(), name: entry.name };
+                }
+            }
+            return user;
+        },
+        async isSignedIn(user, signedInWith) {
+            let valid = false;
+            for (const entry of entries) {
+                if (entry.name.toLowerCase() === user.id && signedInWith(entry.token)) {
+                    valid = true;
+                }
+            }
+            return valid;
+        }
+    };
+}
+
+/**
+ * Available providers by AUTH_PROVIDER value. Add an entry here to plug in
+ * another identity source; each factory returns an AuthProvider or null if
+ * it is not configured.
+ * @type {Object.<string, function(): AuthProvider|null>}
+ */
+const AUTH_PROVIDERS = {
+    token: () => (process.env.AUTH_TOKENS ? createTokenProvider(process.env.AUTH_TOKENS) : null)
+};
+
+/**
+ * Get the configured provider. AUTH_PROVIDER picks one explicitly; otherwise
+ * the token provider is used when AUTH_TOKENS is set.
+ * @returns {AuthProvider|null} Provider, or null if authentication is off
+ * @throws {Error} If AUTH_PROVIDER names an unknown or unconfigured provider
+ */
+export function getAuthProvider() {
+    const providerName = process.env.AUTH_PROVIDER || 'token';
+    if (providerName === 'none') return null;
+
+    const factory = AUTH_PROVIDERS[providerName];
+    if (!factory) {
+        throw new Error(`Unknown AUTH_PROVIDER "${providerName}"`);
+    }
+
+    const provider = factory();
+    // An explicitly chosen provider must not silently turn authentication off
+    if (!provider && process.env.AUTH_PROVIDER) {
+        throw new Error(`AUTH_PROVIDER "${providerName}" is not configured`);
+    }
+    return provider;
+}
+
+/**
+ * Check whether authentication is required
+ * @returns {boolean} True if a provider is configured
+ */
+export function isAuthEnabled() {
+    return getAuthProvider() !== null;
+}
+
+/**
+ * Get the secret used to sign session cookies
+ * @returns {string} Secret
+ * @throws {Error} If AUTH_SECRET is missing or too short
+ */
+function getSessionSecret() {
+    const secret = process.env.AUTH_SECRET;
+    if (!secret || secret.length < 32) {
+        throw new Error('AUTH_SECRET must be set to at least 32 characters when authentication is enabled');
+    }
+    return secret;
+}
+
+/**
+ * Sign a session payload
+ * @param {string} payload - Base64url encoded payload
+ * @returns {string} Base64url encoded HMAC-SHA256 signature
+ */
+function sign(payload) {
+    return createHmac('sha256', getSessionSecret()).update(payload).digest('base64url');
+}
+
+/**
+ * Fingerprint a credential for a session cookie. It is keyed with the session
+ * secret, so a leaked cookie does not help anyone guess the credential.
+ * @param {string} credential - Credential the user signed in with
+ * @returns {string} Base64url encoded fingerprint
+ */
+function fingerprintCredential(credential) {
+    return createHmac('sha256', getSessionSecret()).update(`credential:${credential}`).digest('base64url');
+}
+
+/**
+ * Read a cookie from the request
+ * @param {Object} req - Vercel request object
+ * @param {string} name - Cookie name
+ * @returns {string|null} Cookie value
+ */
+function readCookie(req, name) {
+    const header = req.headers.cookie;
+    if (typeof header !== 'string') return null;
+
+    for (const part of header.split(';')) {
+        const separator = part.indexOf('=');
+        if (separator !== -1 && part.slice(0, separator).trim() === name) {
+            return part.slice(separator + 1).trim();
+        }
+    }
+    return null;
+}
+
+/**
+ * Verify a session cookie value, and that the provider still accepts the
+ * credential the session was started with
+ * @param {string} value - Cookie value ("payload.signature")
+ * @param {AuthProvider} provider - Configured provider
+ * @returns {Promise<AuthUser|null>} User, or null if the cookie is invalid, expired or revoked
+ */
+async function verifySession(value, provider) {
+    const [payload, signature] = value.split('.');
+    if (!payload || !signature || !safeEqual(sign(payload), signature)) return null;
+
+    let session;
+    try {
+        session = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (error) {
+        return null;
+    }
+    if (typeof session.sub !== 'string' || typeof session.cred !== 'string' || !(session.exp > Date.now())) return null;
+
+    const user = { id: session.sub, name: typeof session.name === 'string' ? session.name : session.sub };
+    const signedInWith = credential => safeEqual(fingerprintCredential(credential), session.cred);
+    return await provider.isSignedIn(user, signedInWith) ? user : null;
+}
+
+/**
+ * Check a credential, limiting how often a client may get one wrong
+ * @param {AuthProvider} provider - Configured provider
+ * @param {string} credential - Credential to check
+ * @param {string} clientId - Client identifier (see getClientId)
+ * @returns {Promise<AuthUser|null>} User, or null if invalid
+ * @throws {ApiError} If the client has failed too often recently (rate_limited)
+ */
+async function checkCredential(provider, credential, clientId) {
+    // Refuse before checking, so a correct guess is not revealed while limited
+    const waitSeconds = await getRateLimitWait(clientId, FAILED_SIGN_IN_LIMIT);
+    if (waitSeconds > 0) {
+        throw new ApiError('rate_limited', `Too many failed sign-in attempts. Please wait ${waitSeconds} seconds before trying again.`, {
+            retryAfter: waitSeconds
+        });
+    }
+
+    const user = credential && credential.length <= MAX_CREDENTIAL_LENGTH ? await provider.authenticate(credential) : null;
+    if (!user) {
+        await checkRateLimit(clientId, FAILED_SIGN_IN_LIMIT);
+    }
+    return user;
+}
+
+/**
+ * Get the user making a request from its bearer token or session cookie
+ * @param {Object} req - Vercel request object
+ * @param {string} clientId - Client identifier for failed bearer tokens (see getClientId)
+ * @returns {Promise<AuthUser|null>} User, or null if not signed in (or authentication is off)
+ * @throws {ApiError} If the client has sent too many invalid tokens recently (rate_limited)
+ */
+export async function authenticateRequest(req, clientId) {
+    const provider = getAuthProvider();
+    if (!provider) return null;
+
+    const authorization = req.headers.authorization;
+    if (typeof authorization === 'string' && authorization.startsWith('Bearer ')) {
+        return checkCredential(provider, authorization.slice(7).trim(), clientId);
+    }
+
+    const session = readCookie(req, SESSION_COOKIE);
+    return session ? verifySession(session, provider) : null;
+}
+
+/**
+ * Check a credential with the configured provider
+ * @param {*} credential - Credential from the sign-in form
+ * @param {string} clientId - Client identifier (see getClientId)
+ * @returns {Promise<AuthUser|null>} User, or null if invalid
+ * @throws {ApiError} If the client has failed too often recently (rate_limited)
+ */
+export async function verifyCredential(credential, clientId) {
+    const provider = getAuthProvider();
+    if (!provider) return null;
+    return checkCredential(provider, typeof credential === 'string' ? credential : '', clientId);
+}
+
+/**
+ * Build the Set-Cookie attributes shared by sign-in and sign-out
+ * @param {Object} req - Vercel request object
+ * @returns {string} Cookie attributes
+ */
+function cookieAttributes(req) {
+    // Browsers refuse Secure cookies over plain http, except on localhost
+    const isHttps = req.headers['x-forwarded-proto'] === 'https';
+    return `Path=/api; HttpOnly; SameSite=Strict${isHttps ? '; Secure' : ''}`;
+}
+
+/**
+ * Start a session by setting a signed cookie
+ * @param {Object} req - Vercel request object
+ * @param {Object} res - Vercel response object
+ * @param {AuthUser} user - Signed-in user
+ * @param {string} credential - Credential the user signed in with (only its fingerprint is stored)
+ */
+export function setSessionCookie(req, res, user, credential) {
+    const payload = Buffer.from(JSON.stringify({
+        sub: user.id,
+        name: user.name,
+        cred: fingerprintCredential(credential),
+        exp: Date.now() + SESSION_TTL_MS
+    })).toString('base64url');
+
+    res.setHeader('Set-Cookie', `${SESSION_COOKIE}=${payload}.${sign(payload)}; ${cookieAttributes(req)}; Max-Age=${SESSION_TTL_MS / 1000}`);
+}
+
+/**
+ * End a session by expiring the cookie
+ * @param {Object} req - Vercel request object
+ * @param {Object} res - Vercel response object
+ */
+export function clearSessionCookie(req, res) {
+    res.setHeader('Set-Cookie', `${SESSION_COOKIE}=; ${cookieAttributes(req)}; Max-Age=0`);
+}
@@ -0,0 +1,143 @@
+// Error envelope for the serverless handlers
+// Every failed request answers with
+//   { error: { code, message, retryable, upstreamStatus, requestId } }
+// so clients can branch on the code instead of parsing the message. The
+// request ID is also sent as X-Request-Id and appears in the server logs.
+
+import { randomUUID } from 'node:crypto';
+
+/**
+ * Error codes, with the HTTP status each is sent with and whether sending
+ * the same request again can succeed
+ * @type {Object.<string, {status: number, retryable: boolean}>}
+ */
+export const ERROR_CODES = {
+    invalid_request: { status: 400, retryable: false },
+    invalid_prompt: { status: 400, retryable: false },
+    invalid_image: { status: 400, retryable: false },
+    invalid_api_key: { status: 400, retryable: false },
+    model_rejected: { status: 400, retryable: false },
+    auth_required: { status: 401, retryable: false },
+    invalid_credentials: { status: 401, retryable: false },
+    insufficient_credits: { status: 402, retryable: false },
+    not_found: { status: 404, retryable: false },
+    model_unavailable: { status: 404, retryable: false },
+    method_not_allowed: { status: 405, retryable: false },
+    conflict: { status: 409, retryable: false },
+    payload_too_large: { status: 413, retryable: false },
+    rate_limited: { status: 429, retryable: true },
+    quota_exceeded: { status: 429, retryable: false },
+    upstream_rate_limited: { status: 429, retryable: true },
+    cancelled: { status: 499, retryable: false },
+    internal_error: { status: 500, retryable: true },
+    server_misconfigured: { status: 500, retryable: false },
+    upstream_error: { status: 502, retryable: true },
+    upstream_unreachable: { status: 502, retryable: true },
+    upstream_auth_failed: { status: 502, retryable: false },
+    no_image: { status: 502, retryable: true },
+    upstream_timeout: { status: 504, retryable: true }
+};
+
+/**
+ * Error with a code from ERROR_CODES, sent to the client as an envelope
+ * @class
+ */
+export class ApiError extends Error {
+    /**
+     * Create an API error
+     * @param {string} code - Error code (key of ERROR_CODES)
+     * @param {string} message - Message safe to return to the client
+     * @param {Object} [options] - Error details
+     * @param {number|null} [options.upstreamStatus=null] - Status returned by OpenRouter, if any
+     * @param {number|null} [options.retryAfter=null] - Seconds the client should wait before retrying, if known
+     */
+    constructor(code, message, { upstreamStatus = null, retryAfter = null } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.code = code;
+        this.upstreamStatus = upstreamStatus;
+        this.retryAfter = retryAfter;
+    }
+
+    /**
+     * HTTP status to respond with
+     * @type {number}
+     */
+    get status() {
+        return ERROR_CODES[this.code]?.status ?? 500;
+    }
+}
+
+/**
+ * Pick the error code for a failed OpenRouter response. Auth and server
+ * failures on OpenRouter's side are not the caller's fault, so they surface
+ * as gateway errors rather than leaking a 401 to the browser.
+ * @param {number} status - Upstream HTTP status
+ * @returns {string} Error code
+ */
+export function upstreamErrorCode(status) {
+    switch (status) {
+        case 400:
+        case 422:
+            return 'model_rejected';
+        case 401:
+        case 403:
+            return 'upstream_auth_failed';
+        case 402:
+            return 'insufficient_credits';
+        case 404:
+            return 'model_unavailable';
+        case 408:
+            return 'upstream_timeout';
+        case 413:
+            return 'payload_too_large';
+        case 429:
+            return 'upstream_rate_limited';
+        default:
+            return 'upstream_error';
+    }
+}
+
+/**
+ * Give a response its request ID (Vercel's own ID when there is one, so
+ * the ID matches the platform logs)
+ * @param {Object} req - Vercel request object
+ * @param {Object} res - Vercel response object
+ * @returns {string} Request ID
+ */
+export function setRequestId(req, res) {
+    const vercelId = req.headers['x-vercel-id'];
+    const requestId = typeof vercelId === 'string' && vercelId ? vercelId : randomUUID();
+    res.setHeader('X-Request-Id', requestId);
+    return requestId;
+}
+
+/**
+ * Send an error envelope
+ * @param {Object} res - Vercel response object
+ * @param {string} code - Error code (key of ERROR_CODES)
+ * @param {string} message - Message safe to return to the client
+ * @param {Object} [options] - Error details
+ * @param {number|null} [options.upstreamStatus=null] - Status returned by OpenRouter, if any
+ * @param {number|null} [options.retryAfter=null] - Seconds to wait before retrying (also sent as Retry-After)
+ * @param {Object} [options.details] - Extra fields added to the envelope (e.g. quota)
+ * @returns {*} Response
+ */
+export function sendError(res, code, message, { upstreamStatus = null, retryAfter = null, details = {} } = {}) {
+    const { status, retryable } = ERROR_CODES[code] || ERROR_CODES.internal_error;
+    if (retryAfter !== null) {
+        res.setHeader('Retry-After', String(retryAfter));
+    }
+
+    return res.status(status).json({
+        error: {
+            code,
+            message,
+            retryable,
+            upstreamStatus,
+            requestId: res.getHeader?.('X-Request-Id') ?? null,
+            ...(retryAfter !== null ? { retryAfter } : {}),
+            ...details
+        }
+    });
+}
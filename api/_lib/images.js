@@ -0,0 +1,166 @@
+// Request builders for image generation and editing
+// Shared by the /api/generate and /api/edit routes and the job queue, so a
+// job validates and calls OpenRouter exactly like the direct routes do.
+
+import { sanitizeText, isDataImage, parseImageConfig, resolveFallbackModels } from './openrouter.js';
+
+export const DEFAULT_GENERATION_MODEL = 'black-forest-labs/flux.2-pro';
+export const DEFAULT_EDIT_MODEL = 'openai/gpt-5-image-mini';
+
+const MASK_INSTRUCTIONS = 'The second image is an edit mask with the same framing as the first image. Apply the edit only inside the white area of the mask. Everything in the black area must stay exactly as it is in the original image.';
+
+/**
+ * @typedef {Object} ImageRequest
+ * @property {string|null} error - Validation error, or null if the input is valid
+ * @property {string} [code] - Error code for the validation error (see ERROR_CODES in errors.js)
+ * @property {string} [model] - Model the request is sent to
+ * @property {Object} [body] - OpenRouter request body (without the stream flag)
+ */
+
+/**
+ * Build the model fields of a request body. With fallbacks, OpenRouter's
+ * `models` list tries each model in order until one succeeds, and the
+ * response's `model` names the one that served it.
+ * @param {string} model - Requested model
+ * @param {Array<string>} fallbackModels - Models to try after it
+ * @returns {{model: string, models?: Array<string>}} Body fields
+ */
+function modelFields(model, fallbackModels) {
+    return fallbackModels.length > 0 ? { model, models: [model, ...fallbackModels] } : { model };
+}
+
+/**
+ * Validate generation input and build the OpenRouter request
+ * @param {Object} input - Request body ({prompt, model, fallbackModels, aspectRatio, imageSize})
+ * @returns {ImageRequest} Request or validation error
+ */
+export function buildGenerateRequest(input) {
+    const { prompt, model } = input || {};
+
+    const sanitizedPrompt = sanitizeText(prompt);
+    if (!sanitizedPrompt) {
+        return { error: 'Invalid prompt provided', code: 'invalid_prompt' };
+    }
+
+    const { error: sizeError, imageConfig } = parseImageConfig(input);
+    if (sizeError) {
+        return { error: sizeError };
+    }
+
+    const selectedModel = model || DEFAULT_GENERATION_MODEL;
+    const fallbacks = resolveFallbackModels(selectedModel, input.fallbackModels);
+    if (fallbacks.error) {
+        return { error: fallbacks.error };
+    }
+
+    return {
+        error: null,
+        model: selectedModel,
+        body: {
+            ...modelFields(selectedModel, fallbacks.models),
+            messages: [
+                {
+                    role: 'user',
+                    content: sanitizedPrompt
+                }
+            ],
+            modalities: ['image', 'text'],
+            image_config: imageConfig
+        }
+    };
+}
+
+/**
+ * Validate edit input and build the OpenRouter request
+ * @param {Object} input - Request body ({prompt, image, model, fallbackModels, mask, aspectRatio, imageSize})
+ * @returns {ImageRequest} Request or validation error
+ */
+export function buildEditRequest(input) {
+    const { prompt, image, model, mask } = input || {};
+
+    const sanitizedPrompt = sanitizeText(prompt);
+    if (!sanitizedPrompt) {
+        return { error: 'Invalid prompt provided', code: 'invalid_prompt' };
+    }
+
+    if (!isDataImage(image)) {
+        return { error: 'Invalid image provided', code: 'invalid_image' };
+    }
+
+    if (mask && !(typeof mask === 'string' && mask.startsWith('data:image/png'))) {
+        return { error: 'Invalid mask provided', code: 'invalid_image' };
+    }
+
+    const { error: sizeError, imageConfig } = parseImageConfig(input);
+    if (sizeError) {
+        return { error: sizeError };
+    }
+
+    const content = [
+        {
+            type: 'text',
+            text: mask ? `${sanitizedPrompt}\n\n${MASK_INSTRUCTIONS}` : sanitizedPrompt
+        },
+        {
+            type: 'image_url',
+            image_url: {
+                url: image
+            }
+        }
+    ];
+
+    // Send the mask as a second image so the model can constrain the edit
+    if (mask) {
+        content.push({
+            type: 'image_url',
+            image_url: {
+                url: mask
+            }
+        });
+    }
+
+    const selectedModel = model || DEFAULT_EDIT_MODEL;
+    const fallbacks = resolveFallbackModels(selectedModel, input.fallbackModels);
+    if (fallbacks.error) {
+        return { error: fallbacks.error };
+    }
+
+    return {
+        error: null,
+        model: selectedModel,
+        body: {
+            ...modelFields(selectedModel, fallbacks.models),
+            messages: [
+                {
+                    role: 'user',
+                    content
+                }
+            ],
+            modalities: ['image', 'text'],
+            image_config: imageConfig
+        }
+    };
+}
+
+/**
+ * Extract the images from a completion response
+ * @param {Object} data - OpenRouter completion response
+ * @returns {Array<string>} Base64 image data URLs, in response order (anything else is dropped)
+ */
+export function extractImages(data) {
+    const message = data?.choices?.[0]?.message;
+    if (!message) return [];
+
+    const images = (Array.isArray(message.images) ? message.images : [])
+        .map(image => image?.image_url?.url || image?.url)
+        .filter(Boolean);
+
+    if (Array.isArray(message.content)) {
+        message.content
+            .filter(part => part?.type === 'image_url' && part.image_url?.url)
+            .forEach(part => images.push(part.image_url.url));
+    }
+
+    // Results are shown in the browser, so only inline images are passed on
+    return images.filter(isDataImage);
+}
@@ -0,0 +1,708 @@
+// Asynchronous job queue for long-running image operations
+// A job is created by POST /api/jobs, answered right away with its ID, and
+// then runs in the background of the same invocation (waitUntil keeps the
+// function alive after the response, up to the job routes' maxDuration).
+// Clients poll GET /api/jobs/:id.
+// A job record holds only metadata. Images are kept as separate payloads:
+// the edit input until the job succeeds, and the result until the job
+// expires or is deleted. The memory store only sees one function instance and the file store
+// one machine, so production deployments should use the KV store.
+
+import { randomUUID } from 'node:crypto';
+import { mkdir, readdir, readFile, rename, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { waitUntil } from '@vercel/functions';
+import { callOpenRouter, summarizeUsage } from './openrouter.js';
+import { ApiError } from './errors.js';
+import { buildGenerateRequest, buildEditRequest, extractImages } from './images.js';
+import { getKVConfig, KVClient } from './kv.js';
+import { readEnvInteger } from './rate-limit.js';
+
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+const KEY_PREFIX = 'jobs';
+const KV_TIMEOUT_MS = 10000;
+const MAX_JOBS_PER_OWNER = 50;
+
+/**
+ * Time the platform gives the job routes, and so every job run
+ * (maxDuration of api/jobs.js and api/jobs/[id].js in vercel.json)
+ * @type {number}
+ */
+const JOB_MAX_DURATION_MS = 300 * 1000;
+
+/**
+ * Deadline for a job's OpenRouter call, retries included, leaving time to save the outcome
+ * @type {number}
+ */
+const JOB_TIMEOUT_MS = JOB_MAX_DURATION_MS - 30 * 1000;
+
+/**
+ * A queued or running job not updated for this long has outlived its
+ * function's maxDuration, so it died with the function instance
+ * @type {number}
+ */
+const STALE_JOB_MS = JOB_MAX_DURATION_MS + 60 * 1000;
+
+/**
+ * Shape of a job ID (also keeps file store paths inside their directory)
+ * @type {RegExp}
+ */
+const JOB_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/**
+ * Payloads a job can have besides its record: 'input' holds an edit's image
+ * and mask, 'result' the images and usage of a finished job
+ * @type {Array<string>}
+ */
+const PAYLOAD_NAMES = ['input', 'result'];
+
+/**
+ * Key of the per-request context the Vercel runtime provides; waitUntil hands
+ * work to it, and does nothing when it is missing
+ * @type {symbol}
+ */
+const REQUEST_CONTEXT = Symbol.for('@vercel/request-context');
+
+/**
+ * Request builders by job type
+ * @type {Object.<string, function(Object): import('./images.js').ImageRequest>}
+ */
+export const JOB_TYPES = {
+    generate: buildGenerateRequest,
+    edit: buildEditRequest
+};
+
+/**
+ * @typedef {Object} Job
+ * @property {string} id - Job ID
+ * @property {'generate'|'edit'} type - Operation
+ * @property {'queued'|'running'|'succeeded'|'failed'} status - Current state
+ * @property {string} owner - Client that created the job (see getClientId)
+ * @property {Object} input - Request body the job runs with, without images (see the 'input' payload)
+ * @property {string|null} error - Error message once failed
+ * @property {string|null} errorCode - Error code once failed (see ERROR_CODES in errors.js)
+ * @property {number} attempts - Number of runs (retries included)
+ * @property {string|null} runId - ID of the latest run; only that run may save an outcome
+ * @property {number} createdAt - Creation timestamp (ms)
+ * @property {number} updatedAt - Last status change (ms)
+ */
+
+/**
+ * Get how long jobs are kept
+ * @returns {number} Time to live in seconds
+ */
+function getJobTtlSeconds() {
+    return readEnvInteger('JOB_TTL_SECONDS', DEFAULT_TTL_SECONDS) || DEFAULT_TTL_SECONDS;
+}
+
+/**
+ * @typedef {Object} JobResult
+ * @property {Array<string>} images - Result images (base64 data URLs)
+ * @property {Object} requestUsage - Normalized usage (see summarizeUsage)
+ */
+
+/**
+ * Write a file atomically: readers see the old or the new contents, never a partial write
+ * @param {string} filePath - File path
+ * @param {string} contents - File contents
+ * @returns {Promise<void>}
+ */
+async function writeFileAtomic(filePath, contents) {
+    const tempPath = `${filePath}.${randomUUID()}.tmp`;
+    try {
+        await writeFile(tempPath, contents);
+        await rename(tempPath, filePath);
+    } catch (error) {
+        await rm(tempPath, { force: true });
+        throw error;
+    }
+}
+
+/**
+ * Check whether a value is a valid job ID
+ * @param {*} id - Value to check
+ * @returns {boolean} True if it is a job ID
+ */
+export function isJobId(id) {
+    return typeof id === 'string' && JOB_ID_PATTERN.test(id);
+}
+
+/**
+ * Job store kept in memory (development and single-instance deployments)
+ * @class
+ */
+export class MemoryJobStore {
+    /**
+     * Create an empty in-memory store
+     */
+    constructor() {
+        this.jobs = new Map();
+        this.payloads = new Map();
+    }
+
+    /**
+     * Read a job
+     * @param {string} id - Job ID
+     * @returns {Promise<Job|null>} Job, or null if missing or expired
+     */
+    async get(id) {
+        const entry = this.jobs.get(id);
+        if (!entry || entry.expiresAt <= Date.now()) return null;
+        return structuredClone(entry.job);
+    }
+
+    /**
+     * Read a job payload
+     * @param {string} id - Job ID
+     * @param {string} name - Payload name (see PAYLOAD_NAMES)
+     * @returns {Promise<Object|null>} Payload, or null if missing or expired
+     */
+    async getPayload(id, name) {
+        const entry = this.payloads.get(`${id}:${name}`);
+        if (!entry || entry.expiresAt <= Date.now()) return null;
+        return structuredClone(entry.value);
+    }
+
+    /**
+     * Save a job payload
+     * @param {string} id - Job ID
+     * @param {string} name - Payload name (see PAYLOAD_NAMES)
+     * @param {Object} value - Payload
+     * @returns {Promise<void>}
+     */
+    async putPayload(id, name, value) {
+        this.payloads.set(`${id}:${name}`, { value: structuredClone(value), expiresAt: Date.now() + getJobTtlSeconds() * 1000 });
+    }
+
+    /**
+     * Delete a job payload
+     * @param {string} id - Job ID
+     * @param {string} name - Payload name (see PAYLOAD_NAMES)
+     * @returns {Promise<void>}
+     */
+    async deletePayload(id, name) {
+        this.payloads.delete(`${id}:${name}`);
+    }
+
+    /**
+     * Save a job (resets its expiry)
+     * @param {Job} job - Job to save
+     * @returns {Promise<void>}
+     */
+    async put(job) {
+        this.jobs.set(job.id, { job: structuredClone(job), expiresAt: Date.now() + getJobTtlSeconds() * 1000 });
+    }
+
+    /**
+     * Delete a job
+     * @param {Job} job - Job to delete
+     * @returns {Promise<void>}
+     */
+    async delete(job) {
+        this.jobs.delete(job.id);
+        PAYLOAD_NAMES.forEach(name => this.payloads.delete(`${job.id}:${name}`));
+    }
+
+    /**
+     * List an owner's jobs, newest first
+     * @param {string} owner - Owner ID
+     * @returns {Promise<Array<Job>>} Jobs
+     */
+    async list(owner) {
+        const now = Date.now();
+        const jobs = [];
+        for (const [id, entry] of this.jobs) {
+            if (entry.expiresAt <= now) {
+                this.jobs.delete(id);
+            } else if (entry.job.owner === owner) {
+                jobs.push(structuredClone(entry.job));
+            }
+        }
+        for (const [key, entry] of this.payloads) {
+            if (entry.expiresAt <= now) this.payloads.delete(key);
+        }
+        return jobs.sort((a, b) => b.createdAt - a.createdAt).slice(0, MAX_JOBS_PER_OWNER);
+    }
+}
+
+/**
+ * Job store with one JSON file per job (local development across restarts)
+ * @class
+ */
+export class FileJobStore {
+    /**
+     * Create a file-backed store
+     * @param {string} directory - Directory the job files are written to
+     */
+    constructor(directory) {
+        this.directory = directory;
+    }
+
+    /**
+     * Get the file path of a job
+     * @param {string} id - Job ID
+     * @returns {string} File path
+     */
+    filePath(id) {
+        return path.join(this.directory, `${id}.json`);
+    }
+
+    /**
+     * Get the file path of a job payload
+     * @param {string} id - Job ID
+     * @param {string} name - Payload name (see PAYLOAD_NAMES)
+     * @returns {string} File path
+     */
+    payloadPath(id, name) {
+        return path.join(this.directory, `${id}.${name}.json`);
+    }
+
+    /**
+     * Read an entry file, removing it if it has expired
+     * @param {string} filePath - File path
+     * @returns {Promise<Object|null>} Entry ({expiresAt, ...}), or null if missing or expired
+     */
+    async readEntry(filePath) {
+        let entry;
+        try {
+            entry = JSON.parse(await readFile(filePath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+
+        if (entry.expiresAt <= Date.now()) {
+            await rm(filePath, { force: true });
+            return null;
+        }
+        return entry;
+    }
+
+    /**
+     * Write an entry file that expires after the job TTL
+     * @param {string} filePath - File path
+     * @param {Object} fields - Entry fields
+     * @returns {Promise<void>}
+     */
+    async writeEntry(filePath, fields) {
+        await mkdir(this.directory, { recursive: true });
+        await writeFileAtomic(filePath, JSON.stringify({ ...fields, expiresAt: Date.now() + getJobTtlSeconds() * 1000 }));
+    }
+
+    /**
+     * Read a job file
+     * @param {string} id - Job ID
+     * @returns {Promise<Job|null>} Job, or null if missing or expired
+     */
+    async get(id) {
+        if (!isJobId(id)) return null;
+        const entry = await this.readEntry(this.filePath(id));
+        return entry ? entry.job : null;
+    }
+
+    /**
+     * Write a job file (resets its expiry)
+     * @param {Job} job - Job to save
+     * @returns {Promise<void>}
+     */
+    async put(job) {
+        await this.writeEntry(this.filePath(job.id), { job });
+    }
+
+    /**
+     * Read a job payload file
+     * @param {string} id - Job ID
+     * @param {string} name - Payload name (see PAYLOAD_NAMES)
+     * @returns {Promise<Object|null>} Payload, or null if missing or expired
+     */
+    async getPayload(id, name) {
+        if (!isJobId(id)) return null;
+        const entry = await this.readEntry(this.payloadPath(id, name));
+        return entry ? entry.value : null;
+    }
+
+    /**
+     * Write a job payload file
+     * @param {string} id - Job ID
+     * @param {string} name - Payload name (see PAYLOAD_NAMES)
+     * @param {Object} value - Payload
+     * @returns {Promise<void>}
+     */
+    async putPayload(id, name, value) {
+        await this.writeEntry(this.payloadPath(id, name), { value });
+    }
+
+    /**
+     * Delete a job payload file
+     * @param {string} id - Job ID
+     * @param {string} name - Payload name (see PAYLOAD_NAMES)
+     * @returns {Promise<void>}
+     */
+    async deletePayload(id, name) {
+        await rm(this.payloadPath(id, name), { force: true });
+    }
+
+    /**
+     * Delete a job file and its payloads
+     * @param {Job} job - Job to delete
+     * @returns {Promise<void>}
+     */
+    async delete(job) {
+        await Promise.all([
+            rm(this.filePath(job.id), { force: true }),
+            ...PAYLOAD_NAMES.map(name => this.deletePayload(job.id, name))
+        ]);
+    }
+
+    /**
+     * List an owner's jobs, newest first
+     * @param {string} owner - Owner ID
+     * @returns {Promise<Array<Job>>} Jobs
+     */
+    async list(owner) {
+        let files;
+        try {
+            files = await readdir(this.directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        // Payload files ("<id>.<name>.json") and unfinished writes are skipped by the ID check
+        const jobs = await Promise.all(files
+            .filter(file => file.endsWith('.json') && isJobId(file.slice(0, -5)))
+            .map(file => this.get(file.slice(0, -5))));
+
+        return jobs
+            .filter(job => job && job.owner === owner)
+            .sort((a, b) => b.createdAt - a.createdAt)
+            .slice(0, MAX_JOBS_PER_OWNER);
+    }
+}
+
+/**
+ * Job store backed by a Redis REST API (Vercel KV / Upstash). Each job is a
+ * small JSON string with a TTL, and each payload a separate key, so listing
+ * jobs never loads images; a capped list per owner indexes their job IDs.
+ * @class
+ */
+export class KVJobStore extends KVClient {
+    /**
+     * Create a KV-backed store
+     * @param {string} url - REST API base URL
+     * @param {string} token - REST API bearer token
+     */
+    constructor(url, token) {
+        // Payloads carry images, so allow more time than counter updates
+        super(url, token, KV_TIMEOUT_MS);
+    }
+
+    /**
+     * Run commands and fail on the first command error
+     * @param {Array<Array<string>>} commands - Redis commands
+     * @returns {Promise<Array<*>>} Command results
+     * @throws {Error} If the store cannot be reached or a command fails
+     */
+    async run(commands) {
+        const results = await this.pipeline(commands);
+        const failed = results.find(result => result?.error);
+        if (failed) throw new Error(failed.error);
+        return results.map(result => result?.result);
+    }
+
+    /**
+     * Read a job
+     * @param {string} id - Job ID
+     * @returns {Promise<Job|null>} Job, or null if missing or expired
+     */
+    async get(id) {
+        if (!isJobId(id)) return null;
+        const [value] = await this.run([['GET', `${KEY_PREFIX}:${id}`]]);
+        return typeof value === 'string' ? JSON.parse(value) : null;
+    }
+
+    /**
+     * Read a job payload
+     * @param {string} id - Job ID
+     * @param {string} name - Payload name (see PAYLOAD_NAMES)
+     * @returns {Promise<Object|null>} Payload, or null if missing or expired
+     */
+    async getPayload(id, name) {
+        if (!isJobId(id)) return null;
+        const [value] = await this.run([['GET', `${KEY_PREFIX}:${id}:${name}`]]);
+        return typeof value === 'string' ? JSON.parse(value) : null;
+    }
+
+    /**
+     * Save a job payload
+     * @param {string} id - Job ID
+     * @param {string} name - Payload name (see PAYLOAD_NAMES)
+     * @param {Object} value - Payload
+     * @returns {Promise<void>}
+     */
+    async putPayload(id, name, value) {
+        await this.run([['SET', `${KEY_PREFIX}:${id}:${name}`, JSON.stringify(value), 'EX', String(getJobTtlSeconds())]]);
+    }
+
+    /**
+     * Delete a job payload
+     * @param {string} id - Job ID
+     * @param {string} name - Payload name (see PAYLOAD_NAMES)
+     * @returns {Promise<void>}
+     */
+    async deletePayload(id, name) {
+        await this.run([['DEL', `${KEY_PREFIX}:${id}:${name}`]]);
+    }
+
+    /**
+     * Save a job and index it under its owner (resets its expiry)
+     * @param {Job} job - Job to save
+     * @returns {Promise<void>}
+     */
+    async put(job) {
+        const ttl = String(getJobTtlSeconds());
+        const ownerKey = `${KEY_PREFIX}:owner:${job.owner}`;
+        await this.run([
+            ['SET', `${KEY_PREFIX}:${job.id}`, JSON.stringify(job), 'EX', ttl],
+            ['LREM', ownerKey, '0', job.id],
+            ['LPUSH', ownerKey, job.id],
+            ['LTRIM', ownerKey, '0', String(MAX_JOBS_PER_OWNER - 1)],
+            ['EXPIRE', ownerKey, ttl]
+        ]);
+    }
+
+    /**
+     * Delete a job and its payloads, and remove it from its owner's index
+     * @param {Job} job - Job to delete
+     * @returns {Promise<void>}
+     */
+    async delete(job) {
+        await this.run([
+            ['DEL', `${KEY_PREFIX}:${job.id}`, ...PAYLOAD_NAMES.map(name => `${KEY_PREFIX}:${job.id}:${name}`)],
+            ['LREM', `${KEY_PREFIX}:owner:${job.owner}`, '0', job.id]
+        ]);
+    }
+
+    /**
+     * List an owner's jobs, newest first
+     * @param {string} owner - Owner ID
+     * @returns {Promise<Array<Job>>} Jobs
+     */
+    async list(owner) {
+        const [ids] = await this.run([['LRANGE', `${KEY_PREFIX}:owner:${owner}`, '0', String(MAX_JOBS_PER_OWNER - 1)]]);
+        if (!Array.isArray(ids) || ids.length === 0) return [];
+
+        const [values] = await this.run([['MGET', ...ids.map(id => `${KEY_PREFIX}:${id}`)]]);
+        return values
+            .filter(value => typeof value === 'string')
+            .map(value => JSON.parse(value))
+            .sort((a, b) => b.createdAt - a.createdAt);
+    }
+}
+
+/**
+ * Shared store instance, created on first use
+ * @type {MemoryJobStore|FileJobStore|KVJobStore|null}
+ */
+let store = null;
+
+/**
+ * Get the configured store. JOB_STORE picks one explicitly ('memory', 'file'
+ * or 'kv'); otherwise KV is used when its REST credentials are set.
+ * @returns {MemoryJobStore|FileJobStore|KVJobStore} Job store
+ * @throws {Error} If JOB_STORE is unknown, or 'kv' without KV credentials
+ */
+export function getJobStore() {
+    if (store) return store;
+
+    const kv = getKVConfig();
+    const storeName = process.env.JOB_STORE || (kv ? 'kv' : 'memory');
+
+    if (storeName === 'kv') {
+        if (!kv) throw new Error('JOB_STORE "kv" needs KV_REST_API_URL and KV_REST_API_TOKEN');
+        store = new KVJobStore(kv.url, kv.token);
+    } else if (storeName === 'file') {
+        store = new FileJobStore(process.env.JOB_STORE_DIR || path.join(tmpdir(), 'ai-photo-editor-jobs'));
+    } else if (storeName === 'memory') {
+        store = new MemoryJobStore();
+    } else {
+        throw new Error(`Unknown JOB_STORE "${storeName}"`);
+    }
+    return store;
+}
+
+/**
+ * Create a queued job
+ * @param {string} type - Job type (a key of JOB_TYPES)
+ * @param {string} owner - Owner ID
+ * @param {Object} input - Validated request body
+ * @returns {Job} New job (not saved yet)
+ */
+export function createJob(type, owner, input) {
+    const now = Date.now();
+    return {
+        id: randomUUID(),
+        type,
+        status: 'queued',
+        owner,
+        input,
+        error: null,
+        errorCode: null,
+        attempts: 0,
+        runId: null,
+        createdAt: now,
+        updatedAt: now
+    };
+}
+
+/**
+ * Run a job to completion, saving each status change. Errors are recorded on
+ * the job rather than thrown.
+ * @param {Job} job - Queued job
+ * @param {string} apiKey - OpenRouter API key to run with (never stored)
+ * @returns {Promise<void>}
+ */
+export async function runJob(job, apiKey) {
+    const jobStore = getJobStore();
+    const runId = randomUUID();
+
+    /**
+     * Save the outcome unless the job was deleted, or retried as a newer run, while this run went on
+     * @param {Object} outcome - Fields to update
+     * @param {JobResult|null} [result=null] - Output of a successful run
+     * @returns {Promise<void>}
+     */
+    const finish = async (outcome, result = null) => {
+        const current = await jobStore.get(job.id);
+        if (current?.runId !== runId) return;
+
+        if (result) {
+            await jobStore.putPayload(job.id, 'result', result);
+        }
+        await jobStore.put({ ...current, ...outcome, updatedAt: Date.now() });
+        if (result) {
+            // A succeeded job is never retried, so its input images are no longer needed
+            await jobStore.deletePayload(job.id, 'input');
+        }
+    };
+
+    try {
+        await jobStore.put({ ...job, status: 'running', attempts: job.attempts + 1, runId, updatedAt: Date.now() });
+
+        const images = job.type === 'edit' ? await jobStore.getPayload(job.id, 'input') : {};
+        if (!images) {
+            throw new ApiError('not_found', 'The job\'s input image has expired');
+        }
+
+        const request = JOB_TYPES[job.type]({ ...job.input, ...images });
+        const response = await callOpenRouter(apiKey, { ...request.body, stream: false }, {
+            title: 'AI Photo Editor - Job',
+            timeoutMs: JOB_TIMEOUT_MS
+        });
+        const data = await response.json();
+
+        const resultImages = extractImages(data);
+        if (resultImages.length === 0) {
+            throw new ApiError('no_image', 'The model did not return an image');
+        }
+
+        await finish(
+            { status: 'succeeded', error: null },
+            { images: resultImages, requestUsage: summarizeUsage(data, request.model) }
+        );
+    } catch (error) {
+        if (!(error instanceof ApiError)) {
+            console.error(`Error running ${job.type} job ${job.id}:`, error);
+        }
+        await finish({
+            status: 'failed',
+            error: error instanceof ApiError ? error.message : 'The job failed unexpectedly',
+            errorCode: error instanceof ApiError ? error.code : 'internal_error'
+        }).catch(storeError => console.error(`Unable to save failed job ${job.id}:`, storeError));
+    }
+}
+
+/**
+ * Check that work started now can outlive the response. On Vercel that needs
+ * the request context behind waitUntil; elsewhere (local development) the
+ * process is long-lived and keeps the work running. Call it before saving a
+ * job so a job that could never finish is not created.
+ * @throws {ApiError} If a background job would silently stop when the function freezes
+ */
+export function assertBackgroundSupport() {
+    if (process.env.VERCEL && typeof globalThis[REQUEST_CONTEXT]?.get?.()?.waitUntil !== 'function') {
+        console.error('waitUntil is unavailable in this function, so background jobs cannot run');
+        throw new ApiError('server_misconfigured', 'Background jobs are not available on this server');
+    }
+}
+
+/**
+ * Keep work running after the response is sent (see assertBackgroundSupport)
+ * @param {Promise<void>} task - Work that handles its own errors
+ */
+export function runInBackground(task) {
+    waitUntil(task);
+}
+
+/**
+ * Mark a queued or running job as failed if its function instance died
+ * without starting or finishing it
+ * @param {Job} job - Job to check
+ * @returns {Promise<Job>} The job, updated if it was stale
+ */
+export async function failIfStale(job) {
+    if (!['queued', 'running'].includes(job.status) || Date.now() - job.updatedAt < STALE_JOB_MS) {
+        return job;
+    }
+
+    const error = job.status === 'queued' ? 'The job never started' : 'The job stopped before finishing';
+    const failed = { ...job, status: 'failed', error, errorCode: 'internal_error', updatedAt: Date.now() };
+    await getJobStore().put(failed);
+    return failed;
+}
+
+/**
+ * Check whether a client may see or change a job. Jobs created by a
+ * signed-in user belong to that user; anonymous jobs are reachable by
+ * anyone holding their (unguessable) ID.
+ * @param {Job} job - Job
+ * @param {string} clientId - Client identifier (see getClientId)
+ * @returns {boolean} True if allowed
+ */
+export function canAccessJob(job, clientId) {
+    return !job.owner.startsWith('user:') || job.owner === clientId;
+}
+
+/**
+ * Read a succeeded job's result. It stays readable until the job expires or
+ * is deleted, so a response lost on the way to the client can be fetched again.
+ * @param {Job} job - Job
+ * @returns {Promise<JobResult|null>} Result, or null if the job has none (or it has expired)
+ */
+export async function getJobResult(job) {
+    if (job.status !== 'succeeded') return null;
+    return getJobStore().getPayload(job.id, 'result');
+}
+
+/**
+ * Build the client view of a job: no owner, and only the prompt and model of the input
+ * @param {Job} job - Job
+ * @param {JobResult|null} [result=null] - Result to include (see getJobResult)
+ * @returns {Object} Public job fields
+ */
+export function toPublicJob(job, result = null) {
+    return {
+        id: job.id,
+        type: job.type,
+        status: job.status,
+        prompt: job.input.prompt,
+        model: job.input.model || null,
+        result,
+        error: job.error,
+        errorCode: job.errorCode ?? null,
+        attempts: job.attempts,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt
+    };
+}
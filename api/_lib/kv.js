@@ -0,0 +1,55 @@
+// Client for Redis-compatible REST stores (Vercel KV or Upstash)
+// Shared by the rate limiter, the daily quotas and the job queue.
+
+const DEFAULT_TIMEOUT_MS = 2000;
+
+/**
+ * Read the REST store credentials from the environment
+ * @returns {{url: string, token: string}|null} Credentials, or null if no store is configured
+ */
+export function getKVConfig() {
+    const url = process.env.KV_REST_API_URL || process.env.UPSTASH_REDIS_REST_URL;
+    const token = process.env.KV_REST_API_TOKEN || process.env.UPSTASH_REDIS_REST_TOKEN;
+    return url && token ? { url, token } : null;
+}
+
+/**
+ * Minimal client for the REST API's pipeline endpoint
+ * @class
+ */
+export class KVClient {
+    /**
+     * Create a client
+     * @param {string} url - REST API base URL
+     * @param {string} token - REST API bearer token
+     * @param {number} [timeoutMs=2000] - Timeout per pipeline call in milliseconds
+     */
+    constructor(url, token, timeoutMs = DEFAULT_TIMEOUT_MS) {
+        this.url = url.replace(/\/+$/, '');
+        this.token = token;
+        this.timeoutMs = timeoutMs;
+    }
+
+    /**
+     * Run commands through the REST API's pipeline endpoint
+     * @param {Array<Array<string>>} commands - Redis commands
+     * @returns {Promise<Array<{result: *, error: string}>>} One result per command
+     * @throws {Error} If the store cannot be reached
+     */
+    async pipeline(commands) {
+        const response = await fetch(`${this.url}/pipeline`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${this.token}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(commands),
+            signal: AbortSignal.timeout(this.timeoutMs)
+        });
+
+        if (!response.ok) {
+            throw new Error(`KV store responded with status ${response.status}`);
+        }
+        return response.json();
+    }
+}
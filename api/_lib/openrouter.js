@@ -0,0 +1,698 @@
+// Shared OpenRouter client for the serverless handlers
+// Files prefixed with an underscore are not exposed as Vercel routes.
+
+import { checkRateLimit, getClientId, readEnvInteger, setRateLimitHeaders } from './rate-limit.js';
+import { authenticateRequest, isAuthEnabled } from './auth.js';
+import { consumeQuota, QUOTA_KINDS } from './quota.js';
+import { ApiError, sendError, setRequestId, upstreamErrorCode } from './errors.js';
+
+export const OPENROUTER_API_URL = 'https://openrouter.ai/api/v1/chat/completions';
+export const OPENROUTER_MODELS_URL = 'https://openrouter.ai/api/v1/models';
+export const OPENROUTER_KEY_URL = 'https://openrouter.ai/api/v1/key';
+
+/**
+ * Header carrying a user's own OpenRouter key (bring-your-own-key mode)
+ * @type {string}
+ */
+const USER_KEY_HEADER = 'x-openrouter-key';
+
+/**
+ * Shape of an OpenRouter API key
+ * @type {RegExp}
+ */
+const OPENROUTER_KEY_PATTERN = /^sk-or-[\w-]{16,200}$/;
+
+const DEFAULT_REFERER = 'https://ai-photo-editor.vercel.app';
+const DEFAULT_TITLE = 'AI Photo Editor';
+
+/**
+ * Time the platform gives an API route (maxDuration in vercel.json)
+ * @type {number}
+ */
+export const FUNCTION_MAX_DURATION_MS = 60 * 1000;
+
+/**
+ * Overall time allowed for an OpenRouter call, retries and waits included.
+ * It leaves room under FUNCTION_MAX_DURATION_MS for the checks before the
+ * call and for sending the error response before the platform stops the function.
+ * @type {number}
+ */
+const DEFAULT_TIMEOUT_MS = FUNCTION_MAX_DURATION_MS - 10 * 1000;
+const DEFAULT_RETRIES = 2;
+const DEFAULT_RETRY_BASE_MS = 1000;
+const DEFAULT_RETRY_MAX_MS = 8000;
+
+/**
+ * Least time worth giving another attempt; a retry that would leave less
+ * before the deadline is skipped and the last error returned instead
+ * @type {number}
+ */
+const MIN_ATTEMPT_MS = 5000;
+
+/**
+ * Maximum number of fallback models sent after the requested one
+ * @type {number}
+ */
+export const MAX_FALLBACK_MODELS = 3;
+
+/**
+ * Shape of an OpenRouter model ID (e.g. "google/gemini-2.5-flash-image")
+ * @type {RegExp}
+ */
+const MODEL_ID_PATTERN = /^[\w.-]+\/[\w.:-]+$/;
+
+/**
+ * Upstream statuses that are worth retrying
+ * @type {Set<number>}
+ */
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+
+/**
+ * Error raised for any failed OpenRouter call
+ * @class
+ */
+export class OpenRouterError extends ApiError {
+    /**
+     * Create an OpenRouter error
+     * @param {string} code - Error code (see ERROR_CODES in errors.js)
+     * @param {string} message - Error message safe to return to the client
+     * @param {number|null} [upstreamStatus=null] - Status returned by OpenRouter, if any
+     * @param {number|null} [retryAfter=null] - Seconds OpenRouter asked us to wait, if any
+     */
+    constructor(code, message, upstreamStatus = null, retryAfter = null) {
+        super(code, message, { upstreamStatus, retryAfter });
+        this.name = 'OpenRouterError';
+    }
+
+    /**
+     * Create the error for a failed OpenRouter response
+     * @param {number} status - Upstream HTTP status
+     * @param {string} message - Error message
+     * @param {number|null} [retryAfter=null] - Seconds OpenRouter asked us to wait, if any
+     * @returns {OpenRouterError} Error
+     */
+    static fromResponse(status, message, retryAfter = null) {
+        return new OpenRouterError(upstreamErrorCode(status), message, status, retryAfter);
+    }
+}
+
+/**
+ * Sanitize user-provided text (strip control characters, limit length)
+ * @param {string} text - Text to sanitize
+ * @param {number} [maxLength=2000] - Maximum length to keep
+ * @returns {string} Sanitized text (empty string if invalid)
+ */
+export function sanitizeText(text, maxLength = 2000) {
+    if (!text || typeof text !== 'string') return '';
+    return text.replace(/[\x00-\x1F\x7F]/g, '').substring(0, maxLength).trim();
+}
+
+/**
+ * Sanitize user-provided multi-line text such as instructions: like
+ * sanitizeText, but keeps line breaks and tabs
+ * @param {string} text - Text to sanitize
+ * @param {number} [maxLength=2000] - Maximum length to keep
+ * @returns {string} Sanitized text (empty string if invalid)
+ */
+export function sanitizeMultilineText(text, maxLength = 2000) {
+    if (!text || typeof text !== 'string') return '';
+    return text.replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, '').substring(0, maxLength).trim();
+}
+
+/**
+ * Check whether a value is a base64 image data URL
+ * @param {*} value - Value to check
+ * @returns {boolean} True if value is a data:image/ URL
+ */
+export function isDataImage(value) {
+    return typeof value === 'string' && value.startsWith('data:image/');
+}
+
+/**
+ * Aspect ratios accepted by image_config.aspect_ratio
+ * @type {Array<string>}
+ */
+export const ASPECT_RATIOS = ['1:1', '16:9', '9:16', '4:5', '3:2'];
+
+/**
+ * Resolutions accepted by image_config.image_size
+ * @type {Array<string>}
+ */
+export const IMAGE_SIZES = ['1K', '2K', '4K'];
+
+/**
+ * Validate size options from a request and build OpenRouter's image_config
+ * @param {Object} body - Request body
+ * @param {string} [body.aspectRatio] - Aspect ratio preset
+ * @param {string} [body.imageSize] - Resolution preset
+ * @returns {{error: string|null, imageConfig: Object|undefined}} Validation error or image_config
+ */
+export function parseImageConfig({ aspectRatio, imageSize }) {
+    if (aspectRatio !== undefined && !ASPECT_RATIOS.includes(aspectRatio)) {
+        return { error: 'Invalid aspect ratio provided', imageConfig: undefined };
+    }
+    if (imageSize !== undefined && !IMAGE_SIZES.includes(imageSize)) {
+        return { error: 'Invalid image size provided', imageConfig: undefined };
+    }
+
+    const imageConfig = {};
+    if (aspectRatio) imageConfig.aspect_ratio = aspectRatio;
+    if (imageSize) imageConfig.image_size = imageSize;
+
+    return {
+        error: null,
+        imageConfig: Object.keys(imageConfig).length > 0 ? imageConfig : undefined
+    };
+}
+
+/**
+ * Wait for a given number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Ends the wait early when aborted
+ * @returns {Promise<void>}
+ */
+function delay(ms, signal) {
+    return new Promise(resolve => {
+        const onAbort = () => {
+            clearTimeout(timeoutId);
+            resolve();
+        };
+        // Remove the listener once the wait is over, or every retry leaves one behind on the signal
+        const timeoutId = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Read a Retry-After header (seconds or an HTTP date)
+ * @param {string|null} value - Header value
+ * @returns {number|null} Milliseconds to wait, or null if absent or invalid
+ */
+export function parseRetryAfter(value) {
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+        return seconds >= 0 ? seconds * 1000 : null;
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Read the retry settings from the environment
+ * @returns {{retries: number, baseMs: number, maxMs: number}} Retries after the first attempt, first backoff and longest wait
+ */
+function getRetryConfig() {
+    return {
+        retries: readEnvInteger('OPENROUTER_RETRIES', DEFAULT_RETRIES),
+        baseMs: readEnvInteger('OPENROUTER_RETRY_BASE_MS', DEFAULT_RETRY_BASE_MS),
+        maxMs: readEnvInteger('OPENROUTER_RETRY_MAX_MS', DEFAULT_RETRY_MAX_MS)
+    };
+}
+
+/**
+ * Work out how long to wait before a retry: exponential backoff with jitter
+ * (between half and all of the backoff, so concurrent callers spread out),
+ * or exactly what Retry-After asked for
+ * @param {number} attempt - Retry number (1 for the first retry)
+ * @param {number|null} retryAfterMs - Wait requested by OpenRouter, if any
+ * @param {{baseMs: number, maxMs: number}} config - Retry settings
+ * @returns {number|null} Milliseconds to wait, or null if the requested wait is longer than we are willing to wait
+ */
+export function getRetryDelay(attempt, retryAfterMs, { baseMs, maxMs }) {
+    if (retryAfterMs !== null) {
+        return retryAfterMs <= maxMs ? retryAfterMs : null;
+    }
+
+    const backoff = Math.min(maxMs, baseMs * 2 ** (attempt - 1));
+    return Math.round(backoff / 2 + Math.random() * backoff / 2);
+}
+
+/**
+ * Parse fallback chains from MODEL_FALLBACKS: comma-separated chains of model
+ * IDs joined by ">", e.g. "black-forest-labs/flux.2-pro>google/gemini-2.5-flash-image".
+ * Each model in a chain falls back to the ones after it.
+ * @param {string} [config] - Value of MODEL_FALLBACKS
+ * @returns {Object.<string, Array<string>>} Fallback models by model ID
+ */
+function parseFallbackChains(config) {
+    const chains = {};
+    for (const chain of (config || '').split(',')) {
+        const models = chain.split('>').map(model => model.trim()).filter(model => MODEL_ID_PATTERN.test(model));
+        models.forEach((model, index) => {
+            // The first chain that mentions a model wins
+            if (!chains[model] && index < models.length - 1) {
+                chains[model] = models.slice(index + 1, index + 1 + MAX_FALLBACK_MODELS);
+            }
+        });
+    }
+    return chains;
+}
+
+/**
+ * Pick the fallback models for a request: the request's own list if it sent
+ * one (an empty list turns fallbacks off), otherwise the configured chain
+ * @param {string} model - Requested model
+ * @param {*} requested - fallbackModels from the request body
+ * @returns {{error: string|null, models: Array<string>}} Validation error or fallback models
+ */
+export function resolveFallbackModels(model, requested) {
+    if (requested === undefined || requested === null) {
+        return { error: null, models: parseFallbackChains(process.env.MODEL_FALLBACKS)[model] || [] };
+    }
+
+    if (!Array.isArray(requested) || requested.length > MAX_FALLBACK_MODELS
+        || !requested.every(id => typeof id === 'string' && MODEL_ID_PATTERN.test(id))) {
+        return { error: `Fallback models must be a list of up to ${MAX_FALLBACK_MODELS} model IDs`, models: [] };
+    }
+    return { error: null, models: requested.filter(id => id !== model) };
+}
+
+/**
+ * Read the error message from a failed upstream response
+ * @param {Response} response - Failed fetch response
+ * @returns {Promise<string>} Error message
+ */
+async function readUpstreamError(response) {
+    try {
+        const errorData = await response.json();
+        console.error('OpenRouter API error:', errorData);
+        return errorData.error?.message || `API request failed with status ${response.status}`;
+    } catch {
+        return `API request failed with status ${response.status}`;
+    }
+}
+
+/**
+ * Build the headers sent with every OpenRouter request
+ * @param {string} apiKey - OpenRouter API key
+ * @param {string} [title] - X-Title header value
+ * @returns {Object.<string, string>} Request headers
+ */
+function buildHeaders(apiKey, title = DEFAULT_TITLE) {
+    return {
+        'Authorization': `Bearer ${apiKey}`,
+        'Content-Type': 'application/json',
+        'HTTP-Referer': process.env.VERCEL_URL || DEFAULT_REFERER,
+        'X-Title': title
+    };
+}
+
+/**
+ * Call the OpenRouter chat completions API
+ * @param {string} apiKey - OpenRouter API key
+ * @param {Object} body - Request body
+ * @param {Object} [options] - Call options
+ * @param {string} [options.title] - X-Title header sent to OpenRouter
+ * @param {number} [options.timeoutMs=50000] - Overall deadline in milliseconds, shared by every attempt and the waits between them
+ * @param {number} [options.retries] - Retries on network errors and transient upstream statuses
+ *        (defaults to OPENROUTER_RETRIES; waits back off exponentially and follow Retry-After)
+ * @param {AbortSignal} [options.signal] - Cancels the request (and a streamed body) when the client goes away
+ * @returns {Promise<Response>} Successful fetch response (body not yet consumed)
+ * @throws {OpenRouterError} If the request fails, times out, or OpenRouter returns an error
+ */
+export async function callOpenRouter(apiKey, body, options = {}) {
+    const retryConfig = getRetryConfig();
+    const {
+        title = DEFAULT_TITLE,
+        timeoutMs = DEFAULT_TIMEOUT_MS,
+        retries = retryConfig.retries,
+        signal
+    } = options;
+
+    const deadline = Date.now() + timeoutMs;
+    let lastError = null;
+    let retryAfterMs = null;
+
+    for (let attempt = 0; attempt <= retries; attempt++) {
+        if (attempt > 0) {
+            const waitMs = getRetryDelay(attempt, retryAfterMs, retryConfig);
+            // OpenRouter wants a longer pause than we can hold the request open for,
+            // or the wait would leave too little time before the deadline for another attempt
+            if (waitMs === null || Date.now() + waitMs + MIN_ATTEMPT_MS > deadline) break;
+            await delay(waitMs, signal);
+        }
+        if (signal?.aborted) {
+            throw new OpenRouterError('cancelled', 'Request cancelled');
+        }
+
+        const remainingMs = deadline - Date.now();
+        if (remainingMs <= 0) {
+            lastError = new OpenRouterError('upstream_timeout', 'The AI service timed out');
+            break;
+        }
+
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), remainingMs);
+        // The listener stays attached on success so a cancel also stops the streamed body
+        const cancel = () => controller.abort();
+        signal?.addEventListener('abort', cancel, { once: true });
+
+        try {
+            const response = await fetch(OPENROUTER_API_URL, {
+                method: 'POST',
+                headers: buildHeaders(apiKey, title),
+                // Always ask for token counts and cost so every route can report usage
+                body: JSON.stringify({ ...body, usage: { include: true } }),
+                signal: controller.signal
+            });
+
+            if (response.ok) {
+                return response;
+            }
+
+            signal?.removeEventListener('abort', cancel);
+            retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+            const message = await readUpstreamError(response);
+            lastError = OpenRouterError.fromResponse(
+                response.status,
+                message,
+                retryAfterMs === null ? null : Math.ceil(retryAfterMs / 1000)
+            );
+
+            if (!RETRYABLE_STATUSES.has(response.status)) {
+                throw lastError;
+            }
+        } catch (error) {
+            signal?.removeEventListener('abort', cancel);
+            if (signal?.aborted) {
+                throw new OpenRouterError('cancelled', 'Request cancelled');
+            }
+            if (error instanceof OpenRouterError && !RETRYABLE_STATUSES.has(error.upstreamStatus)) {
+                throw error;
+            }
+            if (error.name === 'AbortError') {
+                lastError = new OpenRouterError('upstream_timeout', 'The AI service timed out');
+                retryAfterMs = null;
+            } else if (!(error instanceof OpenRouterError)) {
+                console.error('OpenRouter request failed:', error);
+                lastError = new OpenRouterError('upstream_unreachable', 'Unable to reach the AI service');
+                retryAfterMs = null;
+            }
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    throw lastError;
+}
+
+/**
+ * @typedef {Object} RequestUsage
+ * @property {string} model - Model that served the request
+ * @property {number} promptTokens - Input tokens
+ * @property {number} completionTokens - Output tokens
+ * @property {number} totalTokens - Input plus output tokens
+ * @property {number} images - Images returned
+ * @property {number|null} cost - Cost in credits (USD), null if OpenRouter did not report it
+ */
+
+/**
+ * Normalize the usage block of a completion response
+ * @param {Object} data - OpenRouter completion response
+ * @param {string} requestedModel - Model sent in the request (used if the response omits it)
+ * @returns {RequestUsage} Usage summary
+ */
+export function summarizeUsage(data, requestedModel) {
+    const usage = data?.usage || {};
+    const message = data?.choices?.[0]?.message;
+    const contentImages = Array.isArray(message?.content)
+        ? message.content.filter(part => part?.type === 'image_url').length
+        : 0;
+    const promptTokens = Number(usage.prompt_tokens) || 0;
+    const completionTokens = Number(usage.completion_tokens) || 0;
+
+    return {
+        model: typeof data?.model === 'string' && data.model ? data.model : requestedModel,
+        promptTokens,
+        completionTokens,
+        totalTokens: Number(usage.total_tokens) || promptTokens + completionTokens,
+        images: (Array.isArray(message?.images) ? message.images.length : 0) + contentImages,
+        cost: typeof usage.cost === 'number' ? usage.cost : null
+    };
+}
+
+/**
+ * Send a completion response with its normalized usage attached as requestUsage
+ * @param {Object} res - Vercel response object
+ * @param {Object} data - OpenRouter completion response
+ * @param {string} requestedModel - Model sent in the request
+ * @returns {*} Response
+ */
+export function sendCompletion(res, data, requestedModel) {
+    return res.status(200).json({ ...data, requestUsage: summarizeUsage(data, requestedModel) });
+}
+
+/**
+ * Fetch the full OpenRouter model list
+ * @param {string} apiKey - OpenRouter API key
+ * @param {number} [timeoutMs=15000] - Request timeout in milliseconds
+ * @returns {Promise<Array<Object>>} Raw model entries from OpenRouter
+ * @throws {OpenRouterError} If the request fails or times out
+ */
+export async function fetchModelList(apiKey, timeoutMs = 15000) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+
+    try {
+        const response = await fetch(OPENROUTER_MODELS_URL, {
+            headers: buildHeaders(apiKey),
+            signal: controller.signal
+        });
+
+        if (!response.ok) {
+            const message = await readUpstreamError(response);
+            throw OpenRouterError.fromResponse(response.status, message);
+        }
+
+        const data = await response.json();
+        return Array.isArray(data.data) ? data.data : [];
+    } catch (error) {
+        if (error instanceof OpenRouterError) throw error;
+        if (error.name === 'AbortError') {
+            throw new OpenRouterError('upstream_timeout', 'The AI service timed out');
+        }
+        console.error('OpenRouter model list request failed:', error);
+        throw new OpenRouterError('upstream_unreachable', 'Unable to reach the AI service');
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+/**
+ * @typedef {Object} OpenRouterKeyInfo
+ * @property {string} label - Key label shown in OpenRouter
+ * @property {number} usage - Credits used by the key (USD)
+ * @property {number|null} limit - Credit limit (null for unlimited)
+ * @property {number|null} limitRemaining - Credits left under the limit (null for unlimited)
+ * @property {boolean} isFreeTier - Whether the account has never purchased credits
+ */
+
+/**
+ * Look up an OpenRouter key (validates it and reads its credit usage)
+ * @param {string} apiKey - OpenRouter API key
+ * @param {number} [timeoutMs=15000] - Request timeout in milliseconds
+ * @returns {Promise<OpenRouterKeyInfo>} Key details
+ * @throws {OpenRouterError} If the key is rejected, or the request fails or times out
+ */
+export async function fetchKeyInfo(apiKey, timeoutMs = 15000) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+
+    try {
+        const response = await fetch(OPENROUTER_KEY_URL, {
+            headers: buildHeaders(apiKey),
+            signal: controller.signal
+        });
+
+        if (response.status === 401) {
+            throw new OpenRouterError('invalid_api_key', 'OpenRouter rejected this API key', 401);
+        }
+        if (!response.ok) {
+            const message = await readUpstreamError(response);
+            throw OpenRouterError.fromResponse(response.status, message);
+        }
+
+        const { data = {} } = await response.json();
+        return {
+            label: typeof data.label === 'string' ? data.label : '',
+            usage: Number(data.usage) || 0,
+            limit: typeof data.limit === 'number' ? data.limit : null,
+            limitRemaining: typeof data.limit_remaining === 'number' ? data.limit_remaining : null,
+            isFreeTier: Boolean(data.is_free_tier)
+        };
+    } catch (error) {
+        if (error instanceof OpenRouterError) throw error;
+        if (error.name === 'AbortError') {
+            throw new OpenRouterError('upstream_timeout', 'The AI service timed out');
+        }
+        console.error('OpenRouter key request failed:', error);
+        throw new OpenRouterError('upstream_unreachable', 'Unable to reach the AI service');
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+/**
+ * Create a signal that fires if the browser stops the response or disconnects,
+ * so the upstream request can be cancelled
+ * @param {Object} res - Vercel response object
+ * @returns {AbortSignal} Signal for callOpenRouter
+ */
+export function abortOnClientClose(res) {
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) controller.abort();
+    });
+    return controller.signal;
+}
+
+/**
+ * Pipe an upstream SSE response to the client
+ * @param {Response} response - Successful streaming fetch response
+ * @param {Object} res - Vercel response object
+ * @returns {Promise<void>}
+ */
+export async function pipeStream(response, res) {
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+
+    // Stop reading from OpenRouter as soon as the browser disconnects
+    let clientClosed = false;
+    res.on('close', () => {
+        clientClosed = true;
+        reader.cancel().catch(() => {});
+    });
+
+    try {
+        while (!clientClosed) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            res.write(decoder.decode(value, { stream: true }));
+        }
+    } catch (streamError) {
+        if (!clientClosed) console.error('Stream error:', streamError);
+    } finally {
+        res.end();
+    }
+}
+
+/**
+ * Create a serverless handler with the shared request ID, method check,
+ * authentication, rate limiting, daily quotas, API key lookup and error
+ * translation. The wrapped function only validates the request and calls
+ * OpenRouter; any ApiError it throws is sent as an error envelope.
+ * A user's own key in the X-OpenRouter-Key header replaces the server key;
+ * those requests are billed to the user and skip the daily quotas.
+ * @param {Object} config - Handler configuration
+ * @param {string} config.name - Handler name used in logs (e.g. 'edit')
+ * @param {string} config.failureMessage - Message returned for unexpected errors
+ * @param {Array<string>} [config.methods=['POST']] - Allowed HTTP methods
+ * @param {boolean} [config.auth=true] - Require a signed-in user when authentication is enabled
+ * @param {Object|false} [config.rateLimit={}] - Options for checkRateLimit (false to skip)
+ * @param {string|null} [config.quota=null] - Daily quota kind counted per request ('images' or 'chat')
+ * @param {boolean} [config.requiresApiKey=true] - Whether the route calls OpenRouter
+ * @param {function(Object, Object, {apiKey: string, keySource: 'user'|'server', user: Object|null}): Promise<*>} handle - Request handler
+ * @returns {function(Object, Object): Promise<*>} Vercel handler
+ */
+export function createHandler({ name, failureMessage, methods = ['POST'], auth = true, rateLimit = {}, quota = null, requiresApiKey = true }, handle) {
+    return async function handler(req, res) {
+        const requestId = setRequestId(req, res);
+
+        if (!methods.includes(req.method)) {
+            res.setHeader('Allow', methods.join(', '));
+            return sendError(res, 'method_not_allowed', 'Method not allowed');
+        }
+
+        let user;
+        try {
+            user = await authenticateRequest(req, getClientId(req));
+            if (auth && !user && isAuthEnabled()) {
+                return sendError(res, 'auth_required', 'Please sign in to continue');
+            }
+        } catch (error) {
+            if (error instanceof ApiError) {
+                // Too many invalid tokens from this client
+                return sendError(res, error.code, error.message, { retryAfter: error.retryAfter });
+            }
+            console.error(`Authentication error (request ${requestId}):`, error);
+            return sendError(res, 'server_misconfigured', 'Server configuration error');
+        }
+
+        if (rateLimit) {
+            const limit = await checkRateLimit(getClientId(req, user), rateLimit);
+            if (limit) {
+                setRateLimitHeaders(res, limit);
+                if (!limit.allowed) {
+                    return sendError(res, 'rate_limited', `Too many requests. Please wait ${limit.retryAfter} seconds before trying again.`, {
+                        retryAfter: limit.retryAfter
+                    });
+                }
+            }
+        }
+
+        const userKey = req.headers[USER_KEY_HEADER];
+        if (userKey !== undefined && (typeof userKey !== 'string' || !OPENROUTER_KEY_PATTERN.test(userKey))) {
+            return badRequest(res, 'The OpenRouter key in X-OpenRouter-Key is malformed', 'invalid_api_key');
+        }
+        const keySource = userKey ? 'user' : 'server';
+
+        // Requests count against the quota when they start, whether or not they succeed
+        if (quota && user && keySource === 'server') {
+            const status = await consumeQuota(user.id, quota);
+            if (status.limit !== null) {
+                res.setHeader('X-Quota-Limit', String(status.limit));
+                res.setHeader('X-Quota-Remaining', String(status.limit - status.used));
+            }
+            if (!status.allowed) {
+                return sendError(res, 'quota_exceeded', `Daily ${QUOTA_KINDS[quota].label} quota of ${status.limit} reached. It resets at midnight UTC.`, {
+                    details: { quota: { used: status.used, limit: status.limit, resetAt: status.resetAt } }
+                });
+            }
+        }
+
+        const apiKey = userKey || process.env.OPENROUTER_API_KEY;
+        if (requiresApiKey && !apiKey) {
+            console.error('OPENROUTER_API_KEY environment variable is not set');
+            return sendError(res, 'server_misconfigured', 'Server configuration error');
+        }
+
+        try {
+            return await handle(req, res, { apiKey, keySource, user });
+        } catch (error) {
+            // A rejected user key is the caller's problem, not a gateway failure
+            if (error instanceof OpenRouterError && keySource === 'user' && error.upstreamStatus === 401) {
+                return badRequest(res, 'OpenRouter rejected your API key. Check it on the Usage page.', 'invalid_api_key');
+            }
+            if (error instanceof ApiError) {
+                // Passes on how long OpenRouter asked us to wait, if it did
+                return sendError(res, error.code, error.message, {
+                    upstreamStatus: error.upstreamStatus,
+                    retryAfter: error.retryAfter
+                });
+            }
+            console.error(`Error in ${name} API (request ${requestId}):`, error);
+            return sendError(res, 'internal_error', failureMessage);
+        }
+    };
+}
+
+/**
+ * Send a validation error response
+ * @param {Object} res - Vercel response object
+ * @param {string} message - Error message
+ * @param {string} [code='invalid_request'] - Error code (e.g. 'invalid_prompt', 'invalid_image')
+ * @returns {*} Response
+ */
+export function badRequest(res, message, code = 'invalid_request') {
+    return sendError(res, code, message);
+}
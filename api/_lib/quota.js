@@ -0,0 +1,86 @@
+// Per-user daily quotas for the serverless handlers
+// Counts image and chat requests per signed-in user per UTC day in the
+// rate limit store. Quotas only apply when authentication is enabled.
+
+import { getRateLimitStore, readEnvInteger } from './rate-limit.js';
+
+const KEY_PREFIX = 'quota';
+
+/**
+ * Quota kinds with the environment variable and default for their daily limit
+ * @type {Object.<string, {env: string, defaultLimit: number, label: string}>}
+ */
+export const QUOTA_KINDS = {
+    images: { env: 'QUOTA_DAILY_IMAGES', defaultLimit: 100, label: 'image' },
+    chat: { env: 'QUOTA_DAILY_CHAT', defaultLimit: 500, label: 'chat' }
+};
+
+/**
+ * @typedef {Object} QuotaStatus
+ * @property {number} used - Requests counted today
+ * @property {number|null} limit - Daily limit (null for unlimited)
+ * @property {number} resetAt - Timestamp (ms) of the next UTC midnight
+ */
+
+/**
+ * Get the daily limit for a quota kind
+ * @param {string} kind - Key of QUOTA_KINDS
+ * @returns {number|null} Limit, or null if unlimited (0 in the environment)
+ */
+function getQuotaLimit(kind) {
+    const { env, defaultLimit } = QUOTA_KINDS[kind];
+    return readEnvInteger(env, defaultLimit) || null;
+}
+
+/**
+ * Get the current UTC day and when it ends
+ * @returns {{day: string, resetAt: number}} Day as YYYY-MM-DD and next midnight
+ */
+function getQuotaDay() {
+    const now = new Date();
+    const resetAt = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+    return { day: now.toISOString().slice(0, 10), resetAt };
+}
+
+/**
+ * Count a request against a user's daily quota. Store failures allow the
+ * request (and are logged), like the rate limiter.
+ * @param {string} userId - User ID
+ * @param {string} kind - Key of QUOTA_KINDS
+ * @returns {Promise<QuotaStatus & {allowed: boolean}>} Quota after counting this request
+ */
+export async function consumeQuota(userId, kind) {
+    const limit = getQuotaLimit(kind);
+    const { day, resetAt } = getQuotaDay();
+
+    try {
+        // Unlimited kinds are still counted so the usage page can show them
+        const { count } = await getRateLimitStore().hit(`${KEY_PREFIX}:${kind}:${userId}:${day}`, resetAt - Date.now());
+        if (limit === null) {
+            return { allowed: true, used: count, limit, resetAt };
+        }
+        return { allowed: count <= limit, used: Math.min(count, limit), limit, resetAt };
+    } catch (error) {
+        console.error('Quota store error:', error);
+        return { allowed: true, used: 0, limit, resetAt };
+    }
+}
+
+/**
+ * Get a user's quota usage for today without counting a request
+ * @param {string} userId - User ID
+ * @returns {Promise<Object.<string, QuotaStatus>>} Status per quota kind
+ * @throws {Error} If the store cannot be reached
+ */
+export async function getQuotaUsage(userId) {
+    const { day, resetAt } = getQuotaDay();
+    const store = getRateLimitStore();
+
+    const entries = await Promise.all(Object.keys(QUOTA_KINDS).map(async kind => {
+        const limit = getQuotaLimit(kind);
+        const used = await store.get(`${KEY_PREFIX}:${kind}:${userId}:${day}`);
+        return [kind, { used: limit === null ? used : Math.min(used, limit), limit, resetAt }];
+    }));
+
+    return Object.fromEntries(entries);
+}
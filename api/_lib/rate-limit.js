@@ -0,0 +1,268 @@
+// Server-side rate limiting for the serverless handlers
+// Counts requests per client in fixed windows (the same counter stores back
+// the daily quotas in quota.js). The in-memory store only sees
+// one function instance, so production deployments should configure a
+// Redis-compatible REST store (Vercel KV or Upstash) shared by all instances.
+
+import { getKVConfig, KVClient } from './kv.js';
+
+const DEFAULT_MAX_REQUESTS = 30;
+const DEFAULT_WINDOW_MS = 60000;
+const KEY_PREFIX = 'ratelimit';
+
+/**
+ * Maximum number of keys kept by the in-memory store before expired ones are pruned
+ * @type {number}
+ */
+const MEMORY_PRUNE_THRESHOLD = 10000;
+
+/**
+ * @typedef {Object} RateLimitHit
+ * @property {number} count - Requests counted in the current window, including this one
+ * @property {number} resetAt - Timestamp (ms) when the window ends
+ */
+
+/**
+ * @typedef {Object} RateLimitResult
+ * @property {boolean} allowed - Whether the request may proceed
+ * @property {number} limit - Maximum requests per window
+ * @property {number} remaining - Requests left in the current window
+ * @property {number} resetAt - Timestamp (ms) when the window ends
+ * @property {number} retryAfter - Seconds to wait before retrying (0 if allowed)
+ */
+
+/**
+ * In-memory fixed-window counter (development and single-instance deployments)
+ * @class
+ */
+export class MemoryRateLimitStore {
+    /**
+     * Create an empty in-memory store
+     */
+    constructor() {
+        this.windows = new Map();
+    }
+
+    /**
+     * Count a request against a key
+     * @param {string} key - Bucket key
+     * @param {number} windowMs - Window length in milliseconds
+     * @returns {Promise<RateLimitHit>} Count and window end
+     */
+    async hit(key, windowMs) {
+        const now = Date.now();
+        if (this.windows.size > MEMORY_PRUNE_THRESHOLD) {
+            this.prune(now);
+        }
+
+        let entry = this.windows.get(key);
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + windowMs };
+            this.windows.set(key, entry);
+        }
+        entry.count++;
+
+        return { count: entry.count, resetAt: entry.resetAt };
+    }
+
+    /**
+     * Read a key's count without counting a request
+     * @param {string} key - Bucket key
+     * @returns {Promise<number>} Count in the current window (0 if none)
+     */
+    async get(key) {
+        const entry = this.windows.get(key);
+        return entry && entry.resetAt > Date.now() ? entry.count : 0;
+    }
+
+    /**
+     * Read a key's window without counting a request
+     * @param {string} key - Bucket key
+     * @returns {Promise<RateLimitHit|null>} Count and window end, or null if no window is open
+     */
+    async peek(key) {
+        const entry = this.windows.get(key);
+        return entry && entry.resetAt > Date.now() ? { count: entry.count, resetAt: entry.resetAt } : null;
+    }
+
+    /**
+     * Drop windows that have ended
+     * @param {number} now - Current timestamp in milliseconds
+     */
+    prune(now) {
+        for (const [key, entry] of this.windows) {
+            if (entry.resetAt <= now) this.windows.delete(key);
+        }
+    }
+}
+
+/**
+ * Fixed-window counter backed by a Redis REST API (Vercel KV / Upstash)
+ * @class
+ */
+export class KVRateLimitStore extends KVClient {
+    /**
+     * Count a request against a key (INCR, set the expiry on the first hit, read the TTL)
+     * @param {string} key - Bucket key
+     * @param {number} windowMs - Window length in milliseconds
+     * @returns {Promise<RateLimitHit>} Count and window end
+     * @throws {Error} If the store cannot be reached
+     */
+    async hit(key, windowMs) {
+        const [incr, , pttl] = await this.pipeline([
+            ['INCR', key],
+            ['PEXPIRE', key, String(windowMs), 'NX'],
+            ['PTTL', key]
+        ]);
+        if (incr?.error || typeof incr?.result !== 'number') {
+            throw new Error(incr?.error || 'Unexpected rate limit store response');
+        }
+
+        const ttl = typeof pttl?.result === 'number' && pttl.result > 0 ? pttl.result : windowMs;
+        return { count: incr.result, resetAt: Date.now() + ttl };
+    }
+
+    /**
+     * Read a key's count without counting a request
+     * @param {string} key - Bucket key
+     * @returns {Promise<number>} Count in the current window (0 if none)
+     * @throws {Error} If the store cannot be reached
+     */
+    async get(key) {
+        const [get] = await this.pipeline([['GET', key]]);
+        if (get?.error) throw new Error(get.error);
+        return Number.parseInt(get?.result, 10) || 0;
+    }
+
+    /**
+     * Read a key's window without counting a request
+     * @param {string} key - Bucket key
+     * @returns {Promise<RateLimitHit|null>} Count and window end, or null if no window is open
+     * @throws {Error} If the store cannot be reached
+     */
+    async peek(key) {
+        const [get, pttl] = await this.pipeline([['GET', key], ['PTTL', key]]);
+        if (get?.error || pttl?.error) throw new Error(get?.error || pttl.error);
+
+        const count = Number.parseInt(get?.result, 10) || 0;
+        const ttl = typeof pttl?.result === 'number' ? pttl.result : 0;
+        return count > 0 && ttl > 0 ? { count, resetAt: Date.now() + ttl } : null;
+    }
+}
+
+/**
+ * Shared store instance, created on first use
+ * @type {MemoryRateLimitStore|KVRateLimitStore|null}
+ */
+let store = null;
+
+/**
+ * Get the configured store: KV when its REST credentials are set, memory otherwise
+ * @returns {MemoryRateLimitStore|KVRateLimitStore} Rate limit store
+ */
+export function getRateLimitStore() {
+    if (!store) {
+        const kv = getKVConfig();
+        store = kv ? new KVRateLimitStore(kv.url, kv.token) : new MemoryRateLimitStore();
+    }
+    return store;
+}
+
+/**
+ * Read a non-negative integer from an environment variable
+ * @param {string} name - Variable name
+ * @param {number} fallback - Value used when unset or invalid
+ * @returns {number} Parsed value
+ */
+export function readEnvInteger(name, fallback) {
+    const value = Number.parseInt(process.env[name], 10);
+    return Number.isInteger(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Identify the client making a request: the signed-in user if there is one,
+ * otherwise the IP. Vercel sets x-real-ip and overwrites x-forwarded-for, so
+ * neither can be spoofed behind its proxy.
+ * @param {Object} req - Vercel request object
+ * @param {{id: string}|null} [user=null] - Signed-in user
+ * @returns {string} Client identifier
+ */
+export function getClientId(req, user = null) {
+    if (user) return `user:${user.id}`;
+
+    const realIp = req.headers['x-real-ip'];
+    if (typeof realIp === 'string' && realIp) return `ip:${realIp}`;
+
+    const forwardedFor = req.headers['x-forwarded-for'];
+    if (typeof forwardedFor === 'string' && forwardedFor) {
+        return `ip:${forwardedFor.split(',')[0].trim()}`;
+    }
+
+    return `ip:${req.socket?.remoteAddress || 'unknown'}`;
+}
+
+/**
+ * Count a request and decide whether it may proceed. If the store fails the
+ * request is allowed (and logged) so a store outage does not take the app down.
+ * @param {string} clientId - Client identifier (see getClientId)
+ * @param {Object} [options] - Limit options
+ * @param {string} [options.bucket='api'] - Bucket name; routes sharing a bucket share the limit
+ * @param {number} [options.max] - Requests per window (defaults to RATE_LIMIT_MAX_REQUESTS, 0 disables)
+ * @param {number} [options.windowMs] - Window length (defaults to RATE_LIMIT_WINDOW_MS)
+ * @returns {Promise<RateLimitResult|null>} Result, or null when rate limiting is disabled
+ */
+export async function checkRateLimit(clientId, { bucket = 'api', max, windowMs } = {}) {
+    const limit = max ?? readEnvInteger('RATE_LIMIT_MAX_REQUESTS', DEFAULT_MAX_REQUESTS);
+    const windowLength = windowMs ?? (readEnvInteger('RATE_LIMIT_WINDOW_MS', DEFAULT_WINDOW_MS) || DEFAULT_WINDOW_MS);
+    if (limit === 0) return null;
+
+    let hit;
+    try {
+        hit = await getRateLimitStore().hit(`${KEY_PREFIX}:${bucket}:${clientId}`, windowLength);
+    } catch (error) {
+        console.error('Rate limit store error:', error);
+        return null;
+    }
+
+    const allowed = hit.count <= limit;
+    return {
+        allowed,
+        limit,
+        remaining: Math.max(0, limit - hit.count),
+        resetAt: hit.resetAt,
+        retryAfter: allowed ? 0 : Math.max(1, Math.ceil((hit.resetAt - Date.now()) / 1000))
+    };
+}
+
+/**
+ * Check how long a client has to wait before a limit lets it through again,
+ * without counting a request. Like checkRateLimit, a store failure does not block.
+ * @param {string} clientId - Client identifier (see getClientId)
+ * @param {{bucket: string, max: number}} options - Bucket and requests per window, as passed to checkRateLimit
+ * @returns {Promise<number>} Seconds to wait (0 if the client is within the limit)
+ */
+export async function getRateLimitWait(clientId, { bucket, max }) {
+    let window;
+    try {
+        window = await getRateLimitStore().peek(`${KEY_PREFIX}:${bucket}:${clientId}`);
+    } catch (error) {
+        console.error('Rate limit store error:', error);
+        return 0;
+    }
+
+    return window && window.count >= max ? Math.max(1, Math.ceil((window.resetAt - Date.now()) / 1000)) : 0;
+}
+
+/**
+ * Set the X-RateLimit-* headers (and Retry-After when limited) on a response
+ * @param {Object} res - Vercel response object
+ * @param {RateLimitResult} result - Rate limit result
+ */
+export function setRateLimitHeaders(res, result) {
+    res.setHeader('X-RateLimit-Limit', String(result.limit));
+    res.setHeader('X-RateLimit-Remaining', String(result.remaining));
+    res.setHeader('X-RateLimit-Reset', String(Math.ceil(result.resetAt / 1000)));
+    if (!result.allowed) {
+        res.setHeader('Retry-After', String(result.retryAfter));
+    }
+}
@@ -1,80 +1,46 @@
 // Vercel Serverless Function: Image Analysis
 // Endpoint: POST /api/analyze
 
-const OPENROUTER_API_URL = 'https://openrouter.ai/api/v1/chat/completions';
+import { createHandler, callOpenRouter, abortOnClientClose, sanitizeText, isDataImage, badRequest, sendCompletion } from './_lib/openrouter.js';
 
-export default async function handler(req, res) {
-    // Only allow POST requests
-    if (req.method !== 'POST') {
-        return res.status(405).json({ error: 'Method not allowed' });
-    }
-
-    // Check for API key
-    const apiKey = process.env.OPENROUTER_API_KEY;
-    if (!apiKey) {
-        console.error('OPENROUTER_API_KEY environment variable is not set');
-        return res.status(500).json({ error: 'Server configuration error' });
-    }
+const MODEL = 'openrouter/bert-nebulon-alpha';
 
-    try {
-        const { prompt, image } = req.body;
+export default createHandler({ name: 'analyze', failureMessage: 'Failed to analyze image', quota: 'chat' }, async (req, res, { apiKey }) => {
+    const { prompt, image } = req.body || {};
 
-        // Validate inputs
-        if (!image || typeof image !== 'string' || !image.startsWith('data:image/')) {
-            return res.status(400).json({ error: 'Invalid image provided' });
-        }
+    // Validate inputs
+    if (!isDataImage(image)) {
+        return badRequest(res, 'Invalid image provided', 'invalid_image');
+    }
 
-        // Default prompt if not provided
-        const analysisPrompt = prompt || "Analyze this image and describe its content and quality";
-        
-        // Sanitize prompt
-        const sanitizedPrompt = analysisPrompt.replace(/[\x00-\x1F\x7F]/g, '').substring(0, 2000).trim();
+    // Default prompt if not provided
+    const sanitizedPrompt = sanitizeText(prompt || 'Analyze this image and describe its content and quality');
 
-        const response = await fetch(OPENROUTER_API_URL, {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${apiKey}`,
-                'Content-Type': 'application/json',
-                'HTTP-Referer': process.env.VERCEL_URL || 'https://ai-photo-editor.vercel.app',
-                'X-Title': 'AI Photo Editor'
-            },
-            body: JSON.stringify({
-                model: 'openrouter/bert-nebulon-alpha',
-                messages: [
+    const response = await callOpenRouter(apiKey, {
+        model: MODEL,
+        messages: [
+            {
+                role: 'user',
+                content: [
+                    {
+                        type: 'text',
+                        text: sanitizedPrompt
+                    },
                     {
-                        role: 'user',
-                        content: [
-                            {
-                                type: 'text',
-                                text: sanitizedPrompt
-                            },
-                            {
-                                type: 'image_url',
-                                image_url: {
-                                    url: image
-                                }
-                            }
-                        ]
+                        type: 'image_url',
+                        image_url: {
+                            url: image
+                        }
                     }
-                ],
-                stream: false
-            })
-        });
-
-        if (!response.ok) {
-            const errorData = await response.json();
-            console.error('OpenRouter API error:', errorData);
-            return res.status(response.status).json({ 
-                error: errorData.error?.message || `API request failed with status ${response.status}` 
-            });
-        }
-
-        const data = await response.json();
-        return res.status(200).json(data);
-
-    } catch (error) {
-        console.error('Error in analyze API:', error);
-        return res.status(500).json({ error: 'Failed to analyze image' });
-    }
-}
-
+                ]
+            }
+        ],
+        stream: false
+    }, {
+        // Cancel the upstream request if the browser disconnects
+        signal: abortOnClientClose(res)
+    });
+
+    const data = await response.json();
+    return sendCompletion(res, data, MODEL);
+});
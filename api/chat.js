@@ -1,120 +1,171 @@
 // Vercel Serverless Function: Chat Completions with Streaming
 // Endpoint: POST /api/chat
 
-const OPENROUTER_API_URL = 'https://openrouter.ai/api/v1/chat/completions';
+import { createHandler, callOpenRouter, abortOnClientClose, pipeStream, sanitizeText, sanitizeMultilineText, isDataImage, badRequest, sendCompletion } from './_lib/openrouter.js';
+import { sendError } from './_lib/errors.js';
+
+const SYSTEM_MESSAGE = {
+    role: 'system',
+    content: 'You are a helpful, friendly, and knowledgeable AI assistant. Provide clear, accurate, and well-structured responses. When appropriate, use markdown formatting for code blocks, lists, and emphasis. Be concise but thorough.'
+};
+
+const MAX_MESSAGE_LENGTH = 100000;
+const MAX_SUMMARY_LENGTH = 20000;
+const MAX_SYSTEM_PROMPT_LENGTH = 4000;
+const MAX_IMAGES_PER_MESSAGE = 4;
+const DEFAULT_MAX_TOKENS = 4096;
+const MIN_MAX_TOKENS = 256;
+const MAX_MAX_TOKENS = 16384;
+const DEFAULT_SEARCH_RESULTS = 5;
+const MAX_SEARCH_RESULTS = 10;
+const MAX_SEARCH_PROMPT_LENGTH = 1000;
+
+/**
+ * Get the text length of message content
+ * @param {string|Array<Object>} content - Message content
+ * @returns {number} Number of text characters
+ */
+function getTextLength(content) {
+    if (typeof content === 'string') return content.length;
+    if (!Array.isArray(content)) return 0;
+    return content.reduce((total, part) => total + (typeof part?.text === 'string' ? part.text.length : 0), 0);
+}
 
-export default async function handler(req, res) {
-    // Only allow POST requests
-    if (req.method !== 'POST') {
-        return res.status(405).json({ error: 'Method not allowed' });
+/**
+ * Sanitize message content. Strings are cleaned as text; multipart arrays
+ * keep text parts and (for user messages) base64 image parts.
+ * @param {string|Array<Object>} content - Message content
+ * @param {boolean} allowImages - Whether image parts are allowed
+ * @returns {string|Array<Object>} Sanitized content (empty string or array if nothing is left)
+ */
+function sanitizeContent(content, allowImages) {
+    if (!Array.isArray(content)) {
+        return sanitizeText(content, MAX_MESSAGE_LENGTH);
     }
 
-    // Check for API key
-    const apiKey = process.env.OPENROUTER_API_KEY;
-    if (!apiKey) {
-        console.error('OPENROUTER_API_KEY environment variable is not set');
-        return res.status(500).json({ error: 'Server configuration error' });
+    const parts = [];
+    let imageCount = 0;
+
+    for (const part of content) {
+        if (part?.type === 'text') {
+            const text = sanitizeText(part.text, MAX_MESSAGE_LENGTH);
+            if (text) parts.push({ type: 'text', text });
+        } else if (part?.type === 'image_url' && allowImages && isDataImage(part.image_url?.url) && imageCount < MAX_IMAGES_PER_MESSAGE) {
+            parts.push({ type: 'image_url', image_url: { url: part.image_url.url } });
+            imageCount++;
+        }
     }
 
-    try {
-        const { messages, model, stream = true, webSearch = false } = req.body;
+    return parts;
+}
 
-        // Validate inputs
-        if (!messages || !Array.isArray(messages) || messages.length === 0) {
-            return res.status(400).json({ error: 'Invalid messages provided' });
-        }
+export default createHandler({ name: 'chat', failureMessage: 'Failed to process chat message', quota: 'chat' }, async (req, res, { apiKey }) => {
+    const {
+        messages,
+        model,
+        stream = true,
+        webSearch = false,
+        webSearchOptions = {},
+        imageOutput = false,
+        contextSummary,
+        systemPrompt,
+        maxTokens = DEFAULT_MAX_TOKENS
+    } = req.body || {};
+
+    // Validate inputs
+    if (!messages || !Array.isArray(messages) || messages.length === 0) {
+        return badRequest(res, 'Invalid messages provided');
+    }
+    if (messages.some(msg => msg === null || typeof msg !== 'object' || Array.isArray(msg))) {
+        return badRequest(res, 'Each message must be an object');
+    }
 
-        if (!model || typeof model !== 'string') {
-            return res.status(400).json({ error: 'Invalid model provided' });
-        }
+    if (!model || typeof model !== 'string') {
+        return badRequest(res, 'Invalid model provided');
+    }
 
-        // Sanitize messages
-        const sanitizedMessages = messages.map(msg => ({
-            role: msg.role === 'user' ? 'user' : 'assistant',
-            content: typeof msg.content === 'string' 
-                ? msg.content.replace(/[\x00-\x1F\x7F]/g, '').substring(0, 10000).trim()
-                : ''
-        })).filter(msg => msg.content.length > 0);
+    if (!Number.isInteger(maxTokens) || maxTokens < MIN_MAX_TOKENS || maxTokens > MAX_MAX_TOKENS) {
+        return badRequest(res, `maxTokens must be an integer between ${MIN_MAX_TOKENS} and ${MAX_MAX_TOKENS}`);
+    }
 
-        if (sanitizedMessages.length === 0) {
-            return res.status(400).json({ error: 'No valid messages provided' });
-        }
+    if (contextSummary !== undefined && (typeof contextSummary !== 'string' || contextSummary.length > MAX_SUMMARY_LENGTH)) {
+        return badRequest(res, 'Invalid context summary provided');
+    }
 
-        // Add system message for better responses
-        const systemMessage = {
-            role: 'system',
-            content: 'You are a helpful, friendly, and knowledgeable AI assistant. Provide clear, accurate, and well-structured responses. When appropriate, use markdown formatting for code blocks, lists, and emphasis. Be concise but thorough.'
-        };
-
-        // Build request body
-        const requestBody = {
-            model: model,
-            messages: [systemMessage, ...sanitizedMessages],
-            stream: stream,
-            max_tokens: 4096
-        };
-
-        // Add web search plugin if enabled
-        if (webSearch) {
-            requestBody.plugins = [{
-                id: 'web',
-                max_results: 5,
-                search_prompt: 'Search for relevant and up-to-date information'
-            }];
-        }
+    // Validate web search parameters
+    if (webSearchOptions === null || typeof webSearchOptions !== 'object' || Array.isArray(webSearchOptions)) {
+        return badRequest(res, 'Invalid web search options provided');
+    }
+    const { maxResults = DEFAULT_SEARCH_RESULTS, searchPrompt } = webSearchOptions;
+    if (!Number.isInteger(maxResults) || maxResults < 1 || maxResults > MAX_SEARCH_RESULTS) {
+        return badRequest(res, `Web search results must be an integer between 1 and ${MAX_SEARCH_RESULTS}`);
+    }
+    if (searchPrompt !== undefined && (typeof searchPrompt !== 'string' || searchPrompt.length > MAX_SEARCH_PROMPT_LENGTH || !sanitizeMultilineText(searchPrompt, MAX_SEARCH_PROMPT_LENGTH))) {
+        return badRequest(res, `Search prompt must be 1-${MAX_SEARCH_PROMPT_LENGTH} characters`);
+    }
 
-        const response = await fetch(OPENROUTER_API_URL, {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${apiKey}`,
-                'Content-Type': 'application/json',
-                'HTTP-Referer': process.env.VERCEL_URL || 'https://ai-photo-editor.vercel.app',
-                'X-Title': 'AI Photo Editor - Chat'
-            },
-            body: JSON.stringify(requestBody)
-        });
-
-        if (!response.ok) {
-            const errorData = await response.json();
-            console.error('OpenRouter API error:', errorData);
-            return res.status(response.status).json({ 
-                error: errorData.error?.message || `API request failed with status ${response.status}` 
-            });
-        }
+    // Personas replace the default system message with their own prompt
+    if (systemPrompt !== undefined && (typeof systemPrompt !== 'string' || systemPrompt.length > MAX_SYSTEM_PROMPT_LENGTH || !sanitizeMultilineText(systemPrompt, MAX_SYSTEM_PROMPT_LENGTH))) {
+        return badRequest(res, `System prompt must be 1-${MAX_SYSTEM_PROMPT_LENGTH} characters`);
+    }
+    const systemMessage = systemPrompt !== undefined
+        ? { role: 'system', content: sanitizeMultilineText(systemPrompt, MAX_SYSTEM_PROMPT_LENGTH) }
+        : SYSTEM_MESSAGE;
+
+    // Reject oversized messages instead of silently cutting them off
+    if (messages.some(msg => getTextLength(msg?.content) > MAX_MESSAGE_LENGTH)) {
+        return sendError(res, 'payload_too_large', `Messages are limited to ${MAX_MESSAGE_LENGTH} characters`);
+    }
+
+    // Sanitize messages
+    const sanitizedMessages = messages.map(msg => {
+        const role = msg.role === 'user' ? 'user' : 'assistant';
+        return { role, content: sanitizeContent(msg.content, role === 'user') };
+    }).filter(msg => msg.content.length > 0);
 
-        // Handle streaming response
-        if (stream) {
-            // Set headers for SSE
-            res.setHeader('Content-Type', 'text/event-stream');
-            res.setHeader('Cache-Control', 'no-cache');
-            res.setHeader('Connection', 'keep-alive');
-
-            // Pipe the stream directly
-            const reader = response.body.getReader();
-            const decoder = new TextDecoder();
-
-            try {
-                while (true) {
-                    const { done, value } = await reader.read();
-                    if (done) break;
-                    
-                    const chunk = decoder.decode(value, { stream: true });
-                    res.write(chunk);
-                }
-            } catch (streamError) {
-                console.error('Stream error:', streamError);
-            } finally {
-                res.end();
-            }
-        } else {
-            // Non-streaming response
-            const data = await response.json();
-            return res.status(200).json(data);
+    if (sanitizedMessages.length === 0) {
+        return badRequest(res, 'No valid messages provided');
+    }
+
+    // Earlier turns the client has summarized travel as extra system context
+    const summary = sanitizeMultilineText(contextSummary, MAX_SUMMARY_LENGTH);
+    const systemMessages = summary
+        ? [systemMessage, { role: 'system', content: `Summary of the earlier part of this conversation:\n${summary}` }]
+        : [systemMessage];
+
+    // Build request body
+    const requestBody = {
+        model: model,
+        messages: [...systemMessages, ...sanitizedMessages],
+        stream: stream,
+        max_tokens: maxTokens
+    };
+
+    // Let image-output models answer with images as well as text
+    if (imageOutput === true) {
+        requestBody.modalities = ['image', 'text'];
+    }
+
+    // Add web search plugin if enabled. Without a custom search prompt OpenRouter
+    // uses its default, which asks the model to cite sources as markdown links.
+    if (webSearch) {
+        const webPlugin = { id: 'web', max_results: maxResults };
+        if (searchPrompt !== undefined) {
+            webPlugin.search_prompt = sanitizeMultilineText(searchPrompt, MAX_SEARCH_PROMPT_LENGTH);
         }
+        requestBody.plugins = [webPlugin];
+    }
+
+    // Cancel the upstream request if the browser stops the response or disconnects
+    const response = await callOpenRouter(apiKey, requestBody, {
+        title: 'AI Photo Editor - Chat',
+        signal: abortOnClientClose(res)
+    });
 
-    } catch (error) {
-        console.error('Error in chat API:', error);
-        return res.status(500).json({ error: 'Failed to process chat message' });
+    if (stream) {
+        return pipeStream(response, res);
     }
-}
 
+    const data = await response.json();
+    return sendCompletion(res, data, model);
+});
@@ -1,67 +1,33 @@
 // Vercel Serverless Function: Image Generation
-// Endpoint: POST /api/generate
+// Endpoint: POST /api/generate (send stream: true for server-sent progress events)
 
-const OPENROUTER_API_URL = 'https://openrouter.ai/api/v1/chat/completions';
+import { createHandler, callOpenRouter, abortOnClientClose, pipeStream, badRequest, sendCompletion } from './_lib/openrouter.js';
+import { buildGenerateRequest } from './_lib/images.js';
 
-export default async function handler(req, res) {
-    // Only allow POST requests
-    if (req.method !== 'POST') {
-        return res.status(405).json({ error: 'Method not allowed' });
-    }
+export default createHandler({ name: 'generate', failureMessage: 'Failed to generate image', quota: 'images' }, async (req, res, { apiKey }) => {
+    // A request without a JSON body is validated like an empty one (400, not 500)
+    const body = req.body || {};
+    const { stream = false } = body;
 
-    // Check for API key
-    const apiKey = process.env.OPENROUTER_API_KEY;
-    if (!apiKey) {
-        console.error('OPENROUTER_API_KEY environment variable is not set');
-        return res.status(500).json({ error: 'Server configuration error' });
+    // Validate inputs
+    const request = buildGenerateRequest(body);
+    if (request.error) {
+        return badRequest(res, request.error, request.code);
     }
 
-    try {
-        const { prompt, model } = req.body;
-
-        // Validate inputs
-        if (!prompt || typeof prompt !== 'string' || prompt.trim() === '') {
-            return res.status(400).json({ error: 'Invalid prompt provided' });
-        }
-
-        // Sanitize prompt
-        const sanitizedPrompt = prompt.replace(/[\x00-\x1F\x7F]/g, '').substring(0, 2000).trim();
-
-        const response = await fetch(OPENROUTER_API_URL, {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${apiKey}`,
-                'Content-Type': 'application/json',
-                'HTTP-Referer': process.env.VERCEL_URL || 'https://ai-photo-editor.vercel.app',
-                'X-Title': 'AI Photo Editor'
-            },
-            body: JSON.stringify({
-                model: model || 'black-forest-labs/flux.2-pro',
-                messages: [
-                    {
-                        role: 'user',
-                        content: sanitizedPrompt
-                    }
-                ],
-                modalities: ['image', 'text'],
-                stream: false
-            })
-        });
-
-        if (!response.ok) {
-            const errorData = await response.json();
-            console.error('OpenRouter API error:', errorData);
-            return res.status(response.status).json({ 
-                error: errorData.error?.message || `API request failed with status ${response.status}` 
-            });
-        }
+    if (typeof stream !== 'boolean') {
+        return badRequest(res, 'Invalid stream option provided');
+    }
 
-        const data = await response.json();
-        return res.status(200).json(data);
+    const response = await callOpenRouter(apiKey, { ...request.body, stream }, {
+        // Cancel the upstream request if the browser stops the response or disconnects
+        signal: abortOnClientClose(res)
+    });
 
-    } catch (error) {
-        console.error('Error in generate API:', error);
-        return res.status(500).json({ error: 'Failed to generate image' });
+    if (stream) {
+        return pipeStream(response, res);
     }
-}
 
+    const data = await response.json();
+    return sendCompletion(res, data, request.model);
+});
@@ -0,0 +1,87 @@
+// Vercel Serverless Function: Job Queue
+// Endpoints: POST /api/jobs (start a generate or edit job), GET /api/jobs (list a signed-in user's jobs)
+
+import { createHandler, badRequest } from './_lib/openrouter.js';
+import { sendError } from './_lib/errors.js';
+import { getClientId } from './_lib/rate-limit.js';
+import { JOB_TYPES, assertBackgroundSupport, createJob, failIfStale, getJobStore, runInBackground, runJob, toPublicJob } from './_lib/jobs.js';
+
+/**
+ * Request fields a job keeps as its input
+ * @type {Array<string>}
+ */
+const INPUT_FIELDS = ['prompt', 'model', 'fallbackModels', 'image', 'mask', 'aspectRatio', 'imageSize'];
+
+const submitJob = createHandler({ name: 'jobs', failureMessage: 'Failed to start the job', quota: 'images' }, async (req, res, { apiKey, user }) => {
+    const { type, input } = req.body || {};
+
+    // Validate inputs
+    if (!Object.hasOwn(JOB_TYPES, type)) {
+        return badRequest(res, `Job type must be one of: ${Object.keys(JOB_TYPES).join(', ')}`);
+    }
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return badRequest(res, 'Invalid job input provided');
+    }
+
+    const request = JOB_TYPES[type](input);
+    if (request.error) {
+        return badRequest(res, request.error, request.code);
+    }
+    assertBackgroundSupport();
+
+    const jobInput = Object.fromEntries(INPUT_FIELDS
+        .filter(field => input[field] !== undefined && input[field] !== null)
+        .map(field => [field, input[field]]));
+    // Images are kept apart from the job record so listing jobs stays cheap
+    const { image, mask, ...settings } = jobInput;
+    const job = createJob(type, getClientId(req, user), { ...settings, model: request.model });
+    const jobStore = getJobStore();
+    if (image) {
+        await jobStore.putPayload(job.id, 'input', { image, mask });
+    }
+    await jobStore.put(job);
+
+    // The job keeps running after this response; the client polls GET /api/jobs/:id
+    runInBackground(runJob(job, apiKey));
+    return res.status(202).json(toPublicJob(job));
+});
+
+// Polling is cheap, so reads get their own, larger bucket
+const listJobs = createHandler({
+    name: 'jobs',
+    failureMessage: 'Failed to list jobs',
+    methods: ['GET'],
+    rateLimit: { bucket: 'jobs', max: 120 },
+    requiresApiKey: false
+}, async (req, res, { user }) => {
+    // Anonymous jobs are owned by IP, which other people can share, so only
+    // signed-in users can list; anonymous clients keep track of their own job IDs
+    if (!user) {
+        return res.status(200).json({ jobs: [] });
+    }
+
+    const jobs = await getJobStore().list(getClientId(req, user));
+    const current = await Promise.all(jobs.map(failIfStale));
+    return res.status(200).json({ jobs: current.map(job => toPublicJob(job)) });
+});
+
+/**
+ * Route each method to its handler
+ * @type {Object.<string, function(Object, Object): Promise<*>>}
+ */
+const handlers = { GET: listJobs, POST: submitJob };
+
+/**
+ * Vercel handler for /api/jobs
+ * @param {Object} req - Vercel request object
+ * @param {Object} res - Vercel response object
+ * @returns {Promise<*>} Response
+ */
+export default async function handler(req, res) {
+    const handle = handlers[req.method];
+    if (!handle) {
+        res.setHeader('Allow', Object.keys(handlers).join(', '));
+        return sendError(res, 'method_not_allowed', 'Method not allowed');
+    }
+    return handle(req, res);
+}
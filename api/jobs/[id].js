@@ -0,0 +1,91 @@
+// Vercel Serverless Function: Single Job
+// Endpoints: GET /api/jobs/:id (status and result), POST /api/jobs/:id (retry a failed job),
+// DELETE /api/jobs/:id (remove)
+
+import { createHandler } from '../_lib/openrouter.js';
+import { sendError } from '../_lib/errors.js';
+import { getClientId } from '../_lib/rate-limit.js';
+import { assertBackgroundSupport, canAccessJob, failIfStale, getJobResult, getJobStore, isJobId, runInBackground, runJob, toPublicJob } from '../_lib/jobs.js';
+
+/**
+ * Load the job named in the URL if the client may access it
+ * @param {Object} req - Vercel request object
+ * @param {Object|null} user - Signed-in user
+ * @returns {Promise<import('../_lib/jobs.js').Job|null>} Job, or null if missing or not the client's
+ */
+async function loadJob(req, user) {
+    const { id } = req.query;
+    if (!isJobId(id)) return null;
+
+    const job = await getJobStore().get(id);
+    return job && canAccessJob(job, getClientId(req, user)) ? failIfStale(job) : null;
+}
+
+const getJob = createHandler({
+    name: 'job',
+    failureMessage: 'Failed to load the job',
+    methods: ['GET'],
+    rateLimit: { bucket: 'jobs', max: 120 },
+    requiresApiKey: false
+}, async (req, res, { user }) => {
+    const job = await loadJob(req, user);
+    if (!job) {
+        return sendError(res, 'not_found', 'Job not found');
+    }
+    return res.status(200).json(toPublicJob(job, await getJobResult(job)));
+});
+
+const retryJob = createHandler({ name: 'job', failureMessage: 'Failed to retry the job', quota: 'images' }, async (req, res, { apiKey, user }) => {
+    const job = await loadJob(req, user);
+    if (!job) {
+        return sendError(res, 'not_found', 'Job not found');
+    }
+    if (job.status !== 'failed') {
+        return sendError(res, 'conflict', 'Only failed jobs can be retried');
+    }
+    assertBackgroundSupport();
+
+    const queued = { ...job, status: 'queued', error: null, errorCode: null, updatedAt: Date.now() };
+    await getJobStore().put(queued);
+
+    runInBackground(runJob(queued, apiKey));
+    return res.status(202).json(toPublicJob(queued));
+});
+
+const deleteJob = createHandler({
+    name: 'job',
+    failureMessage: 'Failed to delete the job',
+    methods: ['DELETE'],
+    rateLimit: { bucket: 'jobs', max: 120 },
+    requiresApiKey: false
+}, async (req, res, { user }) => {
+    const job = await loadJob(req, user);
+    if (!job) {
+        return sendError(res, 'not_found', 'Job not found');
+    }
+
+    // A running job still finishes upstream, but its result is not saved
+    await getJobStore().delete(job);
+    return res.status(204).end();
+});
+
+/**
+ * Route each method to its handler
+ * @type {Object.<string, function(Object, Object): Promise<*>>}
+ */
+const handlers = { GET: getJob, POST: retryJob, DELETE: deleteJob };
+
+/**
+ * Vercel handler for /api/jobs/:id
+ * @param {Object} req - Vercel request object
+ * @param {Object} res - Vercel response object
+ * @returns {Promise<*>} Response
+ */
+export default async function handler(req, res) {
+    const handle = handlers[req.method];
+    if (!handle) {
+        res.setHeader('Allow', Object.keys(handlers).join(', '));
+        return sendError(res, 'method_not_allowed', 'Method not allowed');
+    }
+    return handle(req, res);
+}
@@ -0,0 +1,19 @@
+// Vercel Serverless Function: OpenRouter Key Check
+// Endpoint: GET /api/key (checks the key sent in the X-OpenRouter-Key header)
+
+import { createHandler, fetchKeyInfo, badRequest } from './_lib/openrouter.js';
+
+export default createHandler({
+    name: 'key',
+    failureMessage: 'Failed to check the OpenRouter key',
+    methods: ['GET'],
+    rateLimit: { bucket: 'key', max: 20 },
+    requiresApiKey: false
+}, async (req, res, { apiKey, keySource }) => {
+    if (keySource !== 'user') {
+        return badRequest(res, 'Send the key to check in the X-OpenRouter-Key header');
+    }
+
+    const keyInfo = await fetchKeyInfo(apiKey);
+    return res.status(200).json(keyInfo);
+});
@@ -0,0 +1,75 @@
+// Vercel Serverless Function: Model Catalog
+// Endpoint: GET /api/models
+
+import { createHandler, fetchModelList, badRequest } from './_lib/openrouter.js';
+
+const CACHE_TTL_MS = 10 * 60 * 1000;
+const MAX_DESCRIPTION_LENGTH = 300;
+
+/**
+ * Cached catalog (per warm function instance)
+ * @type {{catalog: Object, fetchedAt: number}|null}
+ */
+let cache = null;
+
+/**
+ * Normalize a raw OpenRouter model entry for the client
+ * @param {Object} model - Raw model entry
+ * @returns {Object} Normalized model entry
+ */
+function normalizeModel(model) {
+    const description = (model.description || '').replace(/\s+/g, ' ').trim();
+    return {
+        id: model.id,
+        name: model.name || model.id,
+        description: description.length > MAX_DESCRIPTION_LENGTH
+            ? `${description.substring(0, MAX_DESCRIPTION_LENGTH)}...`
+            : description,
+        contextLength: model.context_length || null,
+        pricing: {
+            prompt: Number(model.pricing?.prompt) || 0,
+            completion: Number(model.pricing?.completion) || 0,
+            image: Number(model.pricing?.image) || 0
+        },
+        inputModalities: model.architecture?.input_modalities || [],
+        outputModalities: model.architecture?.output_modalities || []
+    };
+}
+
+/**
+ * Group models by what the app uses them for
+ * @param {Array<Object>} models - Normalized models
+ * @returns {{image: Array<Object>, chat: Array<Object>, vision: Array<Object>}} Models by type
+ */
+function buildCatalog(models) {
+    return {
+        // Image output (generation and editing)
+        image: models.filter(m => m.outputModalities.includes('image')),
+        // Text output (chat)
+        chat: models.filter(m => m.outputModalities.includes('text')),
+        // Image input with text output (analysis)
+        vision: models.filter(m => m.inputModalities.includes('image') && m.outputModalities.includes('text'))
+    };
+}
+
+// The catalog is cached and costs nothing upstream, so it gets its own, larger bucket
+export default createHandler({
+    name: 'models',
+    failureMessage: 'Failed to load models',
+    methods: ['GET'],
+    rateLimit: { bucket: 'models', max: 60 }
+}, async (req, res, { apiKey }) => {
+    const { type } = req.query || {};
+
+    if (type !== undefined && !['image', 'chat', 'vision'].includes(type)) {
+        return badRequest(res, 'Invalid model type provided');
+    }
+
+    if (!cache || Date.now() - cache.fetchedAt > CACHE_TTL_MS) {
+        const models = (await fetchModelList(apiKey)).map(normalizeModel);
+        cache = { catalog: buildCatalog(models), fetchedAt: Date.now() };
+    }
+
+    const models = type ? { [type]: cache.catalog[type] } : cache.catalog;
+    return res.status(200).json({ models, fetchedAt: cache.fetchedAt });
+});
@@ -0,0 +1,41 @@
+// Vercel Serverless Function: Sign-in Session
+// Endpoint: GET /api/session (current user), POST /api/session (sign in), DELETE /api/session (sign out)
+
+import { createHandler, badRequest } from './_lib/openrouter.js';
+import { getClientId } from './_lib/rate-limit.js';
+import { sendError } from './_lib/errors.js';
+import { isAuthEnabled, verifyCredential, setSessionCookie, clearSessionCookie } from './_lib/auth.js';
+
+// Open to signed-out users; the small bucket slows down token guessing
+export default createHandler({
+    name: 'session',
+    failureMessage: 'Failed to update session',
+    methods: ['GET', 'POST', 'DELETE'],
+    auth: false,
+    rateLimit: { bucket: 'session', max: 20 },
+    requiresApiKey: false
+}, async (req, res, { user }) => {
+    const authEnabled = isAuthEnabled();
+
+    if (req.method === 'GET') {
+        return res.status(200).json({ authEnabled, user });
+    }
+
+    if (req.method === 'DELETE') {
+        clearSessionCookie(req, res);
+        return res.status(200).json({ authEnabled, user: null });
+    }
+
+    if (!authEnabled) {
+        return badRequest(res, 'Sign-in is not enabled on this server');
+    }
+
+    const token = req.body?.token;
+    const signedInUser = await verifyCredential(token, getClientId(req));
+    if (!signedInUser) {
+        return sendError(res, 'invalid_credentials', 'Invalid access token');
+    }
+
+    setSessionCookie(req, res, signedInUser, token);
+    return res.status(200).json({ authEnabled, user: signedInUser });
+});
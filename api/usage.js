@@ -0,0 +1,21 @@
+// Vercel Serverless Function: Daily Quota Usage
+// Endpoint: GET /api/usage
+
+import { createHandler } from './_lib/openrouter.js';
+import { getQuotaUsage } from './_lib/quota.js';
+
+export default createHandler({
+    name: 'usage',
+    failureMessage: 'Failed to load usage',
+    methods: ['GET'],
+    rateLimit: { bucket: 'usage', max: 60 },
+    requiresApiKey: false
+}, async (req, res, { user }) => {
+    // Without authentication there are no users, so no quotas
+    if (!user) {
+        return res.status(200).json({ authEnabled: false, user: null, quotas: null });
+    }
+
+    const quotas = await getQuotaUsage(user.id);
+    return res.status(200).json({ authEnabled: true, user, quotas });
+});
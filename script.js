@@ -1,7 +1,7 @@
 // Main JavaScript for AI Photo Editor
 document.addEventListener('DOMContentLoaded', function () {
     /**
-     * @typedef {'edit'|'generate'} AppMode
+     * @typedef {'edit'|'generate'|'chat'|'gallery'|'usage'} AppMode
      */
 
     // DOM Elements - Upload & Edit Mode
@@ -11,6 +11,7 @@ document.addEventListener('DOMContentLoaded', function () {
     const editPrompt = document.getElementById('editPrompt');
     const enhancePromptBtn = document.getElementById('enhancePrompt');
     const applyEditBtn = document.getElementById('applyEdit');
+    const queueEditBtn = document.getElementById('queueEditBtn');
     const originalImageContainer = document.getElementById('originalImageContainer');
     const editedImageContainer = document.getElementById('editedImageContainer');
     const uploadBtn = document.getElementById('uploadBtn');
@@ -18,28 +19,134 @@ document.addEventListener('DOMContentLoaded', function () {
     const thumbnailImg = document.getElementById('thumbnailImg');
     const removeThumbnail = document.getElementById('removeThumbnail');
     const editInputRow = document.getElementById('editInputRow');
+    const editTimeline = document.getElementById('editTimeline');
+    const editAspectRatio = document.getElementById('editAspectRatio');
+    const editImageSize = document.getElementById('editImageSize');
+    const editFit = document.getElementById('editFit');
+    const undoEditBtn = document.getElementById('undoEditBtn');
+    const redoEditBtn = document.getElementById('redoEditBtn');
+    const toggleMaskBtn = document.getElementById('toggleMaskBtn');
+    const maskTools = document.getElementById('maskTools');
+    const maskBrushSize = document.getElementById('maskBrushSize');
+    const clearMaskBtn = document.getElementById('clearMaskBtn');
+
+    // DOM Elements - Batch Editing
+    const batchPanel = document.getElementById('batchPanel');
+    const batchTitle = document.getElementById('batchTitle');
+    const batchList = document.getElementById('batchList');
+    const runBatchBtn = document.getElementById('runBatchBtn');
+    const queueBatchBtn = document.getElementById('queueBatchBtn');
+    const stopBatchBtn = document.getElementById('stopBatchBtn');
+    const downloadBatchBtn = document.getElementById('downloadBatchBtn');
+    const clearBatchBtn = document.getElementById('clearBatchBtn');
 
     // DOM Elements - Generation Mode
     const generationSection = document.getElementById('generationSection');
     const generatePrompt = document.getElementById('generatePrompt');
     const enhanceGeneratePromptBtn = document.getElementById('enhanceGeneratePrompt');
     const generateImageBtn = document.getElementById('generateImage');
+    const queueGenerateBtn = document.getElementById('queueGenerateBtn');
     const generatedImageContainer = document.getElementById('generatedImageContainer');
     const selectModelBtn = document.getElementById('selectModelBtn');
     const selectedModelName = document.getElementById('selectedModelName');
+    const variationCount = document.getElementById('variationCount');
+    const generateAspectRatio = document.getElementById('generateAspectRatio');
+    const generateImageSize = document.getElementById('generateImageSize');
+    const generateFit = document.getElementById('generateFit');
+    const compareModeBtn = document.getElementById('compareModeBtn');
+    const modelModalTitle = document.getElementById('modelModalTitle');
+    const generatedActions = document.getElementById('generatedActions');
+    const downloadGeneratedBtn = document.getElementById('downloadGeneratedBtn');
+    const upscaleGeneratedBtn = document.getElementById('upscaleGeneratedBtn');
+    const editGeneratedBtn = document.getElementById('editGeneratedBtn');
 
     // DOM Elements - Chat Mode
     const chatSection = document.getElementById('chatSection');
     const chatMessages = document.getElementById('chatMessages');
     const chatInput = document.getElementById('chatInput');
     const sendChatBtn = document.getElementById('sendChatBtn');
+    const stopChatBtn = document.getElementById('stopChatBtn');
     const selectChatModelBtn = document.getElementById('selectChatModelBtn');
     const selectedChatModelName = document.getElementById('selectedChatModelName');
     const clearChatBtn = document.getElementById('clearChatBtn');
     const chatModelModalOverlay = document.getElementById('chatModelModalOverlay');
     const closeChatModelModal = document.getElementById('closeChatModelModal');
+    const selectPersonaBtn = document.getElementById('selectPersonaBtn');
+    const selectedPersonaName = document.getElementById('selectedPersonaName');
+    const personaModalOverlay = document.getElementById('personaModalOverlay');
+    const closePersonaModalBtn = document.getElementById('closePersonaModal');
+    const personaList = document.getElementById('personaList');
+    const personaForm = document.getElementById('personaForm');
+    const personaFormTitle = document.getElementById('personaFormTitle');
+    const personaNameInput = document.getElementById('personaNameInput');
+    const personaPromptInput = document.getElementById('personaPromptInput');
+    const savePersonaBtn = document.getElementById('savePersonaBtn');
+    const cancelPersonaEditBtn = document.getElementById('cancelPersonaEditBtn');
     const webSearchToggle = document.getElementById('webSearchToggle');
     const webSearchStatus = document.getElementById('webSearchStatus');
+    const webSearchSettingsBtn = document.getElementById('webSearchSettingsBtn');
+    const webSearchSettings = document.getElementById('webSearchSettings');
+    const webSearchResultsInput = document.getElementById('webSearchResultsInput');
+    const webSearchPromptInput = document.getElementById('webSearchPromptInput');
+    const closeWebSearchSettingsBtn = document.getElementById('closeWebSearchSettingsBtn');
+    const chatInputRow = document.getElementById('chatInputRow');
+    const chatAttachmentsTray = document.getElementById('chatAttachments');
+    const attachChatImageBtn = document.getElementById('attachChatImageBtn');
+    const chatFileInput = document.getElementById('chatFileInput');
+    const attachEditedImageBtn = document.getElementById('attachEditedImageBtn');
+    const attachGeneratedImageBtn = document.getElementById('attachGeneratedImageBtn');
+    const chatSidebar = document.getElementById('chatSidebar');
+    const conversationSearch = document.getElementById('conversationSearch');
+    const conversationList = document.getElementById('conversationList');
+    const toggleConversationsBtn = document.getElementById('toggleConversationsBtn');
+    const contextUsage = document.getElementById('contextUsage');
+    const contextUsageFill = document.getElementById('contextUsageFill');
+    const contextUsageText = document.getElementById('contextUsageText');
+
+    // DOM Elements - Gallery Mode
+    const gallerySection = document.getElementById('gallerySection');
+    const gallerySearch = document.getElementById('gallerySearch');
+    const galleryGrid = document.getElementById('galleryGrid');
+    const galleryEmpty = document.getElementById('galleryEmpty');
+    const jobsPanel = document.getElementById('jobsPanel');
+    const jobsTitle = document.getElementById('jobsTitle');
+    const jobsList = document.getElementById('jobsList');
+    const clearJobsBtn = document.getElementById('clearJobsBtn');
+    const jobsCount = document.getElementById('jobsCount');
+
+    // DOM Elements - Usage Mode
+    const usageSection = document.getElementById('usageSection');
+    const accountInfo = document.getElementById('accountInfo');
+    const quotaCard = document.getElementById('quotaCard');
+    const quotaList = document.getElementById('quotaList');
+    const refreshUsageBtn = document.getElementById('refreshUsageBtn');
+    const apiKeyStatus = document.getElementById('apiKeyStatus');
+    const apiKeyForm = document.getElementById('apiKeyForm');
+    const apiKeyInput = document.getElementById('apiKeyInput');
+    const saveApiKeyBtn = document.getElementById('saveApiKeyBtn');
+    const removeApiKeyBtn = document.getElementById('removeApiKeyBtn');
+    const billingBadge = document.getElementById('billingBadge');
+    const billingBadgeText = document.getElementById('billingBadgeText');
+    const costMeter = document.getElementById('costMeter');
+    const costMeterText = document.getElementById('costMeterText');
+    const costSummary = document.getElementById('costSummary');
+    const exportUsageBtn = document.getElementById('exportUsageBtn');
+    const clearUsageBtn = document.getElementById('clearUsageBtn');
+
+    // DOM Elements - Sign-in
+    const loginModalOverlay = document.getElementById('loginModalOverlay');
+    const closeLoginModalBtn = document.getElementById('closeLoginModal');
+    const loginForm = document.getElementById('loginForm');
+    const loginTokenInput = document.getElementById('loginTokenInput');
+    const loginError = document.getElementById('loginError');
+    const loginSubmitBtn = document.getElementById('loginSubmitBtn');
+
+    // DOM Elements - Request Progress
+    const requestProgress = document.getElementById('requestProgress');
+    const requestProgressStatus = document.getElementById('requestProgressStatus');
+    const requestProgressText = document.getElementById('requestProgressText');
+    const requestProgressImages = document.getElementById('requestProgressImages');
+    const cancelRequestBtn = document.getElementById('cancelRequestBtn');
 
     // DOM Elements - Mode Toggle
     const modeBtns = document.querySelectorAll('.mode-btn');
@@ -67,7 +174,99 @@ document.addEventListener('DOMContentLoaded', function () {
     let currentObjectUrl = null; // Object URL for display (more memory efficient)
     let currentEditedImage = null;
     let currentGeneratedImage = null;
-    let currentMode = 'generate'; // 'edit' or 'generate'
+    /** @type {Array<string>} */
+    let generatedVariations = [];
+
+    // Model comparison state
+    let compareMode = false;
+    /** @type {Array<string>} */
+    let compareModelIds = [];
+    let currentMode = 'generate'; // 'edit', 'generate', 'chat', 'gallery' or 'usage'
+
+    /**
+     * Sign-in state reported by the server
+     * @type {AuthSession}
+     */
+    let authSession = { authEnabled: false, user: null };
+
+    /**
+     * Most recent request recorded in the usage log this session
+     * @type {UsageEntry|null}
+     */
+    let lastUsageEntry = null;
+
+    // Images waiting to be sent with the next chat message
+    /** @type {Array<string>} */
+    let chatAttachments = [];
+
+    // Controller for the reply being streamed (null when idle)
+    /** @type {AbortController|null} */
+    let chatAbortController = null;
+
+    // Streamed generate/edit request in flight (null when idle); progress is kept per variation
+    /** @type {{controller: AbortController, startedAt: number, timer: number, latest: ImageProgress|null, progressByIndex: Object.<number, ImageProgress>}|null} */
+    let imageRequest = null;
+
+    // Timer for the next background job check (null when nothing is pending)
+    /** @type {number|null} */
+    let jobPollTimer = null;
+
+    // Results and edit sources of background jobs, by job ID. Kept in memory only:
+    // results are saved to the gallery, and images are too large for localStorage.
+    /** @type {Object.<string, Array<string>>} */
+    const jobResults = {};
+    /** @type {Object.<string, string>} */
+    const jobSources = {};
+
+    // Assistant message to regenerate once a model is picked ("Regenerate with another model")
+    /** @type {number|null} */
+    let regenerateAfterModelSelect = null;
+
+    // Conversation currently shown in Chat mode (null until the first message is sent)
+    /** @type {{id: number|null, title: string, createdAt: number}|null} */
+    let currentConversation = null;
+
+    /**
+     * @typedef {Object} EditVersion
+     * @property {string} image - Base64 encoded result image
+     * @property {string} prompt - Prompt that produced this version
+     * @property {string} model - Model ID used for the edit
+     * @property {number} createdAt - Timestamp in milliseconds
+     */
+
+    // Edit history (index -1 means the original upload is selected)
+    /** @type {Array<EditVersion>} */
+    let editHistory = [];
+    let editHistoryIndex = -1;
+
+    // Mask editor state (mask is drawn at the original image's natural resolution)
+    /** @type {HTMLCanvasElement|null} */
+    let maskCanvas = null;
+    let maskEnabled = false;
+    let maskTool = 'brush'; // 'brush' or 'lasso'
+    let maskHasContent = false;
+    let maskDrawing = false;
+    let maskLassoPoints = [];
+
+    /**
+     * @typedef {Object} BatchItem
+     * @property {number} id - Item ID
+     * @property {File} file - Source image file
+     * @property {string} objectUrl - Object URL for the thumbnail
+     * @property {'queued'|'processing'|'done'|'error'} status - Processing status
+     * @property {string|null} result - Base64 encoded edited image
+     * @property {string|null} error - Error message if the edit failed
+     * @property {string|null} [statusText] - Transient status (e.g. rate limit wait)
+     * @property {string|null} [jobId] - Background job running the edit, if queued as a job
+     * @property {string|null} [servedModel] - Fallback model that produced the result, if the selected one didn't
+     */
+
+    // Batch editing state
+    /** @type {Array<BatchItem>} */
+    let batchItems = [];
+    let batchNextId = 1;
+    let batchRunning = false;
+    let batchStopRequested = false;
 
     // Initialize the application
     init();
@@ -81,13 +280,16 @@ document.addEventListener('DOMContentLoaded', function () {
 
         const models = getAvailableModels();
         const currentModel = getGenerationModel();
+        const votes = getModelVotes();
+        const isSelected = (id) => compareMode ? compareModelIds.includes(id) : id === currentModel;
 
         modelList.innerHTML = Object.entries(models).map(([id, info]) => `
-            <div class="model-option ${id === currentModel ? 'selected' : ''}" data-model="${id}">
+            <div class="model-option ${isSelected(id) ? 'selected' : ''}" data-model="${escapeHtml(id)}">
                 <div class="model-info">
                     <div class="model-name">${escapeHtml(info.name)}</div>
                     <div class="model-description">${escapeHtml(info.description)}</div>
-                    <div class="model-id">${escapeHtml(id)}</div>
+                    <div class="model-id">${escapeHtml(id)}${votes[id] ? ` · <span class="model-votes">${votes[id]} comparison win${votes[id] === 1 ? '' : 's'}</span>` : ''}</div>
+                    ${formatModelMeta(info)}
                 </div>
                 <div class="model-check">
                     <i data-lucide="check"></i>
@@ -97,8 +299,9 @@ document.addEventListener('DOMContentLoaded', function () {
 
         // Re-attach event listeners
         modelList.querySelectorAll('.model-option').forEach(option => {
-            option.addEventListener('click', () => selectModel(option));
+            option.addEventListener('click', () => compareMode ? toggleCompareModel(option) : selectModel(option));
         });
+        filterModelList('generateModelList');
 
         // Reinitialize Lucide icons
         if (typeof lucide !== 'undefined') {
@@ -113,15 +316,16 @@ document.addEventListener('DOMContentLoaded', function () {
         const modelList = document.getElementById('editModelList');
         if (!modelList) return;
 
-        const models = getAvailableModels();
+        const models = getAvailableEditModels();
         const currentModel = getEditModel();
 
         modelList.innerHTML = Object.entries(models).map(([id, info]) => `
-            <div class="model-option ${id === currentModel ? 'selected' : ''}" data-model="${id}">
+            <div class="model-option ${id === currentModel ? 'selected' : ''}" data-model="${escapeHtml(id)}">
                 <div class="model-info">
                     <div class="model-name">${escapeHtml(info.name)}</div>
                     <div class="model-description">${escapeHtml(info.description)}</div>
                     <div class="model-id">${escapeHtml(id)}</div>
+                    ${formatModelMeta(info)}
                 </div>
                 <div class="model-check">
                     <i data-lucide="check"></i>
@@ -133,6 +337,7 @@ document.addEventListener('DOMContentLoaded', function () {
         modelList.querySelectorAll('.model-option').forEach(option => {
             option.addEventListener('click', () => selectEditModel(option));
         });
+        filterModelList('editModelList');
 
         // Reinitialize Lucide icons
         if (typeof lucide !== 'undefined') {
@@ -141,24 +346,131 @@ document.addEventListener('DOMContentLoaded', function () {
     }
 
     /**
-     * Escape HTML to prevent XSS
+     * Format a per-token price as a price per million tokens
+     * @param {number} price - Price per token in USD
+     * @returns {string} Formatted price (e.g. '$3.00')
+     */
+    function formatTokenPrice(price) {
+        return `$${(price * 1000000).toFixed(price * 1000000 < 1 ? 3 : 2)}`;
+    }
+
+    /**
+     * Build the pricing and context line for a model option
+     * @param {Object} info - Model info from the registry
+     * @returns {string} HTML for the meta line (empty if the catalog is not loaded)
+     */
+    function formatModelMeta(info) {
+        const parts = [];
+
+        if (info.pricing) {
+            if (info.pricing.prompt === 0 && info.pricing.completion === 0) {
+                parts.push('Free');
+            } else {
+                parts.push(`${formatTokenPrice(info.pricing.prompt)} / ${formatTokenPrice(info.pricing.completion)} per 1M tokens (in / out)`);
+            }
+            if (info.pricing.image > 0) {
+                parts.push(`$${info.pricing.image.toFixed(4)} per input image`);
+            }
+        }
+        if (info.contextLength) {
+            parts.push(`${Math.round(info.contextLength / 1000)}K context`);
+        }
+
+        return parts.length > 0 ? `<div class="model-meta">${escapeHtml(parts.join(' · '))}</div>` : '';
+    }
+
+    /**
+     * Hide model options that don't match the modal's search box
+     * @param {string} listId - ID of the model list element
+     */
+    function filterModelList(listId) {
+        const searchInput = document.querySelector(`.model-search[data-list="${listId}"]`);
+        const modelList = document.getElementById(listId);
+        if (!searchInput || !modelList) return;
+
+        const query = searchInput.value.trim().toLowerCase();
+        modelList.querySelectorAll('.model-option').forEach(option => {
+            const text = `${option.dataset.model} ${option.querySelector('.model-name').textContent}`.toLowerCase();
+            option.style.display = !query || text.includes(query) ? '' : 'none';
+        });
+    }
+
+    /**
+     * Load the live model catalog and refresh model lists and labels
+     */
+    async function refreshModelCatalog() {
+        const loaded = await loadModelCatalog();
+        if (!loaded) return;
+
+        renderModelList();
+        renderEditModelList();
+        renderChatModelList();
+        updateGenerationModelLabel();
+        updateContextUsage();
+        selectedEditModelName.textContent = getAvailableModels()[getEditModel()]?.name || getEditModel();
+        selectedChatModelName.textContent = getAvailableChatModels()[getChatModel()]?.name || getChatModel();
+    }
+
+    /**
+     * Escape HTML to prevent XSS. Quotes are escaped too, so the result is
+     * safe inside attribute values as well as element content.
      * @param {string} text - Text to escape
      * @returns {string} Escaped HTML
      */
     function escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
-        return div.innerHTML;
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
     }
 
+    /**
+     * Minimum time between markdown re-renders while a reply streams (ms)
+     * @type {number}
+     */
+    const STREAM_RENDER_INTERVAL_MS = 80;
+
+    /**
+     * Pending throttled render of the streaming message
+     * @type {{timer: number|null, lastRender: number}}
+     */
+    const streamingRender = { timer: null, lastRender: 0 };
+
     /**
      * Initialize event listeners and setup
      * @returns {void}
      */
     function init() {
-        // Render model lists dynamically
+        setupMarkdown();
+
+        // Ask for an access token whenever the server requires sign-in
+        setAuthRequiredHandler(openLoginModal);
+        checkSession();
+        updateBillingIndicator();
+
+        // Show each request's cost as it comes back
+        setUsageRecordedHandler(handleUsageRecorded);
+        updateCostMeter();
+
+        // Pick up background jobs started before a reload (or, when signed in, on another device)
+        clearJobsBtn.addEventListener('click', clearFinishedJobs);
+        renderJobs();
+        scheduleJobPolling();
+        syncImageJobs()
+            .then(() => {
+                renderJobs();
+                scheduleJobPolling();
+            })
+            .catch(error => console.warn('Unable to load background jobs:', error));
+
+        // Render model lists dynamically, then swap in the live catalog when it arrives
         renderModelList();
         renderEditModelList();
+        refreshModelCatalog();
+
+        // Model search boxes
+        document.querySelectorAll('.model-search').forEach(input => {
+            input.addEventListener('input', () => filterModelList(input.dataset.list));
+        });
 
         // File upload via click on upload button
         uploadBtn.addEventListener('click', () => {
@@ -178,13 +490,49 @@ document.addEventListener('DOMContentLoaded', function () {
 
         // Edit mode button events
         enhancePromptBtn.addEventListener('click', enhanceUserPrompt);
-        applyEditBtn.addEventListener('click', applyAIEdit);
+        applyEditBtn.addEventListener('click', () => applyAIEdit());
+        queueEditBtn.addEventListener('click', queueEdit);
         selectEditModelBtn.addEventListener('click', openEditModelModal);
+        undoEditBtn.addEventListener('click', undoEdit);
+        redoEditBtn.addEventListener('click', redoEdit);
+
+        // Mask editor events
+        toggleMaskBtn.addEventListener('click', toggleMaskMode);
+        clearMaskBtn.addEventListener('click', clearMask);
+        maskTools.querySelectorAll('.mask-tool').forEach(btn => {
+            btn.addEventListener('click', () => setMaskTool(btn.dataset.tool));
+        });
+        window.addEventListener('resize', positionMaskCanvas);
+
+        // Batch editing events
+        runBatchBtn.addEventListener('click', runBatch);
+        queueBatchBtn.addEventListener('click', queueBatch);
+        stopBatchBtn.addEventListener('click', () => {
+            batchStopRequested = true;
+            stopBatchBtn.disabled = true;
+        });
+        downloadBatchBtn.addEventListener('click', downloadBatchZip);
+        clearBatchBtn.addEventListener('click', clearBatch);
 
         // Generation mode button events
         enhanceGeneratePromptBtn.addEventListener('click', enhanceGenerateUserPrompt);
         generateImageBtn.addEventListener('click', generateAIImage);
+        queueGenerateBtn.addEventListener('click', queueGeneration);
         selectModelBtn.addEventListener('click', openModelModal);
+        compareModeBtn.addEventListener('click', toggleCompareMode);
+        updateGenerationModelLabel();
+        downloadGeneratedBtn.addEventListener('click', () => {
+            if (currentGeneratedImage) {
+                const extension = getFileExtensionFromBase64(currentGeneratedImage);
+                createDownloadLink(currentGeneratedImage, `generated-image-${new Date().getTime()}.${extension}`);
+            }
+        });
+        upscaleGeneratedBtn.addEventListener('click', upscaleGeneratedImage);
+        editGeneratedBtn.addEventListener('click', () => {
+            if (currentGeneratedImage) {
+                loadImageIntoEditor(currentGeneratedImage, 'generated');
+            }
+        });
 
         // Mode toggle events
         modeBtns.forEach(btn => {
@@ -216,8 +564,66 @@ document.addEventListener('DOMContentLoaded', function () {
             }
         });
         selectChatModelBtn.addEventListener('click', openChatModelModal);
-        clearChatBtn.addEventListener('click', handleClearChat);
+        selectPersonaBtn.addEventListener('click', openPersonaModal);
+        clearChatBtn.addEventListener('click', startNewConversation);
         webSearchToggle.addEventListener('click', handleWebSearchToggle);
+        webSearchSettingsBtn.addEventListener('click', toggleWebSearchSettings);
+        closeWebSearchSettingsBtn.addEventListener('click', toggleWebSearchSettings);
+        webSearchResultsInput.addEventListener('change', saveWebSearchSettings);
+        webSearchPromptInput.addEventListener('change', saveWebSearchSettings);
+
+        // Conversation sidebar
+        conversationSearch.addEventListener('input', () => renderConversationList());
+        toggleConversationsBtn.addEventListener('click', () => chatSidebar.classList.toggle('open'));
+        renderConversationList();
+        updateContextUsage();
+        chatMessages.addEventListener('click', handleChatMessagesClick);
+        stopChatBtn.addEventListener('click', () => chatAbortController?.abort());
+
+        // Chat image attachments (button, paste, drag and drop, current images)
+        attachChatImageBtn.addEventListener('click', () => chatFileInput.click());
+        chatFileInput.addEventListener('change', () => {
+            addChatAttachmentFiles(Array.from(chatFileInput.files));
+            chatFileInput.value = '';
+        });
+        chatInput.addEventListener('paste', handleChatPaste);
+        chatInputRow.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            chatInputRow.classList.add('drag-over');
+        });
+        chatInputRow.addEventListener('dragleave', () => chatInputRow.classList.remove('drag-over'));
+        chatInputRow.addEventListener('drop', (e) => {
+            e.preventDefault();
+            chatInputRow.classList.remove('drag-over');
+            addChatAttachmentFiles(Array.from(e.dataTransfer.files));
+        });
+        attachEditedImageBtn.addEventListener('click', async () => {
+            const image = await getEditSourceImage();
+            if (image) addChatAttachment(image);
+        });
+        attachGeneratedImageBtn.addEventListener('click', () => {
+            if (currentGeneratedImage) addChatAttachment(currentGeneratedImage);
+        });
+
+        // Gallery events
+        gallerySearch.addEventListener('input', () => renderGallery());
+
+        // Usage and sign-in events
+        refreshUsageBtn.addEventListener('click', renderUsagePage);
+        apiKeyForm.addEventListener('submit', handleSaveApiKey);
+        removeApiKeyBtn.addEventListener('click', handleRemoveApiKey);
+        billingBadge.addEventListener('click', () => switchMode('usage'));
+        cancelRequestBtn.addEventListener('click', () => imageRequest?.controller.abort());
+        costMeter.addEventListener('click', () => switchMode('usage'));
+        exportUsageBtn.addEventListener('click', handleExportUsage);
+        clearUsageBtn.addEventListener('click', handleClearUsage);
+        loginForm.addEventListener('submit', handleSignIn);
+        closeLoginModalBtn.addEventListener('click', closeLoginModal);
+        loginModalOverlay.addEventListener('click', (e) => {
+            if (e.target === loginModalOverlay) {
+                closeLoginModal();
+            }
+        });
 
         // Chat Model Modal events
         closeChatModelModal.addEventListener('click', closeChatModal);
@@ -227,10 +633,31 @@ document.addEventListener('DOMContentLoaded', function () {
             }
         });
 
+        // Persona Modal events
+        closePersonaModalBtn.addEventListener('click', closePersonaModal);
+        personaModalOverlay.addEventListener('click', (e) => {
+            if (e.target === personaModalOverlay) {
+                closePersonaModal();
+            }
+        });
+        personaForm.addEventListener('submit', handleSavePersona);
+        cancelPersonaEditBtn.addEventListener('click', resetPersonaForm);
+
         // Model selection events are attached in renderModelList(), renderEditModelList(), and renderChatModelList()
 
-        // Keyboard events for modals
+        // Keyboard events for modals and edit history
         document.addEventListener('keydown', (e) => {
+            if (currentMode === 'edit' && (e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z' &&
+                !['INPUT', 'TEXTAREA'].includes(document.activeElement?.tagName)) {
+                e.preventDefault();
+                if (e.shiftKey) {
+                    redoEdit();
+                } else {
+                    undoEdit();
+                }
+                return;
+            }
+
             if (e.key === 'Escape') {
                 if (lightboxOverlay.classList.contains('active')) {
                     closeLightboxModal();
@@ -240,6 +667,10 @@ document.addEventListener('DOMContentLoaded', function () {
                     closeEditModal();
                 } else if (chatModelModalOverlay.classList.contains('active')) {
                     closeChatModal();
+                } else if (personaModalOverlay.classList.contains('active')) {
+                    closePersonaModal();
+                } else if (loginModalOverlay.classList.contains('active')) {
+                    closeLoginModal();
                 }
             }
         });
@@ -259,6 +690,7 @@ document.addEventListener('DOMContentLoaded', function () {
 
         // Render chat model list
         renderChatModelList();
+        updatePersonaLabel();
 
         // Initialize Lucide icons
         if (typeof lucide !== 'undefined') {
@@ -310,8 +742,8 @@ document.addEventListener('DOMContentLoaded', function () {
     }
 
     /**
-     * Switch between edit, generate, and chat modes
-     * @param {string} mode - 'edit', 'generate', or 'chat'
+     * Switch between edit, generate, chat, gallery, and usage modes
+     * @param {AppMode} mode - 'edit', 'generate', 'chat', 'gallery', or 'usage'
      */
     function switchMode(mode) {
         if (mode === currentMode) return;
@@ -327,12 +759,24 @@ document.addEventListener('DOMContentLoaded', function () {
         editorSection.style.display = mode === 'edit' ? 'block' : 'none';
         generationSection.style.display = mode === 'generate' ? 'block' : 'none';
         chatSection.style.display = mode === 'chat' ? 'block' : 'none';
+        gallerySection.style.display = mode === 'gallery' ? 'block' : 'none';
+        usageSection.style.display = mode === 'usage' ? 'block' : 'none';
 
         // Focus chat input when switching to chat mode
         if (mode === 'chat') {
+            updateAttachCurrentButtons();
             setTimeout(() => chatInput.focus(), 100);
         }
 
+        // Refresh the gallery when it becomes visible
+        if (mode === 'gallery') {
+            renderGallery();
+        }
+
+        if (mode === 'usage') {
+            renderUsagePage();
+        }
+
         // Clear any messages
         hideError();
         hideSuccess();
@@ -374,6 +818,66 @@ document.addEventListener('DOMContentLoaded', function () {
         document.body.style.overflow = '';
     }
 
+    /**
+     * Update the generation model button label for single or compare mode
+     */
+    function updateGenerationModelLabel() {
+        const models = getAvailableModels();
+        if (compareMode) {
+            selectedModelName.textContent = compareModelIds.length > 0
+                ? `Comparing: ${compareModelIds.map(id => models[id]?.name || id).join(', ')}`
+                : 'Select models to compare';
+        } else {
+            selectedModelName.textContent = models[getGenerationModel()]?.name || getGenerationModel();
+        }
+    }
+
+    /**
+     * Toggle side-by-side model comparison
+     */
+    function toggleCompareMode() {
+        compareMode = !compareMode;
+        compareModeBtn.classList.toggle('active', compareMode);
+        variationCount.closest('.option-field').style.display = compareMode ? 'none' : '';
+        modelModalTitle.textContent = compareMode
+            ? `Select Models to Compare (up to ${MAX_COMPARE_MODELS})`
+            : 'Select Generation Model';
+        generateImageBtn.innerHTML = compareMode
+            ? '<i data-lucide="columns"></i> Compare Models'
+            : '<i data-lucide="sparkles"></i> Generate Image';
+
+        // Start from the current model so one more pick is enough to compare
+        if (compareMode && compareModelIds.length === 0) {
+            compareModelIds = [getGenerationModel()];
+        }
+
+        updateGenerationModelLabel();
+
+        if (typeof lucide !== 'undefined') {
+            lucide.createIcons();
+        }
+    }
+
+    /**
+     * Add or remove a model from the comparison set
+     * @param {HTMLElement} option - The clicked model option element
+     */
+    function toggleCompareModel(option) {
+        const modelId = option.dataset.model;
+
+        if (compareModelIds.includes(modelId)) {
+            compareModelIds = compareModelIds.filter(id => id !== modelId);
+        } else if (compareModelIds.length < MAX_COMPARE_MODELS) {
+            compareModelIds.push(modelId);
+        } else {
+            showError(`You can compare up to ${MAX_COMPARE_MODELS} models at once.`);
+            return;
+        }
+
+        option.classList.toggle('selected', compareModelIds.includes(modelId));
+        updateGenerationModelLabel();
+    }
+
     /**
      * Select a generation model from the modal
      * @param {HTMLElement} option - The clicked model option element
@@ -441,11 +945,12 @@ document.addEventListener('DOMContentLoaded', function () {
         const currentModel = getChatModel();
 
         modelList.innerHTML = Object.entries(models).map(([id, info]) => `
-            <div class="model-option ${id === currentModel ? 'selected' : ''}" data-model="${id}">
+            <div class="model-option ${id === currentModel ? 'selected' : ''}" data-model="${escapeHtml(id)}">
                 <div class="model-info">
-                    <div class="model-name">${escapeHtml(info.name)}</div>
+                    <div class="model-name">${escapeHtml(info.name)}${info.outputsImages ? ' <span class="model-tag">Creates images</span>' : ''}</div>
                     <div class="model-description">${escapeHtml(info.description)}</div>
                     <div class="model-id">${escapeHtml(id)}</div>
+                    ${formatModelMeta(info)}
                 </div>
                 <div class="model-check">
                     <i data-lucide="check"></i>
@@ -457,6 +962,7 @@ document.addEventListener('DOMContentLoaded', function () {
         modelList.querySelectorAll('.model-option').forEach(option => {
             option.addEventListener('click', () => selectChatModel(option));
         });
+        filterModelList('chatModelList');
 
         // Reinitialize Lucide icons
         if (typeof lucide !== 'undefined') {
@@ -479,6 +985,7 @@ document.addEventListener('DOMContentLoaded', function () {
     function closeChatModal() {
         chatModelModalOverlay.classList.remove('active');
         document.body.style.overflow = '';
+        regenerateAfterModelSelect = null;
     }
 
     /**
@@ -487,6 +994,7 @@ document.addEventListener('DOMContentLoaded', function () {
      */
     function selectChatModel(option) {
         const modelId = option.dataset.model;
+        const regenerateIndex = regenerateAfterModelSelect;
 
         // Update selection state in this modal only
         const modelList = document.getElementById('chatModelList');
@@ -495,6 +1003,8 @@ document.addEventListener('DOMContentLoaded', function () {
 
         // Update the API
         setChatModel(modelId);
+        updateContextUsage();
+        persistCurrentConversation();
 
         // Update the button text
         const modelName = option.querySelector('.model-name').textContent;
@@ -507,14 +1017,214 @@ document.addEventListener('DOMContentLoaded', function () {
         if (typeof lucide !== 'undefined') {
             lucide.createIcons();
         }
+
+        if (regenerateIndex !== null) {
+            handleRegenerate(regenerateIndex, modelId);
+        }
+    }
+
+    /**
+     * Show the current persona's name on the chat header button
+     */
+    function updatePersonaLabel() {
+        const persona = getAvailablePersonas()[getChatPersona()];
+        selectedPersonaName.textContent = persona?.name || 'Assistant';
+        selectPersonaBtn.title = persona?.systemPrompt
+            ? `Persona: ${persona.name}`
+            : 'Choose a persona';
+    }
+
+    /**
+     * Render the persona list with built-in and custom personas
+     */
+    function renderPersonaList() {
+        const personas = getAvailablePersonas();
+        const currentPersona = getChatPersona();
+
+        personaList.innerHTML = Object.entries(personas).map(([id, persona]) => `
+            <div class="model-option ${id === currentPersona ? 'selected' : ''}" data-persona="${escapeHtml(id)}">
+                <div class="model-info">
+                    <div class="model-name">${escapeHtml(persona.name)}${persona.custom ? ' <span class="model-tag">Custom</span>' : ''}</div>
+                    <div class="model-description">${escapeHtml(persona.description)}</div>
+                </div>
+                ${persona.custom ? `
+                <div class="persona-actions">
+                    <button class="icon-btn" data-action="edit" title="Edit persona">
+                        <i data-lucide="pencil"></i>
+                    </button>
+                    <button class="icon-btn" data-action="delete" title="Delete persona">
+                        <i data-lucide="trash-2"></i>
+                    </button>
+                </div>` : ''}
+                <div class="model-check">
+                    <i data-lucide="check"></i>
+                </div>
+            </div>
+        `).join('');
+
+        personaList.querySelectorAll('.model-option').forEach(option => {
+            const id = option.dataset.persona;
+            option.addEventListener('click', () => selectPersona(id));
+            option.querySelector('[data-action="edit"]')?.addEventListener('click', (e) => {
+                e.stopPropagation();
+                startEditingPersona(id);
+            });
+            option.querySelector('[data-action="delete"]')?.addEventListener('click', (e) => {
+                e.stopPropagation();
+                removePersona(id);
+            });
+        });
+
+        if (typeof lucide !== 'undefined') {
+            lucide.createIcons();
+        }
+    }
+
+    /**
+     * Open the persona selector modal
+     */
+    function openPersonaModal() {
+        resetPersonaForm();
+        renderPersonaList();
+        personaModalOverlay.classList.add('active');
+        document.body.style.overflow = 'hidden';
+    }
+
+    /**
+     * Close the persona selector modal
+     */
+    function closePersonaModal() {
+        personaModalOverlay.classList.remove('active');
+        document.body.style.overflow = '';
+    }
+
+    /**
+     * Select a persona for the current chat
+     * @param {string} personaId - Persona ID
+     */
+    function selectPersona(personaId) {
+        setChatPersona(personaId);
+        updatePersonaLabel();
+        updateContextUsage();
+        persistCurrentConversation();
+        closePersonaModal();
+    }
+
+    /**
+     * Fill the persona form with a custom persona for editing
+     * @param {string} personaId - Custom persona ID
+     */
+    function startEditingPersona(personaId) {
+        const persona = getAvailablePersonas()[personaId];
+        if (!persona?.custom) return;
+
+        personaForm.dataset.editing = personaId;
+        personaFormTitle.textContent = `Edit ${persona.name}`;
+        personaNameInput.value = persona.name;
+        personaPromptInput.value = persona.systemPrompt;
+        savePersonaBtn.innerHTML = '<i data-lucide="check"></i> Update Persona';
+        cancelPersonaEditBtn.style.display = '';
+        personaNameInput.focus();
+
+        if (typeof lucide !== 'undefined') {
+            lucide.createIcons();
+        }
+    }
+
+    /**
+     * Clear the persona form back to creating a new persona
+     */
+    function resetPersonaForm() {
+        delete personaForm.dataset.editing;
+        personaForm.reset();
+        personaFormTitle.textContent = 'Create a persona';
+        savePersonaBtn.innerHTML = '<i data-lucide="plus"></i> Save Persona';
+        cancelPersonaEditBtn.style.display = 'none';
+
+        if (typeof lucide !== 'undefined') {
+            lucide.createIcons();
+        }
+    }
+
+    /**
+     * Save the persona form and select the saved persona
+     * @param {SubmitEvent} e - Form submit event
+     */
+    function handleSavePersona(e) {
+        e.preventDefault();
+
+        let personaId;
+        try {
+            personaId = saveCustomPersona({
+                id: personaForm.dataset.editing,
+                name: personaNameInput.value,
+                systemPrompt: personaPromptInput.value
+            });
+        } catch (error) {
+            showError(error.message);
+            return;
+        }
+
+        resetPersonaForm();
+        selectPersona(personaId);
+    }
+
+    /**
+     * Delete a custom persona after confirmation
+     * @param {string} personaId - Custom persona ID
+     */
+    function removePersona(personaId) {
+        const persona = getAvailablePersonas()[personaId];
+        if (!persona || !confirm(`Delete the persona "${persona.name}"?`)) return;
+
+        deleteCustomPersona(personaId);
+        if (personaForm.dataset.editing === personaId) {
+            resetPersonaForm();
+        }
+        updatePersonaLabel();
+        updateContextUsage();
+        renderPersonaList();
     }
 
     /**
      * Handle web search toggle
      */
     function handleWebSearchToggle() {
-        const isEnabled = toggleWebSearch();
-        
+        updateWebSearchUI(toggleWebSearch());
+        persistCurrentConversation();
+    }
+
+    /**
+     * Show or hide the web search settings panel
+     */
+    function toggleWebSearchSettings() {
+        const isOpen = webSearchSettings.style.display !== 'none';
+        if (!isOpen) {
+            const { maxResults, searchPrompt } = getWebSearchOptions();
+            webSearchResultsInput.value = maxResults;
+            webSearchPromptInput.value = searchPrompt;
+        }
+        webSearchSettings.style.display = isOpen ? 'none' : 'flex';
+        webSearchSettingsBtn.classList.toggle('active', !isOpen);
+    }
+
+    /**
+     * Save the web search settings panel (values are clamped to the allowed range)
+     */
+    function saveWebSearchSettings() {
+        const { maxResults, searchPrompt } = setWebSearchOptions({
+            maxResults: webSearchResultsInput.value,
+            searchPrompt: webSearchPromptInput.value
+        });
+        webSearchResultsInput.value = maxResults;
+        webSearchPromptInput.value = searchPrompt;
+    }
+
+    /**
+     * Reflect the web search state in the toggle button and status text
+     * @param {boolean} isEnabled - Whether web search is enabled
+     */
+    function updateWebSearchUI(isEnabled) {
         // Update button state
         webSearchToggle.classList.toggle('active', isEnabled);
         
@@ -535,11 +1245,19 @@ document.addEventListener('DOMContentLoaded', function () {
      */
     async function handleSendChat() {
         const message = chatInput.value.trim();
-        if (!message) return;
+        const attachments = chatAttachments;
+        if (!message && attachments.length === 0) return;
+
+        if (attachments.length > 0 && !chatModelSupportsImages()) {
+            showError('The selected chat model cannot read images. Please choose a model with vision support.');
+            return;
+        }
 
         // Clear input
         chatInput.value = '';
         chatInput.style.height = 'auto';
+        chatAttachments = [];
+        renderChatAttachments();
 
         // Remove welcome message if present
         const welcomeMsg = chatMessages.querySelector('.chat-welcome');
@@ -548,63 +1266,242 @@ document.addEventListener('DOMContentLoaded', function () {
         }
 
         // Add user message to UI
-        addChatMessage('user', message);
+        addChatMessage('user', message, attachments);
+
+        // Send message with streaming callback
+        await streamChatIntoView({ prompt: message, model: getChatModel() },
+            (onChunk, signal) => sendChatMessage(message, onChunk, null, { attachments, signal }));
+    }
 
+    /**
+     * Stream a reply into a new assistant bubble. While it streams, the send
+     * button becomes a Stop button; afterwards the conversation is re-rendered
+     * from history so every message gets its actions.
+     * @param {Object} context - Request context
+     * @param {string} context.prompt - Prompt saved with any generated images
+     * @param {string} context.model - Model saved with any generated images
+     * @param {boolean} [context.restoreOnError=false] - Re-render the saved history on failure (regenerate/edit)
+     * @param {function(function(string, string, Array<string>, Array<ChatCitation>), AbortSignal): Promise<string>} request - Starts the request
+     * @returns {Promise<void>}
+     */
+    async function streamChatIntoView({ prompt, model, restoreOnError = false }, request) {
         // Create assistant message container for streaming
         const assistantMessageDiv = createStreamingMessage();
 
         // Scroll to bottom
         scrollChatToBottom();
 
+        chatAbortController = new AbortController();
+
         try {
             // Disable input while processing
             setChatInputDisabled(true);
 
-            // Send message with streaming callback
-            await sendChatMessage(message, (chunk, fullContent) => {
+            let chatImages = [];
+            await request((chunk, fullContent, images, citations) => {
                 // Update the streaming message content
-                updateStreamingMessage(assistantMessageDiv, fullContent);
-                scrollChatToBottom();
-            });
-
-            // Finalize the message (ensure markdown is fully processed)
-            finalizeStreamingMessage(assistantMessageDiv);
+                chatImages = images;
+                queueStreamingUpdate(assistantMessageDiv, fullContent, images, citations);
+            }, chatAbortController.signal);
+            cancelStreamingRender();
+
+            // Keep images created in chat alongside generated ones
+            chatImages.forEach(image => saveToGallery({
+                image,
+                prompt,
+                model,
+                mode: 'generate'
+            }));
+
+            // Re-render from history (ensures markdown is fully processed and adds message actions)
+            renderChatHistory();
+            updateContextUsage();
+            await persistCurrentConversation();
 
         } catch (error) {
+            cancelStreamingRender();
+            if (error.name === 'AbortError' || restoreOnError) {
+                // Stopped before any output, or a failed regenerate/edit: show the saved history again
+                renderChatHistory();
+                if (error.name !== 'AbortError') showApiError(error, { switchModel: openChatModelModal });
+                return;
+            }
+
             console.error('Error sending chat message:', error);
             
             // Update message to show error
-            updateStreamingMessage(assistantMessageDiv, `Sorry, I encountered an error: ${error.message}`);
+            updateStreamingMessage(assistantMessageDiv, `Sorry, I encountered an error: ${getUserFriendlyError(error)}`);
             finalizeStreamingMessage(assistantMessageDiv);
         } finally {
+            chatAbortController = null;
             setChatInputDisabled(false);
             chatInput.focus();
         }
     }
 
+    /**
+     * Regenerate an assistant reply (the previous reply stays available as a branch)
+     * @param {number} index - History index of the assistant message
+     * @param {string|null} [model=null] - Model to use (defaults to the current chat model)
+     * @returns {Promise<void>}
+     */
+    async function handleRegenerate(index, model = null) {
+        const messages = getChatHistory();
+        const previousUserMessage = messages.slice(0, index).reverse().find(message => message.role === 'user');
+
+        renderChatHistory(index);
+        await streamChatIntoView({
+            prompt: previousUserMessage ? getMessageText(previousUserMessage) : '',
+            model: model || getChatModel(),
+            restoreOnError: true
+        }, (onChunk, signal) => regenerateChatMessage(index, onChunk, model, { signal }));
+    }
+
+    /**
+     * Replace a user message bubble with an inline editor
+     * @param {number} index - History index of the user message
+     */
+    function startEditingMessage(index) {
+        const messageDiv = chatMessages.querySelector(`.chat-message[data-index="${index}"]`);
+        if (!messageDiv) return;
+
+        const contentDiv = messageDiv.querySelector('.message-content');
+        contentDiv.innerHTML = `
+            <textarea class="message-edit-input" rows="3"></textarea>
+            <div class="message-edit-actions">
+                <button class="btn-secondary" data-action="cancel-edit">Cancel</button>
+                <button class="btn-primary" data-action="save-edit">Save & Send</button>
+            </div>
+        `;
+        messageDiv.querySelector('.message-actions')?.remove();
+
+        const textarea = contentDiv.querySelector('.message-edit-input');
+        textarea.value = getMessageText(getChatHistory()[index]);
+        textarea.focus();
+
+        contentDiv.querySelector('[data-action="cancel-edit"]').addEventListener('click', () => renderChatHistory());
+        contentDiv.querySelector('[data-action="save-edit"]').addEventListener('click', () => handleEditMessage(index, textarea.value.trim()));
+    }
+
+    /**
+     * Re-run the conversation from an edited user message (the original stays available as a branch)
+     * @param {number} index - History index of the user message
+     * @param {string} message - New message text
+     * @returns {Promise<void>}
+     */
+    async function handleEditMessage(index, message) {
+        const original = getChatHistory()[index];
+        const images = Array.isArray(original.content)
+            ? original.content.filter(part => part.type === 'image_url').map(part => part.image_url.url)
+            : [];
+        if (!message && images.length === 0) return;
+
+        renderChatHistory(index);
+        addChatMessage('user', message, images);
+        await streamChatIntoView({ prompt: message, model: getChatModel(), restoreOnError: true },
+            (onChunk, signal) => editChatMessage(index, message, onChunk, null, { signal }));
+    }
+
+    /**
+     * Show the previous or next branch at a message
+     * @param {number} index - History index of the message with branches
+     * @param {number} direction - -1 for previous, 1 for next
+     */
+    function handleSwitchBranch(index, direction) {
+        const message = getChatHistory()[index];
+        if (!message?.branches) return;
+
+        switchChatBranch(index, message.branchIndex + direction);
+        renderChatHistory();
+        updateContextUsage();
+        persistCurrentConversation();
+    }
+
+    /**
+     * Build the action bar shown under a message from history
+     * @param {ChatMessage} message - History entry
+     * @param {number} index - History index
+     * @returns {string} HTML for the action bar
+     */
+    function renderMessageActions(message, index) {
+        const branchNav = message.branches ? `
+            <div class="message-branches">
+                <button class="message-action" data-action="branch-prev" data-index="${index}" title="Previous version" ${message.branchIndex === 0 ? 'disabled' : ''}>
+                    <i data-lucide="chevron-left"></i>
+                </button>
+                <span>${message.branchIndex + 1} / ${message.branches.length}</span>
+                <button class="message-action" data-action="branch-next" data-index="${index}" title="Next version" ${message.branchIndex === message.branches.length - 1 ? 'disabled' : ''}>
+                    <i data-lucide="chevron-right"></i>
+                </button>
+            </div>
+        ` : '';
+
+        const actions = message.role === 'user' ? `
+            <button class="message-action" data-action="edit-message" data-index="${index}" title="Edit and resend">
+                <i data-lucide="pencil"></i>
+            </button>
+        ` : `
+            <span class="message-model">${escapeHtml(getAvailableChatModels()[message.model]?.name || message.model || '')}</span>
+            <button class="message-action" data-action="regenerate" data-index="${index}" title="Regenerate">
+                <i data-lucide="refresh-cw"></i>
+            </button>
+            <button class="message-action" data-action="regenerate-with" data-index="${index}" title="Regenerate with another model">
+                <i data-lucide="cpu"></i>
+            </button>
+        `;
+
+        return `<div class="message-actions">${branchNav}${actions}</div>`;
+    }
+
     /**
      * Add a message to the chat UI
      * @param {string} role - 'user' or 'assistant'
      * @param {string} content - Message content
+     * @param {Array<string>} [images=[]] - Attached images (user) or generated images (assistant)
+     * @param {number|null} [index=null] - History index; adds message actions when set
      */
-    function addChatMessage(role, content) {
+    function addChatMessage(role, content, images = [], index = null) {
+        const historyMessage = index !== null ? getChatHistory()[index] : null;
         const messageDiv = document.createElement('div');
         messageDiv.className = `chat-message ${role}`;
 
         const avatarIcon = role === 'user' ? 'user' : 'sparkles';
         
-        // Process content for basic markdown (code blocks, bold, italic)
-        const processedContent = processMarkdown(content);
+        const processedContent = renderMarkdown(content);
+        const attachmentsHtml = role === 'user' && images.length > 0
+            ? `<div class="message-attachments">${images.map((src, index) => `<img src="${src}" alt="Attachment ${index + 1}" data-index="${index}">`).join('')}</div>`
+            : '';
+
+        if (index !== null) {
+            // Rendered from history: skip the slide-in animation
+            messageDiv.dataset.index = index;
+            messageDiv.classList.add('from-history');
+        }
 
         messageDiv.innerHTML = `
             <div class="message-avatar">
                 <i data-lucide="${avatarIcon}"></i>
             </div>
-            <div class="message-content">
-                ${processedContent}
+            <div class="message-body">
+                <div class="message-content">
+                    ${attachmentsHtml}
+                    ${processedContent}
+                    ${role === 'assistant' ? renderChatImages(images) : ''}
+                </div>
+                ${historyMessage ? renderMessageActions(historyMessage, index) : ''}
             </div>
         `;
 
+        const citationsElement = createCitationsElement(historyMessage?.citations || []);
+        if (citationsElement) {
+            messageDiv.querySelector('.message-content').after(citationsElement);
+        }
+
+        messageDiv.querySelectorAll('.message-attachments img').forEach(img => {
+            img.addEventListener('click', () => openLightbox(images[img.dataset.index]));
+        });
+        enhanceCodeBlocks(messageDiv.querySelector('.message-content'));
+
         chatMessages.appendChild(messageDiv);
 
         // Reinitialize icons
@@ -614,8 +1511,222 @@ document.addEventListener('DOMContentLoaded', function () {
     }
 
     /**
-     * Process markdown in text to HTML
-     * @param {string} text - Text to process
+     * Add an image to the next chat message
+     * @param {string} imageSrc - Base64 encoded image
+     * @returns {Promise<void>}
+     */
+    async function addChatAttachment(imageSrc) {
+        if (chatAttachments.length >= MAX_CHAT_ATTACHMENTS) {
+            showError(`You can attach up to ${MAX_CHAT_ATTACHMENTS} images per message.`);
+            return;
+        }
+
+        try {
+            // Chat history is resent on every turn, so keep attachments small
+            const image = await compressImage(imageSrc, CHAT_ATTACHMENT_MAX_DIMENSION, CHAT_ATTACHMENT_MAX_BYTES);
+            chatAttachments.push(image);
+            renderChatAttachments();
+        } catch (error) {
+            console.error('Error attaching image:', error);
+            showError(getUserFriendlyError(error));
+        }
+    }
+
+    /**
+     * Add image files to the next chat message
+     * @param {Array<File>} files - Selected, pasted or dropped files
+     * @returns {Promise<void>}
+     */
+    async function addChatAttachmentFiles(files) {
+        const imageFiles = files.filter(file => isValidImageFile(file));
+        if (imageFiles.length < files.length) {
+            showError(ErrorMessages.INVALID_FILE);
+        }
+
+        for (const file of imageFiles) {
+            await addChatAttachment(await fileToBase64(file));
+        }
+    }
+
+    /**
+     * Attach images pasted into the chat input
+     * @param {ClipboardEvent} event - Paste event
+     */
+    function handleChatPaste(event) {
+        const files = Array.from(event.clipboardData?.items || [])
+            .filter(item => item.kind === 'file' && item.type.startsWith('image/'))
+            .map(item => item.getAsFile())
+            .filter(Boolean);
+
+        if (files.length > 0) {
+            event.preventDefault();
+            addChatAttachmentFiles(files);
+        }
+    }
+
+    /**
+     * Remove an image from the next chat message
+     * @param {number} index - Attachment index
+     */
+    function removeChatAttachment(index) {
+        chatAttachments.splice(index, 1);
+        renderChatAttachments();
+    }
+
+    /**
+     * Render the thumbnails of images waiting to be sent
+     */
+    function renderChatAttachments() {
+        chatAttachmentsTray.style.display = chatAttachments.length > 0 ? 'flex' : 'none';
+        chatAttachmentsTray.innerHTML = chatAttachments.map((src, index) => `
+            <div class="chat-attachment">
+                <img src="${src}" alt="Attachment ${index + 1}">
+                <button class="chat-attachment-remove" data-index="${index}" title="Remove" aria-label="Remove attachment">
+                    <i data-lucide="x"></i>
+                </button>
+            </div>
+        `).join('');
+
+        chatAttachmentsTray.querySelectorAll('.chat-attachment-remove').forEach(btn => {
+            btn.addEventListener('click', () => removeChatAttachment(Number(btn.dataset.index)));
+        });
+
+        if (typeof lucide !== 'undefined') {
+            lucide.createIcons();
+        }
+    }
+
+    /**
+     * Show the "attach edited/generated image" shortcuts when those images exist
+     */
+    function updateAttachCurrentButtons() {
+        attachEditedImageBtn.style.display = currentImageFile || editHistory.length > 0 ? '' : 'none';
+        attachGeneratedImageBtn.style.display = currentGeneratedImage ? '' : 'none';
+    }
+
+    /**
+     * Configure the markdown renderer and HTML sanitizer (no-op if the CDN scripts did not load)
+     */
+    function setupMarkdown() {
+        if (typeof marked === 'undefined' || typeof DOMPurify === 'undefined') return;
+
+        marked.use({ gfm: true, breaks: true });
+
+        DOMPurify.addHook('afterSanitizeAttributes', (node) => {
+            // Links from model output always open in a new tab without access to this page
+            if (node.tagName === 'A' && node.hasAttribute('href')) {
+                node.setAttribute('target', '_blank');
+                node.setAttribute('rel', 'noopener noreferrer nofollow');
+            }
+            // Task list checkboxes are the only inputs markdown produces
+            if (node.tagName === 'INPUT') {
+                if (node.getAttribute('type') !== 'checkbox') {
+                    node.remove();
+                    return;
+                }
+                node.setAttribute('disabled', '');
+            }
+            // Remote images would let prompt-injected content (e.g. from web search)
+            // send data to other servers as soon as it renders; only inline images show
+            if (node.tagName === 'IMG' && !/^data:image\//i.test(node.getAttribute('src') || '')) {
+                node.remove();
+            }
+        });
+    }
+
+    /**
+     * Render markdown to sanitized HTML. Falls back to processMarkdown if the
+     * renderer or sanitizer is unavailable.
+     * @param {string} text - Markdown text
+     * @returns {string} Safe HTML
+     */
+    function renderMarkdown(text) {
+        if (!text) return '';
+        if (typeof marked === 'undefined' || typeof DOMPurify === 'undefined') {
+            return processMarkdown(text);
+        }
+
+        const html = marked.parse(text);
+        const fragment = DOMPurify.sanitize(html, {
+            FORBID_TAGS: ['style', 'form', 'button', 'textarea', 'select', 'audio', 'video', 'source', 'picture', 'track'],
+            FORBID_ATTR: ['style', 'srcset', 'background', 'poster'],
+            RETURN_DOM_FRAGMENT: true
+        });
+
+        // Wide tables scroll inside the bubble instead of stretching it
+        fragment.querySelectorAll('table').forEach(table => {
+            const wrapper = document.createElement('div');
+            wrapper.className = 'table-wrapper';
+            table.replaceWith(wrapper);
+            wrapper.appendChild(table);
+        });
+
+        const container = document.createElement('div');
+        container.appendChild(fragment);
+        return container.innerHTML;
+    }
+
+    /**
+     * Highlight code blocks and give each one a header with its language and a copy button
+     * @param {HTMLElement|null} container - Rendered message content
+     */
+    function enhanceCodeBlocks(container) {
+        if (!container) return;
+
+        container.querySelectorAll('pre > code').forEach(code => {
+            const pre = code.parentElement;
+            if (pre.parentElement.classList.contains('code-block')) return;
+
+            const language = (code.className.match(/language-([\w+#-]+)/) || [])[1] || '';
+            if (language && typeof hljs !== 'undefined' && hljs.getLanguage(language)) {
+                hljs.highlightElement(code);
+            }
+
+            const block = document.createElement('div');
+            block.className = 'code-block';
+            block.innerHTML = `
+                <div class="code-block-header">
+                    <span class="code-language">${escapeHtml(language || 'text')}</span>
+                    <button class="code-copy-btn" title="Copy code">
+                        <i data-lucide="copy"></i> <span>Copy</span>
+                    </button>
+                </div>
+            `;
+            pre.replaceWith(block);
+            block.appendChild(pre);
+        });
+    }
+
+    /**
+     * Copy a code block's text to the clipboard
+     * @param {HTMLButtonElement} button - The block's copy button
+     * @returns {Promise<void>}
+     */
+    async function copyCodeBlock(button) {
+        const code = button.closest('.code-block')?.querySelector('code');
+        if (!code) return;
+
+        try {
+            await navigator.clipboard.writeText(code.textContent);
+        } catch (error) {
+            console.warn('Clipboard write failed:', error);
+            showError('Unable to copy to the clipboard in this browser.');
+            return;
+        }
+
+        const label = button.querySelector('span');
+        button.classList.add('copied');
+        label.textContent = 'Copied';
+        setTimeout(() => {
+            button.classList.remove('copied');
+            label.textContent = 'Copy';
+        }, 2000);
+    }
+
+    /**
+     * Process markdown in text to HTML with a basic regex converter
+     * (fallback for renderMarkdown when the CDN scripts are unavailable)
+     * @param {string} text - Text to process
      * @returns {string} Processed HTML
      */
     function processMarkdown(text) {
@@ -684,8 +1795,8 @@ document.addEventListener('DOMContentLoaded', function () {
         // Process strikethrough (~~text~~)
         processed = processed.replace(/~~([^~]+)~~/g, '<del>$1</del>');
         
-        // Process links [text](url)
-        processed = processed.replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2" target="_blank" rel="noopener">$1</a>');
+        // Process links [text](url) - only http(s) and mailto URLs become links
+        processed = processed.replace(/\[([^\]]+)\]\(((?:https?:\/\/|mailto:)[^)\s"]+)\)/g, '<a href="$2" target="_blank" rel="noopener noreferrer nofollow">$1</a>');
         
         // Restore code blocks
         codeBlocks.forEach((block, i) => {
@@ -794,8 +1905,12 @@ document.addEventListener('DOMContentLoaded', function () {
      * Update streaming message content
      * @param {HTMLElement} messageDiv - The message element
      * @param {string} content - Current full content
+     * @param {Array<string>} [images=[]] - Images returned so far
+     * @param {Array<ChatCitation>} [citations=[]] - Web sources cited so far
      */
-    function updateStreamingMessage(messageDiv, content) {
+    function updateStreamingMessage(messageDiv, content, images = [], citations = []) {
+        cancelStreamingRender();
+
         const contentDiv = messageDiv.querySelector('.message-content');
         if (contentDiv) {
             // Remove thinking indicator if present
@@ -805,8 +1920,172 @@ document.addEventListener('DOMContentLoaded', function () {
             }
             
             // Process markdown and add streaming cursor
-            const processedContent = processMarkdown(content);
-            contentDiv.innerHTML = processedContent + '<span class="streaming-cursor"></span>';
+            const processedContent = renderMarkdown(content);
+            contentDiv.innerHTML = processedContent + renderChatImages(images) + '<span class="streaming-cursor"></span>';
+
+            messageDiv.querySelector('.message-citations')?.remove();
+            const citationsElement = createCitationsElement(citations);
+            if (citationsElement) {
+                contentDiv.after(citationsElement);
+            }
+        }
+        streamingRender.lastRender = Date.now();
+    }
+
+    /**
+     * Update the streaming message at most once per STREAM_RENDER_INTERVAL_MS.
+     * Re-parsing the whole reply on every chunk gets slow for long answers, so
+     * chunks arriving in between are folded into one trailing render.
+     * @param {HTMLElement} messageDiv - The message element
+     * @param {string} content - Current full content
+     * @param {Array<string>} [images=[]] - Images returned so far
+     * @param {Array<ChatCitation>} [citations=[]] - Web sources cited so far
+     */
+    function queueStreamingUpdate(messageDiv, content, images = [], citations = []) {
+        const wait = STREAM_RENDER_INTERVAL_MS - (Date.now() - streamingRender.lastRender);
+        if (wait <= 0) {
+            updateStreamingMessage(messageDiv, content, images, citations);
+            scrollChatToBottom();
+            return;
+        }
+
+        clearTimeout(streamingRender.timer);
+        streamingRender.timer = setTimeout(() => {
+            updateStreamingMessage(messageDiv, content, images, citations);
+            scrollChatToBottom();
+        }, wait);
+    }
+
+    /**
+     * Drop a pending throttled render of the streaming message
+     */
+    function cancelStreamingRender() {
+        clearTimeout(streamingRender.timer);
+        streamingRender.timer = null;
+    }
+
+    /**
+     * Build the HTML for images returned by an image-output chat model
+     * @param {Array<string>} images - Base64 encoded images
+     * @returns {string} HTML (empty if there are no images)
+     */
+    function renderChatImages(images) {
+        if (images.length === 0) return '';
+
+        return `<div class="message-images">${images.map((src, index) => `
+            <div class="chat-image">
+                <img src="${src}" alt="Generated image ${index + 1}">
+                <div class="chat-image-actions">
+                    <button class="btn-secondary chat-image-download" title="Download image">
+                        <i data-lucide="download"></i> Download
+                    </button>
+                    <button class="btn-secondary chat-image-edit" title="Open in Edit mode">
+                        <i data-lucide="pencil"></i> Edit
+                    </button>
+                </div>
+            </div>
+        `).join('')}</div>`;
+    }
+
+    /**
+     * Build the numbered source chips shown under a web search answer. URLs and
+     * titles come from third-party pages, so they are only ever set as
+     * attributes and text, never parsed as HTML.
+     * @param {Array<ChatCitation>} citations - Cited sources
+     * @returns {HTMLElement|null} Citations element (null if there are no citations)
+     */
+    function createCitationsElement(citations) {
+        const links = citations.filter(citation => /^https?:\/\//i.test(citation.url));
+        if (links.length === 0) return null;
+
+        const container = document.createElement('div');
+        container.className = 'message-citations';
+
+        const label = document.createElement('span');
+        label.className = 'citations-label';
+        label.textContent = 'Sources';
+        container.appendChild(label);
+
+        links.forEach((citation, index) => {
+            const chip = document.createElement('a');
+            chip.className = 'citation-chip';
+            chip.href = citation.url;
+            chip.target = '_blank';
+            chip.rel = 'noopener noreferrer nofollow';
+            chip.title = citation.title;
+
+            const number = document.createElement('span');
+            number.className = 'citation-number';
+            number.textContent = String(index + 1);
+
+            const host = document.createElement('span');
+            host.className = 'citation-host';
+            host.textContent = citation.url.replace(/^https?:\/\/(www\.)?/i, '').split(/[/?#]/)[0];
+
+            chip.append(number, host);
+            container.appendChild(chip);
+        });
+
+        return container;
+    }
+
+    /**
+     * Handle clicks in the message list (message actions, code copy, image lightbox, download, hand-off to Edit mode)
+     * @param {MouseEvent} event - Click event
+     */
+    function handleChatMessagesClick(event) {
+        const actionBtn = event.target.closest('.message-action');
+        if (actionBtn) {
+            handleMessageAction(actionBtn.dataset.action, Number(actionBtn.dataset.index));
+            return;
+        }
+
+        const copyBtn = event.target.closest('.code-copy-btn');
+        if (copyBtn) {
+            copyCodeBlock(copyBtn);
+            return;
+        }
+
+        const chatImage = event.target.closest('.chat-image');
+        if (!chatImage) return;
+
+        const imageSrc = chatImage.querySelector('img').src;
+        if (event.target.closest('.chat-image-download')) {
+            const extension = getFileExtensionFromBase64(imageSrc);
+            createDownloadLink(imageSrc, `chat-image-${new Date().getTime()}.${extension}`);
+        } else if (event.target.closest('.chat-image-edit')) {
+            loadImageIntoEditor(imageSrc, 'chat-image');
+        } else if (event.target.tagName === 'IMG') {
+            openLightbox(imageSrc);
+        }
+    }
+
+    /**
+     * Run a message action (ignored while a reply is streaming)
+     * @param {string} action - Action name from the button's data-action
+     * @param {number} index - History index of the message
+     */
+    function handleMessageAction(action, index) {
+        if (chatAbortController) return;
+
+        switch (action) {
+            case 'edit-message':
+                startEditingMessage(index);
+                break;
+            case 'regenerate':
+                handleRegenerate(index);
+                break;
+            case 'regenerate-with':
+                // Regenerate once a model is picked in the chat model modal
+                openChatModelModal();
+                regenerateAfterModelSelect = index;
+                break;
+            case 'branch-prev':
+                handleSwitchBranch(index, -1);
+                break;
+            case 'branch-next':
+                handleSwitchBranch(index, 1);
+                break;
         }
     }
 
@@ -850,6 +2129,10 @@ document.addEventListener('DOMContentLoaded', function () {
         chatInput.disabled = disabled;
         sendChatBtn.disabled = disabled;
         selectChatModelBtn.disabled = disabled;
+
+        // Swap the send button for Stop while a reply streams
+        sendChatBtn.style.display = disabled ? 'none' : '';
+        stopChatBtn.style.display = disabled ? '' : 'none';
         
         if (disabled) {
             sendChatBtn.style.opacity = '0.6';
@@ -861,13 +2144,27 @@ document.addEventListener('DOMContentLoaded', function () {
     }
 
     /**
-     * Handle clearing the chat
+     * Start a new, empty conversation
      */
-    function handleClearChat() {
+    function startNewConversation() {
         // Clear API history
         clearChatHistory();
+        currentConversation = null;
+        chatSidebar.classList.remove('open');
+        renderConversationList();
+        updateContextUsage();
 
         // Clear UI
+        showChatWelcome();
+
+        // Focus input
+        chatInput.focus();
+    }
+
+    /**
+     * Show the empty-chat welcome message
+     */
+    function showChatWelcome() {
         chatMessages.innerHTML = `
             <div class="chat-welcome">
                 <div class="welcome-icon">
@@ -882,106 +2179,1323 @@ document.addEventListener('DOMContentLoaded', function () {
         if (typeof lucide !== 'undefined') {
             lucide.createIcons();
         }
+    }
 
-        // Focus input
-        chatInput.focus();
+    /**
+     * Format a token count compactly (e.g. 12.3K)
+     * @param {number} tokens - Token count
+     * @returns {string} Formatted count
+     */
+    function formatTokenCount(tokens) {
+        if (tokens < 1000) return String(tokens);
+        return `${(tokens / 1000).toFixed(tokens < 10000 ? 1 : 0)}K`;
     }
 
     /**
-     * Add download button for edited image
+     * Update the context usage meter for the current chat and model
      */
-    function addDownloadButton(container, image, prefix = 'edited') {
-        // Get the parent image-container, not just the wrapper
-        const imageContainer = container.closest('.image-container');
-        if (!imageContainer) return;
+    function updateContextUsage() {
+        const { usedTokens, limitTokens, contextStart } = getContextUsage();
+        const ratio = Math.min(usedTokens / limitTokens, 1);
+
+        contextUsageFill.style.width = `${Math.max(ratio * 100, 1)}%`;
+        contextUsage.classList.toggle('warning', ratio >= 0.6 && ratio < 0.8);
+        contextUsage.classList.toggle('danger', ratio >= 0.8);
+        contextUsageText.textContent = `~${formatTokenCount(usedTokens)} / ${formatTokenCount(limitTokens)} tokens`
+            + (contextStart > 0 ? ` · ${contextStart} earlier message${contextStart === 1 ? '' : 's'} summarized` : '');
+        contextUsage.title = 'Estimated context sent with your next message. Older messages are summarized automatically as the limit approaches.';
+    }
 
-        // Remove existing download button if any
-        const existingBtn = imageContainer.querySelector('.download-btn');
-        if (existingBtn) {
-            existingBtn.remove();
+    /**
+     * Build a conversation title from its first message
+     * @param {string} text - First user message
+     * @returns {string} Title of at most 50 characters
+     */
+    function buildConversationTitle(text) {
+        const firstLine = (text || '').split('\n')[0].replace(/\s+/g, ' ').trim();
+        if (!firstLine) return 'Image chat';
+        if (firstLine.length <= 50) return firstLine;
+
+        const cut = firstLine.substring(0, 50);
+        const lastSpace = cut.lastIndexOf(' ');
+        return `${lastSpace > 20 ? cut.substring(0, lastSpace) : cut}…`;
+    }
+
+    /**
+     * Save the current chat history, model, web search setting and persona to IndexedDB
+     * @returns {Promise<void>}
+     */
+    async function persistCurrentConversation() {
+        const messages = getChatHistory();
+        if (messages.length === 0) return;
+
+        if (!currentConversation) {
+            currentConversation = {
+                id: null,
+                title: buildConversationTitle(getMessageText(messages[0])),
+                createdAt: Date.now()
+            };
         }
 
-        if (!image) return;
+        try {
+            const { summary, contextStart } = getChatContextState();
+            currentConversation.id = await saveConversation({
+                ...currentConversation,
+                messages,
+                model: getChatModel(),
+                webSearch: isWebSearchEnabled(),
+                persona: getChatPersona(),
+                contextSummary: summary,
+                contextStart
+            });
+            await renderConversationList();
+        } catch (error) {
+            console.warn('Failed to save conversation:', error);
+        }
+    }
 
-        const downloadBtn = document.createElement('button');
-        downloadBtn.className = 'download-btn';
-        downloadBtn.innerHTML = '<i data-lucide="download"></i> Download';
+    /**
+     * Render the conversation sidebar, filtered by the search input
+     * @returns {Promise<void>}
+     */
+    async function renderConversationList() {
+        let conversations;
+        try {
+            conversations = await getConversations(conversationSearch.value);
+        } catch (error) {
+            console.warn('Unable to load conversations:', error);
+            conversationList.innerHTML = '<p class="conversation-empty">Conversations can\'t be saved in this browser.</p>';
+            return;
+        }
 
-        downloadBtn.addEventListener('click', () => {
-            if (image) {
-                const extension = getFileExtensionFromBase64(image);
-                const filename = `${prefix}-image-${new Date().getTime()}.${extension}`;
-                createDownloadLink(image, filename);
-            }
-        });
+        if (conversations.length === 0) {
+            conversationList.innerHTML = `<p class="conversation-empty">${conversationSearch.value.trim() ? 'No chats match your search.' : 'Your chats will appear here.'}</p>`;
+            return;
+        }
 
-        imageContainer.appendChild(downloadBtn);
+        conversationList.innerHTML = conversations.map(conversation => `
+            <div class="conversation-item ${conversation.id === currentConversation?.id ? 'active' : ''}" data-id="${conversation.id}">
+                <div class="conversation-info">
+                    <p class="conversation-title" title="${escapeHtml(conversation.title)}">${escapeHtml(conversation.title)}</p>
+                    <p class="conversation-meta">${new Date(conversation.updatedAt).toLocaleDateString()} · ${conversation.messages.length} message${conversation.messages.length === 1 ? '' : 's'}</p>
+                </div>
+                <div class="conversation-actions">
+                    <button class="icon-btn" data-action="rename" title="Rename">
+                        <i data-lucide="pencil"></i>
+                    </button>
+                    <button class="icon-btn" data-action="delete" title="Delete">
+                        <i data-lucide="trash-2"></i>
+                    </button>
+                </div>
+            </div>
+        `).join('');
+
+        conversationList.querySelectorAll('.conversation-item').forEach(item => {
+            const id = Number(item.dataset.id);
+            item.addEventListener('click', () => openConversation(id));
+            item.querySelector('[data-action="rename"]').addEventListener('click', (e) => {
+                e.stopPropagation();
+                renameConversation(id);
+            });
+            item.querySelector('[data-action="delete"]').addEventListener('click', (e) => {
+                e.stopPropagation();
+                removeConversation(id);
+            });
+        });
 
-        // Initialize Lucide icons in the new button
         if (typeof lucide !== 'undefined') {
             lucide.createIcons();
         }
     }
 
     /**
-     * Handle file upload via input
-     * @param {Event} event - File input change event
+     * Switch to a saved conversation, restoring its messages, model, web search setting and persona
+     * @param {number} id - Conversation ID
+     * @returns {Promise<void>}
      */
-    function handleFileUpload(event) {
-        const file = event.target.files[0];
-        if (!file) return; // User cancelled file selection
+    async function openConversation(id) {
+        if (sendChatBtn.disabled) return;
 
-        const validation = isValidImageFile(file);
-        if (validation.valid) {
-            processUploadedFile(file);
-        } else {
-            showError(validation.error);
+        let conversation;
+        try {
+            conversation = await getConversation(id);
+        } catch (error) {
+            console.error('Error loading conversation:', error);
+            showError('Unable to load the conversation from local storage.');
+            return;
         }
-    }
+        if (!conversation) return;
 
-    /**
-     * Handle drag over event
-     * @param {Event} event - Drag over event
-     */
-    function handleDragOver(event) {
-        event.preventDefault();
-        editInputRow.classList.add('drag-over');
+        currentConversation = { id: conversation.id, title: conversation.title, createdAt: conversation.createdAt };
+        setChatHistory(conversation.messages, {
+            summary: conversation.contextSummary,
+            contextStart: conversation.contextStart
+        });
+
+        setChatModel(conversation.model);
+        selectedChatModelName.textContent = getAvailableChatModels()[getChatModel()]?.name || getChatModel();
+        setWebSearchEnabled(conversation.webSearch);
+        updateWebSearchUI(conversation.webSearch);
+        if (conversation.persona) {
+            setChatPersona(conversation.persona);
+            updatePersonaLabel();
+        }
+
+        chatSidebar.classList.remove('open');
+        renderChatHistory();
+        renderConversationList();
+        updateContextUsage();
     }
 
     /**
-     * Handle drag leave event
-     * @param {Event} event - Drag leave event
+     * Rename a saved conversation
+     * @param {number} id - Conversation ID
+     * @returns {Promise<void>}
      */
-    function handleDragLeave(event) {
-        event.preventDefault();
-        editInputRow.classList.remove('drag-over');
+    async function renameConversation(id) {
+        try {
+            const conversation = await getConversation(id);
+            if (!conversation) return;
+
+            const title = prompt('Rename conversation', conversation.title);
+            if (title === null || !title.trim()) return;
+
+            conversation.title = title.trim().substring(0, 100);
+            await saveConversation(conversation);
+            if (currentConversation?.id === id) {
+                currentConversation.title = conversation.title;
+            }
+            await renderConversationList();
+        } catch (error) {
+            console.error('Error renaming conversation:', error);
+            showError('Unable to rename the conversation.');
+        }
     }
 
     /**
-     * Handle file drop event
-     * @param {Event} event - Drop event
+     * Delete a saved conversation
+     * @param {number} id - Conversation ID
+     * @returns {Promise<void>}
      */
-    function handleDrop(event) {
-        event.preventDefault();
-        editInputRow.classList.remove('drag-over');
-
-        const file = event.dataTransfer.files[0];
-        if (!file) return;
+    async function removeConversation(id) {
+        if (!confirm('Delete this conversation?')) return;
 
-        const validation = isValidImageFile(file);
-        if (validation.valid) {
-            processUploadedFile(file);
-        } else {
-            showError(validation.error);
+        try {
+            await deleteConversation(id);
+            if (currentConversation?.id === id) {
+                startNewConversation();
+            } else {
+                await renderConversationList();
+            }
+        } catch (error) {
+            console.error('Error deleting conversation:', error);
+            showError('Unable to delete the conversation.');
         }
     }
 
     /**
-     * Remove uploaded image
+     * Render the messages of the current chat history
+     * @param {number} [limit=Infinity] - Render only messages before this index (used while regenerating)
      */
-    function removeUploadedImage() {
-        cleanupPreviousImage();
-        currentImageFile = null;
+    function renderChatHistory(limit = Infinity) {
+        const messages = getChatHistory().slice(0, limit);
+        if (messages.length === 0 && limit === Infinity) {
+            showChatWelcome();
+            return;
+        }
+
+        chatMessages.innerHTML = '';
+        messages.forEach((message, index) => {
+            const images = message.role === 'user'
+                ? (Array.isArray(message.content) ? message.content.filter(part => part.type === 'image_url').map(part => part.image_url.url) : [])
+                : message.images || [];
+            addChatMessage(message.role, getMessageText(message), images, index);
+        });
+        scrollChatToBottom();
+    }
+
+    /**
+     * Save a result to the local gallery (failures are logged, not shown)
+     * @param {Object} item - Gallery item fields (see saveGalleryItem)
+     * @returns {Promise<void>}
+     */
+    async function saveToGallery(item) {
+        try {
+            await saveGalleryItem(item);
+        } catch (error) {
+            console.warn('Failed to save image to gallery:', error);
+        }
+    }
+
+    /**
+     * Load the sign-in session and ask for a token if the server requires one
+     * @returns {Promise<void>}
+     */
+    async function checkSession() {
+        try {
+            authSession = await getSession();
+        } catch (error) {
+            console.warn('Unable to load session:', error);
+            return;
+        }
+
+        if (authSession.authEnabled && !authSession.user) {
+            openLoginModal();
+        }
+    }
+
+    /**
+     * Open the sign-in modal
+     */
+    function openLoginModal() {
+        if (loginModalOverlay.classList.contains('active')) return;
+
+        loginError.style.display = 'none';
+        loginModalOverlay.classList.add('active');
+        document.body.style.overflow = 'hidden';
+        setTimeout(() => loginTokenInput.focus(), 100);
+    }
+
+    /**
+     * Close the sign-in modal
+     */
+    function closeLoginModal() {
+        loginModalOverlay.classList.remove('active');
+        document.body.style.overflow = '';
+    }
+
+    /**
+     * Sign in with the token from the sign-in form
+     * @param {SubmitEvent} e - Form submit event
+     * @returns {Promise<void>}
+     */
+    async function handleSignIn(e) {
+        e.preventDefault();
+        loginSubmitBtn.disabled = true;
+        loginError.style.display = 'none';
+
+        try {
+            authSession = await signIn(loginTokenInput.value);
+        } catch (error) {
+            loginError.textContent = error instanceof ApiError ? getUserFriendlyError(error) : ErrorMessages.NETWORK_ERROR;
+            loginError.style.display = 'block';
+            return;
+        } finally {
+            loginSubmitBtn.disabled = false;
+        }
+
+        loginForm.reset();
+        closeLoginModal();
+        showSuccess(`Signed in as ${authSession.user.name}.`);
+
+        // Requests made before signing in (like the model catalog) failed with 401
+        refreshModelCatalog();
+        if (currentMode === 'usage') {
+            renderUsagePage();
+        }
+    }
+
+    /**
+     * Sign out and show the sign-in form again
+     * @returns {Promise<void>}
+     */
+    async function handleSignOut() {
+        try {
+            await signOut();
+        } catch (error) {
+            console.warn('Sign-out request failed:', error);
+        }
+
+        authSession = { ...authSession, user: null };
+        renderUsagePage();
+        if (authSession.authEnabled) {
+            openLoginModal();
+        }
+    }
+
+    /**
+     * Describe when a quota resets, relative to now
+     * @param {number} resetAt - Reset timestamp in milliseconds
+     * @returns {string} Text like "resets in 5h 20m"
+     */
+    function formatQuotaReset(resetAt) {
+        const minutes = Math.max(1, Math.ceil((resetAt - Date.now()) / 60000));
+        const hours = Math.floor(minutes / 60);
+        return `resets in ${hours > 0 ? `${hours}h ` : ''}${minutes % 60}m`;
+    }
+
+    /**
+     * Show which OpenRouter key requests are billed to
+     */
+    function updateBillingIndicator() {
+        const ownKey = getBillingSource() === 'user';
+        billingBadge.classList.toggle('own-key', ownKey);
+        billingBadgeText.textContent = ownKey
+            ? `Billing: your OpenRouter key (${getUserApiKeyHint()})`
+            : 'Billing: shared server key';
+    }
+
+    /**
+     * Render the OpenRouter key card, optionally with the key's details
+     * @param {OpenRouterKeyInfo|null} [keyInfo=null] - Details of the stored key
+     * @param {string} [error=''] - Error from the last key check
+     */
+    function renderApiKeyStatus(keyInfo = null, error = '') {
+        const ownKey = getBillingSource() === 'user';
+        removeApiKeyBtn.style.display = ownKey ? 'inline-flex' : 'none';
+        apiKeyInput.placeholder = ownKey ? getUserApiKeyHint() : 'sk-or-v1-...';
+
+        if (error) {
+            apiKeyStatus.innerHTML = `<p class="api-key-error">${escapeHtml(error)}</p>`;
+            return;
+        }
+        if (!ownKey) {
+            apiKeyStatus.innerHTML = '<p>Requests are billed to the <strong>shared server key</strong>.</p>';
+            return;
+        }
+
+        const details = [];
+        if (keyInfo) {
+            if (keyInfo.label) details.push(escapeHtml(keyInfo.label));
+            details.push(`$${keyInfo.usage.toFixed(2)} used`);
+            details.push(keyInfo.limitRemaining !== null
+                ? `$${keyInfo.limitRemaining.toFixed(2)} left of $${keyInfo.limit.toFixed(2)}`
+                : 'no credit limit');
+            if (keyInfo.isFreeTier) details.push('free tier');
+        }
+        apiKeyStatus.innerHTML = `
+            <p>Requests are billed to <strong>your key</strong> (${escapeHtml(getUserApiKeyHint())}).</p>
+            ${details.length ? `<p class="usage-note">${details.join(' · ')}</p>` : ''}
+        `;
+    }
+
+    /**
+     * Verify and save the key from the OpenRouter key form
+     * @param {SubmitEvent} e - Form submit event
+     * @returns {Promise<void>}
+     */
+    async function handleSaveApiKey(e) {
+        e.preventDefault();
+        saveApiKeyBtn.disabled = true;
+
+        let keyInfo;
+        try {
+            keyInfo = await setUserApiKey(apiKeyInput.value);
+        } catch (error) {
+            renderApiKeyStatus(null, error.message);
+            return;
+        } finally {
+            saveApiKeyBtn.disabled = false;
+        }
+
+        apiKeyForm.reset();
+        renderApiKeyStatus(keyInfo);
+        updateBillingIndicator();
+        showSuccess('Your OpenRouter key is verified. Requests are now billed to it.');
+
+        // The catalog may have failed if the server has no key of its own
+        refreshModelCatalog();
+    }
+
+    /**
+     * Remove the user's key and go back to the shared server key
+     */
+    function handleRemoveApiKey() {
+        removeUserApiKey();
+        renderApiKeyStatus();
+        updateBillingIndicator();
+        showSuccess('Your OpenRouter key was removed from this browser.');
+    }
+
+    /**
+     * Check the stored key and show its details on the usage page
+     * @returns {Promise<void>}
+     */
+    async function refreshApiKeyStatus() {
+        renderApiKeyStatus();
+        try {
+            const keyInfo = await getUserApiKeyInfo();
+            if (keyInfo) renderApiKeyStatus(keyInfo);
+        } catch (error) {
+            renderApiKeyStatus(null, error.message);
+        }
+    }
+
+    /**
+     * Format a cost in credits (USD), with more precision for small amounts
+     * @param {number|null} cost - Cost, or null if not reported
+     * @returns {string} Text like "$0.0042" or "$1.20"
+     */
+    function formatCost(cost) {
+        if (cost === null || cost === undefined) return 'n/a';
+        return `$${cost > 0 && cost < 1 ? cost.toFixed(4) : cost.toFixed(2)}`;
+    }
+
+    /**
+     * Update the header meter with the last request's cost and the running totals
+     */
+    function updateCostMeter() {
+        const { session, today } = getUsageTotals();
+        if (today.requests === 0) {
+            costMeter.style.display = 'none';
+            return;
+        }
+
+        const parts = [];
+        if (lastUsageEntry) parts.push(`Last ${formatCost(lastUsageEntry.cost)}`);
+        parts.push(`Session ${formatCost(session.cost)}`, `Today ${formatCost(today.cost)}`);
+        costMeterText.textContent = parts.join(' · ');
+        costMeter.title = lastUsageEntry
+            ? `Last request: ${lastUsageEntry.model}, ${lastUsageEntry.totalTokens} tokens, ${lastUsageEntry.images} image(s)`
+            : 'Request costs';
+        costMeter.style.display = 'inline-flex';
+    }
+
+    /**
+     * Refresh the cost displays after a request's usage is recorded
+     * @param {UsageEntry} entry - Recorded request
+     */
+    function handleUsageRecorded(entry) {
+        lastUsageEntry = entry;
+        updateCostMeter();
+        if (currentMode === 'usage') {
+            renderCostSummary();
+        }
+    }
+
+    /**
+     * Build a breakdown table comparing session and today totals
+     * @param {string} title - Column heading for the row names
+     * @param {Object.<string, {requests: number, cost: number}>} sessionGroups - Session totals by key
+     * @param {Object.<string, {requests: number, cost: number}>} todayGroups - Today's totals by key
+     * @param {function(string): string} [getLabel] - Turns a key into a display name
+     * @returns {string} Table HTML
+     */
+    function buildCostTable(title, sessionGroups, todayGroups, getLabel = key => key) {
+        const formatGroup = group => (group ? `${formatCost(group.cost)} (${group.requests})` : '—');
+        const rows = Object.entries(todayGroups)
+            .sort(([, a], [, b]) => b.cost - a.cost)
+            .map(([key, group]) => `
+                <tr>
+                    <td>${escapeHtml(getLabel(key))}</td>
+                    <td>${formatGroup(sessionGroups[key])}</td>
+                    <td>${formatGroup(group)}</td>
+                </tr>
+            `).join('');
+
+        return `
+            <table class="cost-table">
+                <thead><tr><th>${title}</th><th>Session</th><th>Today</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Render session and today cost totals with breakdowns by mode and model
+     */
+    function renderCostSummary() {
+        const { session, today } = getUsageTotals();
+        if (today.requests === 0) {
+            costSummary.innerHTML = '<p class="usage-note">No requests recorded today. Costs appear here as you generate, edit and chat.</p>';
+            return;
+        }
+
+        const modeLabels = { generate: 'Generate', edit: 'Edit', chat: 'Chat', analyze: 'Analyze', enhance: 'Prompt enhancement' };
+        const models = { ...getAvailableModels(), ...getAvailableChatModels() };
+
+        costSummary.innerHTML = `
+            <div class="cost-totals">
+                <div><span class="usage-note">This session</span><strong>${formatCost(session.cost)}</strong><span class="usage-note">${session.requests} requests · ${session.tokens} tokens · ${session.images} images</span></div>
+                <div><span class="usage-note">Today</span><strong>${formatCost(today.cost)}</strong><span class="usage-note">${today.requests} requests · ${today.tokens} tokens · ${today.images} images</span></div>
+            </div>
+            ${buildCostTable('Mode', session.byMode, today.byMode, key => modeLabels[key] || key)}
+            ${buildCostTable('Model', session.byModel, today.byModel, key => models[key]?.name || key)}
+            <p class="usage-note">Costs are reported by OpenRouter and kept in this browser only.</p>
+        `;
+    }
+
+    /**
+     * Download the usage log as a CSV file
+     */
+    function handleExportUsage() {
+        const csvUrl = URL.createObjectURL(new Blob([exportUsageCsv()], { type: 'text/csv' }));
+        createDownloadLink(csvUrl, `usage-${new Date().toISOString().slice(0, 10)}.csv`);
+        setTimeout(() => URL.revokeObjectURL(csvUrl), 1000);
+    }
+
+    /**
+     * Delete the usage log after confirmation
+     */
+    function handleClearUsage() {
+        if (!confirm('Delete all recorded request costs from this browser?')) return;
+
+        clearUsageLog();
+        lastUsageEntry = null;
+        updateCostMeter();
+        renderCostSummary();
+    }
+
+    /**
+     * Render the account card and today's quotas on the usage page
+     * @returns {Promise<void>}
+     */
+    async function renderUsagePage() {
+        refreshApiKeyStatus();
+        renderCostSummary();
+
+        let report;
+        try {
+            report = await getUsageReport();
+        } catch (error) {
+            accountInfo.innerHTML = `<p class="usage-note">${escapeHtml(error.message)}</p>`;
+            quotaCard.style.display = 'none';
+            return;
+        }
+
+        authSession = { authEnabled: report.authEnabled, user: report.user };
+
+        if (!report.user) {
+            accountInfo.innerHTML = '<p class="usage-note">Sign-in is not required on this server, so there are no per-user quotas.</p>';
+            quotaCard.style.display = 'none';
+            return;
+        }
+
+        accountInfo.innerHTML = `
+            <p>Signed in as <strong>${escapeHtml(report.user.name)}</strong></p>
+            <button class="btn-secondary" id="signOutBtn">
+                <i data-lucide="log-out"></i> Sign Out
+            </button>
+        `;
+        accountInfo.querySelector('#signOutBtn').addEventListener('click', handleSignOut);
+
+        const labels = { images: 'Images (generate & edit)', chat: 'Chat & text requests' };
+        quotaList.innerHTML = Object.entries(report.quotas).map(([kind, quota]) => {
+            const ratio = quota.limit ? Math.min(quota.used / quota.limit, 1) : 0;
+            return `
+                <div class="quota-item">
+                    <div class="quota-item-header">
+                        <span>${escapeHtml(labels[kind] || kind)}</span>
+                        <span>${quota.limit ? `${quota.used} / ${quota.limit}` : `${quota.used} · unlimited`}</span>
+                    </div>
+                    <div class="quota-bar">
+                        <span class="quota-fill ${ratio >= 0.8 ? 'danger' : ''}" style="width: ${Math.max(ratio * 100, 1)}%"></span>
+                    </div>
+                    <p class="usage-note">${formatQuotaReset(quota.resetAt)}</p>
+                </div>
+            `;
+        }).join('');
+        if (getBillingSource() === 'user') {
+            quotaList.insertAdjacentHTML('beforeend', '<p class="usage-note">Requests made with your own OpenRouter key are not counted here.</p>');
+        }
+        quotaCard.style.display = 'block';
+
+        if (typeof lucide !== 'undefined') {
+            lucide.createIcons();
+        }
+    }
+
+    /**
+     * Render the gallery grid, filtered by the search input
+     * @returns {Promise<void>}
+     */
+    async function renderGallery() {
+        let items;
+        try {
+            items = await getGalleryItems(gallerySearch.value);
+        } catch (error) {
+            console.error('Error loading gallery:', error);
+            showError('Unable to load the gallery from local storage.');
+            return;
+        }
+
+        const models = getAvailableModels();
+
+        galleryEmpty.style.display = items.length === 0 ? 'block' : 'none';
+        galleryEmpty.querySelector('p').textContent = gallerySearch.value.trim()
+            ? 'No images match your search.'
+            : 'No saved images yet. Generated and edited images appear here.';
+
+        galleryGrid.innerHTML = items.map(item => `
+            <div class="gallery-card" data-id="${item.id}">
+                <div class="gallery-thumb">
+                    <img src="${item.thumbnail}" alt="${escapeHtml(item.prompt)}" loading="lazy">
+                </div>
+                <div class="gallery-info">
+                    <p class="gallery-prompt" title="${escapeHtml(item.prompt)}">${escapeHtml(item.prompt || 'Untitled')}</p>
+                    <p class="gallery-meta">
+                        ${item.mode === 'edit' ? 'Edited' : 'Generated'} · ${escapeHtml(models[item.model]?.name || item.model)} · ${new Date(item.createdAt).toLocaleDateString()}
+                    </p>
+                </div>
+                <div class="gallery-actions">
+                    <button class="icon-btn" data-action="edit" title="Open in Edit mode">
+                        <i data-lucide="pencil"></i>
+                    </button>
+                    <button class="icon-btn" data-action="download" title="Download">
+                        <i data-lucide="download"></i>
+                    </button>
+                    <button class="icon-btn" data-action="delete" title="Delete">
+                        <i data-lucide="trash-2"></i>
+                    </button>
+                </div>
+            </div>
+        `).join('');
+
+        galleryGrid.querySelectorAll('.gallery-card').forEach(card => {
+            const id = Number(card.dataset.id);
+
+            card.querySelector('.gallery-thumb img').addEventListener('click', () => withGalleryItem(id, item => openLightbox(item.image)));
+            card.querySelector('[data-action="edit"]').addEventListener('click', () => withGalleryItem(id, item => loadImageIntoEditor(item.image, `gallery-${item.id}`)));
+            card.querySelector('[data-action="download"]').addEventListener('click', () => withGalleryItem(id, item => {
+                const extension = getFileExtensionFromBase64(item.image);
+                createDownloadLink(item.image, `${item.mode}-image-${item.createdAt}.${extension}`);
+            }));
+            card.querySelector('[data-action="delete"]').addEventListener('click', () => removeGalleryItem(id));
+        });
+
+        if (typeof lucide !== 'undefined') {
+            lucide.createIcons();
+        }
+    }
+
+    /**
+     * Load a gallery item's full-size image (the grid only holds thumbnails) and act on it
+     * @param {number} id - Gallery item ID
+     * @param {function(GalleryItem): void} action - What to do with the item
+     * @returns {Promise<void>}
+     */
+    async function withGalleryItem(id, action) {
+        let item;
+        try {
+            item = await getGalleryItem(id);
+        } catch (error) {
+            console.error('Error loading gallery item:', error);
+            showError('Unable to load the image from local storage.');
+            return;
+        }
+
+        if (!item) {
+            showError('This image is no longer in your gallery.');
+            await renderGallery();
+            return;
+        }
+        action(item);
+    }
+
+    /**
+     * Delete an item from the gallery after confirmation
+     * @param {number} id - Gallery item ID
+     * @returns {Promise<void>}
+     */
+    async function removeGalleryItem(id) {
+        if (!confirm('Delete this image from your gallery?')) return;
+
+        try {
+            await deleteGalleryItem(id);
+            await renderGallery();
+        } catch (error) {
+            console.error('Error deleting gallery item:', error);
+            showError('Unable to delete the image.');
+        }
+    }
+
+    /**
+     * Check pending background jobs again after the poll interval
+     */
+    function scheduleJobPolling() {
+        if (jobPollTimer === null && getImageJobs().some(isImageJobPending)) {
+            jobPollTimer = setTimeout(pollImageJobs, JOB_POLL_INTERVAL_MS);
+        }
+    }
+
+    /**
+     * Check every pending background job, save finished results to the
+     * gallery, and report what finished or failed
+     * @returns {Promise<void>}
+     */
+    async function pollImageJobs() {
+        let finished = 0;
+        let failed = 0;
+
+        for (const tracked of getImageJobs().filter(isImageJobPending)) {
+            try {
+                const { job, images } = await checkImageJob(tracked.id);
+                if (!job) continue;
+
+                if (images) {
+                    deliverJobResult(job, images);
+                    finished++;
+                } else if (job.status === 'failed') {
+                    failed++;
+                }
+                updateBatchItemForJob(job);
+            } catch (error) {
+                // Try again on the next poll (e.g. the network dropped)
+                console.warn(`Unable to check job ${tracked.id}:`, error);
+            }
+        }
+
+        jobPollTimer = null;
+        renderJobs();
+        renderBatch();
+
+        if (failed > 0) {
+            showError(`${failed} background job(s) failed. Retry them from the Gallery.`);
+        } else if (finished > 0) {
+            showSuccess(`${finished} background job(s) finished and saved to the Gallery.`);
+        }
+        if (finished > 0 && currentMode === 'gallery') {
+            renderGallery();
+        }
+
+        scheduleJobPolling();
+    }
+
+    /**
+     * Save a finished job's images to the gallery and keep them for the jobs list
+     * @param {ImageJob} job - Finished job
+     * @param {Array<string>} images - Result images
+     */
+    function deliverJobResult(job, images) {
+        jobResults[job.id] = images;
+        images.forEach(image => saveToGallery({
+            image,
+            prompt: job.label,
+            model: job.servedModel || job.model,
+            mode: job.type,
+            sourceImage: jobSources[job.id]
+        }));
+
+        const item = batchItems.find(i => i.jobId === job.id);
+        if (item) {
+            item.result = images[0];
+        }
+    }
+
+    /**
+     * Reflect a background job's state on the batch item it runs, if any
+     * @param {ImageJob} job - Updated job
+     */
+    function updateBatchItemForJob(job) {
+        const item = batchItems.find(i => i.jobId === job.id);
+        if (!item) return;
+
+        item.servedModel = job.servedModel || null;
+        if (job.status === 'failed') {
+            item.status = 'error';
+            item.error = getJobErrorMessage(job);
+            item.statusText = null;
+        } else if (job.status === 'succeeded' && item.result) {
+            item.status = 'done';
+            item.statusText = null;
+        } else {
+            item.status = 'processing';
+            item.statusText = job.status === 'running' ? 'Running on the server...' : 'Queued on the server...';
+        }
+    }
+
+    /**
+     * Render the background jobs list and the pending count on the Gallery tab
+     */
+    function renderJobs() {
+        const jobs = getImageJobs();
+        const pending = jobs.filter(isImageJobPending).length;
+
+        jobsCount.textContent = String(pending);
+        jobsCount.style.display = pending > 0 ? 'inline-flex' : 'none';
+        jobsPanel.style.display = jobs.length > 0 ? 'block' : 'none';
+        jobsTitle.textContent = pending > 0 ? `Background Jobs · ${pending} pending` : 'Background Jobs';
+        clearJobsBtn.disabled = pending === jobs.length;
+
+        const statusLabels = {
+            queued: 'Queued',
+            running: 'Running',
+            succeeded: 'Done',
+            failed: 'Failed'
+        };
+
+        jobsList.innerHTML = jobs.map(job => `
+            <div class="job-item ${job.status}" data-id="${escapeHtml(job.id)}">
+                <i data-lucide="${job.type === 'edit' ? 'pencil' : 'sparkles'}"></i>
+                <div class="job-item-info">
+                    <p class="job-item-prompt" title="${escapeHtml(job.label)}">${escapeHtml(job.label)}</p>
+                    <p class="job-item-status">
+                        ${statusLabels[job.status] || escapeHtml(job.status)} · ${escapeHtml(getModelName(job.model))}${job.servedModel ? ` → ${escapeHtml(getModelName(job.servedModel))} (fallback)` : ''} · ${new Date(job.createdAt).toLocaleString()}
+                        ${job.status === 'failed' ? `<span class="job-item-error">${escapeHtml(getJobErrorMessage(job))}</span>` : ''}
+                    </p>
+                </div>
+                ${(jobResults[job.id] || []).map(() => '<img class="job-thumb" alt="Result">').join('')}
+                ${job.status === 'failed' && !job.expired ? `
+                    <button class="icon-btn" data-action="retry" title="Retry">
+                        <i data-lucide="refresh-cw"></i>
+                    </button>
+                ` : ''}
+                <button class="icon-btn" data-action="remove" title="Remove">
+                    <i data-lucide="x"></i>
+                </button>
+            </div>
+        `).join('');
+
+        jobsList.querySelectorAll('.job-item').forEach(row => {
+            const id = row.dataset.id;
+            // Result URLs come from the server, so they are set as properties rather than parsed as HTML
+            row.querySelectorAll('.job-thumb').forEach((img, index) => {
+                img.src = jobResults[id][index];
+                img.addEventListener('click', () => openLightbox(img.src));
+            });
+            row.querySelector('[data-action="retry"]')?.addEventListener('click', () => retryJob(id));
+            row.querySelector('[data-action="remove"]').addEventListener('click', () => removeJob(id));
+        });
+
+        if (typeof lucide !== 'undefined') {
+            lucide.createIcons();
+        }
+    }
+
+    /**
+     * Run a failed background job again
+     * @param {string} id - Job ID
+     * @returns {Promise<void>}
+     */
+    async function retryJob(id) {
+        try {
+            hideError();
+            const job = await retryImageJob(id);
+            if (job) {
+                updateBatchItemForJob(job);
+                renderBatch();
+            }
+        } catch (error) {
+            console.error('Error retrying job:', error);
+            showApiError(error, { retry: () => retryJob(id) });
+        }
+        renderJobs();
+        scheduleJobPolling();
+    }
+
+    /**
+     * Remove a background job from the list (a running job's result is discarded)
+     * @param {string} id - Job ID
+     * @returns {Promise<void>}
+     */
+    async function removeJob(id) {
+        await removeImageJob(id);
+        delete jobResults[id];
+        delete jobSources[id];
+        renderJobs();
+    }
+
+    /**
+     * Remove every finished or failed job from the list
+     * @returns {Promise<void>}
+     */
+    async function clearFinishedJobs() {
+        const finished = getImageJobs().filter(job => !isImageJobPending(job));
+        await Promise.all(finished.map(job => removeImageJob(job.id)));
+        finished.forEach(job => {
+            delete jobResults[job.id];
+            delete jobSources[job.id];
+        });
+        renderJobs();
+    }
+
+    /**
+     * Load an image into Edit mode as the new original
+     * @param {string} imageSrc - Image source (base64 or URL)
+     * @param {string} [baseName='image'] - Filename without extension
+     * @returns {Promise<void>}
+     */
+    async function loadImageIntoEditor(imageSrc, baseName = 'image') {
+        try {
+            const file = await imageSrcToFile(imageSrc, baseName);
+            switchMode('edit');
+            await processUploadedFile(file);
+        } catch (error) {
+            console.error('Error loading image into editor:', error);
+            showError(ErrorMessages.INVALID_IMAGE);
+        }
+    }
+
+    /**
+     * Add download button for edited image
+     */
+    function addDownloadButton(container, image, prefix = 'edited') {
+        // Get the parent image-container, not just the wrapper
+        const imageContainer = container.closest('.image-container');
+        if (!imageContainer) return;
+
+        // Remove existing download button if any
+        const existingBtn = imageContainer.querySelector('.download-btn');
+        if (existingBtn) {
+            existingBtn.remove();
+        }
+
+        if (!image) return;
+
+        const downloadBtn = document.createElement('button');
+        downloadBtn.className = 'download-btn';
+        downloadBtn.innerHTML = '<i data-lucide="download"></i> Download';
+
+        downloadBtn.addEventListener('click', () => {
+            if (image) {
+                const extension = getFileExtensionFromBase64(image);
+                const filename = `${prefix}-image-${new Date().getTime()}.${extension}`;
+                createDownloadLink(image, filename);
+            }
+        });
+
+        imageContainer.appendChild(downloadBtn);
+
+        // Initialize Lucide icons in the new button
+        if (typeof lucide !== 'undefined') {
+            lucide.createIcons();
+        }
+    }
+
+    /**
+     * Handle file upload via input
+     * @param {Event} event - File input change event
+     */
+    function handleFileUpload(event) {
+        const files = Array.from(event.target.files);
+        if (files.length > 1) {
+            addFilesToBatch(files);
+            fileInput.value = '';
+            return;
+        }
+
+        const file = files[0];
+        if (!file) return; // User cancelled file selection
+
+        const validation = isValidImageFile(file);
+        if (validation.valid) {
+            processUploadedFile(file);
+        } else {
+            showError(validation.error);
+        }
+    }
+
+    /**
+     * Handle drag over event
+     * @param {Event} event - Drag over event
+     */
+    function handleDragOver(event) {
+        event.preventDefault();
+        editInputRow.classList.add('drag-over');
+    }
+
+    /**
+     * Handle drag leave event
+     * @param {Event} event - Drag leave event
+     */
+    function handleDragLeave(event) {
+        event.preventDefault();
+        editInputRow.classList.remove('drag-over');
+    }
+
+    /**
+     * Handle file drop event
+     * @param {Event} event - Drop event
+     */
+    function handleDrop(event) {
+        event.preventDefault();
+        editInputRow.classList.remove('drag-over');
+
+        const files = Array.from(event.dataTransfer.files);
+        if (files.length > 1) {
+            addFilesToBatch(files);
+            return;
+        }
+
+        const file = files[0];
+        if (!file) return;
+
+        const validation = isValidImageFile(file);
+        if (validation.valid) {
+            processUploadedFile(file);
+        } else {
+            showError(validation.error);
+        }
+    }
+
+    /**
+     * Add multiple files to the batch queue
+     * @param {Array<File>} files - Files to add
+     */
+    function addFilesToBatch(files) {
+        hideError();
+
+        const rejected = [];
+        files.forEach(file => {
+            const validation = isValidImageFile(file);
+            if (!validation.valid) {
+                rejected.push(`${file.name}: ${validation.error}`);
+                return;
+            }
+            batchItems.push({
+                id: batchNextId++,
+                file,
+                objectUrl: URL.createObjectURL(file),
+                status: 'queued',
+                result: null,
+                error: null
+            });
+        });
+
+        if (rejected.length > 0) {
+            showError(`Skipped ${rejected.length} file(s) — ${rejected.join('; ')}`);
+        }
+
+        renderBatch();
+    }
+
+    /**
+     * Render the batch panel
+     */
+    function renderBatch() {
+        batchPanel.style.display = batchItems.length > 0 ? 'block' : 'none';
+
+        const doneCount = batchItems.filter(item => item.status === 'done').length;
+        batchTitle.textContent = `Batch · ${doneCount}/${batchItems.length} done`;
+
+        const statusLabels = {
+            queued: 'Queued',
+            processing: 'Processing...',
+            done: 'Done',
+            error: 'Failed'
+        };
+
+        batchList.innerHTML = batchItems.map(item => `
+            <div class="batch-item ${item.status}" data-id="${item.id}">
+                <img class="batch-thumb" src="${item.objectUrl}" alt="${escapeHtml(item.file.name)}">
+                <div class="batch-item-info">
+                    <p class="batch-item-name">${escapeHtml(item.file.name)}</p>
+                    <p class="batch-item-status">${escapeHtml(item.status === 'error' ? item.error : (item.statusText || statusLabels[item.status]))}${item.status === 'done' && item.servedModel ? ` · by ${escapeHtml(getModelName(item.servedModel))} (fallback)` : ''}</p>
+                </div>
+                ${item.result ? `<img class="batch-thumb batch-result" src="${item.result}" alt="Edited ${escapeHtml(item.file.name)}">` : ''}
+                <button class="icon-btn" data-action="remove" title="Remove from batch" ${batchRunning ? 'disabled' : ''}>
+                    <i data-lucide="x"></i>
+                </button>
+            </div>
+        `).join('');
+
+        batchList.querySelectorAll('.batch-item').forEach(row => {
+            const item = batchItems.find(i => i.id === Number(row.dataset.id));
+            row.querySelector('.batch-result')?.addEventListener('click', () => openLightbox(item.result));
+            row.querySelector('[data-action="remove"]').addEventListener('click', () => removeBatchItem(item.id));
+        });
+
+        runBatchBtn.style.display = batchRunning ? 'none' : '';
+        stopBatchBtn.style.display = batchRunning ? '' : 'none';
+        runBatchBtn.disabled = !batchItems.some(item => item.status === 'queued' || item.status === 'error');
+        queueBatchBtn.style.display = batchRunning ? 'none' : '';
+        queueBatchBtn.disabled = runBatchBtn.disabled;
+        downloadBatchBtn.disabled = batchRunning || doneCount === 0;
+        clearBatchBtn.disabled = batchRunning;
+
+        if (typeof lucide !== 'undefined') {
+            lucide.createIcons();
+        }
+    }
+
+    /**
+     * Remove a single item from the batch
+     * @param {number} id - Batch item ID
+     */
+    function removeBatchItem(id) {
+        const item = batchItems.find(i => i.id === id);
+        if (item) {
+            URL.revokeObjectURL(item.objectUrl);
+        }
+        batchItems = batchItems.filter(i => i.id !== id);
+        renderBatch();
+    }
+
+    /**
+     * Clear all batch items
+     */
+    function clearBatch() {
+        batchItems.forEach(item => URL.revokeObjectURL(item.objectUrl));
+        batchItems = [];
+        renderBatch();
+    }
+
+    /**
+     * Run the batch: edit each queued (or failed) image one at a time,
+     * waiting for the rate limiter between requests
+     * @returns {Promise<void>}
+     */
+    async function runBatch() {
+        const prompt = editPrompt.value;
+        if (!prompt || prompt.trim() === '') {
+            showError('Please enter editing instructions');
+            return;
+        }
+
+        hideError();
+        batchRunning = true;
+        batchStopRequested = false;
+        stopBatchBtn.disabled = false;
+        setButtonsDisabled(true);
+
+        const model = getEditModel();
+        const sizeOptions = getEditSizeOptions();
+        const enhancedPromptText = enhancePrompt(prompt);
+        const pending = batchItems.filter(item => item.status === 'queued' || item.status === 'error');
+
+        pending.forEach(item => {
+            item.status = 'queued';
+            item.error = null;
+        });
+        renderBatch();
+
+        for (const item of pending) {
+            if (batchStopRequested) break;
+            // Skip items removed while the batch was running
+            if (!batchItems.includes(item)) continue;
+
+            item.status = 'processing';
+            await waitForRateLimit(seconds => {
+                item.statusText = `Waiting for rate limit (${seconds}s)...`;
+                renderBatch();
+            });
+            item.statusText = null;
+            renderBatch();
+
+            try {
+                const base64Image = await fileToBase64(item.file);
+                const edited = await editImage(base64Image, enhancedPromptText, model, sizeOptions);
+                item.result = edited.image;
+                item.servedModel = edited.fallback ? edited.model : null;
+                item.status = 'done';
+
+                saveToGallery({
+                    image: item.result,
+                    prompt: prompt.trim(),
+                    model: edited.model,
+                    mode: 'edit',
+                    sourceImage: base64Image
+                });
+            } catch (error) {
+                console.error(`Error editing ${item.file.name}:`, error);
+                item.status = 'error';
+                item.error = getUserFriendlyError(error);
+            }
+            renderBatch();
+        }
+
+        batchRunning = false;
+        setButtonsDisabled(false);
+        renderBatch();
+
+        const failed = batchItems.filter(item => item.status === 'error').length;
+        if (batchStopRequested) {
+            showSuccess('Batch stopped.');
+        } else if (failed > 0) {
+            showError(`${failed} image(s) failed. Click "Run Batch" to retry them.`);
+        } else {
+            showSuccess('Batch complete!');
+        }
+    }
+
+    /**
+     * Queue each pending (or failed) batch image as a background edit job.
+     * Items update as the jobs finish; results are also saved to the gallery,
+     * so they are not lost if the page is reloaded.
+     * @returns {Promise<void>}
+     */
+    async function queueBatch() {
+        const prompt = editPrompt.value;
+        if (!prompt || prompt.trim() === '') {
+            showError('Please enter editing instructions');
+            return;
+        }
+
+        hideError();
+        queueBatchBtn.disabled = true;
+        runBatchBtn.disabled = true;
+
+        const model = getEditModel();
+        const sizeOptions = getEditSizeOptions();
+        const enhancedPromptText = enhancePrompt(prompt);
+        const pending = batchItems.filter(item => item.status === 'queued' || item.status === 'error');
+
+        for (const item of pending) {
+            // Skip items removed while jobs were being queued
+            if (!batchItems.includes(item)) continue;
+
+            item.status = 'processing';
+            item.error = null;
+            await waitForRateLimit(seconds => {
+                item.statusText = `Waiting for rate limit (${seconds}s)...`;
+                renderBatch();
+            });
+
+            try {
+                const base64Image = await fileToBase64(item.file);
+                const job = await submitImageJob('edit', enhancedPromptText, {
+                    ...sizeOptions,
+                    model,
+                    image: base64Image,
+                    label: prompt.trim()
+                });
+                jobSources[job.id] = base64Image;
+                item.jobId = job.id;
+                item.statusText = 'Queued on the server...';
+            } catch (error) {
+                console.error(`Error queueing ${item.file.name}:`, error);
+                item.status = 'error';
+                item.error = getUserFriendlyError(error);
+                item.statusText = null;
+            }
+            renderBatch();
+        }
+
+        renderBatch();
+        renderJobs();
+        scheduleJobPolling();
+
+        const queued = pending.filter(item => item.jobId && item.status === 'processing').length;
+        if (queued < pending.length) {
+            showError(`${pending.length - queued} image(s) could not be queued. Click "Queue as Jobs" to retry them.`);
+        } else {
+            showSuccess(`${queued} image(s) queued. You can reload or leave the page; results are saved to the Gallery.`);
+        }
+    }
+
+    /**
+     * Download all finished batch results as a ZIP archive
+     * @returns {Promise<void>}
+     */
+    async function downloadBatchZip() {
+        const done = batchItems.filter(item => item.status === 'done' && item.result);
+        if (done.length === 0) return;
+
+        try {
+            const files = await Promise.all(done.map(async (item, i) => {
+                const baseName = item.file.name.replace(/\.[^.]+$/, '');
+                const extension = getFileExtensionFromBase64(item.result);
+                return {
+                    name: `${String(i + 1).padStart(3, '0')}-${baseName}-edited.${extension}`,
+                    data: await imageSrcToBytes(item.result)
+                };
+            }));
+
+            const zipUrl = URL.createObjectURL(createZipBlob(files));
+            createDownloadLink(zipUrl, `batch-edits-${new Date().getTime()}.zip`);
+            setTimeout(() => URL.revokeObjectURL(zipUrl), 1000);
+        } catch (error) {
+            console.error('Error creating ZIP:', error);
+            showError('Unable to create the ZIP download.');
+        }
+    }
+
+    /**
+     * Remove uploaded image
+     */
+    function removeUploadedImage() {
+        cleanupPreviousImage();
+        currentImageFile = null;
         
         // Hide thumbnail
         uploadedThumbnail.style.display = 'none';
@@ -989,6 +3503,10 @@ document.addEventListener('DOMContentLoaded', function () {
         
         // Show upload button
         uploadBtn.style.display = 'flex';
+
+        // Drop any mask painted on the previous image
+        resetMaskEditor();
+        toggleMaskBtn.disabled = true;
         
         // Reset original image container
         originalImageContainer.innerHTML = `
@@ -998,265 +3516,1070 @@ document.addEventListener('DOMContentLoaded', function () {
             </div>
         `;
         
-        // Reset edited image container
+        // Reset edited image container and history
+        resetEditHistory();
+        
+        // Reinitialize icons
+        if (typeof lucide !== 'undefined') {
+            lucide.createIcons();
+        }
+        
+        // Reset file input
+        fileInput.value = '';
+    }
+
+    /**
+     * Cleanup previous image Object URL to prevent memory leaks
+     * @returns {void}
+     */
+    function cleanupPreviousImage() {
+        if (currentObjectUrl) {
+            URL.revokeObjectURL(currentObjectUrl);
+            currentObjectUrl = null;
+        }
+        // Clear base64 image from memory when not needed
+        currentBase64Image = null;
+    }
+
+    /**
+     * Get base64 image, lazy loading when needed for API calls
+     * @returns {Promise<string|null>} Base64 encoded image or null if no file
+     */
+    async function getBase64Image() {
+        if (!currentBase64Image && currentImageFile) {
+            currentBase64Image = await fileToBase64(currentImageFile);
+        }
+        return currentBase64Image;
+    }
+
+    /**
+     * Process uploaded file
+     * @param {File} file - Uploaded image file
+     * @returns {Promise<void>}
+     */
+    async function processUploadedFile(file) {
+        try {
+            hideError();
+
+            // Cleanup previous image
+            cleanupPreviousImage();
+
+            // Store the file
+            currentImageFile = file;
+
+            // For display, use Object URL (more memory efficient)
+            currentObjectUrl = URL.createObjectURL(file);
+            
+            // Show thumbnail in input row
+            thumbnailImg.src = currentObjectUrl;
+            uploadedThumbnail.style.display = 'block';
+            uploadBtn.style.display = 'none';
+            
+            // Display in original image container
+            resetMaskEditor();
+            displayImage('originalImageContainer', currentObjectUrl, file.name, () => {
+                // Lazy load base64 for lightbox if needed
+                getBase64Image().then(base64 => openLightbox(base64));
+            });
+            toggleMaskBtn.disabled = false;
+
+            // Clear edited image and start a fresh history
+            resetEditHistory();
+
+        } catch (error) {
+            console.error('Error processing file:', error);
+            showError(getUserFriendlyError(error));
+        }
+    }
+
+    /**
+     * Analyze the uploaded image (optional)
+     * @param {string} base64Image - Base64 encoded image
+     * @returns {Promise<void>}
+     */
+    async function analyzeUploadedImage(base64Image) {
+        try {
+            showLoading('Analyzing your image with AI...');
+            const analysis = await analyzeImage(base64Image);
+            console.log('Image analysis:', analysis);
+
+            if (analysis.choices && analysis.choices[0]?.message?.content) {
+                const analysisText = analysis.choices[0].message.content;
+                console.log('Analysis result:', analysisText);
+                // You could display this to the user if desired
+            }
+        } catch (error) {
+            console.error('Error analyzing image:', error);
+            // Don't show error to user for analysis failure
+        } finally {
+            hideLoading();
+        }
+    }
+
+    /**
+     * Enhance user's prompt using AI (Edit Mode)
+     * @returns {Promise<void>}
+     */
+    async function enhanceUserPrompt() {
+        const originalPrompt = editPrompt.value;
+        if (!originalPrompt || originalPrompt.trim() === '') {
+            showError('Please enter a prompt first');
+            return;
+        }
+
+        try {
+            hideError();
+            setButtonsDisabled(true);
+            showLoading('Enhancing your prompt with AI...');
+
+            // Pass the current image if available so the AI can tailor the prompt
+            const base64Image = await getBase64Image();
+            const enhancedPromptText = await enhancePromptWithAI(originalPrompt, base64Image);
+            editPrompt.value = enhancedPromptText;
+            editPrompt.dispatchEvent(new Event('input')); // Trigger auto-grow
+            showSuccess('Prompt enhanced successfully!');
+        } catch (error) {
+            console.error('Error enhancing prompt:', error);
+            showApiError(error, { retry: enhanceUserPrompt });
+        } finally {
+            hideLoading();
+            setButtonsDisabled(false);
+        }
+    }
+
+    /**
+     * Enhance user's prompt using AI (Generation Mode)
+     * @returns {Promise<void>}
+     */
+    async function enhanceGenerateUserPrompt() {
+        const originalPrompt = generatePrompt.value;
+        if (!originalPrompt || originalPrompt.trim() === '') {
+            showError('Please enter a prompt first');
+            return;
+        }
+
+        try {
+            hideError();
+            setGenerationButtonsDisabled(true);
+            showLoading('Enhancing your prompt with AI...');
+
+            const enhancedPromptText = await enhancePromptWithAI(originalPrompt);
+            generatePrompt.value = enhancedPromptText;
+            generatePrompt.dispatchEvent(new Event('input')); // Trigger auto-grow
+            showSuccess('Prompt enhanced successfully!');
+        } catch (error) {
+            console.error('Error enhancing prompt:', error);
+            showApiError(error, { retry: enhanceGenerateUserPrompt });
+        } finally {
+            hideLoading();
+            setGenerationButtonsDisabled(false);
+        }
+    }
+
+    /**
+     * Show the edit placeholder in the edited image container
+     */
+    function showEditPlaceholder() {
         editedImageContainer.innerHTML = `
             <div class="image-placeholder">
                 <i data-lucide="image-off"></i>
                 <p>No edits applied yet</p>
             </div>
         `;
-        
+        addDownloadButton(editedImageContainer, null);
+    }
+
+    /**
+     * Clear the edit history and the edited image
+     */
+    function resetEditHistory() {
+        editHistory = [];
+        editHistoryIndex = -1;
         currentEditedImage = null;
-        
-        // Reinitialize icons
+        showEditPlaceholder();
+        renderEditTimeline();
+
         if (typeof lucide !== 'undefined') {
             lucide.createIcons();
         }
-        
-        // Reset file input
-        fileInput.value = '';
     }
 
     /**
-     * Cleanup previous image Object URL to prevent memory leaks
-     * @returns {void}
+     * Show a version from the edit history
+     * @param {number} index - History index (-1 for the original upload)
+     */
+    function showEditVersion(index) {
+        if (index < -1 || index >= editHistory.length) return;
+
+        editHistoryIndex = index;
+
+        if (index === -1) {
+            currentEditedImage = null;
+            showEditPlaceholder();
+        } else {
+            const version = editHistory[index];
+            currentEditedImage = version.image;
+            displayImage('editedImageContainer', version.image, `Edit ${index + 1}: ${version.prompt}`, () => openLightbox(version.image));
+            addDownloadButton(editedImageContainer, version.image, 'edited');
+        }
+
+        renderEditTimeline();
+
+        if (typeof lucide !== 'undefined') {
+            lucide.createIcons();
+        }
+    }
+
+    /**
+     * Step back one version in the edit history
+     */
+    function undoEdit() {
+        if (editHistoryIndex > -1) {
+            showEditVersion(editHistoryIndex - 1);
+        }
+    }
+
+    /**
+     * Step forward one version in the edit history
+     */
+    function redoEdit() {
+        if (editHistoryIndex < editHistory.length - 1) {
+            showEditVersion(editHistoryIndex + 1);
+        }
+    }
+
+    /**
+     * Render the edit timeline strip and undo/redo state
+     */
+    function renderEditTimeline() {
+        undoEditBtn.disabled = editHistoryIndex === -1;
+        redoEditBtn.disabled = editHistoryIndex >= editHistory.length - 1;
+
+        if (editHistory.length === 0) {
+            editTimeline.style.display = 'none';
+            editTimeline.innerHTML = '';
+            return;
+        }
+
+        const originalSrc = currentObjectUrl || currentBase64Image || '';
+        const items = [
+            { index: -1, src: originalSrc, label: 'Original', title: 'Original upload' },
+            ...editHistory.map((version, i) => ({
+                index: i,
+                src: version.image,
+                label: `v${i + 1}`,
+                title: version.prompt
+            }))
+        ];
+
+        editTimeline.innerHTML = items.map(item => `
+            <button class="timeline-item ${item.index === editHistoryIndex ? 'active' : ''}" data-index="${item.index}" title="${escapeHtml(item.title)}">
+                <img src="${item.src}" alt="${escapeHtml(item.label)}">
+                <span>${escapeHtml(item.label)}</span>
+            </button>
+        `).join('');
+
+        editTimeline.querySelectorAll('.timeline-item').forEach(item => {
+            item.addEventListener('click', () => showEditVersion(Number(item.dataset.index)));
+        });
+
+        editTimeline.style.display = 'flex';
+    }
+
+    /**
+     * Toggle the mask editor over the original image
+     */
+    function toggleMaskMode() {
+        maskEnabled = !maskEnabled;
+        toggleMaskBtn.classList.toggle('active', maskEnabled);
+        maskTools.style.display = maskEnabled ? 'flex' : 'none';
+
+        if (maskEnabled && !maskCanvas) {
+            createMaskCanvas();
+        }
+        if (maskCanvas) {
+            maskCanvas.style.display = maskEnabled ? 'block' : 'none';
+            positionMaskCanvas();
+        }
+    }
+
+    /**
+     * Select the active mask tool
+     * @param {'brush'|'lasso'} tool - Tool to use
+     */
+    function setMaskTool(tool) {
+        maskTool = tool;
+        maskTools.querySelectorAll('.mask-tool').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.tool === tool);
+        });
+        maskBrushSize.style.display = tool === 'brush' ? '' : 'none';
+    }
+
+    /**
+     * Create the mask canvas over the displayed original image
+     */
+    function createMaskCanvas() {
+        const img = originalImageContainer.querySelector('img');
+        if (!img) return;
+
+        maskCanvas = document.createElement('canvas');
+        maskCanvas.className = 'mask-canvas';
+        originalImageContainer.appendChild(maskCanvas);
+
+        const sizeCanvas = () => {
+            maskCanvas.width = img.naturalWidth;
+            maskCanvas.height = img.naturalHeight;
+            positionMaskCanvas();
+        };
+        if (img.complete && img.naturalWidth) {
+            sizeCanvas();
+        } else {
+            img.addEventListener('load', sizeCanvas, { once: true });
+        }
+
+        maskCanvas.addEventListener('pointerdown', handleMaskPointerDown);
+        maskCanvas.addEventListener('pointermove', handleMaskPointerMove);
+        maskCanvas.addEventListener('pointerup', handleMaskPointerUp);
+        maskCanvas.addEventListener('pointercancel', handleMaskPointerUp);
+    }
+
+    /**
+     * Align the mask canvas with the rendered original image
+     */
+    function positionMaskCanvas() {
+        const img = originalImageContainer.querySelector('img');
+        if (!maskCanvas || !img) return;
+
+        maskCanvas.style.left = `${img.offsetLeft}px`;
+        maskCanvas.style.top = `${img.offsetTop}px`;
+        maskCanvas.style.width = `${img.offsetWidth}px`;
+        maskCanvas.style.height = `${img.offsetHeight}px`;
+    }
+
+    /**
+     * Convert a pointer event to mask canvas coordinates
+     * @param {PointerEvent} event - Pointer event
+     * @returns {{x: number, y: number}} Point in natural image pixels
+     */
+    function getMaskPoint(event) {
+        const rect = maskCanvas.getBoundingClientRect();
+        return {
+            x: (event.clientX - rect.left) * (maskCanvas.width / rect.width),
+            y: (event.clientY - rect.top) * (maskCanvas.height / rect.height)
+        };
+    }
+
+    /**
+     * Start a brush stroke or lasso selection
+     * @param {PointerEvent} event - Pointer event
+     */
+    function handleMaskPointerDown(event) {
+        event.preventDefault();
+        maskCanvas.setPointerCapture(event.pointerId);
+        maskDrawing = true;
+
+        const ctx = maskCanvas.getContext('2d');
+        const point = getMaskPoint(event);
+        const scale = maskCanvas.width / maskCanvas.getBoundingClientRect().width;
+
+        ctx.strokeStyle = '#ff3b30';
+        ctx.fillStyle = '#ff3b30';
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        ctx.lineWidth = maskTool === 'brush' ? Number(maskBrushSize.value) * scale : 2 * scale;
+
+        ctx.beginPath();
+        ctx.moveTo(point.x, point.y);
+
+        if (maskTool === 'brush') {
+            // Paint a dot so single clicks leave a mark
+            ctx.lineTo(point.x, point.y);
+            ctx.stroke();
+            maskHasContent = true;
+        } else {
+            maskLassoPoints = [point];
+        }
+    }
+
+    /**
+     * Continue a brush stroke or lasso selection
+     * @param {PointerEvent} event - Pointer event
+     */
+    function handleMaskPointerMove(event) {
+        if (!maskDrawing) return;
+
+        const ctx = maskCanvas.getContext('2d');
+        const point = getMaskPoint(event);
+
+        ctx.lineTo(point.x, point.y);
+        ctx.stroke();
+
+        if (maskTool === 'lasso') {
+            maskLassoPoints.push(point);
+        }
+    }
+
+    /**
+     * Finish a brush stroke, or close and fill a lasso selection
+     */
+    function handleMaskPointerUp() {
+        if (!maskDrawing) return;
+        maskDrawing = false;
+
+        if (maskTool === 'lasso' && maskLassoPoints.length > 2) {
+            const ctx = maskCanvas.getContext('2d');
+            ctx.beginPath();
+            ctx.moveTo(maskLassoPoints[0].x, maskLassoPoints[0].y);
+            maskLassoPoints.slice(1).forEach(p => ctx.lineTo(p.x, p.y));
+            ctx.closePath();
+            ctx.fill();
+            maskHasContent = true;
+        }
+        maskLassoPoints = [];
+    }
+
+    /**
+     * Clear the painted mask
+     */
+    function clearMask() {
+        if (maskCanvas) {
+            maskCanvas.getContext('2d').clearRect(0, 0, maskCanvas.width, maskCanvas.height);
+        }
+        maskHasContent = false;
+    }
+
+    /**
+     * Remove the mask canvas and turn mask mode off
+     */
+    function resetMaskEditor() {
+        if (maskCanvas) {
+            maskCanvas.remove();
+            maskCanvas = null;
+        }
+        maskEnabled = false;
+        maskHasContent = false;
+        maskDrawing = false;
+        maskLassoPoints = [];
+        toggleMaskBtn.classList.remove('active');
+        maskTools.style.display = 'none';
+    }
+
+    /**
+     * Export the painted mask as a black/white PNG sized to the edit source.
+     * Assumes the source keeps the original's framing (true for edit results).
+     * @param {string} sourceImage - Base64 image the edit is applied to
+     * @returns {Promise<string|null>} PNG mask data URL, or null if no mask is active
+     */
+    async function getMaskForImage(sourceImage) {
+        if (!maskEnabled || !maskHasContent || !maskCanvas) return null;
+
+        const source = await loadImageElement(sourceImage);
+        const width = source.naturalWidth;
+        const height = source.naturalHeight;
+
+        // Turn painted pixels white, keeping transparency elsewhere
+        const painted = document.createElement('canvas');
+        painted.width = width;
+        painted.height = height;
+        const paintedCtx = painted.getContext('2d');
+        paintedCtx.drawImage(maskCanvas, 0, 0, width, height);
+        paintedCtx.globalCompositeOperation = 'source-in';
+        paintedCtx.fillStyle = '#ffffff';
+        paintedCtx.fillRect(0, 0, width, height);
+
+        // Composite onto black
+        const output = document.createElement('canvas');
+        output.width = width;
+        output.height = height;
+        const outputCtx = output.getContext('2d');
+        outputCtx.fillStyle = '#000000';
+        outputCtx.fillRect(0, 0, width, height);
+        outputCtx.drawImage(painted, 0, 0);
+
+        return output.toDataURL('image/png');
+    }
+
+    /**
+     * Get the aspect ratio and resolution options selected in Edit mode
+     * @returns {ImageSizeOptions} Size options
+     */
+    function getEditSizeOptions() {
+        return {
+            aspectRatio: editAspectRatio.value || null,
+            imageSize: editImageSize.value || null,
+            fit: editFit.value
+        };
+    }
+
+    /**
+     * Get the aspect ratio and resolution options selected in Generate mode
+     * @returns {ImageSizeOptions} Size options
+     */
+    function getGenerationSizeOptions() {
+        return {
+            aspectRatio: generateAspectRatio.value || null,
+            imageSize: generateImageSize.value || null,
+            fit: generateFit.value
+        };
+    }
+
+    /**
+     * Get the image the next edit should build on (selected version or original upload)
+     * @returns {Promise<string|null>} Base64 encoded image
      */
-    function cleanupPreviousImage() {
-        if (currentObjectUrl) {
-            URL.revokeObjectURL(currentObjectUrl);
-            currentObjectUrl = null;
+    async function getEditSourceImage() {
+        if (editHistoryIndex >= 0) {
+            return editHistory[editHistoryIndex].image;
         }
-        // Clear base64 image from memory when not needed
-        currentBase64Image = null;
+        return await getBase64Image();
     }
 
     /**
-     * Get base64 image, lazy loading when needed for API calls
-     * @returns {Promise<string|null>} Base64 encoded image or null if no file
+     * Get a model's display name
+     * @param {string} modelId - Model ID
+     * @returns {string} Name from the model registry, or the ID if unknown
      */
-    async function getBase64Image() {
-        if (!currentBase64Image && currentImageFile) {
-            currentBase64Image = await fileToBase64(currentImageFile);
-        }
-        return currentBase64Image;
+    function getModelName(modelId) {
+        return getAvailableModels()[modelId]?.name || modelId;
     }
 
     /**
-     * Process uploaded file
-     * @param {File} file - Uploaded image file
+     * Describe which fallback model served a request, for the success message
+     * @param {string} requestedModel - Model the user selected
+     * @param {Array<ImageResult>} results - Results of the request
+     * @returns {string} Notice (empty when the selected model produced everything)
+     */
+    function getFallbackNotice(requestedModel, results) {
+        const fallbackModels = [...new Set(results.filter(result => result.fallback).map(result => result.model))];
+        if (fallbackModels.length === 0) return '';
+
+        return ` ${getModelName(requestedModel)} was unavailable, so ${fallbackModels.map(getModelName).join(' and ')} stepped in.`;
+    }
+
+    /**
+     * Labels and icons of the recovery buttons shown with an error
+     * @type {Object.<ErrorAction, {label: string, icon: string}>}
+     */
+    const ERROR_ACTION_BUTTONS = {
+        retry: { label: 'Try again', icon: 'rotate-cw' },
+        'switch-model': { label: 'Choose another model', icon: 'cpu' },
+        'shrink-image': { label: 'Retry with a smaller image', icon: 'minimize-2' },
+        'update-key': { label: 'Check API key', icon: 'key-round' }
+    };
+
+    /**
+     * Show a failed request's error with the recovery actions its code calls
+     * for. Actions without a handler for this request are left out.
+     * @param {Error} error - Error thrown by the API client
+     * @param {{retry?: Function, switchModel?: Function, shrinkImage?: Function}} [recovery={}] - Handlers for the request
+     */
+    function showApiError(error, recovery = {}) {
+        const handlers = {
+            retry: recovery.retry,
+            'switch-model': recovery.switchModel,
+            'shrink-image': recovery.shrinkImage,
+            'update-key': () => switchMode('usage')
+        };
+        const actions = getErrorActions(error)
+            .filter(action => handlers[action])
+            .map(action => ({ ...ERROR_ACTION_BUTTONS[action], onClick: handlers[action] }));
+        showError(getUserFriendlyError(error), actions);
+    }
+
+    /**
+     * Get the message shown for a failed background job
+     * @param {ImageJob} job - Failed job
+     * @returns {string} Error message
+     */
+    function getJobErrorMessage(job) {
+        if (!job.errorCode) return job.error || ErrorMessages.UNKNOWN;
+        return getUserFriendlyError(new ApiError(job.errorCode, job.error));
+    }
+
+    /**
+     * Apply AI editing to the image
+     * @param {{uploadDimension?: number}} [options={}] - Upload options (a smaller
+     *        upload dimension when retrying an image the server found too large)
      * @returns {Promise<void>}
      */
-    async function processUploadedFile(file) {
+    async function applyAIEdit(options = {}) {
+        const prompt = editPrompt.value;
+
+        const sourceIndex = editHistoryIndex;
+        const base64Image = await getEditSourceImage();
+        if (!base64Image) {
+            showError('Please upload an image first');
+            return;
+        }
+
+        if (!prompt || prompt.trim() === '') {
+            showError('Please enter editing instructions');
+            return;
+        }
+
         try {
             hideError();
+            setButtonsDisabled(true);
+            showLoading('Applying AI edits to your image...');
 
-            // Cleanup previous image
-            cleanupPreviousImage();
+            // Enhance the prompt before sending
+            const enhancedPromptText = enhancePrompt(prompt);
 
-            // Store the file
-            currentImageFile = file;
+            // Send to OpenRouter API for editing (constrained to the mask if one is painted)
+            const model = getEditModel();
+            const mask = await getMaskForImage(base64Image);
+            const edited = await editImage(base64Image, enhancedPromptText, model, {
+                ...getEditSizeOptions(),
+                mask,
+                uploadDimension: options.uploadDimension,
+                ...startImageRequest()
+            });
 
-            // For display, use Object URL (more memory efficient)
-            currentObjectUrl = URL.createObjectURL(file);
-            
-            // Show thumbnail in input row
-            thumbnailImg.src = currentObjectUrl;
-            uploadedThumbnail.style.display = 'block';
-            uploadBtn.style.display = 'none';
-            
-            // Display in original image container
-            displayImage('originalImageContainer', currentObjectUrl, file.name, () => {
-                // Lazy load base64 for lightbox if needed
-                getBase64Image().then(base64 => openLightbox(base64));
+            // Drop any redo branch and record the new version
+            editHistory = editHistory.slice(0, sourceIndex + 1);
+            editHistory.push({
+                image: edited.image,
+                prompt: prompt.trim(),
+                model: edited.model,
+                createdAt: Date.now()
             });
 
-            // Clear edited image
-            editedImageContainer.innerHTML = '';
-            const placeholder = document.createElement('div');
-            placeholder.className = 'image-placeholder';
-            placeholder.innerHTML = `
-                <i data-lucide="image-off"></i>
-                <p>No edits applied yet</p>
-            `;
-            editedImageContainer.appendChild(placeholder);
+            saveToGallery({
+                image: edited.image,
+                prompt: prompt.trim(),
+                model: edited.model,
+                mode: 'edit',
+                sourceImage: base64Image
+            });
 
-            // Initialize Lucide icons in the new placeholder
-            if (typeof lucide !== 'undefined') {
-                lucide.createIcons();
-            }
+            // Display the new version (with lightbox click and download button)
+            showEditVersion(editHistory.length - 1);
 
-            // Reset edited image state
-            currentEditedImage = null;
+            // Show success message
+            const message = mask ? 'AI edits applied to the masked area!' : 'AI edits applied successfully!';
+            const notice = getFallbackNotice(model, [edited]);
+            showSuccess(`${message}${notice}`, notice ? 6000 : undefined);
 
         } catch (error) {
-            console.error('Error processing file:', error);
-            showError(getUserFriendlyError(error));
+            if (error.name === 'AbortError') return;
+            console.error('Error applying AI edit:', error);
+            showApiError(error, {
+                retry: () => applyAIEdit(options),
+                switchModel: openEditModelModal,
+                shrinkImage: () => applyAIEdit({ uploadDimension: SHRINK_UPLOAD_DIMENSION })
+            });
+        } finally {
+            finishImageRequest();
+            hideLoading();
+            setButtonsDisabled(false);
         }
     }
 
     /**
-     * Analyze the uploaded image (optional)
-     * @param {string} base64Image - Base64 encoded image
+     * Apply the edit as a background job; the result is saved to the gallery
+     * when it finishes, even after a reload
      * @returns {Promise<void>}
      */
-    async function analyzeUploadedImage(base64Image) {
-        try {
-            showLoading('Analyzing your image with AI...');
-            const analysis = await analyzeImage(base64Image);
-            console.log('Image analysis:', analysis);
+    async function queueEdit() {
+        const prompt = editPrompt.value;
 
-            if (analysis.choices && analysis.choices[0]?.message?.content) {
-                const analysisText = analysis.choices[0].message.content;
-                console.log('Analysis result:', analysisText);
-                // You could display this to the user if desired
-            }
-        } catch (error) {
-            console.error('Error analyzing image:', error);
-            // Don't show error to user for analysis failure
-        } finally {
-            hideLoading();
+        const base64Image = await getEditSourceImage();
+        if (!base64Image) {
+            showError('Please upload an image first');
+            return;
         }
-    }
 
-    /**
-     * Enhance user's prompt using AI (Edit Mode)
-     * @returns {Promise<void>}
-     */
-    async function enhanceUserPrompt() {
-        const originalPrompt = editPrompt.value;
-        if (!originalPrompt || originalPrompt.trim() === '') {
-            showError('Please enter a prompt first');
+        if (!prompt || prompt.trim() === '') {
+            showError('Please enter editing instructions');
             return;
         }
 
         try {
             hideError();
-            setButtonsDisabled(true);
-            showLoading('Enhancing your prompt with AI...');
+            queueEditBtn.disabled = true;
+
+            const mask = await getMaskForImage(base64Image);
+            const job = await submitImageJob('edit', enhancePrompt(prompt), {
+                ...getEditSizeOptions(),
+                model: getEditModel(),
+                image: base64Image,
+                mask,
+                label: prompt.trim()
+            });
+            jobSources[job.id] = base64Image;
 
-            // Pass the current image if available so the AI can tailor the prompt
-            const base64Image = await getBase64Image();
-            const enhancedPromptText = await enhancePromptWithAI(originalPrompt, base64Image);
-            editPrompt.value = enhancedPromptText;
-            editPrompt.dispatchEvent(new Event('input')); // Trigger auto-grow
-            showSuccess('Prompt enhanced successfully!');
+            showSuccess('Edit started in the background. The result will be saved to the Gallery.');
         } catch (error) {
-            console.error('Error enhancing prompt:', error);
-            showError(getUserFriendlyError(error));
+            console.error('Error starting background edit:', error);
+            showApiError(error, { retry: queueEdit, switchModel: openEditModelModal });
         } finally {
-            hideLoading();
-            setButtonsDisabled(false);
+            queueEditBtn.disabled = false;
+            renderJobs();
+            scheduleJobPolling();
         }
     }
 
     /**
-     * Enhance user's prompt using AI (Generation Mode)
+     * Start showing progress for a streamed generate/edit request
+     * @returns {ImageStreamOptions} Options that stream the request into the progress panel
+     */
+    function startImageRequest() {
+        const controller = new AbortController();
+        imageRequest = {
+            controller,
+            startedAt: Date.now(),
+            // Tick the elapsed time even while the model is silent
+            timer: setInterval(renderImageRequestProgress, 1000),
+            latest: null,
+            progressByIndex: {}
+        };
+
+        requestProgressText.textContent = '';
+        requestProgressImages.innerHTML = '';
+        requestProgress.style.display = 'flex';
+        renderImageRequestProgress();
+
+        return {
+            signal: controller.signal,
+            onProgress: (progress) => {
+                if (!imageRequest) return;
+                imageRequest.latest = progress;
+                imageRequest.progressByIndex[progress.index ?? 0] = progress;
+                renderImageRequestProgress();
+            }
+        };
+    }
+
+    /**
+     * Render the elapsed time, model status, streamed text and received images
+     */
+    function renderImageRequestProgress() {
+        if (!imageRequest) return;
+
+        const { latest, progressByIndex, startedAt } = imageRequest;
+        const statusLabels = {
+            waiting: 'Waiting for the model',
+            reasoning: 'Thinking',
+            writing: 'Writing',
+            image: 'Image received'
+        };
+        const elapsed = Math.floor((Date.now() - startedAt) / 1000);
+        const modelName = latest ? (getAvailableModels()[latest.model]?.name || latest.model) : '';
+        const variations = Object.keys(progressByIndex).length;
+
+        requestProgressStatus.textContent = [
+            modelName,
+            latest ? statusLabels[latest.status] : 'Connecting',
+            variations > 1 ? `${variations} variations` : '',
+            `${elapsed}s`
+        ].filter(Boolean).join(' · ');
+
+        // Show the tail of what the model is saying
+        const streamedText = latest ? (latest.status === 'reasoning' ? latest.reasoning : latest.text || latest.reasoning) : '';
+        requestProgressText.textContent = streamedText.length > 300 ? `…${streamedText.slice(-300)}` : streamedText;
+
+        const images = Object.values(progressByIndex).flatMap(progress => progress.images);
+        if (images.length !== requestProgressImages.children.length) {
+            // Image URLs come from the model, so they are set as properties rather than parsed as HTML
+            requestProgressImages.replaceChildren(...images.map(image => {
+                const img = document.createElement('img');
+                img.src = image;
+                img.alt = 'Received image';
+                return img;
+            }));
+        }
+    }
+
+    /**
+     * Stop the elapsed timer and hide the progress panel
+     */
+    function finishImageRequest() {
+        if (imageRequest) {
+            clearInterval(imageRequest.timer);
+            imageRequest = null;
+        }
+        requestProgress.style.display = 'none';
+    }
+
+    /**
+     * Generate an AI image from prompt
      * @returns {Promise<void>}
      */
-    async function enhanceGenerateUserPrompt() {
-        const originalPrompt = generatePrompt.value;
-        if (!originalPrompt || originalPrompt.trim() === '') {
-            showError('Please enter a prompt first');
+    async function generateAIImage() {
+        const prompt = generatePrompt.value;
+
+        if (!prompt || prompt.trim() === '') {
+            showError('Please enter a description for the image you want to generate');
+            return;
+        }
+
+        if (compareMode) {
+            await runModelComparison(prompt);
             return;
         }
 
         try {
             hideError();
             setGenerationButtonsDisabled(true);
-            showLoading('Enhancing your prompt with AI...');
+            showLoading('Generating your image with AI...');
+
+            // Generate the image(s)
+            const model = getGenerationModel();
+            const count = Number(variationCount.value);
+            const results = await generateImageVariations(prompt, count, model, {
+                ...getGenerationSizeOptions(),
+                ...startImageRequest()
+            });
+            generatedVariations = results.map(result => result.image);
+
+            results.forEach(result => saveToGallery({
+                image: result.image,
+                prompt: prompt.trim(),
+                model: result.model,
+                mode: 'generate'
+            }));
+
+            // Display the results and select the first one
+            renderGeneratedVariations(0);
+
+            // Show success message, naming any fallback model that served the request
+            const notice = getFallbackNotice(model, results);
+            if (generatedVariations.length < count) {
+                showSuccess(`Generated ${generatedVariations.length} of ${count} variations (some requests failed).${notice}`, 5000);
+            } else {
+                const message = count > 1 ? `${count} variations generated!` : 'Image generated successfully!';
+                showSuccess(`${message}${notice}`, notice ? 6000 : undefined);
+            }
 
-            const enhancedPromptText = await enhancePromptWithAI(originalPrompt);
-            generatePrompt.value = enhancedPromptText;
-            generatePrompt.dispatchEvent(new Event('input')); // Trigger auto-grow
-            showSuccess('Prompt enhanced successfully!');
         } catch (error) {
-            console.error('Error enhancing prompt:', error);
-            showError(getUserFriendlyError(error));
+            if (error.name === 'AbortError') return;
+            console.error('Error generating image:', error);
+            showApiError(error, { retry: generateAIImage, switchModel: openModelModal });
         } finally {
+            finishImageRequest();
             hideLoading();
             setGenerationButtonsDisabled(false);
         }
     }
 
     /**
-     * Apply AI editing to the image
+     * Generate as background jobs (one per variation); results are saved to
+     * the gallery when they finish, even after a reload
      * @returns {Promise<void>}
      */
-    async function applyAIEdit() {
-        const prompt = editPrompt.value;
-
-        const base64Image = await getBase64Image();
-        if (!base64Image) {
-            showError('Please upload an image first');
-            return;
-        }
+    async function queueGeneration() {
+        const prompt = generatePrompt.value;
 
         if (!prompt || prompt.trim() === '') {
-            showError('Please enter editing instructions');
+            showError('Please enter a description for the image you want to generate');
             return;
         }
 
+        const count = Number.parseInt(variationCount.value, 10) || 1;
+        let started = 0;
         try {
             hideError();
-            setButtonsDisabled(true);
-            showLoading('Applying AI edits to your image...');
-
-            // Enhance the prompt before sending
-            const enhancedPromptText = enhancePrompt(prompt);
-
-            // Send to OpenRouter API for editing
-            currentEditedImage = await editImage(base64Image, enhancedPromptText);
-
-            // Display the edited image (with lightbox click)
-            displayImage('editedImageContainer', currentEditedImage, 'Edited ' + (currentImageFile?.name || 'image'), () => openLightbox(currentEditedImage));
-
-            // Add download button
-            addDownloadButton(editedImageContainer, currentEditedImage, 'edited');
+            queueGenerateBtn.disabled = true;
 
-            // Show success message
-            showSuccess('AI edits applied successfully!');
+            for (let i = 0; i < count; i++) {
+                await waitForRateLimit();
+                await submitImageJob('generate', prompt, { ...getGenerationSizeOptions(), label: prompt.trim() });
+                started++;
+            }
 
+            showSuccess(count > 1
+                ? `${count} generations started in the background. Results will be saved to the Gallery.`
+                : 'Generation started in the background. The result will be saved to the Gallery.');
         } catch (error) {
-            console.error('Error applying AI edit:', error);
-            showError(getUserFriendlyError(error));
+            console.error('Error starting background generation:', error);
+            if (started > 0) {
+                showError(`Started ${started} of ${count} jobs. ${getUserFriendlyError(error)}`);
+            } else {
+                showApiError(error, { retry: queueGeneration, switchModel: openModelModal });
+            }
         } finally {
-            hideLoading();
-            setButtonsDisabled(false);
+            queueGenerateBtn.disabled = false;
+            renderJobs();
+            scheduleJobPolling();
         }
     }
 
     /**
-     * Generate an AI image from prompt
+     * Run the same prompt against all models selected for comparison
+     * @param {string} prompt - Generation prompt
      * @returns {Promise<void>}
      */
-    async function generateAIImage() {
-        const prompt = generatePrompt.value;
-
-        if (!prompt || prompt.trim() === '') {
-            showError('Please enter a description for the image you want to generate');
+    async function runModelComparison(prompt) {
+        if (compareModelIds.length < 2) {
+            showError('Select at least two models to compare.');
             return;
         }
 
         try {
             hideError();
             setGenerationButtonsDisabled(true);
-            showLoading('Generating your image with AI...');
+            showLoading(`Generating with ${compareModelIds.length} models...`);
+
+            const results = await compareGenerationModels(prompt, compareModelIds, getGenerationSizeOptions());
+
+            results.filter(result => result.image).forEach(result => saveToGallery({
+                image: result.image,
+                prompt: prompt.trim(),
+                model: result.model,
+                mode: 'generate'
+            }));
+
+            generatedVariations = [];
+            currentGeneratedImage = null;
+            generatedActions.style.display = 'none';
+            renderComparisonResults(results);
+
+            const failed = results.filter(result => !result.image).length;
+            if (failed === results.length) {
+                showError('All models failed to generate an image. Please try again.');
+            } else {
+                showSuccess('Comparison ready — pick the winner!');
+            }
+        } catch (error) {
+            console.error('Error comparing models:', error);
+            showApiError(error, { retry: () => runModelComparison(prompt) });
+        } finally {
+            hideLoading();
+            setGenerationButtonsDisabled(false);
+        }
+    }
+
+    /**
+     * Render model comparison results as a labeled grid
+     * @param {Array<ModelComparisonResult>} results - Comparison results
+     * @param {string|null} [winnerId=null] - Model ID picked as the winner
+     */
+    function renderComparisonResults(results, winnerId = null) {
+        const models = getAvailableModels();
+
+        generatedImageContainer.innerHTML = `
+            <div class="compare-grid">
+                ${results.map((result, i) => `
+                    <div class="compare-card ${result.model === winnerId ? 'winner' : ''}" data-index="${i}">
+                        <div class="compare-card-header">
+                            <span class="compare-model-name">${escapeHtml(models[result.model]?.name || result.model)}</span>
+                            <span class="compare-stats">
+                                ${(result.latencyMs / 1000).toFixed(1)}s${result.cost !== null ? ` · $${result.cost.toFixed(4)}` : ''}
+                            </span>
+                        </div>
+                        ${result.image
+                            ? `<img src="${result.image}" alt="${escapeHtml(models[result.model]?.name || result.model)} result">`
+                            : `<div class="compare-error">${escapeHtml(result.error)}</div>`}
+                        ${result.image ? `
+                            <button class="btn-secondary compare-pick-btn" ${winnerId ? 'disabled' : ''}>
+                                <i data-lucide="trophy"></i> ${result.model === winnerId ? 'Winner' : 'Pick winner'}
+                            </button>
+                        ` : ''}
+                    </div>
+                `).join('')}
+            </div>
+        `;
+
+        generatedImageContainer.querySelectorAll('.compare-card').forEach(card => {
+            const result = results[Number(card.dataset.index)];
+            card.querySelector('img')?.addEventListener('click', () => openLightbox(result.image));
+            card.querySelector('.compare-pick-btn')?.addEventListener('click', () => pickComparisonWinner(results, result));
+        });
+
+        if (typeof lucide !== 'undefined') {
+            lucide.createIcons();
+        }
+    }
+
+    /**
+     * Remember the winning model as the preferred generation model
+     * @param {Array<ModelComparisonResult>} results - Comparison results
+     * @param {ModelComparisonResult} winner - Winning result
+     */
+    function pickComparisonWinner(results, winner) {
+        recordModelVote(winner.model);
+
+        // The winner becomes the selected image for download/upscale/edit
+        generatedVariations = [winner.image];
+        currentGeneratedImage = winner.image;
+        generatedActions.style.display = 'flex';
+
+        renderComparisonResults(results, winner.model);
+        updateGenerationModelLabel();
+        showSuccess(`${getAvailableModels()[winner.model]?.name || winner.model} is now your default generation model.`);
+    }
 
-            // Generate the image
-            currentGeneratedImage = await generateImage(prompt);
+    /**
+     * Render generated variations and select one
+     * @param {number} selectedIndex - Index of the variation to select
+     */
+    function renderGeneratedVariations(selectedIndex) {
+        currentGeneratedImage = generatedVariations[selectedIndex] || null;
+        generatedActions.style.display = currentGeneratedImage ? 'flex' : 'none';
 
-            // Display the generated image (with lightbox click)
+        // A single result keeps the plain image view
+        if (generatedVariations.length === 1) {
             displayImage('generatedImageContainer', currentGeneratedImage, 'Generated image', () => openLightbox(currentGeneratedImage));
+            return;
+        }
 
-            // Add download button
-            addDownloadButton(generatedImageContainer, currentGeneratedImage, 'generated');
+        generatedImageContainer.innerHTML = `
+            <div class="variation-grid">
+                ${generatedVariations.map((_, i) => `
+                    <button class="variation-item ${i === selectedIndex ? 'selected' : ''}" data-index="${i}" title="${i === selectedIndex ? 'Click to view full size' : 'Select this variation'}">
+                        <img alt="Variation ${i + 1}">
+                        <span class="variation-label">${i + 1}</span>
+                    </button>
+                `).join('')}
+            </div>
+        `;
 
-            // Show success message
-            showSuccess('Image generated successfully!');
+        generatedImageContainer.querySelectorAll('.variation-item').forEach(item => {
+            const index = Number(item.dataset.index);
+            // Image URLs come from the model, so they are set as properties rather than parsed as HTML
+            item.querySelector('img').src = generatedVariations[index];
+            item.addEventListener('click', () => {
+                if (index === selectedIndex) {
+                    openLightbox(generatedVariations[index]);
+                } else {
+                    renderGeneratedVariations(index);
+                }
+            });
+        });
+    }
+
+    /**
+     * Upscale the selected generated image and replace it in the results
+     * @returns {Promise<void>}
+     */
+    async function upscaleGeneratedImage() {
+        if (!currentGeneratedImage) return;
 
+        const selectedIndex = generatedVariations.indexOf(currentGeneratedImage);
+
+        try {
+            hideError();
+            setGenerationButtonsDisabled(true);
+            showLoading('Upscaling your image with AI...');
+
+            const model = getEditModel();
+            const upscaled = await upscaleImage(currentGeneratedImage, model);
+            generatedVariations[selectedIndex] = upscaled.image;
+
+            saveToGallery({
+                image: upscaled.image,
+                prompt: 'Upscale',
+                model: upscaled.model,
+                mode: 'edit',
+                sourceImage: currentGeneratedImage
+            });
+
+            renderGeneratedVariations(selectedIndex);
+            const notice = getFallbackNotice(model, [upscaled]);
+            showSuccess(`Image upscaled successfully!${notice}`, notice ? 6000 : undefined);
         } catch (error) {
-            console.error('Error generating image:', error);
-            showError(getUserFriendlyError(error));
+            console.error('Error upscaling image:', error);
+            showApiError(error, { retry: upscaleGeneratedImage, switchModel: openEditModelModal });
         } finally {
             hideLoading();
             setGenerationButtonsDisabled(false);
@@ -1269,6 +4592,7 @@ document.addEventListener('DOMContentLoaded', function () {
      */
     function setButtonsDisabled(disabled) {
         applyEditBtn.disabled = disabled;
+        queueEditBtn.disabled = disabled;
         enhancePromptBtn.disabled = disabled;
         selectEditModelBtn.disabled = disabled;
         uploadBtn.disabled = disabled;
@@ -1291,8 +4615,13 @@ document.addEventListener('DOMContentLoaded', function () {
      */
     function setGenerationButtonsDisabled(disabled) {
         generateImageBtn.disabled = disabled;
+        queueGenerateBtn.disabled = disabled;
         enhanceGeneratePromptBtn.disabled = disabled;
         selectModelBtn.disabled = disabled;
+        compareModeBtn.disabled = disabled;
+        variationCount.disabled = disabled;
+        upscaleGeneratedBtn.disabled = disabled;
+        editGeneratedBtn.disabled = disabled;
         if (disabled) {
             generateImageBtn.style.opacity = '0.6';
             enhanceGeneratePromptBtn.style.opacity = '0.6';
@@ -1313,11 +4642,15 @@ document.addEventListener('DOMContentLoaded', function () {
         openLightbox,
         getCurrentImage: async () => await getBase64Image(),
         getEditedImage: () => currentEditedImage,
+        getEditHistory: () => editHistory,
+        undoEdit,
+        redoEdit,
         getGeneratedImage: () => currentGeneratedImage,
+        getGeneratedVariations: () => generatedVariations,
         getCurrentMode: () => currentMode,
         // Chat functions
         handleSendChat,
-        handleClearChat,
+        startNewConversation,
         getChatHistory,
         handleWebSearchToggle,
         isWebSearchEnabled
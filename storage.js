@@ -0,0 +1,290 @@
+// Local persistence (IndexedDB) for AI Photo Editor
+
+const DB_NAME = 'ai-photo-editor';
+const DB_VERSION = 2;
+const GALLERY_STORE = 'gallery';
+const GALLERY_INDEX_STORE = 'galleryIndex';
+const CONVERSATION_STORE = 'conversations';
+
+/**
+ * Long edge of gallery thumbnails in pixels (covers the grid on high-DPI screens)
+ * @type {number}
+ */
+const GALLERY_THUMBNAIL_DIMENSION = 400;
+
+/**
+ * @typedef {Object} GalleryItem
+ * @property {number} [id] - Auto-generated item ID
+ * @property {string} image - Base64 encoded result image
+ * @property {string} prompt - Prompt that produced the image
+ * @property {string} model - Model ID used
+ * @property {'generate'|'edit'} mode - Mode the image was created in
+ * @property {string|null} sourceImage - Base64 encoded source image (edit mode only)
+ * @property {number} createdAt - Timestamp in milliseconds
+ */
+
+/**
+ * Gallery entry as listed: metadata and a small thumbnail, kept in their own
+ * store so the grid never has to read full-size images
+ * @typedef {Object} GallerySummary
+ * @property {number} id - ID of the gallery item
+ * @property {string} thumbnail - Base64 encoded thumbnail
+ * @property {string} prompt - Prompt that produced the image
+ * @property {string} model - Model ID used
+ * @property {'generate'|'edit'} mode - Mode the image was created in
+ * @property {number} createdAt - Timestamp in milliseconds
+ */
+
+/**
+ * @typedef {Object} Conversation
+ * @property {number} [id] - Auto-generated conversation ID
+ * @property {string} title - Conversation title
+ * @property {Array<ChatMessage>} messages - Chat history
+ * @property {string} model - Chat model ID last used
+ * @property {boolean} webSearch - Whether web search was enabled
+ * @property {string} [persona] - Chat persona ID last used
+ * @property {string} [contextSummary] - Summary of messages before contextStart
+ * @property {number} [contextStart] - Index of the first message sent in full
+ * @property {number} createdAt - Timestamp in milliseconds
+ * @property {number} updatedAt - Timestamp in milliseconds
+ */
+
+/**
+ * Cached database connection promise
+ * @type {Promise<IDBDatabase>|null}
+ */
+let dbPromise = null;
+
+/**
+ * Open (and upgrade if needed) the application database
+ * @returns {Promise<IDBDatabase>} Database connection
+ * @throws {Error} If IndexedDB is unavailable or the database cannot be opened
+ */
+function openDatabase() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('Local storage is not available in this browser'));
+            return;
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = (event) => {
+            const db = request.result;
+            // Apply each schema version in turn so existing databases upgrade cleanly
+            if (event.oldVersion < 1) {
+                const gallery = db.createObjectStore(GALLERY_STORE, { keyPath: 'id', autoIncrement: true });
+                gallery.createIndex('createdAt', 'createdAt');
+                const index = db.createObjectStore(GALLERY_INDEX_STORE, { keyPath: 'id' });
+                index.createIndex('createdAt', 'createdAt');
+            }
+            if (event.oldVersion < 2) {
+                const conversations = db.createObjectStore(CONVERSATION_STORE, { keyPath: 'id', autoIncrement: true });
+                conversations.createIndex('updatedAt', 'updatedAt');
+            }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            dbPromise = null;
+            reject(request.error || new Error('Failed to open local database'));
+        };
+    });
+
+    return dbPromise;
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<*>} Request result
+ */
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Get an object store in a new transaction
+ * @param {string} storeName - Object store name
+ * @param {IDBTransactionMode} [mode='readonly'] - Transaction mode
+ * @returns {Promise<IDBObjectStore>} Object store
+ */
+async function getStore(storeName, mode = 'readonly') {
+    const db = await openDatabase();
+    return db.transaction(storeName, mode).objectStore(storeName);
+}
+
+/**
+ * Build the listed form of a gallery item
+ * @param {GalleryItem} item - Gallery item (with its ID)
+ * @param {string} thumbnail - Base64 encoded thumbnail
+ * @returns {GallerySummary} Gallery summary
+ */
+function toGallerySummary(item, thumbnail) {
+    return {
+        id: item.id,
+        thumbnail,
+        prompt: item.prompt,
+        model: item.model,
+        mode: item.mode,
+        createdAt: item.createdAt
+    };
+}
+
+/**
+ * Create a gallery thumbnail, falling back to the full image if it can't be scaled
+ * @param {string} image - Base64 encoded image
+ * @returns {Promise<string>} Base64 encoded thumbnail
+ */
+async function createGalleryThumbnail(image) {
+    try {
+        return await compressImage(image, GALLERY_THUMBNAIL_DIMENSION);
+    } catch (error) {
+        console.warn('Failed to create gallery thumbnail:', error);
+        return image;
+    }
+}
+
+/**
+ * Save an image to the gallery
+ * @param {Omit<GalleryItem, 'id'|'createdAt'>} item - Gallery item to save
+ * @returns {Promise<number>} ID of the saved item
+ */
+async function saveGalleryItem(item) {
+    // Scale before opening the transaction: it would commit while the canvas works
+    const thumbnail = await createGalleryThumbnail(item.image);
+    const db = await openDatabase();
+    const transaction = db.transaction([GALLERY_STORE, GALLERY_INDEX_STORE], 'readwrite');
+    const record = {
+        image: item.image,
+        prompt: item.prompt || '',
+        model: item.model || '',
+        mode: item.mode,
+        sourceImage: item.sourceImage || null,
+        createdAt: Date.now()
+    };
+
+    const id = await requestToPromise(transaction.objectStore(GALLERY_STORE).add(record));
+    await requestToPromise(transaction.objectStore(GALLERY_INDEX_STORE).put(toGallerySummary({ ...record, id }, thumbnail)));
+    return id;
+}
+
+/**
+ * Get gallery entries (metadata and thumbnails), newest first.
+ * Use getGalleryItem to load an entry's full-size images.
+ * @param {string} [query=''] - Optional case-insensitive prompt search
+ * @returns {Promise<Array<GallerySummary>>} Matching gallery entries
+ */
+async function getGalleryItems(query = '') {
+    const store = await getStore(GALLERY_INDEX_STORE);
+    const summaries = await requestToPromise(store.getAll());
+    const search = query.trim().toLowerCase();
+
+    return summaries
+        .filter(summary => !search || summary.prompt.toLowerCase().includes(search))
+        .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Get a single gallery item with its full-size images
+ * @param {number} id - Item ID
+ * @returns {Promise<GalleryItem|undefined>} Gallery item, if found
+ */
+async function getGalleryItem(id) {
+    const store = await getStore(GALLERY_STORE);
+    return requestToPromise(store.get(id));
+}
+
+/**
+ * Delete a gallery item
+ * @param {number} id - Item ID
+ * @returns {Promise<void>}
+ */
+async function deleteGalleryItem(id) {
+    const db = await openDatabase();
+    const transaction = db.transaction([GALLERY_STORE, GALLERY_INDEX_STORE], 'readwrite');
+    await Promise.all([
+        requestToPromise(transaction.objectStore(GALLERY_STORE).delete(id)),
+        requestToPromise(transaction.objectStore(GALLERY_INDEX_STORE).delete(id))
+    ]);
+}
+
+/**
+ * Get the plain text of a chat message
+ * @param {ChatMessage} message - Chat message
+ * @returns {string} Message text
+ */
+function getMessageText(message) {
+    if (typeof message.content === 'string') return message.content;
+    return (message.content || [])
+        .filter(part => part.type === 'text')
+        .map(part => part.text)
+        .join('\n');
+}
+
+/**
+ * Create or update a conversation
+ * @param {Conversation} conversation - Conversation to save (without an ID to create)
+ * @returns {Promise<number>} ID of the saved conversation
+ */
+async function saveConversation(conversation) {
+    const store = await getStore(CONVERSATION_STORE, 'readwrite');
+    const now = Date.now();
+    const record = {
+        title: conversation.title || 'New chat',
+        messages: conversation.messages || [],
+        model: conversation.model || '',
+        webSearch: Boolean(conversation.webSearch),
+        persona: conversation.persona || 'assistant',
+        contextSummary: conversation.contextSummary || '',
+        contextStart: conversation.contextStart || 0,
+        createdAt: conversation.createdAt || now,
+        updatedAt: now
+    };
+    if (conversation.id !== undefined && conversation.id !== null) {
+        record.id = conversation.id;
+    }
+    return requestToPromise(store.put(record));
+}
+
+/**
+ * Get conversations, most recently updated first
+ * @param {string} [query=''] - Optional case-insensitive search over titles and message text
+ * @returns {Promise<Array<Conversation>>} Matching conversations
+ */
+async function getConversations(query = '') {
+    const store = await getStore(CONVERSATION_STORE);
+    const conversations = await requestToPromise(store.getAll());
+    const search = query.trim().toLowerCase();
+
+    return conversations
+        .filter(conversation => !search
+            || conversation.title.toLowerCase().includes(search)
+            || conversation.messages.some(message => getMessageText(message).toLowerCase().includes(search)))
+        .sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+/**
+ * Get a single conversation
+ * @param {number} id - Conversation ID
+ * @returns {Promise<Conversation|undefined>} Conversation, if found
+ */
+async function getConversation(id) {
+    const store = await getStore(CONVERSATION_STORE);
+    return requestToPromise(store.get(id));
+}
+
+/**
+ * Delete a conversation
+ * @param {number} id - Conversation ID
+ * @returns {Promise<void>}
+ */
+async function deleteConversation(id) {
+    const store = await getStore(CONVERSATION_STORE, 'readwrite');
+    await requestToPromise(store.delete(id));
+}
@@ -0,0 +1,157 @@
+// Tests for api/_lib/auth.js (token provider, signed session cookies and failed sign-in limits)
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { authenticateRequest, clearSessionCookie, isAuthEnabled, setSessionCookie, verifyCredential } from '../api/_lib/auth.js';
+
+const SECRET = 'a'.repeat(32);
+
+let clientCount = 0;
+let clientId;
+
+beforeEach(() => {
+    process.env.AUTH_TOKENS = 'Alice:alice-token, Bob:bob-token';
+    process.env.AUTH_SECRET = SECRET;
+    delete process.env.AUTH_PROVIDER;
+    // Each test fails sign-ins as its own client so the shared rate limit store never carries over
+    clientId = `ip:auth-test-${++clientCount}`;
+});
+
+/**
+ * Sign a user in and return the session cookie ("name=value") the browser would send back
+ * @param {Object} [headers={}] - Request headers
+ * @returns {{cookie: string, setCookie: string}} Cookie pair and full Set-Cookie header
+ */
+function signIn(headers = {}) {
+    let setCookie = '';
+    const res = { setHeader: (name, value) => { if (name === 'Set-Cookie') setCookie = value; } };
+    setSessionCookie({ headers }, res, { id: 'alice', name: 'Alice' }, 'alice-token');
+    return { cookie: setCookie.split(';')[0], setCookie };
+}
+
+test('authentication is off without a provider', async () => {
+    delete process.env.AUTH_TOKENS;
+
+    assert.equal(isAuthEnabled(), false);
+    assert.equal(await authenticateRequest({ headers: { authorization: 'Bearer alice-token' } }, clientId), null);
+});
+
+test('an explicitly chosen provider must be configured', () => {
+    delete process.env.AUTH_TOKENS;
+    process.env.AUTH_PROVIDER = 'token';
+    assert.throws(() => isAuthEnabled(), /not configured/);
+
+    process.env.AUTH_PROVIDER = 'ldap';
+    assert.throws(() => isAuthEnabled(), /Unknown AUTH_PROVIDER/);
+});
+
+test('verifyCredential resolves tokens to users', async () => {
+    assert.deepEqual(await verifyCredential('bob-token', clientId), { id: 'bob', name: 'Bob' });
+    assert.equal(await verifyCredential('wrong', clientId), null);
+    assert.equal(await verifyCredential('', clientId), null);
+    assert.equal(await verifyCredential(42, clientId), null);
+    assert.equal(await verifyCredential('x'.repeat(513), clientId), null);
+});
+
+test('bearer tokens authenticate scripts', async () => {
+    assert.deepEqual(await authenticateRequest({ headers: { authorization: 'Bearer alice-token' } }, clientId), { id: 'alice', name: 'Alice' });
+    assert.equal(await authenticateRequest({ headers: { authorization: 'Bearer nope' } }, clientId), null);
+});
+
+test('after too many failed sign-ins even a valid token is refused until the window ends', async (t) => {
+    let now = Date.now();
+    t.mock.method(Date, 'now', () => now);
+
+    for (let i = 0; i < 10; i++) {
+        assert.equal(await authenticateRequest({ headers: { authorization: `Bearer guess-${i}` } }, clientId), null);
+    }
+
+    await assert.rejects(authenticateRequest({ headers: { authorization: 'Bearer alice-token' } }, clientId), {
+        code: 'rate_limited',
+        retryAfter: 900
+    });
+    // The sign-in form counts against the same limit
+    await assert.rejects(verifyCredential('alice-token', clientId), { code: 'rate_limited' });
+    // Other clients are not affected
+    assert.deepEqual(await verifyCredential('alice-token', `${clientId}-other`), { id: 'alice', name: 'Alice' });
+
+    now += 15 * 60 * 1000;
+    assert.deepEqual(await verifyCredential('alice-token', clientId), { id: 'alice', name: 'Alice' });
+});
+
+test('successful sign-ins do not count towards the limit', async () => {
+    for (let i = 0; i < 12; i++) {
+        assert.ok(await authenticateRequest({ headers: { authorization: 'Bearer alice-token' } }, clientId));
+    }
+});
+
+test('a session cookie round-trips to the signed-in user', async () => {
+    const { cookie, setCookie } = signIn({ 'x-forwarded-proto': 'https' });
+
+    assert.match(setCookie, /^aipe_session=[\w-]+\.[\w-]+; Path=\/api; HttpOnly; SameSite=Strict; Secure; Max-Age=604800$/);
+    const user = await authenticateRequest({ headers: { cookie: `theme=dark; ${cookie}` } });
+    assert.deepEqual(user, { id: 'alice', name: 'Alice' });
+});
+
+test('removing or rotating a token ends the sessions started with it', async () => {
+    const { cookie } = signIn();
+
+    process.env.AUTH_TOKENS = 'Bob:bob-token';
+    assert.equal(await authenticateRequest({ headers: { cookie } }), null);
+
+    process.env.AUTH_TOKENS = 'Alice:new-alice-token, Bob:bob-token';
+    assert.equal(await authenticateRequest({ headers: { cookie } }), null);
+
+    process.env.AUTH_TOKENS = 'Alice:alice-token, Bob:bob-token';
+    assert.deepEqual(await authenticateRequest({ headers: { cookie } }), { id: 'alice', name: 'Alice' });
+});
+
+test('a session cookie does not contain the token', () => {
+    const { cookie } = signIn();
+    const payload = Buffer.from(cookie.split('=')[1].split('.')[0], 'base64url').toString('utf8');
+
+    assert.doesNotMatch(payload, /alice-token/);
+});
+
+test('cookies are not marked Secure over plain http', () => {
+    assert.doesNotMatch(signIn().setCookie, /Secure/);
+});
+
+test('a tampered session cookie is rejected', async () => {
+    const { cookie } = signIn();
+    const [name, value] = cookie.split('=');
+    const [payload, signature] = value.split('.');
+
+    const forged = Buffer.from(JSON.stringify({ sub: 'bob', name: 'Bob', exp: Date.now() + 60000 })).toString('base64url');
+    assert.equal(await authenticateRequest({ headers: { cookie: `${name}=${forged}.${signature}` } }), null);
+    assert.equal(await authenticateRequest({ headers: { cookie: `${name}=${payload}.${signature.slice(0, -2)}xx` } }), null);
+    assert.equal(await authenticateRequest({ headers: { cookie: `${name}=${payload}` } }), null);
+});
+
+test('a cookie signed with another secret is rejected', async () => {
+    const { cookie } = signIn();
+    process.env.AUTH_SECRET = 'b'.repeat(32);
+
+    assert.equal(await authenticateRequest({ headers: { cookie } }), null);
+});
+
+test('an expired session cookie is rejected', async (t) => {
+    const { cookie } = signIn();
+    const now = Date.now();
+    t.mock.method(Date, 'now', () => now + 8 * 24 * 60 * 60 * 1000);
+
+    assert.equal(await authenticateRequest({ headers: { cookie } }), null);
+});
+
+test('signing requires a long enough AUTH_SECRET', () => {
+    process.env.AUTH_SECRET = 'short';
+    assert.throws(() => signIn(), /AUTH_SECRET/);
+});
+
+test('clearSessionCookie expires the cookie', () => {
+    let setCookie = '';
+    clearSessionCookie({ headers: {} }, { setHeader: (name, value) => { setCookie = value; } });
+
+    assert.equal(setCookie, 'aipe_session=; Path=/api; HttpOnly; SameSite=Strict; Max-Age=0');
+});
@@ -0,0 +1,181 @@
+// Tests for the error envelope (api/_lib/errors.js) and how createHandler sends it
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ApiError, ERROR_CODES, sendError, setRequestId, upstreamErrorCode } from '../api/_lib/errors.js';
+import { createHandler, OpenRouterError } from '../api/_lib/openrouter.js';
+import chat from '../api/chat.js';
+import generate from '../api/generate.js';
+
+beforeEach((t) => {
+    for (const name of ['AUTH_TOKENS', 'AUTH_PROVIDER', 'KV_REST_API_URL', 'UPSTASH_REDIS_REST_URL']) {
+        delete process.env[name];
+    }
+    process.env.OPENROUTER_API_KEY = 'server-key';
+    process.env.RATE_LIMIT_MAX_REQUESTS = '0';
+    t.mock.method(console, 'error', () => {});
+});
+
+/**
+ * Create a minimal Vercel response recorder
+ * @returns {Object} Response with statusCode, body and headers
+ */
+function createResponse() {
+    return {
+        statusCode: 200,
+        body: undefined,
+        headers: {},
+        setHeader(name, value) { this.headers[name.toLowerCase()] = value; },
+        getHeader(name) { return this.headers[name.toLowerCase()]; },
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; }
+    };
+}
+
+/**
+ * Call a handler with a request
+ * @param {function(Object, Object): Promise<*>} handler - Vercel handler
+ * @param {Object} [request] - Request fields (method, headers, body)
+ * @returns {Promise<Object>} Recorded response
+ */
+async function call(handler, { method = 'POST', headers = {}, body } = {}) {
+    const res = createResponse();
+    await handler({ method, headers, body, socket: { remoteAddress: '127.0.0.1' } }, res);
+    return res;
+}
+
+test('every error code has a status and a retryable flag', () => {
+    for (const [code, info] of Object.entries(ERROR_CODES)) {
+        assert.ok(Number.isInteger(info.status) && info.status >= 400, code);
+        assert.equal(typeof info.retryable, 'boolean', code);
+    }
+});
+
+test('sendError sends the envelope with the request ID and Retry-After', () => {
+    const res = createResponse();
+    setRequestId({ headers: { 'x-vercel-id': 'iad1::abc' } }, res);
+
+    sendError(res, 'upstream_rate_limited', 'Slow down', { upstreamStatus: 429, retryAfter: 12 });
+
+    assert.equal(res.statusCode, 429);
+    assert.equal(res.headers['retry-after'], '12');
+    assert.deepEqual(res.body, {
+        error: {
+            code: 'upstream_rate_limited',
+            message: 'Slow down',
+            retryable: true,
+            upstreamStatus: 429,
+            requestId: 'iad1::abc',
+            retryAfter: 12
+        }
+    });
+});
+
+test('sendError adds details and falls back to internal_error for unknown codes', () => {
+    const res = createResponse();
+    sendError(res, 'quota_exceeded', 'Daily quota reached', { details: { quota: { used: 5, limit: 5 } } });
+    assert.equal(res.statusCode, 429);
+    assert.equal(res.body.error.retryable, false);
+    assert.deepEqual(res.body.error.quota, { used: 5, limit: 5 });
+    assert.equal('retryAfter' in res.body.error, false);
+
+    const unknown = createResponse();
+    sendError(unknown, 'made_up', 'Oops');
+    assert.equal(unknown.statusCode, 500);
+    assert.equal(unknown.body.error.code, 'made_up');
+});
+
+test('setRequestId generates an ID when the platform sends none', () => {
+    const res = createResponse();
+    const requestId = setRequestId({ headers: {} }, res);
+
+    assert.match(requestId, /^[0-9a-f-]{36}$/);
+    assert.equal(res.headers['x-request-id'], requestId);
+});
+
+test('upstream statuses map to gateway-side codes', () => {
+    assert.equal(upstreamErrorCode(400), 'model_rejected');
+    assert.equal(upstreamErrorCode(401), 'upstream_auth_failed');
+    assert.equal(upstreamErrorCode(402), 'insufficient_credits');
+    assert.equal(upstreamErrorCode(404), 'model_unavailable');
+    assert.equal(upstreamErrorCode(429), 'upstream_rate_limited');
+    assert.equal(upstreamErrorCode(503), 'upstream_error');
+    assert.equal(new ApiError('upstream_timeout', 'Timed out').status, 504);
+    assert.equal(new ApiError('made_up', 'Oops').status, 500);
+});
+
+test('handlers answer disallowed methods with method_not_allowed', async () => {
+    const res = await call(generate, { method: 'GET' });
+
+    assert.equal(res.statusCode, 405);
+    assert.equal(res.headers.allow, 'POST');
+    assert.equal(res.body.error.code, 'method_not_allowed');
+});
+
+test('a request without a body is a validation error, not a server error', async () => {
+    const res = await call(generate, { body: undefined });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.error.code, 'invalid_prompt');
+    assert.equal(res.body.error.retryable, false);
+});
+
+test('chat messages that are not objects are a validation error, not a server error', async () => {
+    for (const message of [null, 'hello', ['hello']]) {
+        const res = await call(chat, { body: { messages: [message], model: 'test/model' } });
+
+        assert.equal(res.statusCode, 400);
+        assert.equal(res.body.error.code, 'invalid_request');
+    }
+});
+
+test('an ApiError thrown by a route is sent with its code', async () => {
+    const handler = createHandler({ name: 'test', failureMessage: 'Test failed' }, async () => {
+        throw new OpenRouterError('upstream_rate_limited', 'Slow down', 429, 7);
+    });
+    const res = await call(handler);
+
+    assert.equal(res.statusCode, 429);
+    assert.equal(res.headers['retry-after'], '7');
+    assert.equal(res.body.error.upstreamStatus, 429);
+    assert.equal(res.body.error.requestId, res.headers['x-request-id']);
+});
+
+test('unexpected errors become internal_error with the route\'s message', async () => {
+    const handler = createHandler({ name: 'test', failureMessage: 'Test failed' }, async () => {
+        throw new TypeError('x is undefined');
+    });
+    const res = await call(handler);
+
+    assert.equal(res.statusCode, 500);
+    assert.deepEqual([res.body.error.code, res.body.error.message, res.body.error.retryable], ['internal_error', 'Test failed', true]);
+});
+
+test('a missing server key is reported as server_misconfigured', async () => {
+    delete process.env.OPENROUTER_API_KEY;
+    const res = await call(generate, { body: { prompt: 'a cat' } });
+
+    assert.equal(res.statusCode, 500);
+    assert.equal(res.body.error.code, 'server_misconfigured');
+    assert.equal(res.body.error.retryable, false);
+});
+
+test('own keys are checked, and OpenRouter rejecting one is the caller\'s error', async () => {
+    const handler = createHandler({ name: 'test', failureMessage: 'Test failed' }, async () => {
+        throw OpenRouterError.fromResponse(401, 'No auth credentials found');
+    });
+
+    const malformed = await call(handler, { headers: { 'x-openrouter-key': 'not-a-key' } });
+    assert.equal(malformed.statusCode, 400);
+    assert.equal(malformed.body.error.code, 'invalid_api_key');
+
+    const rejected = await call(handler, { headers: { 'x-openrouter-key': `sk-or-v1-${'a'.repeat(32)}` } });
+    assert.equal(rejected.statusCode, 400);
+    assert.equal(rejected.body.error.code, 'invalid_api_key');
+
+    // With the server key the same upstream 401 is a gateway problem
+    const serverKey = await call(handler);
+    assert.equal(serverKey.statusCode, 502);
+    assert.equal(serverKey.body.error.code, 'upstream_auth_failed');
+});
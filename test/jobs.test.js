@@ -0,0 +1,224 @@
+// Tests for api/_lib/jobs.js (job state transitions, results and the file store)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readdir, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+process.env.JOB_STORE = 'memory';
+process.env.OPENROUTER_RETRIES = '0';
+
+const { FileJobStore, createJob, failIfStale, getJobResult, getJobStore, runJob, toPublicJob } = await import('../api/_lib/jobs.js');
+
+/**
+ * Build an OpenRouter completion returning one image
+ * @param {string} image - Image data URL
+ * @returns {Response} Response
+ */
+function imageResponse(image) {
+    return Response.json({
+        model: 'test/model',
+        choices: [{ message: { content: '', images: [{ image_url: { url: image } }] } }],
+        usage: { prompt_tokens: 1, completion_tokens: 2, total_tokens: 3, cost: 0.01 }
+    });
+}
+
+/**
+ * Create and save a generation job
+ * @returns {Promise<Object>} Saved job
+ */
+async function queueGenerateJob() {
+    const job = createJob('generate', 'ip:1', { prompt: 'a cat', model: 'test/model' });
+    await getJobStore().put(job);
+    return job;
+}
+
+test('a successful run moves the job from queued to succeeded and keeps the result apart', async (t) => {
+    const job = await queueGenerateJob();
+    const statuses = [];
+    t.mock.method(globalThis, 'fetch', async () => {
+        statuses.push((await getJobStore().get(job.id)).status);
+        return imageResponse('data:image/png;base64,AAA');
+    });
+
+    assert.equal(job.status, 'queued');
+    await runJob(job, 'key');
+
+    const saved = await getJobStore().get(job.id);
+    assert.deepEqual(statuses, ['running']);
+    assert.equal(saved.status, 'succeeded');
+    assert.equal(saved.attempts, 1);
+    assert.equal(saved.error, null);
+    assert.equal('result' in saved, false);
+});
+
+test('a result stays readable until the job is deleted', async (t) => {
+    const job = await queueGenerateJob();
+    t.mock.method(globalThis, 'fetch', async () => imageResponse('data:image/png;base64,AAA'));
+    await runJob(job, 'key');
+
+    const saved = await getJobStore().get(job.id);
+    const result = await getJobResult(saved);
+    assert.deepEqual(result.images, ['data:image/png;base64,AAA']);
+    assert.equal(result.requestUsage.cost, 0.01);
+    // A poll whose response was lost can fetch the result again
+    assert.deepEqual(await getJobResult(saved), result);
+
+    assert.deepEqual(toPublicJob(saved, result).result, result);
+    assert.equal(toPublicJob(saved).result, null);
+
+    await getJobStore().delete(saved);
+    assert.equal(await getJobResult(saved), null);
+});
+
+test('an upstream error fails the job with its error code', async (t) => {
+    const job = await queueGenerateJob();
+    t.mock.method(globalThis, 'fetch', async () => Response.json({ error: { message: 'Slow down' } }, { status: 429 }));
+
+    await runJob(job, 'key');
+
+    const saved = await getJobStore().get(job.id);
+    assert.equal(saved.status, 'failed');
+    assert.equal(saved.errorCode, 'upstream_rate_limited');
+    assert.equal(await getJobResult(saved), null);
+});
+
+test('a reply without images fails the job with no_image', async (t) => {
+    const job = await queueGenerateJob();
+    t.mock.method(globalThis, 'fetch', async () => Response.json({ choices: [{ message: { content: 'Sorry' } }] }));
+
+    await runJob(job, 'key');
+
+    const saved = await getJobStore().get(job.id);
+    assert.equal(saved.status, 'failed');
+    assert.equal(saved.errorCode, 'no_image');
+});
+
+test('images that are not inline data URLs are not accepted as results', async (t) => {
+    const job = await queueGenerateJob();
+    t.mock.method(globalThis, 'fetch', async () => imageResponse('https://attacker.example/pixel.png'));
+
+    await runJob(job, 'key');
+
+    assert.equal((await getJobStore().get(job.id)).errorCode, 'no_image');
+});
+
+test('an edit runs with its input images and drops them once it succeeds', async (t) => {
+    const job = createJob('edit', 'ip:1', { prompt: 'make it blue', model: 'test/model' });
+    await getJobStore().putPayload(job.id, 'input', { image: 'data:image/png;base64,INPUT' });
+    await getJobStore().put(job);
+    const fetchMock = t.mock.method(globalThis, 'fetch', async () => imageResponse('data:image/png;base64,OUT'));
+
+    await runJob(job, 'key');
+
+    const body = JSON.parse(fetchMock.mock.calls[0].arguments[1].body);
+    assert.equal(body.messages[0].content[1].image_url.url, 'data:image/png;base64,INPUT');
+    assert.equal((await getJobStore().get(job.id)).status, 'succeeded');
+    assert.equal(await getJobStore().getPayload(job.id, 'input'), null);
+});
+
+test('an edit whose input has expired fails with not_found', async (t) => {
+    const job = createJob('edit', 'ip:1', { prompt: 'make it blue', model: 'test/model' });
+    await getJobStore().put(job);
+    const fetchMock = t.mock.method(globalThis, 'fetch', async () => imageResponse('data:image/png;base64,OUT'));
+
+    await runJob(job, 'key');
+
+    assert.equal(fetchMock.mock.callCount(), 0);
+    assert.equal((await getJobStore().get(job.id)).errorCode, 'not_found');
+});
+
+test('only the latest run of a job may save its outcome', async (t) => {
+    const job = await queueGenerateJob();
+    let releaseFirst;
+    const firstCall = new Promise(resolve => { releaseFirst = resolve; });
+    let calls = 0;
+    t.mock.method(globalThis, 'fetch', async () => {
+        if (++calls === 1) {
+            await firstCall;
+            return imageResponse('data:image/png;base64,OLD');
+        }
+        return imageResponse('data:image/png;base64,NEW');
+    });
+
+    const firstRun = runJob(job, 'key');
+    await new Promise(resolve => setImmediate(resolve));
+
+    // The first run looks stuck, so it is failed and retried
+    const stuck = await getJobStore().get(job.id);
+    await getJobStore().put({ ...stuck, status: 'failed' });
+    await runJob({ ...stuck, status: 'queued' }, 'key');
+
+    releaseFirst();
+    await firstRun;
+
+    const saved = await getJobStore().get(job.id);
+    assert.equal(saved.status, 'succeeded');
+    assert.equal(saved.attempts, 2);
+    assert.deepEqual((await getJobResult(saved)).images, ['data:image/png;base64,NEW']);
+});
+
+test('a deleted job is not brought back by its run', async (t) => {
+    const job = await queueGenerateJob();
+    t.mock.method(globalThis, 'fetch', async () => {
+        await getJobStore().delete(job);
+        return imageResponse('data:image/png;base64,AAA');
+    });
+
+    await runJob(job, 'key');
+
+    assert.equal(await getJobStore().get(job.id), null);
+    assert.equal(await getJobStore().getPayload(job.id, 'result'), null);
+});
+
+test('failIfStale fails queued and running jobs that outlived their function', async (t) => {
+    const job = { ...await queueGenerateJob(), status: 'running', updatedAt: Date.now() };
+    await getJobStore().put(job);
+
+    assert.equal((await failIfStale(job)).status, 'running');
+    assert.equal((await failIfStale({ ...job, status: 'succeeded', updatedAt: 0 })).status, 'succeeded');
+
+    const now = Date.now();
+    t.mock.method(Date, 'now', () => now + 10 * 60 * 1000);
+    const failed = await failIfStale(job);
+    assert.equal(failed.status, 'failed');
+    assert.equal(failed.errorCode, 'internal_error');
+    assert.equal((await getJobStore().get(job.id)).status, 'failed');
+
+    const neverStarted = await failIfStale({ ...job, status: 'queued' });
+    assert.equal(neverStarted.status, 'failed');
+    assert.equal(neverStarted.error, 'The job never started');
+});
+
+test('toPublicJob leaves out the owner and the input images', () => {
+    const job = createJob('edit', 'user:alice', { prompt: 'make it blue', model: 'test/model' });
+    const view = toPublicJob(job);
+
+    assert.equal(view.owner, undefined);
+    assert.equal(view.input, undefined);
+    assert.equal(view.prompt, 'make it blue');
+    assert.equal(view.result, null);
+});
+
+test('file store keeps payloads in their own files and lists only job records', async (t) => {
+    const directory = await mkdtemp(path.join(tmpdir(), 'jobs-test-'));
+    t.after(() => rm(directory, { recursive: true, force: true }));
+
+    const fileStore = new FileJobStore(directory);
+    const job = createJob('edit', 'ip:1', { prompt: 'p' });
+    await fileStore.put(job);
+    await fileStore.putPayload(job.id, 'input', { image: 'data:image/png;base64,AAA' });
+
+    assert.deepEqual((await readdir(directory)).sort(), [`${job.id}.input.json`, `${job.id}.json`]);
+    assert.deepEqual((await fileStore.list('ip:1')).map(listed => listed.id), [job.id]);
+    assert.deepEqual(await fileStore.getPayload(job.id, 'input'), { image: 'data:image/png;base64,AAA' });
+
+    // Writes go through a temporary file that is renamed into place
+    await fileStore.put({ ...job, status: 'running' });
+    assert.equal((await fileStore.get(job.id)).status, 'running');
+    assert.equal((await readdir(directory)).some(file => file.endsWith('.tmp')), false);
+
+    await fileStore.delete(job);
+    assert.deepEqual(await readdir(directory), []);
+});
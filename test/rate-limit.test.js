@@ -0,0 +1,142 @@
+// Tests for api/_lib/rate-limit.js (fixed-window counting, limits and client IDs)
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Make sure the shared store is the in-memory one
+for (const name of ['KV_REST_API_URL', 'KV_REST_API_TOKEN', 'UPSTASH_REDIS_REST_URL', 'UPSTASH_REDIS_REST_TOKEN']) {
+    delete process.env[name];
+}
+
+const { MemoryRateLimitStore, KVRateLimitStore, checkRateLimit, getClientId, getRateLimitWait, setRateLimitHeaders } = await import('../api/_lib/rate-limit.js');
+
+let clientCount = 0;
+let clientId;
+
+beforeEach(() => {
+    // Each test counts against its own client so the shared store never carries over
+    clientId = `ip:test-${++clientCount}`;
+});
+
+test('memory store counts hits within a window and starts over after it', async (t) => {
+    let now = 1_000_000;
+    t.mock.method(Date, 'now', () => now);
+    const store = new MemoryRateLimitStore();
+
+    assert.deepEqual(await store.hit('key', 1000), { count: 1, resetAt: 1_001_000 });
+    now += 500;
+    assert.deepEqual(await store.hit('key', 1000), { count: 2, resetAt: 1_001_000 });
+    assert.equal(await store.get('key'), 2);
+
+    now += 500;
+    assert.equal(await store.get('key'), 0);
+    assert.deepEqual(await store.hit('key', 1000), { count: 1, resetAt: 1_002_000 });
+});
+
+test('memory store keeps keys apart', async () => {
+    const store = new MemoryRateLimitStore();
+    await store.hit('a', 1000);
+    await store.hit('a', 1000);
+
+    assert.equal((await store.hit('b', 1000)).count, 1);
+    assert.equal(await store.get('a'), 2);
+});
+
+test('checkRateLimit allows requests up to the limit, then asks the client to wait', async (t) => {
+    let now = 2_000_000;
+    t.mock.method(Date, 'now', () => now);
+
+    const first = await checkRateLimit(clientId, { max: 2, windowMs: 10000 });
+    assert.deepEqual(first, { allowed: true, limit: 2, remaining: 1, resetAt: 2_010_000, retryAfter: 0 });
+    assert.equal((await checkRateLimit(clientId, { max: 2, windowMs: 10000 })).remaining, 0);
+
+    now += 2500;
+    const limited = await checkRateLimit(clientId, { max: 2, windowMs: 10000 });
+    assert.equal(limited.allowed, false);
+    assert.equal(limited.remaining, 0);
+    assert.equal(limited.retryAfter, 8);
+
+    now += 7500;
+    assert.equal((await checkRateLimit(clientId, { max: 2, windowMs: 10000 })).allowed, true);
+});
+
+test('checkRateLimit counts buckets separately', async () => {
+    await checkRateLimit(clientId, { bucket: 'api', max: 1 });
+    assert.equal((await checkRateLimit(clientId, { bucket: 'api', max: 1 })).allowed, false);
+    assert.equal((await checkRateLimit(clientId, { bucket: 'jobs', max: 1 })).allowed, true);
+});
+
+test('checkRateLimit reads its defaults from the environment and is off at 0', async (t) => {
+    t.after(() => delete process.env.RATE_LIMIT_MAX_REQUESTS);
+
+    process.env.RATE_LIMIT_MAX_REQUESTS = '1';
+    assert.equal((await checkRateLimit(clientId)).limit, 1);
+    assert.equal((await checkRateLimit(clientId)).allowed, false);
+
+    process.env.RATE_LIMIT_MAX_REQUESTS = '0';
+    assert.equal(await checkRateLimit(clientId), null);
+});
+
+test('getRateLimitWait reports the wait once the limit is used up, without counting', async (t) => {
+    let now = 4_000_000;
+    t.mock.method(Date, 'now', () => now);
+    const limit = { bucket: 'failures', max: 2, windowMs: 10000 };
+
+    assert.equal(await getRateLimitWait(clientId, limit), 0);
+    await checkRateLimit(clientId, limit);
+    assert.equal(await getRateLimitWait(clientId, limit), 0);
+    await checkRateLimit(clientId, limit);
+
+    now += 2500;
+    assert.equal(await getRateLimitWait(clientId, limit), 8);
+    assert.equal(await getRateLimitWait(clientId, limit), 8);
+
+    now += 7500;
+    assert.equal(await getRateLimitWait(clientId, limit), 0);
+});
+
+test('KV store counts with INCR and uses the remaining TTL as the window end', async (t) => {
+    t.mock.method(Date, 'now', () => 3_000_000);
+    const fetchMock = t.mock.method(globalThis, 'fetch', async () => Response.json([
+        { result: 3 }, { result: 0 }, { result: 4000 }
+    ]));
+    const store = new KVRateLimitStore('https://kv.example/', 'token');
+
+    assert.deepEqual(await store.hit('ratelimit:api:ip:1', 60000), { count: 3, resetAt: 3_004_000 });
+
+    const [url, init] = fetchMock.mock.calls[0].arguments;
+    assert.equal(url, 'https://kv.example/pipeline');
+    assert.deepEqual(JSON.parse(init.body), [
+        ['INCR', 'ratelimit:api:ip:1'],
+        ['PEXPIRE', 'ratelimit:api:ip:1', '60000', 'NX'],
+        ['PTTL', 'ratelimit:api:ip:1']
+    ]);
+});
+
+test('KV store fails on command errors', async (t) => {
+    t.mock.method(globalThis, 'fetch', async () => Response.json([{ error: 'WRONGTYPE' }, {}, {}]));
+    const store = new KVRateLimitStore('https://kv.example', 'token');
+
+    await assert.rejects(store.hit('key', 1000), /WRONGTYPE/);
+});
+
+test('getClientId prefers the user, then x-real-ip, then the first forwarded address', () => {
+    assert.equal(getClientId({ headers: { 'x-real-ip': '1.1.1.1' } }, { id: 'u1' }), 'user:u1');
+    assert.equal(getClientId({ headers: { 'x-real-ip': '1.1.1.1', 'x-forwarded-for': '2.2.2.2' } }), 'ip:1.1.1.1');
+    assert.equal(getClientId({ headers: { 'x-forwarded-for': '2.2.2.2, 3.3.3.3' } }), 'ip:2.2.2.2');
+    assert.equal(getClientId({ headers: {}, socket: { remoteAddress: '4.4.4.4' } }), 'ip:4.4.4.4');
+    assert.equal(getClientId({ headers: {} }), 'ip:unknown');
+});
+
+test('setRateLimitHeaders adds Retry-After only when limited', () => {
+    const headers = {};
+    const res = { setHeader: (name, value) => { headers[name] = value; } };
+
+    setRateLimitHeaders(res, { allowed: false, limit: 5, remaining: 0, resetAt: 10_500, retryAfter: 7 });
+    assert.deepEqual(headers, {
+        'X-RateLimit-Limit': '5',
+        'X-RateLimit-Remaining': '0',
+        'X-RateLimit-Reset': '11',
+        'Retry-After': '7'
+    });
+});
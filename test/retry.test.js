@@ -0,0 +1,149 @@
+// Tests for the retry and backoff handling in api/_lib/openrouter.js
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { getEventListeners } from 'node:events';
+
+import { callOpenRouter, getRetryDelay, OpenRouterError, parseRetryAfter } from '../api/_lib/openrouter.js';
+
+beforeEach((t) => {
+    // Keep backoff waits short; each test picks its own retry count
+    process.env.OPENROUTER_RETRY_BASE_MS = '1';
+    process.env.OPENROUTER_RETRY_MAX_MS = '8000';
+    process.env.OPENROUTER_RETRIES = '2';
+    // Failed upstream responses are logged
+    t.mock.method(console, 'error', () => {});
+});
+
+/**
+ * Build a failed upstream response
+ * @param {number} status - HTTP status
+ * @param {Object.<string, string>} [headers={}] - Response headers
+ * @returns {Response} Response
+ */
+function errorResponse(status, headers = {}) {
+    return Response.json({ error: { message: `Failed with ${status}` } }, { status, headers });
+}
+
+/**
+ * Wait for a fetch's abort signal, like a request that never answers
+ * @param {string} url - Request URL
+ * @param {Object} init - Fetch options
+ * @returns {Promise<never>} Rejects with an AbortError once aborted
+ */
+function hangUntilAborted(url, init) {
+    return new Promise((resolve, reject) => {
+        init.signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+    });
+}
+
+test('parseRetryAfter reads seconds and HTTP dates', (t) => {
+    t.mock.method(Date, 'now', () => Date.parse('2025-01-01T00:00:00Z'));
+
+    assert.equal(parseRetryAfter('3'), 3000);
+    assert.equal(parseRetryAfter('0'), 0);
+    assert.equal(parseRetryAfter('Wed, 01 Jan 2025 00:00:10 GMT'), 10000);
+    assert.equal(parseRetryAfter('Tue, 31 Dec 2024 23:59:00 GMT'), 0);
+    assert.equal(parseRetryAfter('-1'), null);
+    assert.equal(parseRetryAfter('soon'), null);
+    assert.equal(parseRetryAfter(null), null);
+});
+
+test('getRetryDelay backs off exponentially with jitter up to the cap', (t) => {
+    const config = { baseMs: 1000, maxMs: 8000 };
+
+    t.mock.method(Math, 'random', () => 0);
+    assert.deepEqual([1, 2, 3, 4, 5].map(attempt => getRetryDelay(attempt, null, config)), [500, 1000, 2000, 4000, 4000]);
+
+    t.mock.method(Math, 'random', () => 1);
+    assert.deepEqual([1, 2, 3, 4, 5].map(attempt => getRetryDelay(attempt, null, config)), [1000, 2000, 4000, 8000, 8000]);
+});
+
+test('getRetryDelay follows Retry-After unless it is longer than the cap', () => {
+    const config = { baseMs: 1000, maxMs: 8000 };
+
+    assert.equal(getRetryDelay(1, 3000, config), 3000);
+    assert.equal(getRetryDelay(1, 8000, config), 8000);
+    assert.equal(getRetryDelay(1, 9000, config), null);
+});
+
+test('transient upstream errors are retried', async (t) => {
+    const responses = [errorResponse(503), errorResponse(429), Response.json({ ok: true })];
+    const fetchMock = t.mock.method(globalThis, 'fetch', async () => responses.shift());
+
+    const response = await callOpenRouter('key', { model: 'test/model' });
+
+    assert.equal(fetchMock.mock.callCount(), 3);
+    assert.deepEqual(await response.json(), { ok: true });
+});
+
+test('the last error is thrown once the retries run out', async (t) => {
+    const fetchMock = t.mock.method(globalThis, 'fetch', async () => errorResponse(502));
+
+    await assert.rejects(callOpenRouter('key', {}), (error) => {
+        assert.ok(error instanceof OpenRouterError);
+        assert.equal(error.code, 'upstream_error');
+        assert.equal(error.upstreamStatus, 502);
+        return true;
+    });
+    assert.equal(fetchMock.mock.callCount(), 3);
+});
+
+test('client errors are not retried', async (t) => {
+    const fetchMock = t.mock.method(globalThis, 'fetch', async () => errorResponse(400));
+
+    await assert.rejects(callOpenRouter('key', {}), { code: 'model_rejected', upstreamStatus: 400 });
+    assert.equal(fetchMock.mock.callCount(), 1);
+});
+
+test('network failures are retried and reported as upstream_unreachable', async (t) => {
+    const fetchMock = t.mock.method(globalThis, 'fetch', async () => { throw new TypeError('fetch failed'); });
+
+    await assert.rejects(callOpenRouter('key', {}, { retries: 1 }), { code: 'upstream_unreachable' });
+    assert.equal(fetchMock.mock.callCount(), 2);
+});
+
+test('a Retry-After longer than the cap is passed on instead of waited out', async (t) => {
+    const fetchMock = t.mock.method(globalThis, 'fetch', async () => errorResponse(429, { 'Retry-After': '30' }));
+
+    await assert.rejects(callOpenRouter('key', {}), { code: 'upstream_rate_limited', retryAfter: 30 });
+    assert.equal(fetchMock.mock.callCount(), 1);
+});
+
+test('a retry that would run past the deadline is skipped', async (t) => {
+    const fetchMock = t.mock.method(globalThis, 'fetch', async () => errorResponse(429, { 'Retry-After': '4' }));
+    const startedAt = Date.now();
+
+    // Waiting 4 s leaves less than the 5 s an attempt needs before the 6 s deadline
+    await assert.rejects(callOpenRouter('key', {}, { timeoutMs: 6000 }), { code: 'upstream_rate_limited', retryAfter: 4 });
+    assert.equal(fetchMock.mock.callCount(), 1);
+    assert.ok(Date.now() - startedAt < 1000);
+});
+
+test('the deadline covers every attempt, not each one', async (t) => {
+    const fetchMock = t.mock.method(globalThis, 'fetch', hangUntilAborted);
+    const startedAt = Date.now();
+
+    await assert.rejects(callOpenRouter('key', {}, { timeoutMs: 200 }), { code: 'upstream_timeout' });
+    assert.equal(fetchMock.mock.callCount(), 1);
+    assert.ok(Date.now() - startedAt < 1000);
+});
+
+test('a cancelled request stops without retrying', async (t) => {
+    const controller = new AbortController();
+    const fetchMock = t.mock.method(globalThis, 'fetch', (url, init) => {
+        setImmediate(() => controller.abort());
+        return hangUntilAborted(url, init);
+    });
+
+    await assert.rejects(callOpenRouter('key', {}, { signal: controller.signal }), { code: 'cancelled' });
+    assert.equal(fetchMock.mock.callCount(), 1);
+});
+
+test('backoff waits do not leave abort listeners on the caller\'s signal', async (t) => {
+    const controller = new AbortController();
+    t.mock.method(globalThis, 'fetch', async () => errorResponse(503));
+
+    await assert.rejects(callOpenRouter('key', {}, { signal: controller.signal }), { code: 'upstream_error' });
+    assert.equal(getEventListeners(controller.signal, 'abort').length, 0);
+});
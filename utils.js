@@ -16,61 +16,185 @@ const ErrorMessages = {
     NETWORK_ERROR: 'Unable to connect to the server. Please check your internet connection.',
     API_ERROR: 'The AI service encountered an error. Please try again.',
     RATE_LIMIT: 'Too many requests. Please wait a moment before trying again.',
+    UPSTREAM_RATE_LIMIT: 'The AI model is busy right now. Please try again shortly or choose another model.',
+    UPSTREAM_TIMEOUT: 'The AI service took too long to respond. Please try again or choose a faster model.',
+    UPSTREAM_AUTH: 'The server could not sign in to the AI service. Use your own OpenRouter key or contact the site owner.',
+    AUTH_REQUIRED: 'Please sign in to continue.',
+    INVALID_CREDENTIALS: 'That access token is not valid.',
+    QUOTA_EXCEEDED: 'You have reached your daily quota. It resets at midnight UTC.',
+    INSUFFICIENT_CREDITS: 'The OpenRouter account is out of credits. Add credits or use a different key.',
+    MODEL_REJECTED: 'The model could not handle this request. Try rephrasing it or choose another model.',
+    MODEL_UNAVAILABLE: 'This model is not available right now. Please choose another model.',
+    NO_IMAGE: 'The model did not return an image. Try again or choose another model.',
     INVALID_IMAGE: 'The image could not be processed. Please try a different image.',
     INVALID_PROMPT: 'Please enter a valid prompt.',
     INVALID_FILE: 'Invalid file type. Please use JPG, PNG, or WEBP',
     FILE_TOO_LARGE: 'File too large. Maximum size is 10MB',
     PAYLOAD_TOO_LARGE: 'Image is too large to process. Please use a smaller image.',
+    CANCELLED: 'The request was cancelled.',
+    SERVER_MISCONFIGURED: 'The server is not configured correctly. Please contact the site owner.',
     UNKNOWN: 'An unexpected error occurred. Please try again.'
 };
 
 /**
- * Convert technical errors to user-friendly error messages
+ * Recovery action offered next to an error: 'retry' sends the request again,
+ * 'switch-model' opens the model picker, 'shrink-image' resends with a
+ * smaller upload and 'update-key' opens the OpenRouter key settings
+ * @typedef {'retry'|'switch-model'|'shrink-image'|'update-key'} ErrorAction
+ */
+
+/**
+ * @typedef {Object} ErrorCodeInfo
+ * @property {string} message - Message shown to the user
+ * @property {Array<ErrorAction>} actions - Recovery actions offered
+ * @property {boolean} [detail] - Show the server's own message instead (it is specific to the request)
+ * @property {boolean} [report] - Show the request ID so the user can report the failure
+ */
+
+/**
+ * How each error code (see api/_lib/errors.js, plus the client-only
+ * network_error and model_unsupported) is presented
+ * @type {Object.<string, ErrorCodeInfo>}
+ */
+const ERROR_CODE_INFO = {
+    network_error: { message: ErrorMessages.NETWORK_ERROR, actions: ['retry'] },
+    invalid_request: { message: ErrorMessages.UNKNOWN, actions: [], detail: true },
+    invalid_prompt: { message: ErrorMessages.INVALID_PROMPT, actions: [] },
+    invalid_image: { message: ErrorMessages.INVALID_IMAGE, actions: [] },
+    invalid_api_key: { message: ErrorMessages.UNKNOWN, actions: ['update-key'], detail: true },
+    model_rejected: { message: ErrorMessages.MODEL_REJECTED, actions: ['switch-model'] },
+    model_unsupported: { message: ErrorMessages.UNKNOWN, actions: ['switch-model'], detail: true },
+    auth_required: { message: ErrorMessages.AUTH_REQUIRED, actions: [] },
+    invalid_credentials: { message: ErrorMessages.INVALID_CREDENTIALS, actions: [] },
+    insufficient_credits: { message: ErrorMessages.INSUFFICIENT_CREDITS, actions: ['update-key'] },
+    not_found: { message: ErrorMessages.UNKNOWN, actions: [], detail: true },
+    model_unavailable: { message: ErrorMessages.MODEL_UNAVAILABLE, actions: ['switch-model'] },
+    method_not_allowed: { message: ErrorMessages.UNKNOWN, actions: [], report: true },
+    conflict: { message: ErrorMessages.UNKNOWN, actions: [], detail: true },
+    payload_too_large: { message: ErrorMessages.PAYLOAD_TOO_LARGE, actions: ['shrink-image'] },
+    rate_limited: { message: ErrorMessages.RATE_LIMIT, actions: ['retry'], detail: true },
+    quota_exceeded: { message: ErrorMessages.QUOTA_EXCEEDED, actions: [] },
+    upstream_rate_limited: { message: ErrorMessages.UPSTREAM_RATE_LIMIT, actions: ['retry', 'switch-model'] },
+    cancelled: { message: ErrorMessages.CANCELLED, actions: ['retry'] },
+    internal_error: { message: ErrorMessages.UNKNOWN, actions: ['retry'], report: true },
+    server_misconfigured: { message: ErrorMessages.SERVER_MISCONFIGURED, actions: [], report: true },
+    upstream_error: { message: ErrorMessages.API_ERROR, actions: ['retry', 'switch-model'], report: true },
+    upstream_unreachable: { message: ErrorMessages.API_ERROR, actions: ['retry'] },
+    upstream_auth_failed: { message: ErrorMessages.UPSTREAM_AUTH, actions: ['update-key'], report: true },
+    no_image: { message: ErrorMessages.NO_IMAGE, actions: ['retry', 'switch-model'] },
+    upstream_timeout: { message: ErrorMessages.UPSTREAM_TIMEOUT, actions: ['retry', 'switch-model'] }
+};
+
+/**
+ * Error returned by one of our API routes (or raised by the client for the
+ * same kinds of failure), identified by its code rather than its message
+ * @class
+ */
+class ApiError extends Error {
+    /**
+     * Create an API error
+     * @param {string} code - Error code (a key of ERROR_CODE_INFO)
+     * @param {string} message - Error message from the server (or the client check that failed)
+     * @param {Object} [options] - Error details from the response envelope
+     * @param {boolean} [options.retryable=false] - Whether sending the same request again can succeed
+     * @param {number|null} [options.upstreamStatus=null] - Status OpenRouter returned, if any
+     * @param {string|null} [options.requestId=null] - Server request ID (for reports)
+     * @param {number|null} [options.retryAfter=null] - Seconds to wait before retrying, if known
+     */
+    constructor(code, message, { retryable = false, upstreamStatus = null, requestId = null, retryAfter = null } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.code = code;
+        this.retryable = retryable;
+        this.upstreamStatus = upstreamStatus;
+        this.requestId = requestId;
+        this.retryAfter = retryAfter;
+    }
+}
+
+/**
+ * Pick an error code for a response without an error envelope (e.g. a
+ * platform error page in front of the API)
+ * @param {number} status - HTTP status
+ * @returns {string} Error code
+ */
+function getErrorCodeForStatus(status) {
+    switch (status) {
+        case 400:
+            return 'invalid_request';
+        case 401:
+            return 'auth_required';
+        case 402:
+            return 'insufficient_credits';
+        case 404:
+            return 'not_found';
+        case 413:
+            return 'payload_too_large';
+        case 429:
+            return 'rate_limited';
+        case 504:
+            return 'upstream_timeout';
+        default:
+            return status >= 500 ? 'upstream_error' : 'internal_error';
+    }
+}
+
+/**
+ * Convert an error to the message shown to the user
  * @param {Error|string} error - The error object or error message
  * @returns {string} User-friendly error message
  */
 function getUserFriendlyError(error) {
-    const message = (error?.message || error || '').toLowerCase();
-    
-    // Network errors
-    if (message.includes('network') || message.includes('fetch') || 
-        message.includes('failed to fetch') || message.includes('networkerror')) {
-        return ErrorMessages.NETWORK_ERROR;
+    const info = ERROR_CODE_INFO[error?.code];
+    if (!info) {
+        // Log original error for debugging
+        console.error('Original error:', error);
+        // Errors raised in the browser (e.g. a missing image) carry no code but a usable message
+        const message = typeof error === 'string' ? error : error?.message;
+        return message || ErrorMessages.UNKNOWN;
     }
-    
-    // Payload too large (413 error)
-    if (message.includes('413') || message.includes('too large') || 
-        message.includes('payload') || message.includes('content too large')) {
-        return ErrorMessages.PAYLOAD_TOO_LARGE;
-    }
-    
-    // Rate limiting
-    if (message.includes('rate') || message.includes('429') || 
-        message.includes('rate limit')) {
-        return ErrorMessages.RATE_LIMIT;
-    }
-    
-    // API errors
-    if (message.includes('api') || message.includes('500') || 
-        message.includes('502') || message.includes('503') || 
-        message.includes('504') || message.includes('service')) {
-        return ErrorMessages.API_ERROR;
-    }
-    
-    // Invalid prompt
-    if (message.includes('invalid prompt') || message.includes('prompt')) {
-        return ErrorMessages.INVALID_PROMPT;
+
+    const message = info.detail && error.message ? error.message : info.message;
+    return info.report && error.requestId ? `${message} (request ID: ${error.requestId})` : message;
+}
+
+/**
+ * Get the recovery actions to offer for an error
+ * @param {Error} error - The error object
+ * @returns {Array<ErrorAction>} Actions, most useful first
+ */
+function getErrorActions(error) {
+    return ERROR_CODE_INFO[error?.code]?.actions || [];
+}
+
+/**
+ * Read a JSON value from localStorage
+ * @param {string} key - Storage key
+ * @param {*} fallback - Value returned if the key is missing or unreadable
+ * @returns {*} Parsed value or fallback
+ */
+function loadStoredJSON(key, fallback) {
+    try {
+        const raw = localStorage.getItem(key);
+        return raw === null ? fallback : JSON.parse(raw);
+    } catch (error) {
+        console.warn(`Failed to read ${key} from localStorage:`, error);
+        return fallback;
     }
-    
-    // Invalid image/file
-    if (message.includes('invalid') && (message.includes('image') || message.includes('file'))) {
-        return ErrorMessages.INVALID_IMAGE;
+}
+
+/**
+ * Write a JSON value to localStorage (failures are logged, not thrown)
+ * @param {string} key - Storage key
+ * @param {*} value - Value to store
+ * @returns {void}
+ */
+function saveStoredJSON(key, value) {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+    } catch (error) {
+        console.warn(`Failed to write ${key} to localStorage:`, error);
     }
-    
-    // Log original error for debugging
-    console.error('Original error:', error);
-    
-    return ErrorMessages.UNKNOWN;
 }
 
 /**
@@ -82,16 +206,17 @@ function getUserFriendlyError(error) {
 /**
  * Sanitize user prompt to prevent potential security issues
  * @param {string} prompt - User-provided prompt
+ * @param {number} [maxLength=MAX_PROMPT_LENGTH] - Maximum length to keep
  * @returns {string} Sanitized prompt (empty string if invalid)
  */
-function sanitizePrompt(prompt) {
+function sanitizePrompt(prompt, maxLength = MAX_PROMPT_LENGTH) {
     if (!prompt || typeof prompt !== 'string') return '';
     
     // Remove potential control characters (ASCII 0-31 and 127)
     let sanitized = prompt.replace(/[\x00-\x1F\x7F]/g, '');
     
     // Limit length to prevent abuse
-    sanitized = sanitized.substring(0, MAX_PROMPT_LENGTH);
+    sanitized = sanitized.substring(0, maxLength);
     
     // Trim whitespace
     return sanitized.trim();
@@ -99,7 +224,8 @@ function sanitizePrompt(prompt) {
 
 /**
  * Rate limiter to prevent excessive API calls
- * Uses a sliding window algorithm to track requests
+ * Uses a sliding window algorithm to track requests, and also respects the
+ * quota the server reports (see syncWithServer)
  * @class
  */
 class RateLimiter {
@@ -112,6 +238,29 @@ class RateLimiter {
         this.maxRequests = maxRequests;
         this.windowMs = windowMs;
         this.requests = [];
+        this.serverRemaining = null;
+        this.serverResetAt = 0;
+    }
+
+    /**
+     * Record the quota reported by the server (X-RateLimit-* headers)
+     * @param {number} remaining - Requests the server still allows in its window
+     * @param {number} resetAt - Timestamp (ms) when the server window ends
+     */
+    syncWithServer(remaining, resetAt) {
+        this.serverRemaining = remaining;
+        this.serverResetAt = resetAt;
+    }
+
+    /**
+     * Get the server-reported remaining requests, if still current
+     * @returns {number} Remaining requests (Infinity if unknown or the window has ended)
+     */
+    getServerRemaining() {
+        if (this.serverRemaining === null || Date.now() >= this.serverResetAt) {
+            return Infinity;
+        }
+        return this.serverRemaining;
     }
 
     /**
@@ -123,11 +272,14 @@ class RateLimiter {
         // Remove requests outside the current window
         this.requests = this.requests.filter(time => now - time < this.windowMs);
         
-        if (this.requests.length >= this.maxRequests) {
+        if (this.requests.length >= this.maxRequests || this.getServerRemaining() === 0) {
             return false;
         }
         
         this.requests.push(now);
+        if (this.getServerRemaining() !== Infinity) {
+            this.serverRemaining--;
+        }
         return true;
     }
 
@@ -136,9 +288,10 @@ class RateLimiter {
      * @returns {number} - Milliseconds until next request is allowed (0 if allowed now)
      */
     getTimeUntilNextRequest() {
-        if (this.requests.length < this.maxRequests) return 0;
+        const serverWait = this.getServerRemaining() === 0 ? this.serverResetAt - Date.now() : 0;
+        if (this.requests.length < this.maxRequests) return Math.max(0, serverWait);
         const oldestRequest = Math.min(...this.requests);
-        return Math.max(0, this.windowMs - (Date.now() - oldestRequest));
+        return Math.max(0, this.windowMs - (Date.now() - oldestRequest), serverWait);
     }
 
     /**
@@ -148,7 +301,7 @@ class RateLimiter {
     getRemainingRequests() {
         const now = Date.now();
         this.requests = this.requests.filter(time => now - time < this.windowMs);
-        return Math.max(0, this.maxRequests - this.requests.length);
+        return Math.max(0, Math.min(this.maxRequests - this.requests.length, this.getServerRemaining()));
     }
 }
 
@@ -238,6 +391,87 @@ async function compressImage(base64Image, maxDimension = MAX_IMAGE_DIMENSION, ma
     });
 }
 
+/**
+ * Load an image source into an HTMLImageElement
+ * @param {string} imageSrc - Image source (base64 or URL)
+ * @returns {Promise<HTMLImageElement>} Loaded image element
+ * @throws {Error} If the image fails to load
+ */
+function loadImageElement(imageSrc) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => resolve(img);
+        img.onerror = () => reject(new Error('Failed to load image'));
+        img.src = imageSrc;
+    });
+}
+
+/**
+ * Crop or pad an image to an aspect ratio and optionally resize it
+ * @param {string} base64Image - Base64 encoded image
+ * @param {string|null} aspectRatio - Target ratio as 'W:H', or null to keep the current ratio
+ * @param {number|null} [longEdge=null] - Target long edge in pixels, or null to keep the scale
+ * @param {'crop'|'pad'} [fit='crop'] - Crop to fill the frame, or pad to fit inside it
+ * @returns {Promise<string>} Resulting image (the original if nothing needed to change)
+ */
+async function fitImageToAspectRatio(base64Image, aspectRatio, longEdge = null, fit = 'crop') {
+    const img = await loadImageElement(base64Image);
+    const srcWidth = img.naturalWidth;
+    const srcHeight = img.naturalHeight;
+    const srcRatio = srcWidth / srcHeight;
+
+    let ratio = srcRatio;
+    if (aspectRatio) {
+        const [w, h] = aspectRatio.split(':').map(Number);
+        if (w > 0 && h > 0) ratio = w / h;
+    }
+
+    // Output size at the source scale
+    let outWidth;
+    let outHeight;
+    if ((fit === 'crop') === (srcRatio > ratio)) {
+        outHeight = srcHeight;
+        outWidth = Math.round(srcHeight * ratio);
+    } else {
+        outWidth = srcWidth;
+        outHeight = Math.round(srcWidth / ratio);
+    }
+
+    // Scale to the requested long edge
+    if (longEdge) {
+        const scale = longEdge / Math.max(outWidth, outHeight);
+        outWidth = Math.round(outWidth * scale);
+        outHeight = Math.round(outHeight * scale);
+    }
+
+    // Skip re-encoding when the result would be (almost) identical
+    if (Math.abs(outWidth - srcWidth) <= 1 && Math.abs(outHeight - srcHeight) <= 1) {
+        return base64Image;
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = outWidth;
+    canvas.height = outHeight;
+    const ctx = canvas.getContext('2d');
+
+    const isPng = base64Image.includes('image/png');
+    if (fit === 'pad' && !isPng) {
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, outWidth, outHeight);
+    }
+
+    const scale = fit === 'crop'
+        ? Math.max(outWidth / srcWidth, outHeight / srcHeight)
+        : Math.min(outWidth / srcWidth, outHeight / srcHeight);
+    const drawWidth = srcWidth * scale;
+    const drawHeight = srcHeight * scale;
+
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(img, (outWidth - drawWidth) / 2, (outHeight - drawHeight) / 2, drawWidth, drawHeight);
+
+    return isPng ? canvas.toDataURL('image/png') : canvas.toDataURL('image/jpeg', 0.92);
+}
+
 /**
  * Check if an image needs compression
  * @param {string} base64Image - Base64 encoded image
@@ -250,12 +484,18 @@ function needsCompression(base64Image) {
 /**
  * Prepare an image for API upload (compress if needed)
  * @param {string} base64Image - Base64 encoded image
+ * @param {number|null} [maxDimension=null] - Downscale to this long edge even if the image is within
+ *        the size limit (used to retry an upload the server found too large)
  * @returns {Promise<string>} Compressed/optimized base64 image
  */
-async function prepareImageForUpload(base64Image) {
+async function prepareImageForUpload(base64Image, maxDimension = null) {
     if (!base64Image) {
         throw new Error('No image provided');
     }
+
+    if (maxDimension) {
+        return await compressImage(base64Image, maxDimension);
+    }
     
     // Check if compression is needed
     if (needsCompression(base64Image)) {
@@ -266,6 +506,31 @@ async function prepareImageForUpload(base64Image) {
     return base64Image;
 }
 
+/**
+ * Prepare an edit mask for API upload so it still lines up with its image.
+ * The mask is scaled to the prepared image's dimensions whenever the image
+ * was downscaled (by the size limit or a retry's maxDimension).
+ * @param {string|null} mask - Base64 encoded PNG mask at the source image's size
+ * @param {string} preparedImage - Image as returned by prepareImageForUpload
+ * @returns {Promise<string|null>} Mask matching the prepared image (null if there is no mask)
+ */
+async function prepareMaskForUpload(mask, preparedImage) {
+    if (!mask) {
+        return null;
+    }
+
+    const [maskImg, img] = await Promise.all([loadImageElement(mask), loadImageElement(preparedImage)]);
+    if (maskImg.naturalWidth === img.naturalWidth && maskImg.naturalHeight === img.naturalHeight) {
+        return mask;
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = img.naturalWidth;
+    canvas.height = img.naturalHeight;
+    canvas.getContext('2d').drawImage(maskImg, 0, 0, canvas.width, canvas.height);
+    return canvas.toDataURL('image/png');
+}
+
 /**
  * Display an image in a container
  * @param {string} containerId - ID of the container element
@@ -324,14 +589,33 @@ function hideLoading() {
 /**
  * Show error message
  * @param {string} message - Error message to display
+ * @param {Array<{label: string, icon: string, onClick: Function}>} [actions=[]] - Recovery buttons shown after the message
  * @returns {void}
  */
-function showError(message) {
+function showError(message, actions = []) {
     const errorMessage = document.getElementById('errorMessage');
-    if (errorMessage) {
-        errorMessage.textContent = message;
-        errorMessage.style.display = 'block';
+    if (!errorMessage) return;
+
+    errorMessage.textContent = message;
+    if (actions.length > 0) {
+        const actionBar = document.createElement('div');
+        actionBar.className = 'error-actions';
+        actions.forEach(action => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'error-action-btn';
+            button.innerHTML = `<i data-lucide="${action.icon}"></i> `;
+            button.append(action.label);
+            button.addEventListener('click', () => {
+                hideError();
+                action.onClick();
+            });
+            actionBar.appendChild(button);
+        });
+        errorMessage.appendChild(actionBar);
+        if (typeof lucide !== 'undefined') lucide.createIcons();
     }
+    errorMessage.style.display = 'block';
 }
 
 /**
@@ -457,6 +741,23 @@ function getFileExtensionFromBase64(base64String) {
     return 'png';
 }
 
+/**
+ * Convert an image source (data URL or URL) to a File object
+ * @param {string} imageSrc - Image source
+ * @param {string} [baseName='image'] - Filename without extension
+ * @returns {Promise<File>} File containing the image data
+ * @throws {Error} If the image cannot be loaded
+ */
+async function imageSrcToFile(imageSrc, baseName = 'image') {
+    const response = await fetch(imageSrc);
+    if (!response.ok) {
+        throw new Error('Failed to load image');
+    }
+    const blob = await response.blob();
+    const extension = (blob.type.split('/')[1] || 'png').toLowerCase();
+    return new File([blob], `${baseName}.${extension}`, { type: blob.type || 'image/png' });
+}
+
 /**
  * Create a download link for an image
  * @param {string} base64String - Base64 encoded image
@@ -471,3 +772,107 @@ function createDownloadLink(base64String, filename) {
     link.click();
     document.body.removeChild(link);
 }
+
+/**
+ * CRC-32 lookup table (lazily built)
+ * @type {Uint32Array|null}
+ */
+let crcTable = null;
+
+/**
+ * Compute the CRC-32 checksum of a byte array
+ * @param {Uint8Array} bytes - Data to checksum
+ * @returns {number} Unsigned CRC-32
+ */
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Create an uncompressed ZIP archive (images are already compressed)
+ * @param {Array<{name: string, data: Uint8Array}>} files - Files to include
+ * @returns {Blob} ZIP archive
+ */
+function createZipBlob(files) {
+    const encoder = new TextEncoder();
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(file => {
+        const nameBytes = encoder.encode(file.name);
+        const crc = crc32(file.data);
+        const size = file.data.length;
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);   // Local file header signature
+        local.setUint16(4, 20, true);            // Version needed
+        local.setUint16(6, 0x0800, true);        // UTF-8 filenames
+        local.setUint16(8, 0, true);             // Stored (no compression)
+        local.setUint16(10, dosTime, true);
+        local.setUint16(12, dosDate, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, size, true);
+        local.setUint32(22, size, true);
+        local.setUint16(26, nameBytes.length, true);
+        local.setUint16(28, 0, true);
+        localParts.push(local, nameBytes, file.data);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014b50, true);  // Central directory signature
+        central.setUint16(4, 20, true);          // Version made by
+        central.setUint16(6, 20, true);          // Version needed
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, dosTime, true);
+        central.setUint16(14, dosDate, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, size, true);
+        central.setUint32(24, size, true);
+        central.setUint16(28, nameBytes.length, true);
+        central.setUint32(42, offset, true);     // Local header offset
+        centralParts.push(central, nameBytes);
+
+        offset += 30 + nameBytes.length + size;
+    });
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.byteLength, 0);
+
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);          // End of central directory signature
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...localParts, ...centralParts, end], { type: 'application/zip' });
+}
+
+/**
+ * Read an image source (data URL or URL) as bytes
+ * @param {string} imageSrc - Image source
+ * @returns {Promise<Uint8Array>} Image bytes
+ */
+async function imageSrcToBytes(imageSrc) {
+    const response = await fetch(imageSrc);
+    return new Uint8Array(await response.arrayBuffer());
+}